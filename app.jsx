@@ -1,171 +1,578 @@
-import React, { useState, useRef, useEffect, useCallback } from 'react';
-import { ChevronDown, FileText, Loader, GitCompare, Minus, Plus, Search, CheckCircle, Scroll } from 'lucide-react';
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import { ChevronDown, FileText, Loader, GitCompare, Minus, Plus, Search, CheckCircle, Scroll, Users, Pencil, GitMerge, GitBranch, BookOpen, Sparkles, Download, AlertTriangle, Network, Filter } from 'lucide-react';
+import {
+  buildFamilyGraph, DECLARED_CHARSETS, jdnToGregorian, parseGedcomDate, compareGedcomDates, formatGedcomDate, SEVERITIES,
+  DEFAULT_MATCH_THRESHOLD, compareSubtrees, BRANCH_DIRECTIONS, GEDCOM_VERSIONS, writeGedcom, verifyRoundTrip,
+  MULTI_VALUE_GROUPS, SINGLE_VALUE_GROUPS, findMergeConflicts, mergeGedcomFiles, createComparisonReport, REPORT_FORMATS,
+  GEDCOM_TASKS, createProgressReporter, clusterDuplicates, duplicatePairKey, QUERY_FIELDS, parsePersonQuery, formatPersonQuery,
+  createPersonFilter, DEFAULT_PLACE_ALIASES, applyMatchDecisions, findReviewPairs, THREE_WAY_STATUSES, mergeThreeWay,
+  diffWords, compareSources, summarizeEvidenceChanges, createPlaceMatcher, scorePersonPair, diffPersonFields,
+  checkConsistency, CONSISTENCY_RULES, DEFAULT_CONSISTENCY_LIMITS, FILE_FORMATS,
+} from './gedcom.mjs';
+import { createLlmProvider, createMatchExplainer, LLM_PROVIDERS } from './llm.mjs';
+
+// --- Family Charts ---
+
+/** Size and spacing of chart boxes, in SVG user units. */
+const CHART_BOX_WIDTH = 190;
+const CHART_BOX_HEIGHT = 44;
+const CHART_COLUMN_GAP = 36;
+const CHART_ROW_GAP = 10;
+const CHART_MARGIN = 12;
+
+/** Orders a couple father-first, so fathers are drawn above mothers. */
+const PARENT_ORDER = { M: 0, F: 1 };
+const byParentOrder = (a, b) => (PARENT_ORDER[a.sex] ?? 2) - (PARENT_ORDER[b.sex] ?? 2);
 
-// NOTE: Gemini API utilities are kept for future expansion but the bio generation is removed.
-const API_URL = "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent";
-const API_KEY = ""; // Placeholder for Canvas runtime environment
-
-// --- GEDCOM Utility Functions ---
+/**
+ * Builds the pedigree of a person as a chart tree { kind: 'person', person, children: [father, mother] }.
+ * Only the first family the person is a child in (normally the birth family) is followed.
+ * @param {Object} graph The result of buildFamilyGraph.
+ * @param {string} personId The person at the root of the chart.
+ * @param {number} generations Number of generations to draw, including the root.
+ */
+const buildAncestorTree = (graph, personId, generations) => {
+  const person = graph.getPerson(personId);
+  if (!person) return null;
+  const familyId = graph.familiesAsChild(personId)[0];
+  const parents = generations > 1 && familyId ? graph.membersOf(familyId).partners.sort(byParentOrder) : [];
+  return {
+    kind: 'person',
+    person,
+    children: parents.map(parent => buildAncestorTree(graph, parent.id, generations - 1)).filter(Boolean),
+  };
+};
 
 /**
- * A simplified function to parse GEDCOM text into an array of person objects.
- * This function handles the most basic INDI, NAME, BIRT, DATE, and PLAC tags.
- * @param {string} gedcomText The full text content of the GEDCOM file.
- * @returns {Array<Object>} An array of parsed individual records.
+ * Builds the descendants of a person as a chart tree. Each family the person is a spouse in becomes a
+ * { kind: 'family', person: spouse|null, children } node between the person and that family's children.
+ * @param {Object} graph The result of buildFamilyGraph.
+ * @param {string} personId The person at the root of the chart.
+ * @param {number} generations Number of generations of people to draw, including the root.
  */
-const parseGedcom = (gedcomText) => {
-  const lines = gedcomText.split('\n');
-  const people = {};
-  let currentPersonId = null;
-  let currentBirthDetails = null;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    
-    // 1. REGEX for Level 0 INDI records (e.g., 0 @I123@ INDI)
-    const indiMatch = line.match(/^0\s+@(\w+)@\s+INDI$/);
-    
-    if (indiMatch) {
-      currentPersonId = indiMatch[1];
-      people[currentPersonId] = {
-        id: currentPersonId, // Keep original GEDCOM ID for map key
-        name: 'Unknown Individual',
-        details: {},
+const buildDescendantTree = (graph, personId, generations) => {
+  const person = graph.getPerson(personId);
+  if (!person) return null;
+  const families = generations > 1 ? graph.familiesAsSpouse(personId) : [];
+  return {
+    kind: 'person',
+    person,
+    children: families.map(familyId => {
+      const { partners, children } = graph.membersOf(familyId);
+      return {
+        kind: 'family',
+        person: partners.find(partner => partner.id !== personId) || null,
+        children: children.map(child => buildDescendantTree(graph, child.id, generations - 1)).filter(Boolean),
       };
-      currentBirthDetails = null; // Reset nested state
-      continue;
-    } 
-
-    // 2. REGEX for Level 1+ detail records (e.g., 1 NAME John /Doe/, 2 DATE 1900)
-    const detailMatch = line.match(/^(\d)\s+(\w+)\s*(.*)$/);
-
-    if (currentPersonId && detailMatch) {
-      const [_, levelStr, tag, value] = detailMatch;
-      const level = parseInt(levelStr, 10);
-      const trimmedValue = value.trim();
-      const person = people[currentPersonId];
-
-      if (level === 1 && tag === 'NAME') {
-        // 1 NAME Given /Surname/
-        person.name = trimmedValue.replace(/\//g, '').trim();
-      } else if (level === 1 && tag === 'SEX') {
-        // 1 SEX M/F
-        person.details.Sex = trimmedValue;
-      } else if (level === 1 && tag === 'BIRT') {
-        // 1 BIRT (Expect 2 DATE and 2 PLAC next)
-        person.details.Birth = { date: 'Unknown', place: 'Unknown' };
-        currentBirthDetails = person.details.Birth;
-      } else if (level === 2 && tag === 'DATE' && currentBirthDetails) {
-        // 2 DATE 1 Jan 1900
-        currentBirthDetails.date = trimmedValue;
-      } else if (level === 2 && tag === 'PLAC' && currentBirthDetails) {
-        // 2 PLAC London, England
-        currentBirthDetails.place = trimmedValue;
-      }
+    }),
+  };
+};
+
+/**
+ * Positions a chart tree from left (root) to right. Leaves take the next free row and every other
+ * box is centred on its children, so branches never overlap.
+ * @returns {Object} { boxes: [{ node, x, y }], links: [{ from, to }], width, height }
+ */
+const layoutChart = (root) => {
+  const boxes = [];
+  const links = [];
+  let nextRow = 0;
+  let maxDepth = 0;
+
+  const place = (node, depth) => {
+    maxDepth = Math.max(maxDepth, depth);
+    const childBoxes = node.children.map(child => place(child, depth + 1));
+    const row = childBoxes.length > 0 ? (childBoxes[0].row + childBoxes[childBoxes.length - 1].row) / 2 : nextRow++;
+    const box = {
+      node,
+      row,
+      x: CHART_MARGIN + depth * (CHART_BOX_WIDTH + CHART_COLUMN_GAP),
+      y: CHART_MARGIN + row * (CHART_BOX_HEIGHT + CHART_ROW_GAP),
+    };
+    boxes.push(box);
+    childBoxes.forEach(child => links.push({ from: box, to: child }));
+    return box;
+  };
+  place(root, 0);
+
+  return {
+    boxes,
+    links,
+    width: 2 * CHART_MARGIN + (maxDepth + 1) * CHART_BOX_WIDTH + maxDepth * CHART_COLUMN_GAP,
+    height: 2 * CHART_MARGIN + nextRow * CHART_BOX_HEIGHT + Math.max(0, nextRow - 1) * CHART_ROW_GAP,
+  };
+};
+
+/** Short Gregorian year of an event for chart labels ("1850", "c. 1850", "bef. 1850"), or ''. */
+const chartYear = (person, tag) => {
+  const date = parseGedcomDate(person.events?.find(event => event.tag === tag)?.date);
+  if (!date.valid) return '';
+  // Open-ended dates have one bound; otherwise use the middle of the range (ABT 1850 spans 1848-1852)
+  const jdn = date.start === null || date.end === null ? date.start ?? date.end : Math.floor((date.start + date.end) / 2);
+  const { year } = jdnToGregorian(jdn);
+  const prefix = { about: 'c. ', calculated: 'c. ', estimated: 'c. ', between: 'c. ', before: 'bef. ', after: 'aft. ' }[date.kind] || '';
+  return prefix + (year > 0 ? year : `${1 - year} BC`);
+};
+
+/** Birth and death years of a person for chart labels ("1850–1921"), or ''. */
+const chartLifespan = (person) => {
+  const birth = chartYear(person, 'BIRT');
+  const death = chartYear(person, 'DEAT');
+  return birth || death ? `${birth}–${death}` : '';
+};
+
+
+// --- Browser Helpers ---
+
+/**
+ * Offers text to the user as a file download.
+ */
+const downloadTextFile = (fileName, text, type = 'text/plain;charset=utf-8') => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/** localStorage key of the pairs marked "not a duplicate" in a file, so they stay hidden across sessions. */
+const dismissedDuplicatesKey = (fileName) => `gedcom-not-duplicates:${fileName}`;
+
+/** Reads the duplicatePairKey values the user has dismissed for a file (empty if storage is unavailable). */
+const loadDismissedDuplicates = (fileName) => {
+  try {
+    return new Set(JSON.parse(localStorage.getItem(dismissedDuplicatesKey(fileName))) || []);
+  } catch (err) {
+    return new Set();
+  }
+};
+
+const saveDismissedDuplicates = (fileName, keys) => {
+  try {
+    localStorage.setItem(dismissedDuplicatesKey(fileName), JSON.stringify([...keys]));
+  } catch (err) {
+    console.warn('Could not save dismissed duplicates.', err);
+  }
+};
+
+/** localStorage key of the user's place alias table. */
+const PLACE_ALIASES_KEY = 'gedcom-place-aliases';
+
+/** Reads the saved place alias table, falling back to DEFAULT_PLACE_ALIASES. */
+const loadPlaceAliases = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PLACE_ALIASES_KEY)) || DEFAULT_PLACE_ALIASES;
+  } catch (err) {
+    return DEFAULT_PLACE_ALIASES;
+  }
+};
+
+const savePlaceAliases = (aliases) => {
+  try {
+    localStorage.setItem(PLACE_ALIASES_KEY, JSON.stringify(aliases));
+  } catch (err) {
+    console.warn('Could not save place aliases.', err);
+  }
+};
+
+/**
+ * localStorage key of the AI provider settings. The API key is only saved there when the user ticks
+ * "remember"; otherwise it is kept in memory and is gone when the tab closes.
+ */
+const AI_SETTINGS_KEY = 'gedcom-ai-settings';
+const DEFAULT_AI_SETTINGS = { provider: 'gemini', apiKey: '', endpoint: '', rememberKey: false };
+
+const saveAiSettings = (settings) => {
+  try {
+    localStorage.setItem(AI_SETTINGS_KEY, JSON.stringify(settings.rememberKey ? settings : { ...settings, apiKey: '' }));
+  } catch (err) {
+    console.warn('Could not save AI settings.', err);
+  }
+};
+
+/** Reads the saved AI provider settings { provider, apiKey, endpoint, rememberKey }. */
+const loadAiSettings = () => {
+  try {
+    const settings = { ...DEFAULT_AI_SETTINGS, ...JSON.parse(localStorage.getItem(AI_SETTINGS_KEY)) };
+    if (settings.apiKey && !settings.rememberKey) {
+      // Earlier versions saved the key unasked; drop it
+      saveAiSettings(settings);
+      return { ...settings, apiKey: '' };
     }
+    return settings;
+  } catch (err) {
+    return DEFAULT_AI_SETTINGS;
   }
+};
 
-  return Object.values(people);
+/** localStorage key of the consistency rules the user has switched on and their age limits. */
+const CONSISTENCY_SETTINGS_KEY = 'gedcom-consistency-rules';
+const DEFAULT_CONSISTENCY_SETTINGS = { rules: Object.keys(CONSISTENCY_RULES), limits: DEFAULT_CONSISTENCY_LIMITS };
+
+/** Reads the saved consistency settings { rules, limits }, falling back to every rule with the default limits. */
+const loadConsistencySettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CONSISTENCY_SETTINGS_KEY)) || {};
+    return {
+      rules: saved.rules || DEFAULT_CONSISTENCY_SETTINGS.rules,
+      limits: { ...DEFAULT_CONSISTENCY_LIMITS, ...saved.limits },
+    };
+  } catch (err) {
+    return DEFAULT_CONSISTENCY_SETTINGS;
+  }
 };
 
+const saveConsistencySettings = (settings) => {
+  try {
+    localStorage.setItem(CONSISTENCY_SETTINGS_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('Could not save consistency settings.', err);
+  }
+};
 
 /**
- * Helper to create a consistent, human-meaningful key for comparison.
- * This key is used instead of the GEDCOM ID to determine if two records represent the same person.
+ * Runs one of GEDCOM_TASKS in a fresh Web Worker so the page stays responsive.
+ * If workers are unavailable (or the worker script fails to load) the task runs on the UI thread instead;
+ * a worker that fails once it is running (e.g. out of memory) rejects the task rather than retrying it there.
+ * @param {string} task Key of GEDCOM_TASKS.
+ * @param {Object} payload The task's input; it is structured-cloned into the worker.
+ * @param {Function} onProgress Called with an integer percentage as the task advances.
+ * @returns {Object} { promise, cancel }. cancel() stops the worker and rejects the promise with an AbortError.
  */
-const createComparisonKey = (person) => {
-    // Standardize and concatenate key fields: Name, Sex, Birth Date, Birth Place
-    const name = person.name ? person.name.toUpperCase().replace(/[^A-Z]/g, '') : '';
-    const sex = person.details.Sex ? person.details.Sex.toUpperCase() : '';
-    const birthDate = person.details.Birth?.date ? person.details.Birth.date.toUpperCase() : '';
-    // Simplify place by removing spaces/special chars for robust matching
-    const birthPlace = person.details.Birth?.place ? person.details.Birth.place.toUpperCase().replace(/[^A-Z]/g, '') : '';
+const runGedcomTask = (task, payload, onProgress) => {
+  let worker = null;
+  let started = false;
+  let cancelled = false;
+  let rejectTask = null;
+
+  const runInline = () => new Promise(resolve => setTimeout(resolve, 0))
+    .then(() => GEDCOM_TASKS[task](payload, createProgressReporter(percent => !cancelled && onProgress(percent))));
+
+  const promise = new Promise((resolve, reject) => {
+    rejectTask = reject;
+    try {
+      worker = new Worker(new URL('./gedcom.worker.mjs', import.meta.url), { type: 'module' });
+    } catch (err) {
+      console.warn('Web Worker unavailable; running on the main thread.', err);
+      runInline().then(resolve, reject);
+      return;
+    }
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'ready') {
+        started = true;
+        return;
+      }
+      if (data.type === 'progress') {
+        onProgress(data.percent);
+        return;
+      }
+      worker.terminate();
+      if (data.type === 'done') resolve(data.result);
+      else reject(new Error(data.message));
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      worker.terminate();
+      if (started) {
+        reject(new Error(event.message || 'The background task failed.'));
+        return;
+      }
+      console.warn('Web Worker failed to start; running on the main thread.', event.message);
+      runInline().then(resolve, reject);
+    };
+    worker.onmessageerror = () => {
+      worker.terminate();
+      reject(new Error('The background task returned data that could not be read.'));
+    };
+    worker.postMessage({ task, payload });
+  });
 
-    return `${name}|${sex}|${birthDate}|${birthPlace}`;
+  const cancel = () => {
+    cancelled = true;
+    if (worker) worker.terminate();
+    rejectTask(new DOMException('The task was cancelled.', 'AbortError'));
+  };
+
+  return { promise, cancel };
 };
 
 
+// --- Session Storage ---
+
 /**
- * Compares two arrays of people based on their human-meaningful details (ignoring GEDCOM ID).
- * Returns status maps keyed by the original GEDCOM ID.
- *
- * @param {Array<Object>} peopleA Data from the first file.
- * @param {Array<Object>} peopleB Data from the second file.
- * @returns {Object} { statusMapA: Map<ID, string>, statusMapB: Map<ID, string>, counts: Object }
+ * Sessions are kept in this browser's IndexedDB, never on a server, in three stores:
+ *   sessions: { id, name, createdAt, updatedAt, fileNames: [name|null, name|null], baseFileName, settings, decisions }
+ *   files:    { sessionId, index: 0 (Base)|1|2, name, file: the original File, encoding, gedcom: parsed data }
+ *   results:  { sessionId, comparisonResults }
+ * Parsed files and results are stored apart from the session record so listing sessions and
+ * saving a changed setting do not rewrite megabytes of data.
  */
-const compareGedcomData = (peopleA, peopleB) => {
-    // Map 1: Composite Key -> Array of people with that key (to handle data duplicates within a file)
-    const keyMapA = new Map();
-    peopleA.forEach(p => {
-        const key = createComparisonKey(p);
-        if (!keyMapA.has(key)) keyMapA.set(key, []);
-        keyMapA.get(key).push(p);
-    });
+const SESSION_DB_NAME = 'gedcom-compare';
+const SESSION_DB_VERSION = 1;
+
+/** localStorage key of the session reopened when the page loads. */
+const LAST_SESSION_KEY = 'gedcom-last-session';
+
+/** Delay before changed settings are written, so dragging the threshold slider saves once. */
+const SESSION_SAVE_DELAY = 500;
+
+/** View and comparison settings saved with each session, and their values in a new session. */
+const DEFAULT_SESSION_SETTINGS = {
+  matchThreshold: DEFAULT_MATCH_THRESHOLD,
+  isSyncEnabled: true,
+  isAlignedView: true,
+  isQueryLinked: false,
+  linkedQuery: '',
+};
 
-    const keyMapB = new Map();
-    peopleB.forEach(p => {
-        const key = createComparisonKey(p);
-        if (!keyMapB.has(key)) keyMapB.set(key, []);
-        keyMapB.get(key).push(p);
-    });
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
 
-    const statusMapA = new Map();
-    const statusMapB = new Map();
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new DOMException('The transaction was aborted.', 'AbortError'));
+});
 
-    const counts = {
-        UNIQUE_A: 0, // Unique based on human details
-        UNIQUE_B: 0, // Unique based on human details
-        MATCH: 0,    // Identical match based on human details
+let sessionDatabase = null;
+
+const openSessionDatabase = () => {
+  if (!sessionDatabase) {
+    if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+    const request = indexedDB.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore('sessions', { keyPath: 'id' });
+      db.createObjectStore('files', { keyPath: ['sessionId', 'index'] });
+      db.createObjectStore('results', { keyPath: 'sessionId' });
     };
-    
-    // 1. Determine status for all unique keys found across both files
-    const allKeys = new Set([...keyMapA.keys(), ...keyMapB.keys()]);
-
-    for (const key of allKeys) {
-        const recordsA = keyMapA.get(key) || [];
-        const recordsB = keyMapB.get(key) || [];
-
-        let status;
-        if (recordsA.length > 0 && recordsB.length > 0) {
-            // Found in both files based on human data. This is now a MATCH (Green).
-            status = 'MATCH';
-            // Count the number of original GEDCOM IDs associated with this matched key in both files
-            counts.MATCH += recordsA.length + recordsB.length; 
-        } else if (recordsA.length > 0) {
-            // Unique key to File A.
-            status = 'UNIQUE_A';
-            counts.UNIQUE_A += recordsA.length;
-        } else if (recordsB.length > 0) {
-            // Unique key to File B.
-            status = 'UNIQUE_B';
-            counts.UNIQUE_B += recordsB.length;
-        }
-        
-        // 2. Map the status back to the original GEDCOM IDs for display
-        recordsA.forEach(p => statusMapA.set(p.id, status));
-        recordsB.forEach(p => statusMapB.set(p.id, status));
-    }
+    sessionDatabase = requestResult(request);
+  }
+  return sessionDatabase;
+};
+
+const readLastSession = () => {
+  try {
+    return localStorage.getItem(LAST_SESSION_KEY);
+  } catch (err) {
+    return null;
+  }
+};
+
+const rememberLastSession = (id) => {
+  try {
+    if (id) localStorage.setItem(LAST_SESSION_KEY, id);
+    else localStorage.removeItem(LAST_SESSION_KEY);
+  } catch (err) {
+    console.warn('Could not remember the open session.', err);
+  }
+};
+
+const createSessionId = () => (typeof crypto !== 'undefined' && crypto.randomUUID
+  ? crypto.randomUUID()
+  : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`);
+
+/** Name shown for a session: the user's name for it, or the names of its files. */
+const sessionTitle = (session) => session.name || session.fileNames.filter(Boolean).join(' ↔ ') || 'Untitled session';
 
-    return { statusMapA, statusMapB, counts };
+/** All saved sessions, most recently updated first. */
+const listSessions = async () => {
+  const db = await openSessionDatabase();
+  const sessions = await requestResult(db.transaction('sessions').objectStore('sessions').getAll());
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/** Creates or updates a session record with the given fields. */
+const updateSession = async (id, changes) => {
+  const db = await openSessionDatabase();
+  const transaction = db.transaction('sessions', 'readwrite');
+  const store = transaction.objectStore('sessions');
+  const now = Date.now();
+  const existing = await requestResult(store.get(id));
+  store.put({ id, name: null, createdAt: now, fileNames: [null, null], settings: {}, ...existing, ...changes, updatedAt: now });
+  return transactionDone(transaction);
+};
+
+const saveSessionFile = async (sessionId, index, entry) => {
+  const db = await openSessionDatabase();
+  const transaction = db.transaction('files', 'readwrite');
+  transaction.objectStore('files').put({ sessionId, index, ...entry });
+  return transactionDone(transaction);
+};
+
+/** Stores the comparison results of a session, or removes them when `comparisonResults` is null. */
+const saveSessionResults = async (sessionId, comparisonResults) => {
+  const db = await openSessionDatabase();
+  const transaction = db.transaction('results', 'readwrite');
+  const store = transaction.objectStore('results');
+  if (comparisonResults) store.put({ sessionId, comparisonResults });
+  else store.delete(sessionId);
+  return transactionDone(transaction);
+};
+
+/** Reads everything saved for a session: { session, files: { 0: entry, 1: entry, 2: entry }, comparisonResults }. */
+const loadSession = async (id) => {
+  const db = await openSessionDatabase();
+  const transaction = db.transaction(['sessions', 'files', 'results']);
+  const [session, files, results] = await Promise.all([
+    requestResult(transaction.objectStore('sessions').get(id)),
+    requestResult(transaction.objectStore('files').getAll(IDBKeyRange.bound([id, 0], [id, Infinity]))),
+    requestResult(transaction.objectStore('results').get(id)),
+  ]);
+  if (!session) throw new Error(`Session ${id} was not found.`);
+  return {
+    session,
+    files: Object.fromEntries(files.map(entry => [entry.index, entry])),
+    comparisonResults: results?.comparisonResults || null,
+  };
+};
+
+const deleteSession = async (id) => {
+  const db = await openSessionDatabase();
+  const transaction = db.transaction(['sessions', 'files', 'results'], 'readwrite');
+  transaction.objectStore('sessions').delete(id);
+  transaction.objectStore('files').delete(IDBKeyRange.bound([id, 0], [id, Infinity]));
+  transaction.objectStore('results').delete(id);
+  return transactionDone(transaction);
+};
+
+
+// --- Match Explanation Component ---
+
+/** Badge styles of the verdicts an AI provider can suggest. */
+const VERDICT_STYLES = {
+  same: { label: 'Suggests: same person', className: 'bg-green-100 text-green-800' },
+  different: { label: 'Suggests: different people', className: 'bg-red-100 text-red-800' },
+  unsure: { label: 'Suggests: unsure', className: 'bg-gray-100 text-gray-700' },
+};
+
+/**
+ * Asks the configured AI provider to explain whether two records are the same person.
+ * onExplain(idA, idB) returns a promise of { verdict, explanation }; its LlmErrors are shown here.
+ */
+const MatchExplanation = ({ idA, idB, onExplain }) => {
+  const [answer, setAnswer] = useState(null);
+  const [error, setError] = useState(null);
+  const [isExplaining, setIsExplaining] = useState(false);
+  // Identifies the latest request, so an answer for a pair no longer shown is dropped
+  const requestRef = useRef(0);
+
+  useEffect(() => {
+    requestRef.current += 1;
+    setAnswer(null);
+    setError(null);
+    setIsExplaining(false);
+  }, [idA, idB]);
+
+  const explain = () => {
+    const request = ++requestRef.current;
+    setIsExplaining(true);
+    setError(null);
+    onExplain(idA, idB)
+      .then(result => { if (request === requestRef.current) setAnswer(result); })
+      .catch(err => {
+        console.error('Match explanation failed:', err);
+        if (request === requestRef.current) setError(err);
+      })
+      .finally(() => { if (request === requestRef.current) setIsExplaining(false); });
+  };
+
+  const verdict = answer && VERDICT_STYLES[answer.verdict];
+
+  return (
+    <div className="mt-3 px-2 text-sm">
+      {!answer && (
+        <button
+          onClick={explain}
+          disabled={isExplaining}
+          className="flex items-center text-indigo-600 hover:text-indigo-800 font-medium disabled:text-gray-400"
+        >
+          {isExplaining ? <Loader className="w-4 h-4 mr-1 animate-spin" /> : <Sparkles className="w-4 h-4 mr-1" />}
+          {isExplaining ? 'Asking the AI provider...' : 'Explain this match'}
+        </button>
+      )}
+      {verdict && (
+        <div className="border border-indigo-100 bg-indigo-50/50 rounded-lg p-2 space-y-1">
+          <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-semibold ${verdict.className}`}>{verdict.label}</span>
+          <p className="text-gray-700">{answer.explanation}</p>
+          <p className="text-xs text-gray-500">AI suggestions can be wrong; check the records before deciding.</p>
+        </div>
+      )}
+      {error && (
+        <p className="mt-1 text-red-600">
+          {error.message}
+          {error.code === 'NO_API_KEY' && ' Add a key under AI explanations, or choose the offline stand-in.'}
+        </p>
+      )}
+    </div>
+  );
 };
 
 
 // --- Accordion Item Component (Simplified) ---
 
-const AccordionItem = React.memo(({ person, comparisonStatus }) => {
+/** Styles of the word segments of an edited note. */
+const WORD_DIFF_CLASSES = {
+  same: 'text-gray-700',
+  removed: 'bg-red-50 text-red-700 line-through',
+  added: 'bg-green-50 text-green-700',
+};
+
+const AccordionItem = React.memo(({ person, comparisonStatus, matchInfo, graph, focusToken, onSelectPerson, onShowChart, onRejectMatch, onExplain, findings }) => {
   const [isOpen, setIsOpen] = useState(false);
+  const itemRef = useRef(null);
+
+  // When a relative link elsewhere in the list points here, open and bring this item into view
+  useEffect(() => {
+    if (!focusToken) return;
+    setIsOpen(true);
+    itemRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }, [focusToken]);
+
+  // Immediate family is only resolved while the item is open
+  const relatives = isOpen && graph ? graph.relativesOf(person.id) : null;
+
+  // Build the rows shown in the details panel: sex, alternate names and every event instance
+  const detailRows = [];
+  if (person.details.Sex) detailRows.push({ key: 'Sex', value: person.details.Sex });
+  (person.names || []).slice(1).forEach((name, index) => {
+    detailRows.push({ key: name.type ? `Also Known As (${name.type})` : 'Also Known As', value: name.full, id: `name-${index}` });
+  });
+  (person.events || []).forEach((event, index) => {
+    detailRows.push({
+      key: event.type ? `${event.label} (${event.type})` : event.label,
+      value: { value: event.value, date: event.date, place: event.place },
+      id: `event-${index}`,
+    });
+  });
+  if (person.notes?.length) detailRows.push({ key: 'Notes', value: person.notes.length });
+  if (person.citations?.length) detailRows.push({ key: 'Sources', value: person.citations.length });
+  if (person.media?.length) detailRows.push({ key: 'Media', value: person.media.length });
+
+  // Helper function to render a date in readable form, flagging values that are not valid GEDCOM dates
+  const renderDate = (rawDate) => {
+    const date = parseGedcomDate(rawDate);
+    if (!date.valid && date.kind !== 'phrase') {
+      return <div className="font-medium text-red-600" title="Unrecognized GEDCOM date">{rawDate}</div>;
+    }
+    return <div className="font-medium" title={rawDate}>{formatGedcomDate(date)}</div>;
+  };
 
   // Helper function to render a simple key-value list of details
-  const renderDetails = (details) => {
+  const renderDetails = (rows) => {
     return (
       <ul className="space-y-1 text-sm text-gray-700 p-2">
-        {Object.entries(details).map(([key, value]) => (
-          <li key={key} className="flex justify-between items-start border-b border-gray-100 pb-1 last:border-b-0">
+        {rows.map(({ key, value, id }) => (
+          <li key={id || key} className="flex justify-between items-start border-b border-gray-100 pb-1 last:border-b-0">
             <span className="font-semibold text-gray-600">{key}:</span>
             <span className="text-right">
               {typeof value === 'object' && value !== null ? (
                 <>
-                  {value.date && <div className="font-medium">{value.date}</div>}
+                  {value.value && <div>{value.value}</div>}
+                  {value.date && renderDate(value.date)}
                   {value.place && <div className="text-xs italic text-gray-500">{value.place}</div>}
                 </>
               ) : (
@@ -178,6 +585,71 @@ const AccordionItem = React.memo(({ person, comparisonStatus }) => {
     );
   };
 
+  // Helper function to render the immediate family as links to the relatives' own entries
+  const renderFamily = ({ parents, spouses, children, siblings }) => {
+    const groups = [['Parents', parents], ['Spouses', spouses], ['Children', children], ['Siblings', siblings]]
+      .filter(([, list]) => list.length > 0);
+    if (groups.length === 0) return null;
+
+    return (
+      <div className="mt-3 p-2 border-t border-gray-100 text-sm">
+        <p className="font-semibold text-gray-600 mb-1 flex items-center">
+          <Users className="w-4 h-4 mr-1 text-indigo-500" /> Immediate Family
+        </p>
+        {groups.map(([label, list]) => (
+          <div key={label} className="flex justify-between items-start pb-1">
+            <span className="text-gray-500">{label}:</span>
+            <span className="text-right">
+              {list.map(relative => (
+                <button
+                  key={relative.id}
+                  onClick={() => onSelectPerson?.(relative.id)}
+                  className="block ml-auto text-indigo-600 hover:text-indigo-800 underline"
+                >
+                  {relative.name} <span className="text-xs text-gray-500">({relative.id})</span>
+                </button>
+              ))}
+            </span>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  // Helper function to render the field differences against the matched record (File 1 old, File 2 new)
+  const renderDiff = (diff, heading, Icon) => (
+    <div className="mt-3 p-2 border-t border-gray-100 text-sm">
+      <p className="font-semibold text-amber-700 mb-1 flex items-center">
+        <Icon className="w-4 h-4 mr-1" /> {heading}
+      </p>
+      <ul className="space-y-1">
+        {diff.map((entry, index) => (
+          <li key={index} className="flex justify-between items-start border-b border-gray-100 pb-1 last:border-b-0">
+            <span className="text-gray-600">
+              {entry.field} <span className="text-xs text-gray-400">({entry.aspect ? `${entry.aspect} changed` : entry.kind})</span>
+            </span>
+            {entry.category === 'note' && entry.kind === 'changed' ? (
+              // An edited note is shown once, with the words that changed marked in place
+              <span className="text-right">
+                {diffWords(entry.before, entry.after).map((segment, i) => (
+                  <span key={i} className={WORD_DIFF_CLASSES[segment.kind]}>{segment.text} </span>
+                ))}
+              </span>
+            ) : (
+              <span className="text-right">
+                {entry.before && <div className="bg-red-50 text-red-700 line-through px-1 rounded">{entry.before}</div>}
+                {entry.after && <div className="bg-green-50 text-green-700 px-1 rounded">{entry.after}</div>}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+  // Citations, notes and media are listed apart from the names and events
+  const fieldDiff = (matchInfo?.diff || []).filter(entry => !entry.category);
+  const evidenceDiff = (matchInfo?.diff || []).filter(entry => entry.category);
+
   // Determine styling and icon based on comparison status
   let uniqueClass = 'bg-white border-gray-200 hover:bg-gray-50';
   let statusIcon = null;
@@ -189,10 +661,15 @@ const AccordionItem = React.memo(({ person, comparisonStatus }) => {
       uniqueClass = 'bg-red-100 border-red-400 hover:bg-red-200';
       statusIcon = <Minus className="w-4 h-4 mr-2 text-red-600 inline" title="Unique Entry" />;
       break;
+    case 'MODIFIED':
+      // Amber for the same person recorded with different details
+      uniqueClass = 'bg-amber-100 border-amber-400 hover:bg-amber-200';
+      statusIcon = <Pencil className="w-4 h-4 mr-2 text-amber-600 inline" title="Modified" />;
+      break;
     case 'MATCH':
-      // Green for identical match on human details
+      // Green for a match on human details at or above the score threshold
       uniqueClass = 'bg-green-100 border-green-400 hover:bg-green-200';
-      statusIcon = <CheckCircle className="w-4 h-4 mr-2 text-green-600 inline" title="Identical Match" />;
+      statusIcon = <CheckCircle className="w-4 h-4 mr-2 text-green-600 inline" title="Match" />;
       break;
     default:
       // Default state before comparison is run
@@ -202,7 +679,7 @@ const AccordionItem = React.memo(({ person, comparisonStatus }) => {
 
 
   return (
-    <div className={`rounded-lg shadow-sm transition-all duration-300 border ${uniqueClass}`}>
+    <div ref={itemRef} className={`rounded-lg shadow-sm transition-all duration-300 border ${uniqueClass} ${focusToken ? 'ring-2 ring-indigo-400' : ''}`}>
       <button
         onClick={() => setIsOpen(!isOpen)}
         className="w-full flex justify-between items-center p-3 text-left font-medium text-gray-800 transition duration-150 rounded-lg"
@@ -211,6 +688,14 @@ const AccordionItem = React.memo(({ person, comparisonStatus }) => {
         <span className="text-lg truncate">
           {statusIcon}
           {person.name} <span className="text-sm text-gray-500 font-normal">(ID: {person.id})</span>
+          {matchInfo?.partnerId && (
+            <span className={`ml-2 text-xs font-normal ${comparisonStatus === 'MODIFIED' ? 'text-amber-700' : 'text-green-700'}`}>
+              ↔ {matchInfo.partnerId} ({matchInfo.decision === 'match' ? 'matched by hand' : `${Math.round(matchInfo.score * 100)}%`})
+            </span>
+          )}
+          {findings?.length > 0 && (
+            <AlertTriangle className="w-4 h-4 ml-2 text-red-500 inline" title={`${findings.length} consistency problems`} />
+          )}
         </span>
         <ChevronDown 
           className={`h-5 w-5 text-indigo-500 transition-transform duration-300 ${isOpen ? 'transform rotate-180' : ''}`} 
@@ -223,13 +708,50 @@ const AccordionItem = React.memo(({ person, comparisonStatus }) => {
         }`}
       >
         <div className="border-t border-gray-100 pt-4">
-          {Object.keys(person.details).length > 0 ? (
-            renderDetails(person.details)
+          {detailRows.length > 0 ? (
+            renderDetails(detailRows)
           ) : (
             <p className="text-sm text-gray-500 italic p-2">
-              No detailed records (Birth/Death/Sex) parsed for this individual.
+              No detailed records (names, events or sex) parsed for this individual.
             </p>
           )}
+          {findings?.length > 0 && (
+            <ul className="mt-3 px-2 space-y-1 text-sm">
+              {findings.map(finding => (
+                <li key={`${finding.code}-${finding.relatedIds.join()}`} className={`border rounded px-2 py-1 ${SEVERITY_STYLES[finding.severity]}`}>
+                  <span className="font-semibold mr-1">{CONSISTENCY_RULES[finding.code].label}:</span>
+                  {finding.message}
+                </li>
+              ))}
+            </ul>
+          )}
+          {matchInfo?.context && (
+            <p className="mt-3 px-2 text-sm text-indigo-700">
+              <Network className="w-4 h-4 mr-1 inline" /> Paired as the {matchInfo.context}
+            </p>
+          )}
+          {fieldDiff.length > 0 && renderDiff(fieldDiff, `Differences from ${matchInfo.partnerId}`, Pencil)}
+          {evidenceDiff.length > 0 && renderDiff(evidenceDiff, `Evidence differences from ${matchInfo.partnerId}`, BookOpen)}
+          {matchInfo?.partnerId && onRejectMatch && (
+            <button
+              onClick={() => onRejectMatch(person.id, matchInfo.partnerId)}
+              className="mt-3 ml-2 flex items-center text-sm text-red-600 hover:text-red-800 font-medium"
+            >
+              <Minus className="w-4 h-4 mr-1" /> Not the same person as {matchInfo.partnerId}
+            </button>
+          )}
+          {comparisonStatus === 'MODIFIED' && matchInfo?.partnerId && onExplain && (
+            <MatchExplanation idA={person.id} idB={matchInfo.partnerId} onExplain={onExplain} />
+          )}
+          {relatives && renderFamily(relatives)}
+          {onShowChart && graph && (
+            <button
+              onClick={() => onShowChart(person.id)}
+              className="mt-3 ml-2 flex items-center text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+            >
+              <Network className="w-4 h-4 mr-1" /> Show family chart
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -237,23 +759,313 @@ const AccordionItem = React.memo(({ person, comparisonStatus }) => {
 });
 
 
-// --- File Tree List Component (New) ---
+// --- Virtual List Component ---
 
-const FileTreeList = ({ people, fileName, fileIndex, comparisonResults, comparisonActive, scrollRef, onScroll }) => {
-    const [searchTerm, setSearchTerm] = useState('');
+/** Height assumed for rows that have not been measured yet (a collapsed AccordionItem plus its gap). */
+const ESTIMATED_ROW_HEIGHT = 62;
+
+/** Rows rendered beyond each edge of the visible window, so fast scrolling does not show blank space. */
+const OVERSCAN_ROWS = 8;
 
-    const filteredPeople = people.filter(p => 
-        p.name.toLowerCase().includes(searchTerm.toLowerCase()) || 
-        p.id.toLowerCase().includes(searchTerm.toLowerCase())
+// Wraps a rendered row so its real height can replace the estimate
+const MeasuredRow = ({ rowKey, observer, children }) => {
+    const rowRef = useRef(null);
+
+    useEffect(() => {
+        const node = rowRef.current;
+        if (!observer || !node) return undefined;
+        observer.observe(node);
+        return () => observer.unobserve(node);
+    }, [observer]);
+
+    return <div ref={rowRef} data-key={rowKey} className="pb-2">{children}</div>;
+};
+
+/**
+ * Scrollable list that only renders the rows in (or near) view. Rows may have different and changing
+ * heights (e.g. an opened AccordionItem); each is measured once rendered and the layout adjusts.
+ * scrollTarget `{ index, token }` scrolls a row into view; a new token repeats the scroll.
+ */
+const VirtualList = ({ items, getKey, renderItem, scrollRef, onScroll, scrollTarget, className, emptyMessage }) => {
+    const ownRef = useRef(null);
+    const containerRef = scrollRef || ownRef;
+    const heights = useRef(new Map());
+    const offsetsRef = useRef([0]);
+    const [, setLayoutVersion] = useState(0);
+    const [viewport, setViewport] = useState({ top: 0, height: 0 });
+
+    const observer = useMemo(() => {
+        if (typeof ResizeObserver === 'undefined') return null;
+        return new ResizeObserver(entries => {
+            let changed = false;
+            entries.forEach(({ target }) => {
+                if (!target.isConnected || heights.current.get(target.dataset.key) === target.offsetHeight) return;
+                heights.current.set(target.dataset.key, target.offsetHeight);
+                changed = true;
+            });
+            if (changed) setLayoutVersion(version => version + 1);
+        });
+    }, []);
+    useEffect(() => () => observer?.disconnect(), [observer]);
+
+    // Track the scroll position and size of the container, whoever scrolls it
+    useEffect(() => {
+        const node = containerRef.current;
+        if (!node) return undefined;
+        const update = () => setViewport({ top: node.scrollTop, height: node.clientHeight });
+        update();
+        node.addEventListener('scroll', update, { passive: true });
+        const resizeObserver = typeof ResizeObserver === 'undefined' ? null : new ResizeObserver(update);
+        resizeObserver?.observe(node);
+        return () => {
+            node.removeEventListener('scroll', update);
+            resizeObserver?.disconnect();
+        };
+    }, [containerRef]);
+
+    // offsets[i] is the distance from the top of the list to row i; offsets[items.length] is the total height
+    const offsets = new Array(items.length + 1);
+    offsets[0] = 0;
+    items.forEach((item, index) => {
+        offsets[index + 1] = offsets[index] + (heights.current.get(String(getKey(item))) ?? ESTIMATED_ROW_HEIGHT);
+    });
+    offsetsRef.current = offsets;
+
+    useEffect(() => {
+        if (!scrollTarget || !containerRef.current) return;
+        const top = offsetsRef.current[scrollTarget.index];
+        if (top !== undefined) containerRef.current.scrollTop = Math.max(0, top - containerRef.current.clientHeight / 3);
+    }, [scrollTarget?.token]);
+
+    // Index of the row containing the given offset
+    const rowAt = (offset) => {
+        let low = 0;
+        let high = items.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (offsets[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return low;
+    };
+
+    // Before the container has been measured (first render), assume roughly a screenful
+    const viewportHeight = viewport.height || ESTIMATED_ROW_HEIGHT * 20;
+    const start = Math.max(0, rowAt(viewport.top) - OVERSCAN_ROWS);
+    const end = Math.min(items.length, rowAt(viewport.top + viewportHeight) + 1 + OVERSCAN_ROWS);
+
+    return (
+        <div ref={containerRef} onScroll={onScroll} className={className}>
+            {items.length > 0 ? (
+                <div style={{ paddingTop: offsets[start], paddingBottom: offsets[items.length] - offsets[end] }}>
+                    {items.slice(start, end).map((item, index) => (
+                        <MeasuredRow key={getKey(item)} rowKey={String(getKey(item))} observer={observer}>
+                            {renderItem(item, start + index)}
+                        </MeasuredRow>
+                    ))}
+                </div>
+            ) : (
+                emptyMessage
+            )}
+        </div>
     );
+};
 
-    const getStatus = (personId) => {
-        if (!comparisonActive || !comparisonResults) return 'NONE';
-        
-        // File 1 uses statusMapA, File 2 uses statusMapB
-        const statusMap = fileIndex === 1 ? comparisonResults.statusMapA : comparisonResults.statusMapB;
-        return statusMap.get(personId) || 'NONE'; 
+
+// --- Search Filter Component ---
+
+const STATUS_FILTERS = [['', 'Any status'], ['unique', 'Only in this file'], ['modified', 'Modified'], ['match', 'Identical'], ['matched', 'Matched (either)']];
+const FACET_FILTERS = [['parents', 'No parents'], ['sources', 'No sources']];
+
+/**
+ * Search box for the person lists. The query text is the single source of truth; the filter form
+ * reads its fields from the parsed terms and rewrites just that field's term when edited.
+ */
+const SearchFilterBar = ({ query, onQueryChange, placeholder, showStatus, children }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const parsed = useMemo(() => parsePersonQuery(query), [query]);
+
+    // First positive term for a field, as edited by the form
+    const fieldTerm = (field) => parsed.terms.find(term => term.field === field && !term.negated && !term.error);
+    const fieldValue = (field) => fieldTerm(field)?.value || '';
+    const yearBound = (field, bound) => {
+        const year = fieldTerm(field)?.range?.[bound];
+        return Number.isFinite(year) ? String(year) : '';
+    };
+    const hasFacet = (facet) => parsed.terms.some(term => term.field === 'no' && term.facet === facet && !term.negated);
+
+    const replaceTerms = (keep, added) => {
+        onQueryChange(formatPersonQuery([...parsed.terms.filter(keep), ...added]));
+    };
+    const setField = (field, value) => {
+        replaceTerms(term => term.field !== field || term.negated, value ? [{ field, value, negated: false }] : []);
+    };
+    const setYears = (field, from, to) => {
+        setField(field, from && to ? `${from}..${to}` : from ? `${from}..` : to ? `..${to}` : '');
     };
+    const toggleFacet = (facet) => {
+        const isSet = hasFacet(facet);
+        replaceTerms(term => !(term.field === 'no' && term.facet === facet && !term.negated), isSet ? [] : [{ field: 'no', value: facet, negated: false }]);
+    };
+
+    const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500';
+
+    return (
+        <div className="space-y-2">
+            <div className="flex items-center space-x-2">
+                <div className="relative flex-1">
+                    <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400" />
+                    <input
+                        type="text"
+                        placeholder={placeholder}
+                        value={query}
+                        onChange={(e) => onQueryChange(e.target.value)}
+                        className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150"
+                    />
+                </div>
+                <button
+                    onClick={() => setIsOpen(!isOpen)}
+                    className={`p-2 rounded-lg border ${isOpen ? 'border-indigo-400 bg-indigo-50 text-indigo-700' : 'border-gray-300 text-gray-500 hover:text-indigo-600'}`}
+                    title="Filters"
+                    aria-expanded={isOpen}
+                >
+                    <Filter className="w-4 h-4" />
+                </button>
+            </div>
+            {parsed.errors.length > 0 && (
+                <p className="text-xs text-amber-700">{parsed.errors.join('. ')}. Those terms are ignored.</p>
+            )}
+            {children}
+
+            {isOpen && (
+                <div className="border border-gray-200 rounded-lg p-3 text-xs text-gray-600 space-y-2">
+                    <div className="grid grid-cols-2 gap-2">
+                        <label>Surname<input type="text" value={fieldValue('surname')} onChange={(e) => setField('surname', e.target.value)} className={inputClass} /></label>
+                        <label>Given names<input type="text" value={fieldValue('given')} onChange={(e) => setField('given', e.target.value)} className={inputClass} /></label>
+                        {['born', 'died'].map(field => (
+                            <div key={field}>
+                                {field === 'born' ? 'Born between' : 'Died between'}
+                                <div className="flex items-center space-x-1">
+                                    <input type="number" placeholder="year" value={yearBound(field, 'from')} onChange={(e) => setYears(field, e.target.value, yearBound(field, 'to'))} className={inputClass} />
+                                    <span>and</span>
+                                    <input type="number" placeholder="year" value={yearBound(field, 'to')} onChange={(e) => setYears(field, yearBound(field, 'from'), e.target.value)} className={inputClass} />
+                                </div>
+                            </div>
+                        ))}
+                        <label>Place contains<input type="text" value={fieldValue('place')} onChange={(e) => setField('place', e.target.value)} className={inputClass} /></label>
+                        <label>
+                            Sex
+                            <select value={fieldValue('sex').toUpperCase()} onChange={(e) => setField('sex', e.target.value)} className={inputClass}>
+                                <option value="">Any</option>
+                                <option value="M">Male</option>
+                                <option value="F">Female</option>
+                                <option value="U">Unknown</option>
+                            </select>
+                        </label>
+                        {showStatus && (
+                            <label>
+                                Comparison status
+                                <select value={fieldValue('status').toLowerCase()} onChange={(e) => setField('status', e.target.value)} className={inputClass}>
+                                    {STATUS_FILTERS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                </select>
+                            </label>
+                        )}
+                        <div className="flex items-end space-x-3">
+                            {FACET_FILTERS.map(([facet, label]) => (
+                                <label key={facet} className="flex items-center">
+                                    <input type="checkbox" checked={hasFacet(facet)} onChange={() => toggleFacet(facet)} className="mr-1 accent-indigo-600" />
+                                    {label}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                    <details>
+                        <summary className="cursor-pointer text-indigo-600">Search syntax</summary>
+                        <p className="mt-1">
+                            Words search names and IDs. Use <span className="font-mono">field:value</span> to narrow a field, quotes for
+                            values with spaces, <span className="font-mono">*</span> and <span className="font-mono">?</span> as wildcards
+                            and a leading <span className="font-mono">-</span> to exclude, e.g. <span className="font-mono">surname:Sm?th born:1850..1870 -has:sources</span>.
+                        </p>
+                        <ul className="mt-1 space-y-0.5">
+                            {Object.entries(QUERY_FIELDS).map(([field, description]) => (
+                                <li key={field}><span className="font-mono text-gray-800">{field}:</span> {description}</li>
+                            ))}
+                        </ul>
+                    </details>
+                </div>
+            )}
+        </div>
+    );
+};
+
+
+// --- File Tree List Component (New) ---
+
+const FileTreeList = ({
+    people, graph, fileName, fileIndex, comparisonResults, comparisonActive, scrollRef, onScroll,
+    linkedQuery, onLinkedQueryChange, isQueryLinked, onToggleQueryLinked, onDecision, onExplain, findings, focusRequest,
+}) => {
+    // While linked, both files share one query held by the App
+    const [localQuery, setLocalQuery] = useState('');
+    const searchTerm = isQueryLinked ? linkedQuery : localQuery;
+    const setSearchTerm = isQueryLinked ? onLinkedQueryChange : setLocalQuery;
+    // Person selected through a relative link; the token re-triggers focus when the same person is picked again
+    const [focus, setFocus] = useState(null);
+
+    const handleSelectPerson = useCallback((personId) => {
+        setSearchTerm(''); // The relative may be hidden by the current search
+        setFocus({ id: personId, token: Date.now() });
+    }, [setSearchTerm]);
+
+    // A person picked outside the list, e.g. from the consistency findings: { id, token }
+    useEffect(() => {
+        if (!focusRequest) return;
+        setSearchTerm('');
+        setFocus(focusRequest);
+    }, [focusRequest]);
+
+    const [sortOrder, setSortOrder] = useState('file');
+
+    // Person whose pedigree/descendant chart is open
+    const [chartPersonId, setChartPersonId] = useState(null);
+    const handleShowChart = useCallback((personId) => setChartPersonId(personId), []);
+
+    // Decisions are always stated as File 1 person, File 2 person
+    const handleRejectMatch = useCallback((personId, partnerId) => {
+        if (fileIndex === 1) onDecision(personId, partnerId, 'reject');
+        else onDecision(partnerId, personId, 'reject');
+    }, [fileIndex, onDecision]);
+    const handleExplain = useCallback((personId, partnerId) => (
+        fileIndex === 1 ? onExplain(personId, partnerId) : onExplain(partnerId, personId)
+    ), [fileIndex, onExplain]);
+
+    // Sorted copy of the people; birth dates are parsed once per sort rather than on every comparison
+    const sortedPeople = useMemo(() => {
+        if (sortOrder === 'name') {
+            return [...people].sort((a, b) => a.name.localeCompare(b.name));
+        }
+        if (sortOrder === 'birth') {
+            const birthDates = new Map(people.map(p => [p.id, parseGedcomDate(p.events?.find(e => e.tag === 'BIRT')?.date)]));
+            return [...people].sort((a, b) => compareGedcomDates(birthDates.get(a.id), birthDates.get(b.id)));
+        }
+        return people;
+    }, [people, sortOrder]);
+
+    // File 1 uses statusMapA, File 2 uses statusMapB
+    const statusMap = comparisonActive && comparisonResults ? (fileIndex === 1 ? comparisonResults.statusMapA : comparisonResults.statusMapB) : null;
+
+    const filteredPeople = useMemo(() => {
+        const matchesQuery = createPersonFilter(searchTerm, { graph, statusMap });
+        return sortedPeople.filter(matchesQuery);
+    }, [sortedPeople, searchTerm, graph, statusMap]);
+
+    // Returns { status, partnerId, score } for a person, or null before a comparison has run
+    const getMatch = (personId) => statusMap?.get(personId) || null;
+
+    const getStatus = (personId) => getMatch(personId)?.status || 'NONE';
+
+    // Scrolls a selected relative into view; rows far off-screen are not rendered until then
+    const focusTarget = focus ? { index: filteredPeople.findIndex(p => p.id === focus.id), token: focus.token } : null;
 
     return (
         <div className="space-y-4 bg-white p-5 rounded-xl shadow-lg border border-indigo-100">
@@ -266,57 +1078,925 @@ const FileTreeList = ({ people, fileName, fileIndex, comparisonResults, comparis
             </h2>
 
             {/* Search Bar */}
-            <div className="relative">
-                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400" />
-                <input
-                    type="text"
-                    placeholder={`Search ${fileName || 'records'}...`}
-                    value={searchTerm}
-                    onChange={(e) => setSearchTerm(e.target.value)}
-                    className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150"
-                />
+            <SearchFilterBar
+                query={searchTerm}
+                onQueryChange={setSearchTerm}
+                placeholder={`Search ${fileName || 'records'}... (e.g. surname:Smith born:1850..1870)`}
+                showStatus={!!statusMap}
+            >
+                {onToggleQueryLinked && (
+                    <label className="flex items-center text-xs text-gray-600">
+                        <input
+                            type="checkbox"
+                            checked={isQueryLinked}
+                            onChange={() => onToggleQueryLinked(searchTerm)}
+                            className="mr-1 accent-indigo-600"
+                        />
+                        Apply this search to both files
+                    </label>
+                )}
+            </SearchFilterBar>
+
+            {/* Sort Order */}
+            <div className="flex items-center justify-end text-sm text-gray-600">
+                <label htmlFor={`sort-${fileIndex}`} className="mr-2">Sort by:</label>
+                <select
+                    id={`sort-${fileIndex}`}
+                    value={sortOrder}
+                    onChange={(e) => setSortOrder(e.target.value)}
+                    className="border border-gray-300 rounded-lg px-2 py-1 focus:ring-indigo-500 focus:border-indigo-500"
+                >
+                    <option value="file">File order</option>
+                    <option value="name">Name</option>
+                    <option value="birth">Birth date</option>
+                </select>
             </div>
 
-            {/* List Container - Scrollable Area */}
-            <div 
-                ref={scrollRef}
+            {/* List Container - Scrollable Area, only the rows in view are rendered */}
+            <VirtualList
+                items={filteredPeople}
+                getKey={person => person.id}
+                scrollRef={scrollRef}
                 onScroll={onScroll}
+                scrollTarget={focusTarget}
                 // Setting max-h-screen for better scrolling experience on large monitors
-                className="space-y-2 max-h-[70vh] xl:max-h-[80vh] overflow-y-auto pr-2"
+                className="max-h-[70vh] xl:max-h-[80vh] overflow-y-auto pr-2"
+                renderItem={person => (
+                    <AccordionItem 
+                        person={person} 
+                        comparisonStatus={getStatus(person.id)} 
+                        matchInfo={getMatch(person.id)}
+                        graph={graph}
+                        focusToken={focus?.id === person.id ? focus.token : null}
+                        onSelectPerson={handleSelectPerson}
+                        onShowChart={handleShowChart}
+                        onRejectMatch={onDecision ? handleRejectMatch : null}
+                        onExplain={onExplain ? handleExplain : null}
+                        findings={findings?.get(person.id)}
+                    />
+                )}
+                emptyMessage={
+                    <p className="text-center py-4 text-gray-500 italic">
+                        {people.length === 0 ? "No records loaded." : "No matching records found."}
+                    </p>
+                }
+            />
+
+            {chartPersonId && graph && (
+                <FamilyChartModal
+                    personId={chartPersonId}
+                    graph={graph}
+                    statusMap={statusMap}
+                    fileName={fileName || `File ${fileIndex}`}
+                    onClose={() => setChartPersonId(null)}
+                />
+            )}
+        </div>
+    );
+};
+
+
+// --- Aligned Comparison List Component ---
+
+/**
+ * Lays both files out as the rows of a side-by-side diff. People in File 1 keep their file order with
+ * their matched partner on the same row; people only in File 2 are inserted after the row of the
+ * nearest File 2 person before them, leaving a gap on the File 1 side.
+ * @returns {Array<Object>} Rows { key, a: person|null, b: person|null }
+ */
+const buildAlignedRows = (peopleA, peopleB, comparisonResults) => {
+    const byIdB = new Map(peopleB.map(p => [p.id, p]));
+    const rows = peopleA.map(personA => {
+        const partnerId = comparisonResults.statusMapA.get(personA.id)?.partnerId;
+        return { key: `A:${personA.id}`, a: personA, b: (partnerId && byIdB.get(partnerId)) || null };
+    });
+    const rowOfB = new Map();
+    rows.forEach((row, index) => { if (row.b) rowOfB.set(row.b.id, index); });
+
+    // Unique File 2 people, grouped by the row they follow (-1: before the first row)
+    const insertions = new Map();
+    let anchor = -1;
+    peopleB.forEach(personB => {
+        if (rowOfB.has(personB.id)) {
+            anchor = rowOfB.get(personB.id);
+            return;
+        }
+        if (!insertions.has(anchor)) insertions.set(anchor, []);
+        insertions.get(anchor).push({ key: `B:${personB.id}`, a: null, b: personB });
+    });
+
+    const aligned = [...(insertions.get(-1) || [])];
+    rows.forEach((row, index) => aligned.push(row, ...(insertions.get(index) || [])));
+    return aligned;
+};
+
+const AlignedComparisonList = ({ people1, people2, graph1, graph2, file1Name, file2Name, comparisonResults, onDecision, onExplain, findings1, findings2 }) => {
+    const [searchTerm, setSearchTerm] = useState('');
+    // Person selected through a relative link, on side 'a' or 'b'
+    const [focus, setFocus] = useState(null);
+
+    const rows = useMemo(() => buildAlignedRows(people1, people2, comparisonResults), [people1, people2, comparisonResults]);
+
+    // A row stays when either side matches; status: and has: terms use that side's comparison and graph
+    const filteredRows = useMemo(() => {
+        if (!searchTerm.trim()) return rows;
+        const query = parsePersonQuery(searchTerm);
+        const matchesA = createPersonFilter(query, { graph: graph1, statusMap: comparisonResults.statusMapA });
+        const matchesB = createPersonFilter(query, { graph: graph2, statusMap: comparisonResults.statusMapB });
+        return rows.filter(row => (row.a && matchesA(row.a)) || (row.b && matchesB(row.b)));
+    }, [rows, searchTerm, graph1, graph2, comparisonResults]);
+
+    const selectPerson = (side, personId) => {
+        setSearchTerm(''); // The relative may be hidden by the current search
+        setFocus({ side, id: personId, token: Date.now() });
+    };
+    const handleSelectA = useCallback(personId => selectPerson('a', personId), []);
+    const handleSelectB = useCallback(personId => selectPerson('b', personId), []);
+
+    // Person whose chart is open, on side 'a' or 'b'
+    const [chart, setChart] = useState(null);
+    const handleChartA = useCallback(personId => setChart({ side: 'a', id: personId }), []);
+    const handleChartB = useCallback(personId => setChart({ side: 'b', id: personId }), []);
+    const handleRejectA = useCallback((personId, partnerId) => onDecision(personId, partnerId, 'reject'), [onDecision]);
+    const handleRejectB = useCallback((personId, partnerId) => onDecision(partnerId, personId, 'reject'), [onDecision]);
+    const handleExplainB = useCallback((personId, partnerId) => onExplain(partnerId, personId), [onExplain]);
+
+    const focusTarget = focus ? { index: filteredRows.findIndex(row => row[focus.side]?.id === focus.id), token: focus.token } : null;
+
+    const renderSide = (person, side) => {
+        if (!person) {
+            // Nothing on this side of the diff
+            return <div className="h-14 rounded-lg border border-dashed border-gray-300 bg-gray-50" />;
+        }
+        const matchInfo = (side === 'a' ? comparisonResults.statusMapA : comparisonResults.statusMapB).get(person.id) || null;
+        return (
+            <AccordionItem
+                person={person}
+                comparisonStatus={matchInfo?.status || 'NONE'}
+                matchInfo={matchInfo}
+                graph={side === 'a' ? graph1 : graph2}
+                focusToken={focus?.side === side && focus.id === person.id ? focus.token : null}
+                onSelectPerson={side === 'a' ? handleSelectA : handleSelectB}
+                onShowChart={side === 'a' ? handleChartA : handleChartB}
+                onRejectMatch={onDecision ? (side === 'a' ? handleRejectA : handleRejectB) : null}
+                onExplain={onExplain ? (side === 'a' ? onExplain : handleExplainB) : null}
+                findings={(side === 'a' ? findings1 : findings2)?.get(person.id)}
+            />
+        );
+    };
+
+    return (
+        <div className="space-y-4 bg-white p-5 rounded-xl shadow-lg border border-indigo-100">
+            <h2 className="text-xl font-bold text-gray-800 flex items-center justify-between">
+                <div>
+                    <GitCompare className="w-5 h-5 mr-2 inline text-indigo-500" />
+                    Aligned Comparison
+                </div>
+                <span className="text-base font-normal text-indigo-600">({rows.length} Rows)</span>
+            </h2>
+
+            {/* Search Bar */}
+            <SearchFilterBar query={searchTerm} onQueryChange={setSearchTerm} placeholder="Search both files..." showStatus />
+
+            {/* Column Headers */}
+            <div className="grid grid-cols-[1fr_24px_1fr] gap-2 text-sm font-semibold text-gray-600">
+                <div className="truncate"><FileText className="w-4 h-4 mr-1 inline text-indigo-500" />File 1: {file1Name}</div>
+                <div />
+                <div className="truncate"><FileText className="w-4 h-4 mr-1 inline text-indigo-500" />File 2: {file2Name}</div>
+            </div>
+
+            {/* Rows - matched people share a row, so both sides always scroll together */}
+            <VirtualList
+                items={filteredRows}
+                getKey={row => row.key}
+                scrollTarget={focusTarget}
+                className="max-h-[70vh] xl:max-h-[80vh] overflow-y-auto pr-2"
+                renderItem={row => (
+                    <div className="grid grid-cols-[1fr_24px_1fr] gap-2 items-start">
+                        {renderSide(row.a, 'a')}
+                        <div className="h-14 flex items-center justify-center text-gray-400">
+                            {row.a && row.b ? '↔' : ''}
+                        </div>
+                        {renderSide(row.b, 'b')}
+                    </div>
+                )}
+                emptyMessage={<p className="text-center py-4 text-gray-500 italic">No matching records found.</p>}
+            />
+
+            {chart && (
+                <FamilyChartModal
+                    personId={chart.id}
+                    graph={chart.side === 'a' ? graph1 : graph2}
+                    statusMap={chart.side === 'a' ? comparisonResults.statusMapA : comparisonResults.statusMapB}
+                    fileName={chart.side === 'a' ? file1Name : file2Name}
+                    onClose={() => setChart(null)}
+                />
+            )}
+        </div>
+    );
+};
+
+
+// --- Family Chart Component ---
+
+/** Box colours per comparison status. Plain SVG attributes rather than classes, so exported files keep them. */
+const CHART_STATUS_COLORS = {
+    MATCH: { fill: '#dcfce7', stroke: '#22c55e', label: 'Match' },
+    MODIFIED: { fill: '#fef3c7', stroke: '#f59e0b', label: 'Modified' },
+    UNIQUE_A: { fill: '#fee2e2', stroke: '#ef4444', label: 'Unique to this file' },
+    UNIQUE_B: { fill: '#fee2e2', stroke: '#ef4444', label: 'Unique to this file' },
+    NONE: { fill: '#ffffff', stroke: '#9ca3af', label: 'Not compared' },
+};
+
+const CHART_GENERATIONS = [2, 3, 4, 5, 6];
+
+/** Longest name drawn in a chart box before it is cut short (the full name is in the tooltip). */
+const CHART_NAME_LENGTH = 26;
+
+const FamilyChartModal = ({ personId, graph, statusMap, fileName, onClose }) => {
+    // Clicking a box re-centres the chart on that person
+    const [rootId, setRootId] = useState(personId);
+    const [chartType, setChartType] = useState('ancestors');
+    const [generations, setGenerations] = useState(4);
+    const svgRef = useRef(null);
+
+    const layout = useMemo(() => {
+        const tree = chartType === 'ancestors'
+            ? buildAncestorTree(graph, rootId, generations)
+            : buildDescendantTree(graph, rootId, generations);
+        return tree ? layoutChart(tree) : null;
+    }, [graph, rootId, chartType, generations]);
+
+    const rootPerson = graph.getPerson(rootId);
+
+    const handleDownload = () => {
+        const svgText = new XMLSerializer().serializeToString(svgRef.current);
+        const baseName = (rootPerson?.name || rootId).replace(/[^\w-]+/g, '_');
+        downloadTextFile(`${baseName}-${chartType}.svg`, `<?xml version="1.0" encoding="UTF-8"?>\n${svgText}`, 'image/svg+xml');
+    };
+
+    const statusOf = (person) => (person && statusMap?.get(person.id)?.status) || 'NONE';
+    const shorten = (text) => (text.length > CHART_NAME_LENGTH ? `${text.slice(0, CHART_NAME_LENGTH - 1)}…` : text);
+
+    return (
+        <div className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center p-4" onClick={onClose}>
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-6xl max-h-[90vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+                <div className="flex flex-wrap items-center justify-between gap-2 p-4 border-b border-gray-200">
+                    <h3 className="text-lg font-bold text-gray-800 flex items-center">
+                        <Network className="w-5 h-5 mr-2 text-indigo-500" />
+                        {chartType === 'ancestors' ? 'Ancestors' : 'Descendants'} of {rootPerson?.name || rootId}
+                        <span className="ml-2 text-sm font-normal text-gray-500">({fileName})</span>
+                    </h3>
+                    <div className="flex items-center space-x-2 text-sm">
+                        {[['ancestors', 'Ancestors'], ['descendants', 'Descendants']].map(([type, label]) => (
+                            <button
+                                key={type}
+                                onClick={() => setChartType(type)}
+                                className={`px-3 py-1 rounded-full font-medium ${
+                                    chartType === type ? 'bg-indigo-600 text-white' : 'bg-indigo-50 text-indigo-700 hover:bg-indigo-100'
+                                }`}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                        <select
+                            value={generations}
+                            onChange={(e) => setGenerations(parseInt(e.target.value, 10))}
+                            className="border border-gray-300 rounded-lg px-2 py-1"
+                            aria-label="Generations"
+                        >
+                            {CHART_GENERATIONS.map(count => <option key={count} value={count}>{count} generations</option>)}
+                        </select>
+                        <button
+                            onClick={handleDownload}
+                            disabled={!layout}
+                            className="flex items-center px-3 py-1 rounded-full font-medium bg-indigo-50 text-indigo-700 hover:bg-indigo-100"
+                        >
+                            <Download className="w-4 h-4 mr-1" /> SVG
+                        </button>
+                        <button onClick={onClose} className="px-3 py-1 rounded-full font-medium text-gray-600 hover:bg-gray-100">
+                            Close
+                        </button>
+                    </div>
+                </div>
+
+                <div className="overflow-auto p-4">
+                    {layout ? (
+                        <svg
+                            ref={svgRef}
+                            xmlns="http://www.w3.org/2000/svg"
+                            width={layout.width}
+                            height={layout.height}
+                            viewBox={`0 0 ${layout.width} ${layout.height}`}
+                            fontFamily="sans-serif"
+                        >
+                            <rect width={layout.width} height={layout.height} fill="#ffffff" />
+                            {layout.links.map(({ from, to }, index) => {
+                                const x1 = from.x + CHART_BOX_WIDTH;
+                                const x2 = to.x;
+                                const middle = (x1 + x2) / 2;
+                                return (
+                                    <path
+                                        key={index}
+                                        d={`M${x1},${from.y + CHART_BOX_HEIGHT / 2} H${middle} V${to.y + CHART_BOX_HEIGHT / 2} H${x2}`}
+                                        fill="none"
+                                        stroke="#9ca3af"
+                                    />
+                                );
+                            })}
+                            {layout.boxes.map(({ node, x, y }, index) => {
+                                const { person, kind } = node;
+                                const colors = CHART_STATUS_COLORS[statusOf(person)];
+                                const name = person ? person.name || person.id : 'Unknown spouse';
+                                return (
+                                    <g
+                                        key={index}
+                                        transform={`translate(${x},${y})`}
+                                        onClick={person ? () => setRootId(person.id) : undefined}
+                                        style={{ cursor: person ? 'pointer' : 'default' }}
+                                    >
+                                        <title>{person ? `${name} (${person.id}) – ${colors.label}` : name}</title>
+                                        <rect
+                                            width={CHART_BOX_WIDTH}
+                                            height={CHART_BOX_HEIGHT}
+                                            rx="6"
+                                            fill={colors.fill}
+                                            stroke={colors.stroke}
+                                            strokeDasharray={kind === 'family' ? '4 3' : undefined}
+                                        />
+                                        <text x="8" y="18" fontSize="12" fontWeight="bold" fill="#1f2937">
+                                            {shorten(kind === 'family' ? `⚭ ${name}` : name)}
+                                        </text>
+                                        <text x="8" y="34" fontSize="10" fill="#4b5563">
+                                            {person ? `${person.id}  ${chartLifespan(person)}` : ''}
+                                        </text>
+                                    </g>
+                                );
+                            })}
+                        </svg>
+                    ) : (
+                        <p className="text-center py-4 text-gray-500 italic">This person is not in the file.</p>
+                    )}
+                </div>
+
+                {/* Legend */}
+                <div className="flex flex-wrap gap-4 p-4 border-t border-gray-200 text-xs text-gray-600">
+                    {['MATCH', 'MODIFIED', 'UNIQUE_A', 'NONE'].map(status => (
+                        <span key={status} className="flex items-center">
+                            <span
+                                className="inline-block w-4 h-3 mr-1 rounded border"
+                                style={{ backgroundColor: CHART_STATUS_COLORS[status].fill, borderColor: CHART_STATUS_COLORS[status].stroke }}
+                            />
+                            {CHART_STATUS_COLORS[status].label}
+                        </span>
+                    ))}
+                    <span className="italic">Dashed boxes are spouses; click a box to centre the chart on that person.</span>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+
+// --- Diagnostics Panel Component ---
+
+/** Maximum number of diagnostics rendered at once; large broken files can produce tens of thousands. */
+const DIAGNOSTICS_LIMIT = 500;
+
+const SEVERITY_STYLES = {
+    error: 'text-red-700 bg-red-50 border-red-200',
+    warning: 'text-amber-700 bg-amber-50 border-amber-200',
+    info: 'text-gray-600 bg-gray-50 border-gray-200',
+};
+
+const DiagnosticsPanel = ({ issues }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [visibleSeverities, setVisibleSeverities] = useState(new Set(SEVERITIES));
+
+    const counts = SEVERITIES.reduce((totals, severity) => ({
+        ...totals,
+        [severity]: issues.filter(issue => issue.severity === severity).length,
+    }), {});
+    const filteredIssues = issues.filter(issue => visibleSeverities.has(issue.severity));
+
+    const toggleSeverity = (severity) => {
+        setVisibleSeverities(previous => {
+            const next = new Set(previous);
+            if (next.has(severity)) next.delete(severity);
+            else next.add(severity);
+            return next;
+        });
+    };
+
+    if (issues.length === 0) {
+        return (
+            <p className="mt-2 text-xs text-green-700 flex items-center">
+                <CheckCircle className="w-3 h-3 mr-1" /> No parse or validation problems found.
+            </p>
+        );
+    }
+
+    return (
+        <div className="mt-2 border border-gray-200 rounded-lg text-xs">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="w-full flex justify-between items-center px-2 py-1.5 text-left"
+                aria-expanded={isOpen}
+            >
+                <span className="flex items-center font-semibold text-gray-700">
+                    <AlertTriangle className="w-3 h-3 mr-1 text-amber-500" />
+                    Diagnostics:
+                    <span className="ml-1 text-red-700">{counts.error} errors</span>,
+                    <span className="ml-1 text-amber-700">{counts.warning} warnings</span>
+                    {counts.info > 0 && <>, <span className="ml-1 text-gray-600">{counts.info} notices</span></>}
+                </span>
+                <ChevronDown className={`h-4 w-4 text-indigo-500 transition-transform duration-300 ${isOpen ? 'transform rotate-180' : ''}`} />
+            </button>
+
+            {isOpen && (
+                <div className="border-t border-gray-200 p-2 space-y-2">
+                    <div className="flex items-center space-x-3 text-gray-600">
+                        <span>Show:</span>
+                        {SEVERITIES.map(severity => (
+                            <label key={severity} className="flex items-center">
+                                <input
+                                    type="checkbox"
+                                    checked={visibleSeverities.has(severity)}
+                                    onChange={() => toggleSeverity(severity)}
+                                    className="mr-1 accent-indigo-600"
+                                />
+                                {severity} ({counts[severity]})
+                            </label>
+                        ))}
+                    </div>
+                    <ul className="space-y-1 max-h-60 overflow-y-auto pr-1">
+                        {filteredIssues.slice(0, DIAGNOSTICS_LIMIT).map((issue, index) => (
+                            <li key={index} className={`border rounded px-2 py-1 ${SEVERITY_STYLES[issue.severity]}`}>
+                                {issue.line && <span className="font-mono mr-2">Line {issue.line}</span>}
+                                <span className="font-semibold mr-1">{issue.code}</span>
+                                {issue.message}
+                            </li>
+                        ))}
+                    </ul>
+                    {filteredIssues.length > DIAGNOSTICS_LIMIT && (
+                        <p className="text-gray-500 italic">
+                            Showing the first {DIAGNOSTICS_LIMIT} of {filteredIssues.length} diagnostics.
+                        </p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+
+// --- Duplicates Panel Component ---
+
+const DuplicatesPanel = ({ gedcom, fileName, placeAliases }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [pairs, setPairs] = useState(null);
+    const [isSearching, setIsSearching] = useState(false);
+    const [progress, setProgress] = useState(0);
+    const [error, setError] = useState(null);
+    const [dismissed, setDismissed] = useState(() => loadDismissedDuplicates(fileName));
+    const [showDismissed, setShowDismissed] = useState(false);
+    const taskRef = useRef(null);
+
+    // A new file (or a re-upload) invalidates earlier results
+    useEffect(() => {
+        setPairs(null);
+        setIsSearching(false);
+        setError(null);
+        setDismissed(loadDismissedDuplicates(fileName));
+        return () => taskRef.current?.cancel();
+    }, [gedcom, fileName]);
+
+    const peopleById = useMemo(() => new Map(gedcom.individuals.map(person => [person.id, person])), [gedcom]);
+    const clusters = useMemo(() => (pairs ? clusterDuplicates(pairs, dismissed) : []), [pairs, dismissed]);
+    const dismissedPairs = pairs ? pairs.filter(pair => dismissed.has(duplicatePairKey(pair.idA, pair.idB))) : [];
+
+    const findDuplicates = () => {
+        taskRef.current?.cancel();
+        setError(null);
+        setProgress(0);
+        setIsSearching(true);
+        const handle = runGedcomTask('duplicates', {
+            individuals: gedcom.individuals, families: gedcom.families, header: gedcom.header, placeAliases,
+        }, setProgress);
+        taskRef.current = handle;
+        handle.promise
+            .then(result => setPairs(result))
+            .catch(err => {
+                if (err.name === 'AbortError') return;
+                console.error('Duplicate detection failed:', err);
+                setError('Could not search this file for duplicates.');
+            })
+            .finally(() => {
+                if (taskRef.current !== handle) return;
+                taskRef.current = null;
+                setIsSearching(false);
+            });
+    };
+
+    const setPairDismissed = (pair, isDismissed) => {
+        setDismissed(previous => {
+            const next = new Set(previous);
+            const key = duplicatePairKey(pair.idA, pair.idB);
+            if (isDismissed) next.add(key);
+            else next.delete(key);
+            saveDismissedDuplicates(fileName, next);
+            return next;
+        });
+    };
+
+    const describe = (id) => {
+        const person = peopleById.get(id);
+        return person ? `${person.name} (${id}) ${chartLifespan(person)}` : id;
+    };
+
+    return (
+        <div className="mt-2 border border-gray-200 rounded-lg text-xs">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="w-full flex justify-between items-center px-2 py-1.5 text-left"
+                aria-expanded={isOpen}
             >
-                {filteredPeople.length > 0 ? (
-                    filteredPeople.map(person => (
-                        <AccordionItem 
-                            key={person.id} 
-                            person={person} 
-                            comparisonStatus={getStatus(person.id)} 
+                <span className="flex items-center font-semibold text-gray-700">
+                    <Users className="w-3 h-3 mr-1 text-indigo-500" />
+                    Possible duplicates
+                    {pairs && <span className="ml-1 text-indigo-700">({clusters.length} groups)</span>}
+                </span>
+                <ChevronDown className={`h-4 w-4 text-indigo-500 transition-transform duration-300 ${isOpen ? 'transform rotate-180' : ''}`} />
+            </button>
+
+            {isOpen && (
+                <div className="border-t border-gray-200 p-2 space-y-2">
+                    <div className="flex items-center justify-between text-gray-600">
+                        <span>Same or similar names with compatible dates, shared parents or a shared spouse.</span>
+                        <button
+                            onClick={findDuplicates}
+                            disabled={isSearching}
+                            className="ml-2 shrink-0 px-2 py-1 rounded bg-indigo-50 text-indigo-700 font-semibold hover:bg-indigo-100 disabled:opacity-50"
+                        >
+                            {isSearching ? <>Searching... {progress}%</> : pairs ? 'Search again' : 'Find duplicates'}
+                        </button>
+                    </div>
+                    {error && <p className="text-red-600 font-semibold">{error}</p>}
+                    {pairs && clusters.length === 0 && (
+                        <p className="text-green-700 flex items-center">
+                            <CheckCircle className="w-3 h-3 mr-1" /> No probable duplicates found.
+                        </p>
+                    )}
+                    {pairs && clusters.length > 0 && (
+                        <ul className="space-y-2 max-h-80 overflow-y-auto pr-1">
+                            {clusters.map(cluster => (
+                                <li key={cluster.ids.join()} className="border border-amber-200 bg-amber-50 rounded px-2 py-1.5">
+                                    <p className="font-semibold text-gray-800">
+                                        {cluster.ids.length} records, {Math.round(cluster.confidence * 100)}% confidence
+                                    </p>
+                                    <ul className="mt-1 space-y-1">
+                                        {cluster.pairs.map(pair => (
+                                            <li key={duplicatePairKey(pair.idA, pair.idB)} className="flex items-start justify-between">
+                                                <span>
+                                                    <span className="font-mono mr-1">{Math.round(pair.confidence * 100)}%</span>
+                                                    {describe(pair.idA)} ↔ {describe(pair.idB)}
+                                                    {pair.reasons.length > 0 && <span className="block text-gray-500">{pair.reasons.join(', ')}</span>}
+                                                </span>
+                                                <button
+                                                    onClick={() => setPairDismissed(pair, true)}
+                                                    className="ml-2 shrink-0 text-indigo-600 underline"
+                                                >
+                                                    Not a duplicate
+                                                </button>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    {dismissedPairs.length > 0 && (
+                        <div className="text-gray-500">
+                            <button onClick={() => setShowDismissed(!showDismissed)} className="underline">
+                                {showDismissed ? 'Hide' : 'Show'} {dismissedPairs.length} pairs marked not a duplicate
+                            </button>
+                            {showDismissed && (
+                                <ul className="mt-1 space-y-1">
+                                    {dismissedPairs.map(pair => (
+                                        <li key={duplicatePairKey(pair.idA, pair.idB)} className="flex items-start justify-between">
+                                            <span>{describe(pair.idA)} ↔ {describe(pair.idB)}</span>
+                                            <button onClick={() => setPairDismissed(pair, false)} className="ml-2 shrink-0 text-indigo-600 underline">
+                                                Restore
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+
+// --- Consistency Panel Component ---
+
+/** Groups consistency findings by the person they are about. */
+const groupFindings = (findings) => {
+    const byPerson = new Map();
+    findings.forEach(finding => {
+        if (!byPerson.has(finding.personId)) byPerson.set(finding.personId, []);
+        byPerson.get(finding.personId).push(finding);
+    });
+    return byPerson;
+};
+
+/** Labels of the limits in DEFAULT_CONSISTENCY_LIMITS. */
+const CONSISTENCY_LIMIT_LABELS = {
+    minParentAge: 'Youngest parent',
+    maxParentAge: 'Oldest parent',
+    maxLifespan: 'Longest lifespan',
+};
+
+const ConsistencyRuleSettings = ({ settings, onChange }) => {
+    const toggleRule = (code) => {
+        const rules = settings.rules.includes(code) ? settings.rules.filter(rule => rule !== code) : [...settings.rules, code];
+        onChange({ ...settings, rules });
+    };
+    const setLimit = (key, value) => {
+        if (Number.isFinite(value) && value > 0) onChange({ ...settings, limits: { ...settings.limits, [key]: value } });
+    };
+
+    return (
+        <div className="border border-gray-200 rounded-lg p-3 text-xs text-gray-600 space-y-2">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-1">
+                {Object.entries(CONSISTENCY_RULES).map(([code, { label }]) => (
+                    <label key={code} className="flex items-center">
+                        <input
+                            type="checkbox"
+                            checked={settings.rules.includes(code)}
+                            onChange={() => toggleRule(code)}
+                            className="mr-1 accent-indigo-600"
                         />
-                    ))
+                        {label}
+                    </label>
+                ))}
+            </div>
+            <div className="flex flex-wrap gap-3">
+                {Object.entries(CONSISTENCY_LIMIT_LABELS).map(([key, label]) => (
+                    <label key={key} className="flex items-center">
+                        {label}:
+                        <input
+                            type="number"
+                            min="1"
+                            value={settings.limits[key]}
+                            onChange={(e) => setLimit(key, parseInt(e.target.value, 10))}
+                            className="ml-1 w-16 px-1 py-0.5 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                        <span className="ml-1">years</span>
+                    </label>
+                ))}
+            </div>
+            <button onClick={() => onChange(DEFAULT_CONSISTENCY_SETTINGS)} className="text-indigo-600 underline">Reset to defaults</button>
+        </div>
+    );
+};
+
+/**
+ * Lists the consistency findings of both files side by side. For a matched person, each finding says
+ * whether the partner in the other file has the same problem, which shows which version is more plausible.
+ */
+const ConsistencyPanel = ({
+    findings1, findings2, graph1, graph2, comparisonResults, file1Name, file2Name, settings, onSettingsChange, onSelectPerson,
+}) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [showSettings, setShowSettings] = useState(false);
+    const byPerson1 = useMemo(() => groupFindings(findings1), [findings1]);
+    const byPerson2 = useMemo(() => groupFindings(findings2), [findings2]);
+
+    const countOf = (findings, severity) => findings.filter(finding => finding.severity === severity).length;
+
+    const renderColumn = (fileIndex) => {
+        const [findings, graph, fileName] = fileIndex === 1 ? [findings1, graph1, file1Name] : [findings2, graph2, file2Name];
+        const [otherFindings, otherName] = fileIndex === 1 ? [byPerson2, file2Name] : [byPerson1, file1Name];
+        const statusMap = comparisonResults && (fileIndex === 1 ? comparisonResults.statusMapA : comparisonResults.statusMapB);
+
+        return (
+            <div>
+                <h3 className="text-sm font-bold text-gray-700 mb-1">
+                    File {fileIndex}: {fileName}
+                    <span className="ml-2 font-normal text-red-700">{countOf(findings, 'error')} errors</span>,
+                    <span className="ml-1 font-normal text-amber-700">{countOf(findings, 'warning')} warnings</span>
+                </h3>
+                {findings.length === 0 ? (
+                    <p className="text-xs text-green-700 flex items-center">
+                        <CheckCircle className="w-3 h-3 mr-1" /> No problems found.
+                    </p>
                 ) : (
-                    <p className="text-center py-4 text-gray-500 italic">
-                        {people.length === 0 ? "No records loaded." : "No matching records found."}
+                    <ul className="space-y-1 max-h-80 overflow-y-auto pr-1 text-xs">
+                        {findings.slice(0, DIAGNOSTICS_LIMIT).map((finding, index) => {
+                            const partnerId = statusMap?.get(finding.personId)?.partnerId;
+                            const partnerHasIt = partnerId && otherFindings.get(partnerId)?.some(other => other.code === finding.code);
+                            return (
+                                <li key={index} className={`border rounded px-2 py-1 ${SEVERITY_STYLES[finding.severity]}`}>
+                                    <button onClick={() => onSelectPerson(fileIndex, finding.personId)} className="font-semibold underline mr-1">
+                                        {graph?.getPerson(finding.personId)?.name || finding.personId} ({finding.personId})
+                                    </button>
+                                    <span className="font-semibold mr-1">{CONSISTENCY_RULES[finding.code].label}:</span>
+                                    {finding.message}
+                                    {partnerId && (
+                                        <span className={`block ${partnerHasIt ? 'text-gray-500' : 'text-green-700'}`}>
+                                            {partnerHasIt
+                                                ? `${otherName} (${partnerId}) has the same problem.`
+                                                : `${otherName} (${partnerId}) does not have this problem.`}
+                                        </span>
+                                    )}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+                {findings.length > DIAGNOSTICS_LIMIT && (
+                    <p className="text-xs text-gray-500 italic">Showing the first {DIAGNOSTICS_LIMIT} of {findings.length} findings.</p>
+                )}
+            </div>
+        );
+    };
+
+    return (
+        <div className="mt-6 bg-white p-5 rounded-xl shadow-lg border border-indigo-100">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="w-full flex justify-between items-center text-left"
+                aria-expanded={isOpen}
+            >
+                <h2 className="text-xl font-bold text-gray-800 flex items-center">
+                    <AlertTriangle className="w-5 h-5 mr-2 text-amber-500" />
+                    Consistency Checks
+                    <span className="ml-2 text-base font-normal text-gray-600">({findings1.length} / {findings2.length} findings)</span>
+                </h2>
+                <ChevronDown className={`h-5 w-5 text-indigo-500 transition-transform duration-300 ${isOpen ? 'transform rotate-180' : ''}`} />
+            </button>
+            {isOpen && (
+                <div className="mt-3 space-y-3">
+                    <p className="text-sm text-gray-600">
+                        Impossible or suspicious facts in each file, such as a birth after death or a parent too young at a birth.
+                        Click a name to show the person in the file list.
+                        {' '}<button onClick={() => setShowSettings(!showSettings)} className="text-indigo-600 underline">
+                            {showSettings ? 'Hide rules' : 'Choose rules'}
+                        </button>
+                    </p>
+                    {showSettings && <ConsistencyRuleSettings settings={settings} onChange={onSettingsChange} />}
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        {renderColumn(1)}
+                        {renderColumn(2)}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+
+// --- Comparison Display Component ---
+
+/** How the summary describes the relatives covered by a branch comparison. */
+const BRANCH_LABELS = { ancestors: 'ancestors', descendants: 'descendants', both: 'ancestors and descendants' };
+
+/** How the summary names the evidence differences counted by summarizeEvidenceChanges. */
+const EVIDENCE_LABELS = {
+    source: { title: 'Citations', added: 'added', removed: 'removed', page: 'page changed', quality: 'quality changed' },
+    note: { title: 'Notes', added: 'added', removed: 'removed', changed: 'edited' },
+    media: { title: 'Media links', added: 'added', removed: 'removed', path: 'moved' },
+};
+
+const EvidenceSummary = ({ gedcom1, gedcom2, comparisonResults, file1Name, file2Name }) => {
+    const sources = useMemo(() => compareSources(gedcom1, gedcom2), [gedcom1, gedcom2]);
+    const evidence = useMemo(() => summarizeEvidenceChanges(comparisonResults), [comparisonResults]);
+    const modifiedSources = sources.pairs.filter(pair => pair.status === 'MODIFIED');
+
+    const renderSourceList = (list) => (
+        <ul className="mt-1 space-y-0.5 max-h-48 overflow-y-auto">
+            {list.map(source => (
+                <li key={source.id} className="text-gray-700">{source.title} <span className="text-xs text-gray-500">({source.id})</span></li>
+            ))}
+        </ul>
+    );
+
+    return (
+        <div className="bg-white p-4 rounded-xl shadow-lg border border-gray-200 space-y-3 text-sm">
+            <h3 className="text-lg font-bold text-gray-800 flex items-center">
+                <BookOpen className="w-5 h-5 mr-2 text-indigo-600" />
+                Sources &amp; Evidence
+            </h3>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-center">
+                <p className="bg-green-50 border border-green-300 rounded-lg p-2 font-semibold text-green-700">{sources.counts.MATCH} sources match</p>
+                <p className="bg-amber-50 border border-amber-300 rounded-lg p-2 font-semibold text-amber-700">{sources.counts.MODIFIED} sources differ</p>
+                <p className="bg-red-50 border border-red-300 rounded-lg p-2 font-semibold text-red-700">{sources.counts.UNIQUE_A} only in File 1</p>
+                <p className="bg-red-50 border border-red-300 rounded-lg p-2 font-semibold text-red-700">{sources.counts.UNIQUE_B} only in File 2</p>
+            </div>
+            <div className="text-gray-700">
+                <p className="font-semibold">
+                    {evidence.people > 0
+                        ? `Matched people with different evidence: ${evidence.people}`
+                        : 'Matched people cite the same sources and have the same notes and media.'}
+                </p>
+                {evidence.people > 0 && Object.entries(EVIDENCE_LABELS).map(([category, { title, ...labels }]) => (
+                    <p key={category}>
+                        <span className="text-gray-500">{title}:</span>{' '}
+                        {Object.entries(labels).map(([change, label]) => `${evidence[category][change]} ${label}`).join(', ')}
                     </p>
-                )}
+                ))}
             </div>
+            {modifiedSources.length > 0 && (
+                <details>
+                    <summary className="cursor-pointer font-semibold text-amber-700">Sources that differ ({modifiedSources.length})</summary>
+                    <ul className="mt-1 space-y-1 max-h-64 overflow-y-auto">
+                        {modifiedSources.map(pair => (
+                            <li key={pair.idA} className="border-b border-gray-100 pb-1">
+                                <span className="font-medium text-gray-800">{pair.title}</span>
+                                <span className="ml-1 text-xs text-gray-500">({pair.idA} ↔ {pair.idB})</span>
+                                {pair.diff.map((entry, index) => (
+                                    <div key={index} className="flex justify-between text-xs">
+                                        <span className="text-gray-600">{entry.field}</span>
+                                        <span className="text-right">
+                                            {entry.before && <span className="bg-red-50 text-red-700 line-through px-1 rounded">{entry.before}</span>}
+                                            {entry.after && <span className="ml-1 bg-green-50 text-green-700 px-1 rounded">{entry.after}</span>}
+                                        </span>
+                                    </div>
+                                ))}
+                            </li>
+                        ))}
+                    </ul>
+                </details>
+            )}
+            {sources.uniqueA.length > 0 && (
+                <details>
+                    <summary className="cursor-pointer font-semibold text-red-700">Sources only in File 1 ({file1Name})</summary>
+                    {renderSourceList(sources.uniqueA)}
+                </details>
+            )}
+            {sources.uniqueB.length > 0 && (
+                <details>
+                    <summary className="cursor-pointer font-semibold text-red-700">Sources only in File 2 ({file2Name})</summary>
+                    {renderSourceList(sources.uniqueB)}
+                </details>
+            )}
         </div>
     );
 };
 
-
-// --- Comparison Display Component ---
-
-const ComparisonResults = ({ comparisonResults, file1Name, file2Name }) => {
-    const { counts } = comparisonResults;
+const ComparisonResults = ({ comparisonResults, people1, people2, gedcom1, gedcom2, file1Name, file2Name }) => {
+    const { counts, branch } = comparisonResults;
     // Total records counts the original GEDCOM IDs, which may be more than the number of unique comparison keys
-    const totalRecords = counts.MATCH + counts.UNIQUE_A + counts.UNIQUE_B;
+    const totalRecords = counts.MATCH + counts.MODIFIED + counts.UNIQUE_A + counts.UNIQUE_B;
     const totalUnique = counts.UNIQUE_A + counts.UNIQUE_B;
 
 
-    if (totalUnique === 0 && totalRecords > 0) {
+    const handleExportReport = (format) => {
+        const report = createComparisonReport(comparisonResults, { peopleA: people1, peopleB: people2, file1Name, file2Name });
+        const { extension, type, render } = REPORT_FORMATS[format];
+        downloadTextFile(`gedcom-comparison.${extension}`, render(report), type);
+    };
+
+    const exportLinks = (
+        <p className="text-sm text-gray-600 flex items-center justify-end">
+            <Download className="w-4 h-4 mr-1" />
+            <span className="mr-1">Export report:</span>
+            {Object.keys(REPORT_FORMATS).map(format => (
+                <button
+                    key={format}
+                    onClick={() => handleExportReport(format)}
+                    className="ml-1 text-indigo-600 font-medium underline"
+                >
+                    {format.toUpperCase()}
+                </button>
+            ))}
+        </p>
+    );
+
+    // Sources are compared across the whole files, also when all people match
+    const evidenceSummary = gedcom1 && gedcom2 && (
+        <EvidenceSummary
+            gedcom1={gedcom1}
+            gedcom2={gedcom2}
+            comparisonResults={comparisonResults}
+            file1Name={file1Name}
+            file2Name={file2Name}
+        />
+    );
+
+    if (totalUnique === 0 && counts.MODIFIED === 0 && totalRecords > 0 && !branch) {
         return (
-            <div className="bg-green-100 border border-green-400 text-green-700 p-4 rounded-xl mb-6 shadow-md flex items-center justify-center">
-                <CheckCircle className="w-5 h-5 mr-2" />
-                <p className="font-semibold">All {counts.MATCH} records based on Name, Sex, and Birth details match across both files!</p>
+            <div className="mb-6 space-y-2">
+                <div className="bg-green-100 border border-green-400 text-green-700 p-4 rounded-xl shadow-md flex items-center justify-center">
+                    <CheckCircle className="w-5 h-5 mr-2" />
+                    <p className="font-semibold">All {counts.MATCH} records match across both files on Name, Sex, Birth and Death details!</p>
+                </div>
+                {evidenceSummary}
+                {exportLinks}
             </div>
         );
     }
@@ -327,8 +2007,15 @@ const ComparisonResults = ({ comparisonResults, file1Name, file2Name }) => {
                 <GitCompare className="w-6 h-6 mr-2 text-indigo-600" />
                 Comparison Summary (Based on Human-Meaningful Data)
             </h2>
+            {branch && (
+                <p className="text-sm text-indigo-700 bg-indigo-50 border border-indigo-200 rounded-lg px-3 py-2">
+                    <Network className="w-4 h-4 mr-1 inline" />
+                    Branch only: {BRANCH_LABELS[branch.direction]} of {branch.nameA} ({branch.rootA}) and {branch.nameB} ({branch.rootB}),
+                    {' '}{branch.generations} generations.
+                </p>
+            )}
             
-            <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4 text-center">
+            <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-4 text-center">
                 
                 {/* Total Records */}
                 <div className="bg-white p-4 rounded-xl shadow-lg border-2 border-gray-300">
@@ -343,7 +2030,15 @@ const ComparisonResults = ({ comparisonResults, file1Name, file2Name }) => {
                     <h3 className="text-xl font-bold text-green-700 mb-1">
                         <CheckCircle className="w-5 h-5 mr-1 inline" /> {counts.MATCH}
                     </h3>
-                    <p className="text-gray-600 font-semibold">Identical Matches (Green)</p>
+                    <p className="text-gray-600 font-semibold">Matches at ≥ {Math.round(comparisonResults.threshold * 100)}% (Green)</p>
+                </div>
+
+                {/* Modified */}
+                <div className="bg-white p-4 rounded-xl shadow-lg border-2 border-amber-300">
+                    <h3 className="text-xl font-bold text-amber-700 mb-1">
+                        <Pencil className="w-5 h-5 mr-1 inline" /> {counts.MODIFIED}
+                    </h3>
+                    <p className="text-gray-600 font-semibold">Modified Records (Amber)</p>
                 </div>
 
                 {/* Total Unique */}
@@ -364,6 +2059,927 @@ const ComparisonResults = ({ comparisonResults, file1Name, file2Name }) => {
                     <p className="font-semibold text-red-700">{counts.UNIQUE_B} Unique Records in File 2 ({file2Name})</p>
                 </div>
             </div>
+
+            {evidenceSummary}
+
+            {exportLinks}
+        </div>
+    );
+};
+
+
+// --- Place Aliases Component ---
+
+const PlaceAliasPanel = ({ aliases, onChange }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [alias, setAlias] = useState('');
+    const [place, setPlace] = useState('');
+    const entries = Object.entries(aliases).sort(([a], [b]) => a.localeCompare(b));
+
+    const addAlias = (event) => {
+        event.preventDefault();
+        if (!alias.trim() || !place.trim()) return;
+        onChange({ ...aliases, [alias.trim()]: place.trim() });
+        setAlias('');
+        setPlace('');
+    };
+    const removeAlias = (key) => {
+        const rest = { ...aliases };
+        delete rest[key];
+        onChange(rest);
+    };
+
+    const inputClass = 'flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500';
+
+    return (
+        <div className="mt-4 border border-gray-200 rounded-lg text-xs text-left bg-white">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="w-full flex justify-between items-center px-3 py-2 text-left"
+                aria-expanded={isOpen}
+            >
+                <span className="font-semibold text-gray-700">Place aliases ({entries.length})</span>
+                <ChevronDown className={`h-4 w-4 text-indigo-500 transition-transform duration-300 ${isOpen ? 'transform rotate-180' : ''}`} />
+            </button>
+            {isOpen && (
+                <div className="border-t border-gray-200 p-3 space-y-2 text-gray-600">
+                    <p>
+                        Places are compared jurisdiction by jurisdiction, so "London, England" matches "London, Middlesex, England".
+                        Common abbreviations such as St., Mt. and Co. are expanded; list other names for the same jurisdiction here.
+                        Changes apply to the next comparison.
+                    </p>
+                    <ul className="max-h-40 overflow-y-auto space-y-1 pr-1">
+                        {entries.map(([key, value]) => (
+                            <li key={key} className="flex items-center justify-between">
+                                <span><span className="font-medium text-gray-800">{key}</span> → {value}</span>
+                                <button onClick={() => removeAlias(key)} className="ml-2 text-indigo-600 underline">Remove</button>
+                            </li>
+                        ))}
+                    </ul>
+                    <form onSubmit={addAlias} className="flex items-center space-x-2">
+                        <input type="text" placeholder="Alias, e.g. Salop" value={alias} onChange={(e) => setAlias(e.target.value)} className={inputClass} />
+                        <span>→</span>
+                        <input type="text" placeholder="Place, e.g. Shropshire" value={place} onChange={(e) => setPlace(e.target.value)} className={inputClass} />
+                        <button type="submit" className="px-2 py-1 rounded bg-indigo-50 text-indigo-700 font-semibold hover:bg-indigo-100">Add</button>
+                    </form>
+                    <button onClick={() => onChange(DEFAULT_PLACE_ALIASES)} className="text-indigo-600 underline">Reset to defaults</button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+
+// --- AI Settings Component ---
+
+const AiSettingsPanel = ({ settings, onChange }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const update = (field, value) => onChange({ ...settings, [field]: value });
+    const isMock = settings.provider === 'mock';
+    const status = isMock ? 'offline' : settings.apiKey ? 'key set' : 'no key';
+
+    const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500';
+
+    return (
+        <div className="mt-2 border border-gray-200 rounded-lg text-xs text-left bg-white">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="w-full flex justify-between items-center px-3 py-2 text-left"
+                aria-expanded={isOpen}
+            >
+                <span className="font-semibold text-gray-700">AI explanations ({status})</span>
+                <ChevronDown className={`h-4 w-4 text-indigo-500 transition-transform duration-300 ${isOpen ? 'transform rotate-180' : ''}`} />
+            </button>
+            {isOpen && (
+                <div className="border-t border-gray-200 p-3 space-y-2 text-gray-600">
+                    <p>
+                        "Explain this match" sends both people's records and their close family to the provider chosen here,
+                        which suggests whether they are the same person. Nothing is sent until you ask.
+                    </p>
+                    <label className="block">
+                        <span className="font-medium text-gray-700">Provider</span>
+                        <select value={settings.provider} onChange={(e) => update('provider', e.target.value)} className={inputClass}>
+                            {Object.entries(LLM_PROVIDERS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+                        </select>
+                    </label>
+                    {isMock ? (
+                        <label className="block">
+                            <span className="font-medium text-gray-700">Endpoint (optional)</span>
+                            <input
+                                type="url"
+                                placeholder="http://localhost:8080/explain"
+                                value={settings.endpoint}
+                                onChange={(e) => update('endpoint', e.target.value)}
+                                className={inputClass}
+                            />
+                            <span className="text-gray-500">Left empty, answers come from the match score without any network request.</span>
+                        </label>
+                    ) : (
+                        <div className="space-y-1">
+                            <label className="block">
+                                <span className="font-medium text-gray-700">API key</span>
+                                <input
+                                    type="password"
+                                    autoComplete="off"
+                                    value={settings.apiKey}
+                                    onChange={(e) => update('apiKey', e.target.value)}
+                                    className={inputClass}
+                                />
+                            </label>
+                            <div className="flex items-center justify-between">
+                                <label className="flex items-center">
+                                    <input
+                                        type="checkbox"
+                                        checked={settings.rememberKey}
+                                        onChange={(e) => update('rememberKey', e.target.checked)}
+                                        className="mr-1 accent-indigo-600"
+                                    />
+                                    Remember the key in this browser
+                                </label>
+                                <button
+                                    onClick={() => onChange({ ...settings, apiKey: '', rememberKey: false })}
+                                    disabled={!settings.apiKey && !settings.rememberKey}
+                                    className="text-indigo-600 hover:text-indigo-800 underline disabled:text-gray-400 disabled:no-underline"
+                                >
+                                    Clear key
+                                </button>
+                            </div>
+                            <span className="block text-gray-500">
+                                {settings.rememberKey
+                                    ? 'The key is stored unencrypted in this browser and any script on this page can read it.'
+                                    : 'The key is kept in memory only and is forgotten when this tab closes.'}
+                            </span>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+
+// --- Branch Comparison Component ---
+
+/** Number of people suggested while typing in a PersonPicker. */
+const PICKER_SUGGESTIONS = 8;
+
+const PersonPicker = ({ people, value, onChange, label }) => {
+    const [query, setQuery] = useState('');
+    const selected = useMemo(() => (value ? people.find(p => p.id === value) || null : null), [people, value]);
+
+    const term = query.trim().toLowerCase();
+    const suggestions = useMemo(() => {
+        if (!term) return [];
+        const found = [];
+        for (const person of people) {
+            if (person.name.toLowerCase().includes(term) || person.id.toLowerCase() === term) found.push(person);
+            if (found.length === PICKER_SUGGESTIONS) break;
+        }
+        return found;
+    }, [people, term]);
+
+    return (
+        <div className="relative">
+            <span className="block text-xs font-semibold text-gray-600 mb-1">{label}</span>
+            {selected ? (
+                <div className="flex items-center justify-between border border-indigo-300 bg-indigo-50 rounded-lg px-3 py-2 text-sm">
+                    <span className="truncate">{selected.name} <span className="text-gray-500">({selected.id})</span></span>
+                    <button onClick={() => onChange(null)} className="ml-2 text-indigo-600 underline">Change</button>
+                </div>
+            ) : (
+                <input
+                    type="text"
+                    placeholder="Type a name or ID..."
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-indigo-500 focus:border-indigo-500"
+                />
+            )}
+            {!selected && suggestions.length > 0 && (
+                <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg text-sm">
+                    {suggestions.map(person => (
+                        <li key={person.id}>
+                            <button
+                                onClick={() => { onChange(person.id); setQuery(''); }}
+                                className="w-full text-left px-3 py-1.5 hover:bg-indigo-50"
+                            >
+                                {person.name} <span className="text-gray-500">({person.id}) {chartLifespan(person)}</span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+const BranchComparePanel = ({ people1, people2, comparisonResults, disabled, onCompare }) => {
+    const [rootA, setRootA] = useState(null);
+    const [rootB, setRootB] = useState(null);
+    const [direction, setDirection] = useState('both');
+    const [generations, setGenerations] = useState(4);
+
+    // Picking someone who is already matched fills in their partner on the other side
+    const pickRootA = (personId) => {
+        setRootA(personId);
+        const partnerId = personId && comparisonResults?.statusMapA.get(personId)?.partnerId;
+        if (partnerId) setRootB(partnerId);
+    };
+    const pickRootB = (personId) => {
+        setRootB(personId);
+        const partnerId = personId && comparisonResults?.statusMapB.get(personId)?.partnerId;
+        if (partnerId) setRootA(partnerId);
+    };
+
+    const canCompare = !disabled && rootA && rootB;
+
+    return (
+        <div className="mt-6 text-left bg-white p-4 rounded-xl shadow-md border border-gray-200">
+            <h3 className="text-sm font-bold text-gray-700 mb-1 flex items-center">
+                <Network className="w-4 h-4 mr-1 text-indigo-500" /> Compare one branch
+            </h3>
+            <p className="text-xs text-gray-500 mb-3">
+                Pick the same person in both files; only their relatives are compared, matched through shared parents, spouses and children.
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <PersonPicker people={people1} value={rootA} onChange={pickRootA} label="Root person in File 1" />
+                <PersonPicker people={people2} value={rootB} onChange={pickRootB} label="Root person in File 2" />
+            </div>
+            <div className="mt-3 flex flex-wrap items-center gap-3 text-sm text-gray-600">
+                <select
+                    value={direction}
+                    onChange={(e) => setDirection(e.target.value)}
+                    className="border border-gray-300 rounded-lg px-2 py-1"
+                    aria-label="Relatives to compare"
+                >
+                    {BRANCH_DIRECTIONS.map(value => (
+                        <option key={value} value={value}>
+                            {BRANCH_LABELS[value][0].toUpperCase() + BRANCH_LABELS[value].slice(1)}
+                        </option>
+                    ))}
+                </select>
+                <select
+                    value={generations}
+                    onChange={(e) => setGenerations(parseInt(e.target.value, 10))}
+                    className="border border-gray-300 rounded-lg px-2 py-1"
+                    aria-label="Generations"
+                >
+                    {CHART_GENERATIONS.map(count => <option key={count} value={count}>{count} generations</option>)}
+                </select>
+                <button
+                    onClick={() => onCompare({ rootA, rootB, direction, generations })}
+                    disabled={!canCompare}
+                    className={`ml-auto px-4 py-1.5 rounded-full font-semibold ${
+                        canCompare ? 'bg-indigo-600 text-white hover:bg-indigo-700' : 'bg-gray-300 text-gray-600 cursor-not-allowed'
+                    }`}
+                >
+                    Compare Branch
+                </button>
+            </div>
+        </div>
+    );
+};
+
+
+// --- Match Review Component ---
+
+/** Birth or death summary for the review cards ("1850, London, England"). */
+const reviewEvent = (detail) => (detail ? [detail.date, detail.place].filter(value => value && value !== 'Unknown').join(', ') : '');
+
+const ReviewPersonCard = ({ person, graph, label, matchInfo }) => {
+    if (!person) return <div className="p-3 rounded-lg border border-dashed border-gray-300 text-gray-500 italic">Record not found.</div>;
+    const names = (list) => list.map(relative => relative.name).join(', ');
+    const rows = [
+        ['Sex', person.sex],
+        ['Born', reviewEvent(person.details.Birth)],
+        ['Died', reviewEvent(person.details.Death)],
+        ['Parents', graph ? names(graph.parentsOf(person.id)) : ''],
+        ['Spouses', graph ? names(graph.spousesOf(person.id)) : ''],
+    ].filter(([, value]) => value);
+
+    return (
+        <div className="p-3 rounded-lg border border-gray-200 bg-gray-50">
+            <p className="text-xs font-semibold text-gray-500">{label}</p>
+            <p className="font-semibold text-gray-800">{person.name} <span className="font-normal text-gray-500">({person.id})</span></p>
+            <ul className="mt-1 space-y-0.5">
+                {rows.map(([key, value]) => (
+                    <li key={key}><span className="text-gray-500">{key}:</span> {value}</li>
+                ))}
+            </ul>
+            <p className="mt-1 text-xs text-gray-500">
+                {matchInfo?.partnerId ? `Currently matched with ${matchInfo.partnerId}` : 'Currently unmatched'}
+            </p>
+        </div>
+    );
+};
+
+const MatchReviewPanel = ({ results, decisions, people1, people2, graph1, graph2, file1Name, file2Name, onDecision, onUndo, onExplain }) => {
+    const [isReviewing, setIsReviewing] = useState(false);
+    // Index of the pair on screen; deciding removes it from the queue, so the next pair takes its place
+    const [position, setPosition] = useState(0);
+    const [linkA, setLinkA] = useState(null);
+    const [linkB, setLinkB] = useState(null);
+    const [showDecisions, setShowDecisions] = useState(false);
+
+    const queue = useMemo(() => findReviewPairs(results, decisions), [results, decisions]);
+    const byId1 = useMemo(() => new Map(people1.map(p => [p.id, p])), [people1]);
+    const byId2 = useMemo(() => new Map(people2.map(p => [p.id, p])), [people2]);
+    const index = Math.min(position, queue.length - 1);
+    const current = queue[index] || null;
+    const currentDiff = current?.paired ? results.statusMapA.get(current.idA)?.diff || [] : [];
+
+    const decide = useCallback((decision) => {
+        if (current) onDecision(current.idA, current.idB, decision);
+    }, [current, onDecision]);
+
+    // Keyboard shortcuts while reviewing: Y same person, N different people, S or → skip, ← back, Esc stop
+    useEffect(() => {
+        if (!isReviewing) return undefined;
+        const handleKey = (event) => {
+            if (event.ctrlKey || event.metaKey || event.altKey || event.target.closest?.('input, select, textarea')) return;
+            const key = event.key.toLowerCase();
+            if (key === 'y') decide('match');
+            else if (key === 'n') decide('reject');
+            else if (key === 's' || key === 'arrowright') setPosition(Math.min(index + 1, queue.length - 1));
+            else if (key === 'arrowleft') setPosition(Math.max(index - 1, 0));
+            else if (key === 'escape') setIsReviewing(false);
+            else return;
+            event.preventDefault();
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, [isReviewing, decide, index, queue.length]);
+
+    const describePerson = (person, id) => (person ? `${person.name} (${id})` : id);
+    const linkPeople = () => {
+        onDecision(linkA, linkB, 'match');
+        setLinkA(null);
+        setLinkB(null);
+    };
+
+    const buttonClass = 'px-3 py-1.5 rounded-full font-semibold text-sm';
+
+    return (
+        <div className="space-y-4 mt-6 bg-white p-5 rounded-xl shadow-lg border border-indigo-100">
+            <h2 className="text-xl font-bold text-gray-800 flex items-center">
+                <Users className="w-5 h-5 mr-2 text-indigo-600" />
+                Review Matches
+            </h2>
+            <p className="text-sm text-gray-600">
+                Your decisions override the automatic matching and update the counts above.
+                {' '}{queue.length} pairs are waiting for review, {decisions.length} decided by hand.
+            </p>
+
+            {!isReviewing ? (
+                <button
+                    onClick={() => { setPosition(0); setIsReviewing(true); }}
+                    disabled={queue.length === 0}
+                    className={`${buttonClass} ${queue.length > 0 ? 'bg-indigo-600 text-white hover:bg-indigo-700' : 'bg-gray-300 text-gray-600 cursor-not-allowed'}`}
+                >
+                    Review undecided pairs
+                </button>
+            ) : current ? (
+                <div className="border border-indigo-200 rounded-lg p-3 text-sm space-y-3">
+                    <p className="text-gray-600">
+                        Pair {index + 1} of {queue.length}, score {Math.round(current.score * 100)}%
+                        {current.paired ? ' (matched automatically)' : ' (not matched automatically)'}
+                    </p>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        <ReviewPersonCard person={byId1.get(current.idA)} graph={graph1} label={`File 1: ${file1Name}`} matchInfo={results.statusMapA.get(current.idA)} />
+                        <ReviewPersonCard person={byId2.get(current.idB)} graph={graph2} label={`File 2: ${file2Name}`} matchInfo={results.statusMapB.get(current.idB)} />
+                    </div>
+                    {currentDiff.length > 0 && (
+                        <p className="text-amber-700">Differences: {currentDiff.map(entry => entry.field).join(', ')}</p>
+                    )}
+                    {onExplain && <MatchExplanation idA={current.idA} idB={current.idB} onExplain={onExplain} />}
+                    <div className="flex flex-wrap items-center gap-2">
+                        <button onClick={() => decide('match')} className={`${buttonClass} bg-green-600 text-white hover:bg-green-700`}>Same person (Y)</button>
+                        <button onClick={() => decide('reject')} className={`${buttonClass} bg-red-600 text-white hover:bg-red-700`}>Different people (N)</button>
+                        <button onClick={() => setPosition(Math.min(index + 1, queue.length - 1))} className={`${buttonClass} bg-indigo-50 text-indigo-700 hover:bg-indigo-100`}>Skip (S / →)</button>
+                        <button onClick={() => setPosition(Math.max(index - 1, 0))} className={`${buttonClass} bg-indigo-50 text-indigo-700 hover:bg-indigo-100`}>Back (←)</button>
+                        <button onClick={() => setIsReviewing(false)} className="ml-auto text-gray-500 underline">Stop (Esc)</button>
+                    </div>
+                </div>
+            ) : (
+                <p className="text-sm text-green-700 flex items-center">
+                    <CheckCircle className="w-4 h-4 mr-1" /> Every pair has been reviewed.
+                    <button onClick={() => setIsReviewing(false)} className="ml-2 text-gray-500 underline">Close</button>
+                </p>
+            )}
+
+            <div className="border-t border-gray-100 pt-3">
+                <h3 className="text-sm font-bold text-gray-700 mb-2">Link two records by hand</h3>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                    <PersonPicker people={people1} value={linkA} onChange={setLinkA} label="Person in File 1" />
+                    <PersonPicker people={people2} value={linkB} onChange={setLinkB} label="Person in File 2" />
+                </div>
+                <button
+                    onClick={linkPeople}
+                    disabled={!linkA || !linkB}
+                    className={`mt-3 ${buttonClass} ${linkA && linkB ? 'bg-indigo-600 text-white hover:bg-indigo-700' : 'bg-gray-300 text-gray-600 cursor-not-allowed'}`}
+                >
+                    Link as the same person
+                </button>
+            </div>
+
+            {decisions.length > 0 && (
+                <div className="border-t border-gray-100 pt-3 text-sm">
+                    <button onClick={() => setShowDecisions(!showDecisions)} className="text-indigo-600 underline">
+                        {showDecisions ? 'Hide' : 'Show'} {decisions.length} manual decisions
+                    </button>
+                    {showDecisions && (
+                        <ul className="mt-2 space-y-1 max-h-60 overflow-y-auto pr-1">
+                            {decisions.map(({ idA, idB, decision }) => (
+                                <li key={`${idA}|${idB}`} className="flex items-center justify-between">
+                                    <span>
+                                        <span className={decision === 'match' ? 'text-green-700 font-semibold' : 'text-red-700 font-semibold'}>
+                                            {decision === 'match' ? 'Same person' : 'Different people'}:
+                                        </span>
+                                        {' '}{describePerson(byId1.get(idA), idA)} ↔ {describePerson(byId2.get(idB), idB)}
+                                    </span>
+                                    <button onClick={() => onUndo(idA, idB)} className="ml-2 text-indigo-600 underline">Undo</button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+
+// --- Merge Panel Component ---
+
+/** Number of conflicting people shown before the list has to be expanded. */
+const MERGE_CONFLICTS_PREVIEW = 25;
+
+const MergePanel = ({ gedcom1, gedcom2, comparisonResults, file1Name, file2Name }) => {
+    const [defaultSide, setDefaultSide] = useState('A');
+    // idA -> { fieldKey: 'A' | 'B' | 'both' }
+    const [choices, setChoices] = useState(new Map());
+    const [showAll, setShowAll] = useState(false);
+    const [version, setVersion] = useState('5.5.1');
+    const [mergeSummary, setMergeSummary] = useState(null);
+    const [mergeError, setMergeError] = useState(null);
+
+    const conflicts = useMemo(
+        () => findMergeConflicts(gedcom1, gedcom2, comparisonResults),
+        [gedcom1, gedcom2, comparisonResults]
+    );
+
+    const setChoice = (idA, key, side) => {
+        setChoices(previous => {
+            const next = new Map(previous);
+            next.set(idA, { ...(next.get(idA) || {}), [key]: side });
+            return next;
+        });
+    };
+
+    const choiceFor = (idA, key) => choices.get(idA)?.[key] || (MULTI_VALUE_GROUPS.has(key) ? 'both' : defaultSide);
+
+    const handleMerge = () => {
+        try {
+            const { records, text, counts } = mergeGedcomFiles(gedcom1, gedcom2, comparisonResults, { defaultSide, choices, version });
+
+            // The merged file must read back through our own parser before it is offered for download
+            const { ok, differences } = verifyRoundTrip(records, { version });
+            if (!ok) {
+                throw new Error(`Merged file did not round-trip through the parser: ${differences.slice(0, 5).join('; ')}`);
+            }
+
+            downloadTextFile('merged.ged', text);
+
+            setMergeSummary(counts);
+            setMergeError(null);
+        } catch (err) {
+            console.error('GEDCOM Merge Error:', err);
+            setMergeError('The files could not be merged. Check console for details.');
+        }
+    };
+
+    const visibleConflicts = showAll ? conflicts : conflicts.slice(0, MERGE_CONFLICTS_PREVIEW);
+    const sideLabels = { A: `File 1 (${file1Name})`, B: `File 2 (${file2Name})`, both: 'Keep both' };
+
+    return (
+        <div className="space-y-4 mt-6 bg-white p-5 rounded-xl shadow-lg border border-indigo-100">
+            <h2 className="text-xl font-bold text-gray-800 flex items-center">
+                <GitMerge className="w-5 h-5 mr-2 text-indigo-600" />
+                Merge Files
+            </h2>
+            <p className="text-sm text-gray-600">
+                Matched people are combined into one record and everyone else is carried over. Fields that exist in only
+                one file are always kept; for fields that differ, choose which file wins or keep both as alternates.
+            </p>
+
+            <div className="flex items-center text-sm text-gray-700">
+                <span className="mr-2 font-semibold">By default prefer:</span>
+                {['A', 'B'].map(side => (
+                    <label key={side} className="mr-4 flex items-center">
+                        <input
+                            type="radio"
+                            name="merge-default-side"
+                            checked={defaultSide === side}
+                            onChange={() => setDefaultSide(side)}
+                            className="mr-1 accent-indigo-600"
+                        />
+                        {sideLabels[side]}
+                    </label>
+                ))}
+            </div>
+
+            {conflicts.length > 0 ? (
+                <div className="space-y-2 max-h-[50vh] overflow-y-auto pr-2">
+                    {visibleConflicts.map(({ idA, idB, name, conflicts: fields }) => (
+                        <div key={idA} className="border border-amber-300 bg-amber-50 rounded-lg p-3 text-sm">
+                            <p className="font-semibold text-gray-800">
+                                {name} <span className="font-normal text-gray-500">({idA} ↔ {idB})</span>
+                            </p>
+                            {fields.map(key => (
+                                <div key={key} className="flex flex-wrap items-center justify-between pt-1">
+                                    <span className="text-gray-600">{key}</span>
+                                    <span>
+                                        {(SINGLE_VALUE_GROUPS.has(key) ? ['A', 'B'] : ['A', 'B', 'both']).map(side => (
+                                            <label key={side} className="ml-3 inline-flex items-center">
+                                                <input
+                                                    type="radio"
+                                                    name={`merge-${idA}-${key}`}
+                                                    checked={choiceFor(idA, key) === side}
+                                                    onChange={() => setChoice(idA, key, side)}
+                                                    className="mr-1 accent-indigo-600"
+                                                />
+                                                {side === 'both' ? sideLabels.both : `File ${side === 'A' ? 1 : 2}`}
+                                            </label>
+                                        ))}
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+                    ))}
+                    {!showAll && conflicts.length > MERGE_CONFLICTS_PREVIEW && (
+                        <button onClick={() => setShowAll(true)} className="text-indigo-600 font-medium underline text-sm">
+                            Show all {conflicts.length} people with conflicting fields
+                        </button>
+                    )}
+                </div>
+            ) : (
+                <p className="text-sm text-gray-500 italic">No conflicting fields between matched people.</p>
+            )}
+
+            <div className="flex items-center">
+                <button
+                    onClick={handleMerge}
+                    className="flex items-center px-5 py-2 font-bold rounded-full bg-indigo-600 text-white hover:bg-indigo-700 shadow-md transition duration-200"
+                >
+                    <Download className="w-4 h-4 mr-2" />
+                    Download Merged GEDCOM
+                </button>
+                <label className="ml-4 text-sm text-gray-600">
+                    Version:
+                    <select
+                        value={version}
+                        onChange={(e) => setVersion(e.target.value)}
+                        className="ml-2 border border-gray-300 rounded-lg px-2 py-1 focus:ring-indigo-500 focus:border-indigo-500"
+                    >
+                        {GEDCOM_VERSIONS.map(v => <option key={v} value={v}>GEDCOM {v}</option>)}
+                    </select>
+                </label>
+            </div>
+            {mergeSummary && (
+                <p className="text-sm text-green-700 font-semibold">
+                    Merged file written: {mergeSummary.individuals} individuals, {mergeSummary.families} families, {mergeSummary.sources} sources, {mergeSummary.notes} notes.
+                </p>
+            )}
+            {mergeError && <p className="text-sm text-red-600 font-semibold">{mergeError}</p>}
+        </div>
+    );
+};
+
+
+// --- Three-Way Panel Component ---
+
+/** Labels for compareThreeWay statuses; the copies are shown as File 1 and File 2. */
+const THREE_WAY_LABELS = {
+    UNCHANGED: 'Unchanged',
+    CHANGED_A: 'Changed in File 1',
+    CHANGED_B: 'Changed in File 2',
+    CHANGED_BOTH: 'Changed in both',
+    CONFLICT: 'Conflict',
+    ADDED_A: 'Added in File 1',
+    ADDED_B: 'Added in File 2',
+    ADDED_BOTH: 'Added in both',
+    DELETED_A: 'Deleted in File 1',
+    DELETED_B: 'Deleted in File 2',
+    DELETED_BOTH: 'Deleted in both',
+};
+
+/** One side of a conflicting field; an empty list means the field (or person) is not there. */
+const ThreeWayValues = ({ label, values }) => (
+    <div className="min-w-0">
+        <p className="text-xs font-semibold text-gray-500">{label}</p>
+        {values.length > 0
+            ? values.map((value, i) => <p key={i} className="text-gray-800 break-words">{value}</p>)
+            : <p className="text-gray-400 italic">Not present</p>}
+    </div>
+);
+
+const ThreeWayPanel = ({ results, isComparing, progress, onCompare, gedcom1, gedcom2, baseName, file1Name, file2Name }) => {
+    const [defaultSide, setDefaultSide] = useState('A');
+    // person key -> { fieldKey: 'A' | 'B' }
+    const [resolutions, setResolutions] = useState(new Map());
+    const [statusFilter, setStatusFilter] = useState('');
+    const [showAll, setShowAll] = useState(false);
+    const [version, setVersion] = useState('5.5.1');
+    const [mergeSummary, setMergeSummary] = useState(null);
+    const [mergeError, setMergeError] = useState(null);
+
+    // Resolutions refer to the people of one comparison
+    useEffect(() => {
+        setResolutions(new Map());
+        setMergeSummary(null);
+    }, [results]);
+
+    const resolve = (key, field, side) => {
+        setResolutions(previous => {
+            const next = new Map(previous);
+            next.set(key, { ...(next.get(key) || {}), [field]: side });
+            return next;
+        });
+    };
+
+    const sideFor = (key, field) => resolutions.get(key)?.[field] || defaultSide;
+
+    const handleMerge = () => {
+        try {
+            const { records, text, counts } = mergeThreeWay(gedcom1, gedcom2, results, { resolutions, defaultSide, version });
+
+            const { ok, differences } = verifyRoundTrip(records, { version });
+            if (!ok) {
+                throw new Error(`Merged file did not round-trip through the parser: ${differences.slice(0, 5).join('; ')}`);
+            }
+
+            downloadTextFile('merged-three-way.ged', text);
+
+            setMergeSummary(counts);
+            setMergeError(null);
+        } catch (err) {
+            console.error('Three-Way Merge Error:', err);
+            setMergeError('The files could not be merged. Check console for details.');
+        }
+    };
+
+    const changedPeople = results ? results.people.filter(person => person.status !== 'UNCHANGED') : [];
+    const listedPeople = statusFilter ? changedPeople.filter(person => person.status === statusFilter) : changedPeople;
+    const visibleConflicts = results ? (showAll ? results.conflicts : results.conflicts.slice(0, MERGE_CONFLICTS_PREVIEW)) : [];
+    const resolvedCount = results ? results.conflicts.filter(({ key, field }) => resolutions.get(key)?.[field]).length : 0;
+    const sideLabels = { A: `File 1 (${file1Name})`, B: `File 2 (${file2Name})` };
+
+    return (
+        <div className="space-y-4 mt-6 bg-white p-5 rounded-xl shadow-lg border border-indigo-100">
+            <h2 className="text-xl font-bold text-gray-800 flex items-center">
+                <GitBranch className="w-5 h-5 mr-2 text-indigo-600" />
+                Three-Way Comparison
+            </h2>
+            <p className="text-sm text-gray-600">
+                Both files are compared with the base version <span className="font-mono">{baseName}</span> they were
+                edited from. A change made in only one file is taken as it is; a field both files changed differently,
+                or a person one file deleted while the other changed them, is a conflict to resolve before merging.
+            </p>
+            <button
+                onClick={onCompare}
+                disabled={isComparing}
+                className={`flex items-center px-5 py-2 font-bold rounded-full shadow-md transition duration-200 ${
+                    isComparing ? 'bg-gray-300 text-gray-600 cursor-not-allowed' : 'bg-indigo-600 text-white hover:bg-indigo-700'
+                }`}
+            >
+                {isComparing
+                    ? <><Loader className="w-4 h-4 mr-2 animate-spin" /> Comparing... {progress}%</>
+                    : <><GitCompare className="w-4 h-4 mr-2" /> {results ? 'Compare Again' : 'Compare with Base'}</>}
+            </button>
+
+            {results && (
+                <>
+                    <div className="flex flex-wrap gap-2 text-xs">
+                        {THREE_WAY_STATUSES.filter(status => results.counts[status] > 0).map(status => (
+                            <span
+                                key={status}
+                                className={`px-2 py-1 rounded-full font-semibold ${
+                                    status === 'CONFLICT' ? 'bg-amber-100 text-amber-800' : 'bg-indigo-50 text-indigo-700'
+                                }`}
+                            >
+                                {THREE_WAY_LABELS[status]}: {results.counts[status]}
+                            </span>
+                        ))}
+                    </div>
+
+                    {results.conflicts.length > 0 ? (
+                        <div className="space-y-2">
+                            <div className="flex flex-wrap items-center text-sm text-gray-700">
+                                <span className="mr-2 font-semibold">Unresolved conflicts take:</span>
+                                {['A', 'B'].map(side => (
+                                    <label key={side} className="mr-4 flex items-center">
+                                        <input
+                                            type="radio"
+                                            name="three-way-default-side"
+                                            checked={defaultSide === side}
+                                            onChange={() => setDefaultSide(side)}
+                                            className="mr-1 accent-indigo-600"
+                                        />
+                                        {sideLabels[side]}
+                                    </label>
+                                ))}
+                                <span className="text-gray-500">{resolvedCount} of {results.conflicts.length} resolved</span>
+                            </div>
+                            <div className="space-y-2 max-h-[50vh] overflow-y-auto pr-2">
+                                {visibleConflicts.map(({ key, field, name, base, a, b }) => (
+                                    <div key={`${key}-${field}`} className="border border-amber-300 bg-amber-50 rounded-lg p-3 text-sm">
+                                        <p className="font-semibold text-gray-800">
+                                            {name} <span className="font-normal text-gray-500">— {field}</span>
+                                        </p>
+                                        <div className="grid grid-cols-3 gap-3 pt-1">
+                                            <ThreeWayValues label="Base" values={base} />
+                                            <ThreeWayValues label="File 1" values={a} />
+                                            <ThreeWayValues label="File 2" values={b} />
+                                        </div>
+                                        <div className="pt-1 text-right">
+                                            {['A', 'B'].map(side => (
+                                                <label key={side} className="ml-3 inline-flex items-center">
+                                                    <input
+                                                        type="radio"
+                                                        name={`three-way-${key}-${field}`}
+                                                        checked={sideFor(key, field) === side}
+                                                        onChange={() => resolve(key, field, side)}
+                                                        className="mr-1 accent-indigo-600"
+                                                    />
+                                                    Keep File {side === 'A' ? 1 : 2}
+                                                </label>
+                                            ))}
+                                        </div>
+                                    </div>
+                                ))}
+                                {!showAll && results.conflicts.length > MERGE_CONFLICTS_PREVIEW && (
+                                    <button onClick={() => setShowAll(true)} className="text-indigo-600 font-medium underline text-sm">
+                                        Show all {results.conflicts.length} conflicts
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                    ) : (
+                        <p className="text-sm text-gray-500 italic">No conflicts: the two files changed different things.</p>
+                    )}
+
+                    {changedPeople.length > 0 && (
+                        <details className="text-sm">
+                            <summary className="cursor-pointer font-semibold text-gray-700">All changes ({changedPeople.length} people)</summary>
+                            <select
+                                value={statusFilter}
+                                onChange={(e) => setStatusFilter(e.target.value)}
+                                className="mt-2 border border-gray-300 rounded-lg px-2 py-1 text-sm focus:ring-indigo-500 focus:border-indigo-500"
+                            >
+                                <option value="">All statuses</option>
+                                {THREE_WAY_STATUSES.filter(status => status !== 'UNCHANGED' && results.counts[status] > 0).map(status => (
+                                    <option key={status} value={status}>{THREE_WAY_LABELS[status]}</option>
+                                ))}
+                            </select>
+                            <ul className="mt-2 space-y-1 max-h-[40vh] overflow-y-auto pr-2">
+                                {listedPeople.map(person => (
+                                    <li key={person.key} className="border-b border-gray-100 pb-1">
+                                        <span className="font-medium text-gray-800">{person.name}</span>
+                                        <span className="ml-2 text-xs text-gray-500">{THREE_WAY_LABELS[person.status]}</span>
+                                        {person.fields.length > 0 && (
+                                            <span className="ml-2 text-xs text-gray-500">
+                                                {person.fields.map(field => `${field.key} (${THREE_WAY_LABELS[field.status]})`).join(', ')}
+                                            </span>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+                        </details>
+                    )}
+
+                    <div className="flex items-center">
+                        <button
+                            onClick={handleMerge}
+                            className="flex items-center px-5 py-2 font-bold rounded-full bg-indigo-600 text-white hover:bg-indigo-700 shadow-md transition duration-200"
+                        >
+                            <Download className="w-4 h-4 mr-2" />
+                            Download Merged GEDCOM
+                        </button>
+                        <label className="ml-4 text-sm text-gray-600">
+                            Version:
+                            <select
+                                value={version}
+                                onChange={(e) => setVersion(e.target.value)}
+                                className="ml-2 border border-gray-300 rounded-lg px-2 py-1 focus:ring-indigo-500 focus:border-indigo-500"
+                            >
+                                {GEDCOM_VERSIONS.map(v => <option key={v} value={v}>GEDCOM {v}</option>)}
+                            </select>
+                        </label>
+                    </div>
+                    {mergeSummary && (
+                        <p className="text-sm text-green-700 font-semibold">
+                            Merged file written: {mergeSummary.individuals} individuals, {mergeSummary.families} families, {mergeSummary.sources} sources, {mergeSummary.notes} notes.
+                        </p>
+                    )}
+                    {mergeError && <p className="text-sm text-red-600 font-semibold">{mergeError}</p>}
+                </>
+            )}
+        </div>
+    );
+};
+
+
+// --- Sessions Panel Component ---
+
+const SessionsPanel = ({ currentId, refreshToken, onOpen, onNew, onDelete }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [sessions, setSessions] = useState([]);
+    const [error, setError] = useState(null);
+    // Session being renamed: { id, name }
+    const [renaming, setRenaming] = useState(null);
+
+    const refresh = useCallback(() => {
+        listSessions()
+            .then(list => { setSessions(list); setError(null); })
+            .catch(err => {
+                console.warn('Could not list saved sessions.', err);
+                setError('Sessions cannot be saved in this browser.');
+            });
+    }, []);
+
+    useEffect(() => { if (isOpen) refresh(); }, [isOpen, refreshToken, refresh]);
+
+    const saveName = (event) => {
+        event.preventDefault();
+        updateSession(renaming.id, { name: renaming.name.trim() || null })
+            .catch(err => console.warn('Could not rename the session.', err))
+            .finally(() => { setRenaming(null); refresh(); });
+    };
+
+    const remove = (session) => {
+        if (!window.confirm(`Delete the saved session "${sessionTitle(session)}"?`)) return;
+        onDelete(session.id).finally(refresh);
+    };
+
+    return (
+        <div className="max-w-6xl mx-auto mb-4 border border-gray-200 rounded-lg bg-white text-sm">
+            <div className="flex items-center justify-between px-3 py-2">
+                <button onClick={() => setIsOpen(!isOpen)} className="flex items-center font-semibold text-gray-700" aria-expanded={isOpen}>
+                    <ChevronDown className={`h-4 w-4 mr-1 text-indigo-500 transition-transform duration-300 ${isOpen ? 'transform rotate-180' : ''}`} />
+                    Saved sessions
+                </button>
+                <button onClick={onNew} className="px-3 py-1 rounded-full bg-indigo-50 text-indigo-700 font-medium hover:bg-indigo-100">
+                    New session
+                </button>
+            </div>
+            {isOpen && (
+                <div className="border-t border-gray-200 p-3 space-y-2">
+                    <p className="text-xs text-gray-500">
+                        Files, comparison results and view settings are saved in this browser as you work. Nothing is uploaded.
+                    </p>
+                    {error && <p className="text-xs text-red-600 font-semibold">{error}</p>}
+                    {!error && sessions.length === 0 && <p className="text-xs text-gray-500 italic">No saved sessions yet.</p>}
+                    <ul className="space-y-1 max-h-60 overflow-y-auto pr-1">
+                        {sessions.map(session => (
+                            <li
+                                key={session.id}
+                                className={`flex items-center justify-between rounded px-2 py-1 ${session.id === currentId ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}
+                            >
+                                {renaming?.id === session.id ? (
+                                    <form onSubmit={saveName} className="flex-1 flex items-center space-x-2">
+                                        <input
+                                            type="text"
+                                            autoFocus
+                                            value={renaming.name}
+                                            onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                                            className="flex-1 px-2 py-1 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+                                        />
+                                        <button type="submit" className="text-indigo-600 underline">Save</button>
+                                        <button type="button" onClick={() => setRenaming(null)} className="text-gray-500 underline">Cancel</button>
+                                    </form>
+                                ) : (
+                                    <>
+                                        <span className="truncate">
+                                            <span className="font-medium text-gray-800">{sessionTitle(session)}</span>
+                                            <span className="ml-2 text-xs text-gray-500">{new Date(session.updatedAt).toLocaleString()}</span>
+                                            {session.id === currentId && <span className="ml-2 text-xs text-indigo-600">(open)</span>}
+                                        </span>
+                                        <span className="ml-2 shrink-0 space-x-2 text-xs">
+                                            {session.id !== currentId && (
+                                                <button onClick={() => onOpen(session.id)} className="text-indigo-600 underline">Open</button>
+                                            )}
+                                            <button onClick={() => setRenaming({ id: session.id, name: session.name || sessionTitle(session) })} className="text-indigo-600 underline">
+                                                Rename
+                                            </button>
+                                            <button onClick={() => remove(session)} className="text-red-600 underline">Delete</button>
+                                        </span>
+                                    </>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
         </div>
     );
 };
@@ -372,18 +2988,241 @@ const ComparisonResults = ({ comparisonResults, file1Name, file2Name }) => {
 // --- Main Application Component ---
 
 const App = () => {
-  const [people1, setPeople1] = useState([]);
-  const [people2, setPeople2] = useState([]);
+  // File 1 and File 2 are compared; the optional Base file (slot 0) is the version both were edited from
+  const [gedcom0, setGedcom0] = useState(null);
+  const [gedcom1, setGedcom1] = useState(null);
+  const [gedcom2, setGedcom2] = useState(null);
+  const [loading0, setLoading0] = useState(false);
   const [loading1, setLoading1] = useState(false);
   const [loading2, setLoading2] = useState(false);
+  // Percentage reported by the background parse of each file
+  const [progress0, setProgress0] = useState(0);
+  const [progress1, setProgress1] = useState(0);
+  const [progress2, setProgress2] = useState(0);
+  const [error0, setError0] = useState(null);
   const [error1, setError1] = useState(null);
   const [error2, setError2] = useState(null);
+  const [fileName0, setFileName0] = useState(null);
   const [fileName1, setFileName1] = useState(null);
   const [fileName2, setFileName2] = useState(null);
+  // Detected character encoding per file: { encoding, declared, bom }
+  const [encoding0, setEncoding0] = useState(null);
+  const [encoding1, setEncoding1] = useState(null);
+  const [encoding2, setEncoding2] = useState(null);
   const [comparisonResults, setComparisonResults] = useState(null);
+  // compareThreeWay results for File 1 and File 2 against the Base file
+  const [threeWayResults, setThreeWayResults] = useState(null);
+  const [isComparingThreeWay, setIsComparingThreeWay] = useState(false);
+  const [threeWayProgress, setThreeWayProgress] = useState(0);
+  // Manual review decisions { idA, idB, decision }, applied on top of the automatic comparison
+  const [matchDecisions, setMatchDecisions] = useState([]);
+  const [matchThreshold, setMatchThreshold] = useState(DEFAULT_MATCH_THRESHOLD);
+  const [placeAliases, setPlaceAliases] = useState(loadPlaceAliases);
+  const handlePlaceAliasesChange = (aliases) => {
+    setPlaceAliases(aliases);
+    savePlaceAliases(aliases);
+  };
+  const [isComparing, setIsComparing] = useState(false);
+  const [compareProgress, setCompareProgress] = useState(0);
+
+  // Running background tasks ({ promise, cancel }), keyed by file index, 'compare' or 'threeWay'
+  const tasksRef = useRef({});
+
+  const startTask = (key, task, payload, onProgress) => {
+    if (tasksRef.current[key]) tasksRef.current[key].cancel();
+    const handle = runGedcomTask(task, payload, onProgress);
+    tasksRef.current[key] = handle;
+    return handle;
+  };
+
+  // Stop any parse or comparison still running when the app goes away
+  useEffect(() => () => Object.values(tasksRef.current).forEach(handle => handle.cancel()), []);
+
+  // Individuals and the relationship graph are derived from the parsed file model
+  const people1 = gedcom1?.individuals || [];
+  const people2 = gedcom2?.individuals || [];
+  const graph1 = useMemo(() => (gedcom1 ? buildFamilyGraph(gedcom1) : null), [gedcom1]);
+  const graph2 = useMemo(() => (gedcom2 ? buildFamilyGraph(gedcom2) : null), [gedcom2]);
+
+  // Consistency findings of each compared file, under the rules and limits the user chose
+  const [consistencySettings, setConsistencySettings] = useState(loadConsistencySettings);
+  const handleConsistencySettingsChange = (settings) => {
+    setConsistencySettings(settings);
+    saveConsistencySettings(settings);
+  };
+  const findings1 = useMemo(() => (gedcom1 ? checkConsistency(gedcom1, { ...consistencySettings, graph: graph1 }) : []), [gedcom1, graph1, consistencySettings]);
+  const findings2 = useMemo(() => (gedcom2 ? checkConsistency(gedcom2, { ...consistencySettings, graph: graph2 }) : []), [gedcom2, graph2, consistencySettings]);
+  const findingsByPerson1 = useMemo(() => groupFindings(findings1), [findings1]);
+  const findingsByPerson2 = useMemo(() => groupFindings(findings2), [findings2]);
+
+  // What the lists, counts, reports and merge show: the comparison with the manual decisions applied
+  const reviewedResults = useMemo(() => (comparisonResults && gedcom1 && gedcom2
+    ? applyMatchDecisions(comparisonResults, matchDecisions, {
+        peopleA: gedcom1.individuals, peopleB: gedcom2.individuals, gedcomA: gedcom1, gedcomB: gedcom2, placeAliases,
+      })
+    : comparisonResults), [comparisonResults, matchDecisions, gedcom1, gedcom2, placeAliases]);
+
+  // A newer decision about the same pair replaces the older one
+  const handleDecision = useCallback((idA, idB, decision) => {
+    setMatchDecisions(previous => [...previous.filter(d => d.idA !== idA || d.idB !== idB), { idA, idB, decision }]);
+  }, []);
+  const handleUndoDecision = useCallback((idA, idB) => {
+    setMatchDecisions(previous => previous.filter(d => d.idA !== idA || d.idB !== idB));
+  }, []);
+
+  // AI explanations of candidate pairs; a new explainer (and cache) is made when the settings change
+  const [aiSettings, setAiSettings] = useState(loadAiSettings);
+  const handleAiSettingsChange = (settings) => {
+    setAiSettings(settings);
+    saveAiSettings(settings);
+  };
+  const explainer = useMemo(() => createMatchExplainer(createLlmProvider(aiSettings)), [aiSettings]);
+
+  // Explains File 1 person idA against File 2 person idB, whether the comparison paired them or not
+  const explainPair = useCallback((idA, idB) => {
+    const personA = people1.find(p => p.id === idA);
+    const personB = people2.find(p => p.id === idB);
+    const matchInfo = reviewedResults.statusMapA.get(idA);
+    let score;
+    let differences;
+    if (matchInfo?.partnerId === idB) {
+      score = matchInfo.score;
+      differences = matchInfo.diff || [];
+    } else {
+      const places = createPlaceMatcher({ aliases: placeAliases, formA: gedcom1.header?.placeForm, formB: gedcom2.header?.placeForm });
+      const candidate = reviewedResults.candidates.find(c => c.idA === idA && c.idB === idB);
+      score = candidate ? candidate.score : scorePersonPair(personA, personB, { places }).score;
+      differences = diffPersonFields(personA, personB, { gedcomA: gedcom1, gedcomB: gedcom2, places });
+    }
+    return explainer.explain({
+      personA, personB, graphA: graph1, graphB: graph2, score, differences, threshold: reviewedResults.threshold,
+    });
+  }, [explainer, people1, people2, graph1, graph2, gedcom1, gedcom2, reviewedResults, placeAliases]);
   
   // New state for scroll synchronization
   const [isSyncEnabled, setIsSyncEnabled] = useState(true);
+  // After a comparison, show matched people on shared rows instead of two independent lists
+  const [isAlignedView, setIsAlignedView] = useState(true);
+  // Person picked from the findings, keyed by file index: { id, token }; shown in the separate lists
+  const [personFocus, setPersonFocus] = useState({});
+  const handleSelectFinding = useCallback((fileIndex, personId) => {
+    setIsAlignedView(false);
+    setPersonFocus({ [fileIndex]: { id: personId, token: Date.now() } });
+  }, []);
+  // One search applied to both separate lists, e.g. to narrow both files to the same branch
+  const [linkedQuery, setLinkedQuery] = useState('');
+  const [isQueryLinked, setIsQueryLinked] = useState(false);
+  const handleToggleQueryLinked = useCallback((currentQuery) => {
+    // Linking carries over the search of the list where it was switched on
+    if (!isQueryLinked) setLinkedQuery(currentQuery);
+    setIsQueryLinked(!isQueryLinked);
+  }, [isQueryLinked]);
+
+  // --- Saved Sessions ---
+  // Session this workspace is saved to; one is created when the first file finishes loading
+  const [sessionId, setSessionId] = useState(null);
+  const sessionIdRef = useRef(null);
+  // Bumped after each save so an open session list shows the change
+  const [sessionsVersion, setSessionsVersion] = useState(0);
+  // Results just read from a session, which need not be written back
+  const restoredResultsRef = useRef(null);
+
+  const selectSession = (id) => {
+    sessionIdRef.current = id;
+    setSessionId(id);
+    rememberLastSession(id);
+  };
+
+  const applySessionSettings = (settings) => {
+    const values = { ...DEFAULT_SESSION_SETTINGS, ...settings };
+    setMatchThreshold(values.matchThreshold);
+    setIsSyncEnabled(values.isSyncEnabled);
+    setIsAlignedView(values.isAlignedView);
+    setIsQueryLinked(values.isQueryLinked);
+    setLinkedQuery(values.linkedQuery);
+  };
+
+  // Puts a file (or nothing) in one of the slots, as when a session is opened or a new one started
+  const setFileSlot = (index, entry) => {
+    [setGedcom0, setGedcom1, setGedcom2][index](entry?.gedcom || null);
+    [setFileName0, setFileName1, setFileName2][index](entry?.name || null);
+    [setEncoding0, setEncoding1, setEncoding2][index](entry?.encoding || null);
+    [setError0, setError1, setError2][index](null);
+    [setLoading0, setLoading1, setLoading2][index](false);
+  };
+
+  const cancelAllTasks = () => Object.values(tasksRef.current).forEach(handle => handle.cancel());
+
+  const openSession = (id) => loadSession(id)
+    .then(({ session, files, comparisonResults: results }) => {
+      cancelAllTasks();
+      setFileSlot(0, files[0]);
+      setFileSlot(1, files[1]);
+      setFileSlot(2, files[2]);
+      restoredResultsRef.current = results;
+      setComparisonResults(results);
+      setThreeWayResults(null);
+      setMatchDecisions(session.decisions || []);
+      applySessionSettings(session.settings);
+      selectSession(id);
+    })
+    .catch(err => {
+      console.warn('Could not open the saved session.', err);
+      if (readLastSession() === id) rememberLastSession(null);
+    });
+
+  const startNewSession = () => {
+    cancelAllTasks();
+    setFileSlot(0, null);
+    setFileSlot(1, null);
+    setFileSlot(2, null);
+    setComparisonResults(null);
+    setThreeWayResults(null);
+    setMatchDecisions([]);
+    applySessionSettings({});
+    selectSession(null);
+  };
+
+  const handleDeleteSession = (id) => deleteSession(id)
+    .then(() => { if (id === sessionIdRef.current) startNewSession(); })
+    .catch(err => console.warn('Could not delete the session.', err));
+
+  // Saves a freshly parsed file, starting a session if this is the first one
+  const persistFile = (index, entry) => {
+    if (!sessionIdRef.current) selectSession(createSessionId());
+    saveSessionFile(sessionIdRef.current, index, entry)
+      .then(() => setSessionsVersion(version => version + 1))
+      .catch(err => console.warn('Could not save the file to the session.', err));
+  };
+
+  // Reopen the session that was open when the page was last closed
+  useEffect(() => {
+    const lastId = readLastSession();
+    if (lastId) openSession(lastId);
+  }, []);
+
+  useEffect(() => {
+    if (!sessionId) return undefined;
+    const timer = setTimeout(() => {
+      updateSession(sessionId, {
+        fileNames: [gedcom1 ? fileName1 : null, gedcom2 ? fileName2 : null],
+        baseFileName: gedcom0 ? fileName0 : null,
+        settings: { matchThreshold, isSyncEnabled, isAlignedView, isQueryLinked, linkedQuery },
+        decisions: matchDecisions,
+      })
+        .then(() => setSessionsVersion(version => version + 1))
+        .catch(err => console.warn('Could not save the session.', err));
+    }, SESSION_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [
+    sessionId, gedcom0, gedcom1, gedcom2, fileName0, fileName1, fileName2, matchDecisions,
+    matchThreshold, isSyncEnabled, isAlignedView, isQueryLinked, linkedQuery,
+  ]);
+
+  useEffect(() => {
+    if (!sessionId || comparisonResults === restoredResultsRef.current) return;
+    saveSessionResults(sessionId, comparisonResults).catch(err => console.warn('Could not save the comparison results.', err));
+  }, [sessionId, comparisonResults]);
 
   // Refs for scroll containers
   const scrollRef1 = useRef(null);
@@ -396,47 +3235,49 @@ const App = () => {
     const file = event.target.files[0];
     if (!file) return;
 
-    if (!file.name.toLowerCase().endsWith('.ged')) {
-      (fileIndex === 1 ? setError1 : setError2)('Please select a valid GEDCOM file (.ged extension).');
-      (fileIndex === 1 ? setFileName1 : setFileName2)(null);
-      return;
-    }
-
-    const setLoading = fileIndex === 1 ? setLoading1 : setLoading2;
-    const setError = fileIndex === 1 ? setError1 : setError2;
-    const setFileName = fileIndex === 1 ? setFileName1 : setFileName2;
-    const setPeople = fileIndex === 1 ? setPeople1 : setPeople2;
+    const setLoading = [setLoading0, setLoading1, setLoading2][fileIndex];
+    const setProgress = [setProgress0, setProgress1, setProgress2][fileIndex];
+    const setError = [setError0, setError1, setError2][fileIndex];
+    const setFileName = [setFileName0, setFileName1, setFileName2][fileIndex];
+    const setGedcom = [setGedcom0, setGedcom1, setGedcom2][fileIndex];
+    const setEncoding = [setEncoding0, setEncoding1, setEncoding2][fileIndex];
 
     setLoading(true);
+    setProgress(0);
+    setEncoding(null);
     setError(null);
     setFileName(file.name);
-    setComparisonResults(null); // Clear comparison when a new file is loaded
-
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const gedcomText = e.target.result;
-        const parsedData = parseGedcom(gedcomText);
+    setThreeWayResults(null);
+    if (tasksRef.current.threeWay) tasksRef.current.threeWay.cancel();
+    // The two-file comparison and its decisions do not involve the Base file
+    if (fileIndex !== 0) {
+      setComparisonResults(null); // Clear comparison when a new file is loaded
+      setMatchDecisions([]); // Decisions refer to records of the replaced file
+      if (tasksRef.current.compare) tasksRef.current.compare.cancel();
+    }
 
-        if (parsedData.length === 0) {
-            setError("File loaded, but the parser found no individuals. Check file format.");
+    // Reading, decoding and parsing run in a worker; selecting another file cancels this one
+    const handle = startTask(fileIndex, 'parse', { file }, setProgress);
+    handle.promise
+      .then(({ gedcom: parsedData, encoding }) => {
+        setEncoding(encoding);
+        if (parsedData.individuals.length === 0) {
+            setError("File loaded, but the parser found no individuals. See the diagnostics below for parse problems.");
         }
-        setPeople(parsedData);
-      } catch (err) {
+        setGedcom(parsedData);
+        persistFile(fileIndex, { name: file.name, file, encoding, gedcom: parsedData });
+      })
+      .catch(err => {
+        if (err.name === 'AbortError') return;
         console.error(`GEDCOM Parsing Error (File ${fileIndex}):`, err);
-        setError("An error occurred during parsing. Check console for details.");
-        setPeople([]);
-      } finally {
+        setError(`An error occurred while reading or parsing the file: ${err.message}`);
+        setGedcom(null);
+      })
+      .finally(() => {
+        if (tasksRef.current[fileIndex] !== handle) return;
+        delete tasksRef.current[fileIndex];
         setLoading(false);
-      }
-    };
-    reader.onerror = (e) => {
-      console.error(`File Reader Error (File ${fileIndex}):`, e);
-      setError("Could not read the file.");
-      setPeople([]);
-      setLoading(false);
-    };
-    reader.readAsText(file);
+      });
   };
   
   const handleCompare = () => {
@@ -445,8 +3286,65 @@ const App = () => {
         setComparisonResults(null);
         return;
     }
-    const results = compareGedcomData(people1, people2);
-    setComparisonResults(results);
+    setIsComparing(true);
+    setCompareProgress(0);
+    // Only the place form, sources, notes and media are needed, so the record trees are not copied to the worker
+    const lookupsOf = (gedcom) => ({ header: gedcom.header, sources: gedcom.sources, notes: gedcom.notes, media: gedcom.media });
+    const handle = startTask('compare', 'compare', {
+        peopleA: people1,
+        peopleB: people2,
+        options: { threshold: matchThreshold, gedcomA: lookupsOf(gedcom1), gedcomB: lookupsOf(gedcom2), placeAliases },
+    }, setCompareProgress);
+    handle.promise
+        .then(results => setComparisonResults(results))
+        .catch(err => {
+            if (err.name === 'AbortError') return;
+            console.error("Comparison Error:", err);
+            setComparisonResults(null);
+        })
+        .finally(() => {
+            if (tasksRef.current.compare !== handle) return;
+            delete tasksRef.current.compare;
+            setIsComparing(false);
+        });
+  };
+
+  // Compares only the relatives of two chosen root people; a branch is small enough to walk on the UI thread
+  const handleCompareBranch = (options) => {
+    if (tasksRef.current.compare) tasksRef.current.compare.cancel();
+    setComparisonResults(compareSubtrees(gedcom1, gedcom2, { ...options, graphA: graph1, graphB: graph2, placeAliases }));
+  };
+
+  // Compares both files with the Base file; the merge needs the record trees, so whole files go to the worker
+  const handleCompareThreeWay = () => {
+    setIsComparingThreeWay(true);
+    setThreeWayProgress(0);
+    const handle = startTask('threeWay', 'threeWay', {
+        base: gedcom0,
+        gedcomA: gedcom1,
+        gedcomB: gedcom2,
+        options: { threshold: matchThreshold, placeAliases },
+    }, setThreeWayProgress);
+    handle.promise
+        .then(results => setThreeWayResults(results))
+        .catch(err => {
+            if (err.name === 'AbortError') return;
+            console.error("Three-Way Comparison Error:", err);
+            setThreeWayResults(null);
+        })
+        .finally(() => {
+            if (tasksRef.current.threeWay !== handle) return;
+            delete tasksRef.current.threeWay;
+            setIsComparingThreeWay(false);
+        });
+  };
+
+  // Re-writes a loaded file through the GEDCOM writer in the chosen version
+  const handleExport = (fileIndex, version) => {
+    const gedcom = [gedcom0, gedcom1, gedcom2][fileIndex];
+    const fileName = [fileName0, fileName1, fileName2][fileIndex] || (fileIndex === 0 ? 'base.ged' : `file${fileIndex}.ged`);
+    const baseName = fileName.replace(/\.ged$/i, '');
+    downloadTextFile(`${baseName}-${version}.ged`, writeGedcom(gedcom.tree.records, { version }));
   };
 
   // --- Scroll Synchronization Logic ---
@@ -474,15 +3372,20 @@ const App = () => {
   }, [isScrolling, isSyncEnabled]); // Include isSyncEnabled in dependencies
 
   
-  const renderFileInput = (index, loading, error, fileName, peopleCount) => (
+  const renderFileInput = (index, loading, progress, error, fileName, peopleCount, encoding) => (
       <div className="bg-white p-5 rounded-xl shadow-md border border-gray-200">
-          <h3 className="text-lg font-bold text-indigo-700 mb-2">File {index}</h3>
+          <h3 className="text-lg font-bold text-indigo-700 mb-2">{index === 0 ? 'Base' : `File ${index}`}</h3>
+          {index === 0 && (
+              <p className="text-xs text-gray-500 mb-2">
+                  Optional: the common version both files were edited from, for a three-way comparison.
+              </p>
+          )}
           <label className="block text-sm font-medium text-gray-700 mb-2">
-            GEDCOM File Upload
+            Family Tree File (GEDCOM, GEDCOM X JSON or Gramps XML)
           </label>
           <input 
             type="file" 
-            accept=".ged" 
+            accept=".ged,.json,.gramps,.xml" 
             onChange={(e) => handleFileChange(e, index)} 
             className="block w-full text-sm text-gray-500
               file:mr-4 file:py-2 file:px-4
@@ -491,18 +3394,49 @@ const App = () => {
               file:bg-indigo-50 file:text-indigo-700
               hover:file:bg-indigo-100"
           />
-          {loading && <p className="mt-2 text-xs text-indigo-600 flex items-center"><Loader className="w-3 h-3 mr-1 animate-spin" /> Loading...</p>}
+          {loading && <p className="mt-2 text-xs text-indigo-600 flex items-center"><Loader className="w-3 h-3 mr-1 animate-spin" /> Loading... {progress}%</p>}
           {fileName && (
               <p className="mt-2 text-xs text-gray-500 flex items-center">
                   <FileText className="w-3 h-3 mr-1" />
                   <span className="font-medium text-gray-800 mr-2">Loaded:</span>
                   <span className="font-mono truncate max-w-xs">{fileName}</span>
                   <span className="ml-2 font-semibold text-indigo-600">({peopleCount} records)</span>
+                  {[gedcom0, gedcom1, gedcom2][index]?.format && [gedcom0, gedcom1, gedcom2][index].format !== 'gedcom' && (
+                      <span className="ml-2 px-1.5 py-0.5 rounded bg-indigo-50 text-indigo-700" title="Imported and shown as GEDCOM">
+                          {FILE_FORMATS[[gedcom0, gedcom1, gedcom2][index].format]}
+                      </span>
+                  )}
+                  {encoding && (
+                      <span
+                          className="ml-2 px-1.5 py-0.5 rounded bg-gray-100 text-gray-600 font-mono"
+                          title={`Detected from ${encoding.bom ? 'byte order mark' : encoding.declared ? 'HEAD CHAR declaration' : 'file contents'}`}
+                      >
+                          {encoding.encoding}
+                          {encoding.declared && DECLARED_CHARSETS[encoding.declared] !== encoding.encoding && ` (declared ${encoding.declared})`}
+                      </span>
+                  )}
+              </p>
+          )}
+          {[gedcom0, gedcom1, gedcom2][index] && (
+              <p className="mt-2 text-xs text-gray-500 flex items-center">
+                  <Download className="w-3 h-3 mr-1" />
+                  <span className="mr-1">Export as:</span>
+                  {GEDCOM_VERSIONS.map(version => (
+                      <button
+                          key={version}
+                          onClick={() => handleExport(index, version)}
+                          className="ml-1 text-indigo-600 font-medium underline"
+                      >
+                          GEDCOM {version}
+                      </button>
+                  ))}
               </p>
           )}
           {error && (
               <p className="mt-2 text-xs text-red-600 font-semibold">{error}</p>
           )}
+          {[gedcom0, gedcom1, gedcom2][index] && <DiagnosticsPanel issues={[gedcom0, gedcom1, gedcom2][index].issues} />}
+          {[gedcom0, gedcom1, gedcom2][index] && <DuplicatesPanel gedcom={[gedcom0, gedcom1, gedcom2][index]} fileName={fileName} placeAliases={placeAliases} />}
       </div>
   );
   
@@ -547,55 +3481,199 @@ const App = () => {
           GEDCOM Tree Comparator
         </h1>
         <p className="text-gray-600">
-          Upload two GEDCOM files to view and compare individual records side-by-side using Name, Sex, and Birth details as the primary comparison key.
+          Upload two GEDCOM, GEDCOM X or Gramps files to view and compare individual records side-by-side. People are matched by a similarity score over Name (phonetic), Sex, Birth and Death details.
         </p>
       </header>
 
+      <SessionsPanel
+        currentId={sessionId}
+        refreshToken={sessionsVersion}
+        onOpen={openSession}
+        onNew={startNewSession}
+        onDelete={handleDeleteSession}
+      />
+
       {/* File Input Card Container */}
-      <div className="max-w-6xl mx-auto mb-8 grid grid-cols-1 lg:grid-cols-2 gap-4">
-        {renderFileInput(1, loading1, error1, fileName1, people1.length)}
-        {renderFileInput(2, loading2, error2, fileName2, people2.length)}
+      <div className="max-w-6xl mx-auto mb-8 grid grid-cols-1 lg:grid-cols-3 gap-4">
+        {renderFileInput(1, loading1, progress1, error1, fileName1, people1.length, encoding1)}
+        {renderFileInput(2, loading2, progress2, error2, fileName2, people2.length, encoding2)}
+        {renderFileInput(0, loading0, progress0, error0, fileName0, gedcom0?.individuals.length || 0, encoding0)}
       </div>
       
       {/* Compare Button */}
       <div className="max-w-xl mx-auto mb-10 text-center">
           <button
               onClick={handleCompare}
-              disabled={people1.length === 0 || people2.length === 0 || loading1 || loading2}
+              disabled={people1.length === 0 || people2.length === 0 || loading1 || loading2 || isComparing}
               className={`w-full max-w-sm flex items-center justify-center mx-auto px-6 py-3 text-lg font-bold rounded-full transition duration-200 shadow-xl ${
-                  people1.length > 0 && people2.length > 0 && !loading1 && !loading2
+                  people1.length > 0 && people2.length > 0 && !loading1 && !loading2 && !isComparing
                       ? 'bg-indigo-600 text-white hover:bg-indigo-700 hover:shadow-2xl'
                       : 'bg-gray-300 text-gray-600 cursor-not-allowed'
               }`}
           >
-              <GitCompare className="w-5 h-5 mr-3" />
-              Compare Files
+              {isComparing ? (
+                  <>
+                      <Loader className="w-5 h-5 mr-3 animate-spin" />
+                      Comparing... {compareProgress}%
+                  </>
+              ) : (
+                  <>
+                      <GitCompare className="w-5 h-5 mr-3" />
+                      Compare Files
+                  </>
+              )}
           </button>
+          <label className="mt-4 flex items-center justify-center text-sm text-gray-600">
+              Match threshold:
+              <input
+                  type="range"
+                  min="0.6"
+                  max="1"
+                  step="0.01"
+                  value={matchThreshold}
+                  onChange={(e) => setMatchThreshold(parseFloat(e.target.value))}
+                  className="mx-3 accent-indigo-600"
+              />
+              <span className="font-semibold text-indigo-700 w-10">{Math.round(matchThreshold * 100)}%</span>
+          </label>
+          <PlaceAliasPanel aliases={placeAliases} onChange={handlePlaceAliasesChange} />
+          <AiSettingsPanel settings={aiSettings} onChange={handleAiSettingsChange} />
+          {gedcom1 && gedcom2 && (
+              <BranchComparePanel
+                  people1={people1}
+                  people2={people2}
+                  comparisonResults={reviewedResults}
+                  disabled={loading1 || loading2 || isComparing}
+                  onCompare={handleCompareBranch}
+              />
+          )}
       </div>
 
       {/* Comparison Results Area */}
       <div className="max-w-6xl mx-auto mb-10">
-          {comparisonResults && (
+          {reviewedResults && (
              <ComparisonResults 
-              comparisonResults={comparisonResults} 
+              comparisonResults={reviewedResults} 
+              people1={people1}
+              people2={people2}
+              gedcom1={gedcom1}
+              gedcom2={gedcom2}
               file1Name={fileName1 || 'File 1'} 
               file2Name={fileName2 || 'File 2'} 
             />
           )}
+          {(gedcom1 || gedcom2) && (
+             <ConsistencyPanel
+              findings1={findings1}
+              findings2={findings2}
+              graph1={graph1}
+              graph2={graph2}
+              comparisonResults={reviewedResults}
+              file1Name={fileName1 || 'File 1'}
+              file2Name={fileName2 || 'File 2'}
+              settings={consistencySettings}
+              onSettingsChange={handleConsistencySettingsChange}
+              onSelectPerson={handleSelectFinding}
+            />
+          )}
+          {reviewedResults && (
+             <MatchReviewPanel
+              results={reviewedResults}
+              decisions={matchDecisions}
+              people1={people1}
+              people2={people2}
+              graph1={graph1}
+              graph2={graph2}
+              file1Name={fileName1 || 'File 1'}
+              file2Name={fileName2 || 'File 2'}
+              onDecision={handleDecision}
+              onUndo={handleUndoDecision}
+              onExplain={explainPair}
+            />
+          )}
+          {gedcom0 && gedcom1 && gedcom2 && (
+             <ThreeWayPanel
+              results={threeWayResults}
+              isComparing={isComparingThreeWay}
+              progress={threeWayProgress}
+              onCompare={handleCompareThreeWay}
+              gedcom1={gedcom1}
+              gedcom2={gedcom2}
+              baseName={fileName0 || 'Base'}
+              file1Name={fileName1 || 'File 1'}
+              file2Name={fileName2 || 'File 2'}
+            />
+          )}
+          {reviewedResults && gedcom1 && gedcom2 && (
+             <MergePanel
+              gedcom1={gedcom1}
+              gedcom2={gedcom2}
+              comparisonResults={reviewedResults}
+              file1Name={fileName1 || 'File 1'}
+              file2Name={fileName2 || 'File 2'}
+            />
+          )}
       </div>
 
+      {/* View Toggle */}
+      {reviewedResults && (
+          <div className="max-w-6xl mx-auto mb-4 flex justify-end text-sm text-gray-600">
+              <span className="mr-2">View:</span>
+              {[[true, 'Aligned rows'], [false, 'Separate lists']].map(([aligned, label]) => (
+                  <button
+                      key={label}
+                      onClick={() => { setIsAlignedView(aligned); setPersonFocus({}); }}
+                      className={`ml-1 px-3 py-1 rounded-full font-medium ${
+                          isAlignedView === aligned ? 'bg-indigo-600 text-white' : 'bg-indigo-50 text-indigo-700 hover:bg-indigo-100'
+                      }`}
+                  >
+                      {label}
+                  </button>
+              ))}
+          </div>
+      )}
+
+      {/* Aligned Diff Display Area */}
+      {reviewedResults && isAlignedView && (
+          <div className="max-w-6xl mx-auto">
+              <AlignedComparisonList
+                  // A branch comparison only covers the people it reached
+                  people1={reviewedResults.branch ? people1.filter(p => reviewedResults.statusMapA.has(p.id)) : people1}
+                  people2={reviewedResults.branch ? people2.filter(p => reviewedResults.statusMapB.has(p.id)) : people2}
+                  graph1={graph1}
+                  graph2={graph2}
+                  file1Name={fileName1 || 'File 1'}
+                  file2Name={fileName2 || 'File 2'}
+                  comparisonResults={reviewedResults}
+                  onDecision={handleDecision}
+                  onExplain={explainPair}
+                  findings1={findingsByPerson1}
+                  findings2={findingsByPerson2}
+              />
+          </div>
+      )}
+
       {/* Side-by-Side Tree Display Area */}
-      {(fileName1 || fileName2) && (
+      {(fileName1 || fileName2) && !(reviewedResults && isAlignedView) && (
           <div className="max-w-6xl mx-auto grid grid-cols-1 lg:grid-cols-[1fr_50px_1fr] gap-4">
               {/* List 1 */}
               <FileTreeList 
                   people={people1}
+                  graph={graph1}
                   fileName={fileName1}
                   fileIndex={1}
-                  comparisonResults={comparisonResults}
-                  comparisonActive={!!comparisonResults}
+                  comparisonResults={reviewedResults}
+                  comparisonActive={!!reviewedResults}
+                  onDecision={reviewedResults ? handleDecision : null}
+                  onExplain={reviewedResults ? explainPair : null}
+                  findings={findingsByPerson1}
+                  focusRequest={personFocus[1]}
                   scrollRef={scrollRef1}
                   onScroll={(e) => handleScroll(e, 1)}
+                  linkedQuery={linkedQuery}
+                  onLinkedQueryChange={setLinkedQuery}
+                  isQueryLinked={isQueryLinked}
+                  onToggleQueryLinked={handleToggleQueryLinked}
               />
               
               {/* Separator / Sync Toggle */}
@@ -604,12 +3682,21 @@ const App = () => {
               {/* List 2 */}
               <FileTreeList 
                   people={people2}
+                  graph={graph2}
                   fileName={fileName2}
                   fileIndex={2}
-                  comparisonResults={comparisonResults}
-                  comparisonActive={!!comparisonResults}
+                  comparisonResults={reviewedResults}
+                  comparisonActive={!!reviewedResults}
+                  onDecision={reviewedResults ? handleDecision : null}
+                  onExplain={reviewedResults ? explainPair : null}
+                  findings={findingsByPerson2}
+                  focusRequest={personFocus[2]}
                   scrollRef={scrollRef2}
                   onScroll={(e) => handleScroll(e, 2)}
+                  linkedQuery={linkedQuery}
+                  onLinkedQueryChange={setLinkedQuery}
+                  isQueryLinked={isQueryLinked}
+                  onToggleQueryLinked={handleToggleQueryLinked}
               />
               
               {/* Sync hint for mobile/small screens */}
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * Compares two GEDCOM files from the command line, e.g. for a scheduled check of a shared tree:
+ *
+ *   gedcom-compare a.ged b.ged [--format text|json|csv|html] [--threshold 0.85] [--places aliases.json]
+ *
+ * Either file may also be a GEDCOM X JSON or Gramps XML export; the format is detected from the contents.
+ *
+ * Prints the comparison report to stdout and exits with 0 when the files match, 1 when differences
+ * were found and 2 when the files could not be compared (bad arguments, unreadable files).
+ */
+import { readFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  readGenealogyFile, compareGedcomData, createComparisonReport, REPORT_FORMATS, DEFAULT_MATCH_THRESHOLD,
+  DEFAULT_PLACE_ALIASES,
+} from '../gedcom.mjs';
+
+const USAGE = `Usage: gedcom-compare <file1> <file2> [options]
+
+Files may be GEDCOM (.ged), GEDCOM X JSON or Gramps XML (.gramps); the format is detected from the contents.
+
+Options:
+  --format <${Object.keys(REPORT_FORMATS).join('|')}>  Report format (default: text)
+  --threshold <0-1>    Minimum similarity score for two people to match (default: ${DEFAULT_MATCH_THRESHOLD})
+  --places <file>      JSON object of place aliases, e.g. {"Salop": "Shropshire"}, used instead of the built-in table
+  -h, --help           Show this help
+
+Exit status: 0 if the files match, 1 if differences were found, 2 on error.
+`;
+
+const EXIT_SAME = 0;
+const EXIT_DIFFERENT = 1;
+const EXIT_ERROR = 2;
+
+const fail = (message) => {
+  process.stderr.write(`gedcom-compare: ${message}\n\n${USAGE}`);
+  return EXIT_ERROR;
+};
+
+// Reads and parses (or imports) one file, reporting parse errors on stderr since they can explain surprising results
+const loadGedcom = async (path) => {
+  const { gedcom } = await readGenealogyFile(new Uint8Array(await readFile(path)));
+  const errors = gedcom.issues.filter(issue => issue.severity === 'error');
+  if (errors.length > 0) {
+    const [first] = errors;
+    process.stderr.write(`${path}: ${errors.length} parse error(s), first at line ${first.line}: ${first.message}\n`);
+  }
+  return gedcom;
+};
+
+// Reads a place alias table: a JSON object mapping each alias to the place it stands for
+const loadPlaceAliases = async (path) => {
+  const aliases = JSON.parse(await readFile(path, 'utf8'));
+  const valid = aliases && typeof aliases === 'object' && !Array.isArray(aliases)
+    && Object.values(aliases).every(place => typeof place === 'string');
+  if (!valid) throw new Error(`${path}: place aliases must be a JSON object of strings.`);
+  return aliases;
+};
+
+const main = async (argv) => {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', default: 'text' },
+        threshold: { type: 'string', default: String(DEFAULT_MATCH_THRESHOLD) },
+        places: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (err) {
+    return fail(err.message);
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return EXIT_SAME;
+  }
+  if (positionals.length !== 2) return fail('expected exactly two GEDCOM files.');
+  if (!REPORT_FORMATS[values.format]) return fail(`unknown format "${values.format}".`);
+  // Number('') is 0, which would let every candidate count as a match
+  const threshold = values.threshold.trim() === '' ? NaN : Number(values.threshold);
+  if (!(threshold >= 0 && threshold <= 1)) return fail(`threshold must be a number between 0 and 1, got "${values.threshold}".`);
+
+  const [pathA, pathB] = positionals;
+  let gedcomA;
+  let gedcomB;
+  let placeAliases = DEFAULT_PLACE_ALIASES;
+  try {
+    [gedcomA, gedcomB] = await Promise.all([loadGedcom(pathA), loadGedcom(pathB)]);
+    if (values.places) placeAliases = await loadPlaceAliases(values.places);
+  } catch (err) {
+    process.stderr.write(`gedcom-compare: ${err.message}\n`);
+    return EXIT_ERROR;
+  }
+
+  const results = compareGedcomData(gedcomA.individuals, gedcomB.individuals, { threshold, gedcomA, gedcomB, placeAliases });
+  const report = createComparisonReport(results, {
+    peopleA: gedcomA.individuals,
+    peopleB: gedcomB.individuals,
+    file1Name: basename(pathA),
+    file2Name: basename(pathB),
+  });
+  process.stdout.write(REPORT_FORMATS[values.format].render(report));
+
+  const { MODIFIED, UNIQUE_A, UNIQUE_B } = results.counts;
+  return MODIFIED + UNIQUE_A + UNIQUE_B > 0 ? EXIT_DIFFERENT : EXIT_SAME;
+};
+
+process.exitCode = await main(process.argv.slice(2));
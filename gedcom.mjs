@@ -0,0 +1,4337 @@
+/**
+ * GEDCOM parsing, comparison, merging and reporting. Shared by the web app (app.jsx), its worker
+ * (gedcom.worker.mjs) and the gedcom-compare command-line tool; it has no React or DOM dependencies.
+ */
+
+// --- GEDCOM Utility Functions ---
+
+/**
+ * Display labels for the individual and family event/attribute tags we surface.
+ * Tags not listed here are still kept in the record tree, they just aren't summarized.
+ */
+export const EVENT_LABELS = {
+  // Individual events
+  BIRT: 'Birth', CHR: 'Christening', BAPM: 'Baptism', DEAT: 'Death', BURI: 'Burial', CREM: 'Cremation',
+  ADOP: 'Adoption', BARM: 'Bar Mitzvah', BASM: 'Bas Mitzvah', BLES: 'Blessing', CHRA: 'Adult Christening',
+  CONF: 'Confirmation', FCOM: 'First Communion', ORDN: 'Ordination', NATU: 'Naturalization',
+  EMIG: 'Emigration', IMMI: 'Immigration', CENS: 'Census', PROB: 'Probate', WILL: 'Will',
+  GRAD: 'Graduation', RETI: 'Retirement', EVEN: 'Event',
+  // Individual attributes
+  OCCU: 'Occupation', RESI: 'Residence', EDUC: 'Education', RELI: 'Religion', TITL: 'Title',
+  NATI: 'Nationality', CAST: 'Caste', DSCR: 'Description', IDNO: 'ID Number', NCHI: 'Children Count',
+  NMR: 'Marriage Count', PROP: 'Property', SSN: 'Social Security Number', FACT: 'Fact',
+  // Family events
+  MARR: 'Marriage', MARB: 'Marriage Banns', MARC: 'Marriage Contract', MARL: 'Marriage License',
+  MARS: 'Marriage Settlement', ENGA: 'Engagement', DIV: 'Divorce', DIVF: 'Divorce Filed', ANUL: 'Annulment',
+};
+
+/** Matches a GEDCOM pointer value such as `@F12@` (but not escapes like `@#DJULIAN@`). */
+const POINTER_PATTERN = /^@([^@#\s][^@]*)@$/;
+
+/** Level, optional xref, tag and optional value of a single GEDCOM line. */
+const LINE_PATTERN = /^(\d+)\s+(?:@([^@\s]+)@\s+)?([A-Za-z0-9_]+)(?:\s(.*))?$/;
+
+/** Maximum GEDCOM 5.5.1 line length, including level, xref and tag. */
+const MAX_LINE_LENGTH = 255;
+
+/** How many lines (or people) long-running loops process between progress callbacks. */
+const PROGRESS_INTERVAL = 5000;
+
+/**
+ * Creates an incremental GEDCOM parser for text that arrives in pieces, such as a file decoded chunk
+ * by chunk. `write(text)` takes the next piece (lines may be split between pieces) and `end()` parses
+ * the last line and returns the tree, as parseGedcomTree describes.
+ * @returns {Object} { write(text), end(): { records, index, issues } }
+ */
+export const createGedcomTreeParser = () => {
+  const records = [];
+  const index = new Map();
+  const issues = [];
+  // stack[n] holds the most recent node seen at level n
+  const stack = [];
+  let previousLevel = -1;
+  let lineNumber = 0;
+  let carry = ''; // Start of a line whose end has not arrived yet
+
+  const report = (line, severity, code, message) => issues.push({ line, severity, code, message });
+
+  const parseLine = (rawLine) => {
+    lineNumber++;
+    const raw = lineNumber === 1 ? rawLine.replace(/^\uFEFF/, '') : rawLine;
+    const line = raw.replace(/^\s+/, '');
+    if (!line) return;
+
+    if (raw.length > MAX_LINE_LENGTH) {
+      report(lineNumber, 'warning', 'LINE_TOO_LONG', `Line is ${raw.length} characters long (GEDCOM 5.5.1 allows ${MAX_LINE_LENGTH}).`);
+    }
+
+    const match = line.match(LINE_PATTERN);
+    if (!match) {
+      report(lineNumber, 'error', 'MALFORMED_LINE', `Line is not "level [@xref@] tag [value]" and was skipped: ${line.slice(0, 60)}`);
+      return;
+    }
+
+    const [, levelStr, xref, tag, value = ''] = match;
+    const level = parseInt(levelStr, 10);
+    if (level > previousLevel + 1) {
+      report(lineNumber, 'error', 'LEVEL_JUMP', `Level jumps from ${previousLevel} to ${level}; the line was attached to the nearest open parent.`);
+    }
+    previousLevel = level;
+
+    // 1. Continuation lines extend the value of the line they belong to
+    if ((tag === 'CONC' || tag === 'CONT') && level > 0) {
+      const owner = stack[level - 1];
+      if (owner) {
+        const text = value.replace(/@@/g, '@');
+        owner.value = tag === 'CONT' ? `${owner.value}\n${text}` : owner.value + text;
+        owner.pointer = null;
+        return;
+      }
+      report(lineNumber, 'error', 'ORPHAN_CONTINUATION', `${tag} line has no line to continue and was kept as a separate node.`);
+    }
+
+    const pointerMatch = value.match(POINTER_PATTERN);
+    const node = {
+      level,
+      xref: xref || null,
+      tag: tag.toUpperCase(),
+      value: pointerMatch ? value : value.replace(/@@/g, '@'), // A literal '@' is written doubled
+      pointer: pointerMatch ? pointerMatch[1] : null,
+      line: lineNumber,
+      children: [],
+    };
+
+    // 2. Attach to the closest open ancestor (tolerates level jumps such as 1 -> 3)
+    if (level === 0) {
+      if (records.length > 0 && records[records.length - 1].tag === 'TRLR') {
+        report(lineNumber, 'warning', 'CONTENT_AFTER_TRLR', `${node.tag} record appears after the TRLR record.`);
+      }
+      records.push(node);
+      if (node.xref && index.has(node.xref)) {
+        report(lineNumber, 'error', 'DUPLICATE_XREF', `@${node.xref}@ is already used by the record on line ${index.get(node.xref).line}; later references resolve to the first.`);
+      } else if (node.xref) {
+        index.set(node.xref, node);
+      }
+    } else {
+      let parentLevel = level - 1;
+      while (parentLevel > 0 && !stack[parentLevel]) parentLevel--;
+      const parent = stack[parentLevel];
+      if (!parent) {
+        // Subordinate line before any record; nothing to attach it to
+        report(lineNumber, 'error', 'NO_PARENT_RECORD', `Level ${level} line appears before any record and was skipped.`);
+        return;
+      }
+      parent.children.push(node);
+    }
+
+    stack[level] = node;
+    stack.length = level + 1;
+  };
+
+  const write = (text) => {
+    const pending = carry + text;
+    // A trailing CR may be the first half of a CRLF split between pieces, so it waits for the next one
+    const cut = pending.endsWith('\r') ? pending.length - 1 : pending.length;
+    const lines = pending.slice(0, cut).split(/\r\n|\r|\n/);
+    carry = lines.pop() + pending.slice(cut);
+    lines.forEach(parseLine);
+  };
+
+  const end = () => {
+    if (carry) parseLine(carry.replace(/\r$/, ''));
+    carry = '';
+    return { records, index, issues };
+  };
+
+  return { write, end };
+};
+
+/** Characters of text parseGedcomTree hands to the parser between progress callbacks. */
+const PARSE_SLICE_LENGTH = 1024 * 1024;
+
+/**
+ * Parses GEDCOM text into a generic, hierarchical tag tree.
+ * Every line becomes a node `{ level, xref, tag, value, pointer, line, children }`; level-0 nodes are
+ * the records (HEAD, INDI, FAM, SOUR, NOTE, OBJE, REPO, SUBM, TRLR, ...). CONC/CONT continuation lines
+ * are folded into their parent's value rather than kept as nodes.
+ * Problems found while reading lines are collected in `issues` instead of being silently skipped.
+ * @param {string} gedcomText The full text content of the GEDCOM file.
+ * @param {Object} [options] { onProgress(fraction) } called periodically while lines are read.
+ * @returns {Object} { records: Array<Object>, index: Map<xref, Object>, issues: Array<Object> }
+ */
+export const parseGedcomTree = (gedcomText, { onProgress } = {}) => {
+  const parser = createGedcomTreeParser();
+  for (let offset = 0; offset < gedcomText.length; offset += PARSE_SLICE_LENGTH) {
+    if (onProgress) onProgress(offset / gedcomText.length);
+    parser.write(gedcomText.slice(offset, offset + PARSE_SLICE_LENGTH));
+  }
+  return parser.end();
+};
+
+/** Returns the first child node with the given tag, or null. */
+const findChild = (node, tag) => node?.children.find(child => child.tag === tag) || null;
+
+/** Returns all child nodes with the given tag. */
+const findChildren = (node, tag) => (node ? node.children.filter(child => child.tag === tag) : []);
+
+/** Returns the trimmed value of the first child with the given tag, or an empty string. */
+const childValue = (node, tag) => (findChild(node, tag)?.value || '').trim();
+
+/**
+ * Reads a NAME structure (`Given /Surname/ Suffix` plus optional GIVN/SURN/NPFX/NSFX/NICK/TYPE).
+ */
+const readName = (node) => {
+  const full = node.value.trim();
+  const surnameMatch = full.match(/\/([^/]*)\/?/);
+  const beforeSurname = surnameMatch ? full.slice(0, surnameMatch.index).trim() : full;
+  const afterSurname = surnameMatch ? full.slice(surnameMatch.index + surnameMatch[0].length).trim() : '';
+
+  return {
+    full: full.replace(/\//g, '').replace(/\s+/g, ' ').trim(),
+    given: childValue(node, 'GIVN') || beforeSurname,
+    surname: childValue(node, 'SURN') || (surnameMatch ? surnameMatch[1].trim() : ''),
+    prefix: childValue(node, 'NPFX'),
+    suffix: childValue(node, 'NSFX') || afterSurname,
+    nickname: childValue(node, 'NICK'),
+    type: childValue(node, 'TYPE'),
+  };
+};
+
+/**
+ * Reads a source citation (`SOUR @S1@` pointer or inline `SOUR text`) below an event or record.
+ */
+const readCitation = (node) => ({
+  sourceId: node.pointer,
+  text: node.pointer ? '' : node.value.trim(),
+  page: childValue(node, 'PAGE'),
+  quality: childValue(node, 'QUAY'),
+  // Transcribed text and entry date from the citation's DATA structure
+  excerpt: childValue(findChild(node, 'DATA'), 'TEXT'),
+  entryDate: childValue(findChild(node, 'DATA'), 'DATE'),
+  notes: readNoteRefs(node),
+  media: findChildren(node, 'OBJE').map(readMediaRef),
+});
+
+/**
+ * Reads a NOTE reference, which is either a pointer to a NOTE record or inline note text.
+ */
+const readNoteRef = (node) => ({
+  noteId: node.pointer,
+  text: node.pointer ? '' : node.value,
+});
+
+/** Reads the note references below a node, including GEDCOM 7 shared notes (SNOTE). */
+const readNoteRefs = (node) => node.children.filter(child => child.tag === 'NOTE' || child.tag === 'SNOTE').map(readNoteRef);
+
+/**
+ * Reads an OBJE link, which is either a pointer to a media record or an inline FILE reference.
+ */
+const readMediaRef = (node) => ({
+  mediaId: node.pointer,
+  file: node.pointer ? '' : childValue(node, 'FILE'),
+  title: childValue(node, 'TITL') || childValue(findChild(node, 'FILE'), 'TITL'),
+});
+
+/**
+ * Reads a DATE value. GEDCOM 7 keeps a date phrase in DATE.PHRASE; a phrase-only date reads like the
+ * 5.5.1 "(phrase)".
+ */
+const readDateValue = (node) => {
+  const phrase = childValue(node, 'PHRASE');
+  return (node?.value || '').trim() || (phrase ? `(${phrase})` : '');
+};
+
+/**
+ * Reads an event or attribute structure (BIRT, DEAT, OCCU, MARR, ...) into a flat object.
+ */
+const readEvent = (node) => ({
+  tag: node.tag,
+  label: EVENT_LABELS[node.tag] || node.tag,
+  type: childValue(node, 'TYPE'),
+  // Attributes carry their value on the tag line itself (e.g. "1 OCCU Farmer"); "Y" only flags that an event happened
+  value: node.value.trim() === 'Y' ? '' : node.value.trim(),
+  date: readDateValue(findChild(node, 'DATE')),
+  place: childValue(node, 'PLAC'),
+  age: childValue(node, 'AGE'),
+  cause: childValue(node, 'CAUS'),
+  notes: readNoteRefs(node),
+  citations: findChildren(node, 'SOUR').map(readCitation),
+  media: findChildren(node, 'OBJE').map(readMediaRef),
+});
+
+/**
+ * Builds the summary `details` object used for display and comparison keys: Sex plus the first
+ * instance of every known event, as { date, place, value }.
+ */
+const summarizeDetails = (sex, events) => {
+  const details = {};
+  if (sex) details.Sex = sex;
+  events.forEach(event => {
+    if (details[event.label]) return;
+    details[event.label] = {
+      date: event.date || 'Unknown',
+      place: event.place || 'Unknown',
+      ...(event.value ? { value: event.value } : {}),
+    };
+  });
+  return details;
+};
+
+/**
+ * Reads an INDI record into a person object.
+ * `name` and `details` keep their original shape; the remaining fields expose the full record.
+ */
+const readIndividual = (node) => {
+  const names = findChildren(node, 'NAME').map(readName);
+  const sex = childValue(node, 'SEX');
+  const events = node.children.filter(child => EVENT_LABELS[child.tag]).map(readEvent);
+
+  return {
+    id: node.xref, // Keep original GEDCOM ID for map key
+    name: names[0]?.full || 'Unknown Individual',
+    names,
+    sex,
+    events,
+    uid: childValue(node, '_UID') || childValue(node, 'UID'),
+    familiesAsChild: findChildren(node, 'FAMC').map(child => child.pointer).filter(Boolean),
+    familiesAsSpouse: findChildren(node, 'FAMS').map(child => child.pointer).filter(Boolean),
+    notes: readNoteRefs(node),
+    citations: findChildren(node, 'SOUR').map(readCitation),
+    media: findChildren(node, 'OBJE').map(readMediaRef),
+    details: summarizeDetails(sex, events),
+    record: node,
+  };
+};
+
+/**
+ * Reads a FAM record into a family object with partner and child xrefs.
+ */
+const readFamily = (node) => {
+  const events = node.children.filter(child => EVENT_LABELS[child.tag]).map(readEvent);
+  return {
+    id: node.xref,
+    husband: findChild(node, 'HUSB')?.pointer || null,
+    wife: findChild(node, 'WIFE')?.pointer || null,
+    children: findChildren(node, 'CHIL').map(child => child.pointer).filter(Boolean),
+    events,
+    notes: readNoteRefs(node),
+    citations: findChildren(node, 'SOUR').map(readCitation),
+    details: summarizeDetails('', events),
+    record: node,
+  };
+};
+
+/**
+ * Reads a level-0 SOUR record.
+ */
+const readSource = (node) => ({
+  id: node.xref,
+  title: childValue(node, 'TITL'),
+  author: childValue(node, 'AUTH'),
+  publication: childValue(node, 'PUBL'),
+  abbreviation: childValue(node, 'ABBR'),
+  text: childValue(node, 'TEXT'),
+  repository: findChild(node, 'REPO')?.pointer || null,
+  callNumber: childValue(findChild(node, 'REPO'), 'CALN'),
+  notes: readNoteRefs(node),
+  media: findChildren(node, 'OBJE').map(readMediaRef),
+  record: node,
+});
+
+/**
+ * Reads a level-0 REPO record.
+ */
+const readRepository = (node) => ({
+  id: node.xref,
+  name: childValue(node, 'NAME'),
+  address: childValue(node, 'ADDR'),
+  notes: readNoteRefs(node),
+  record: node,
+});
+
+/**
+ * Reads a level-0 OBJE record. GEDCOM 5.5.1 and 7.0 allow several FILE references, each with its own
+ * FORM; 5.5 put FORM and TITL directly on the record.
+ */
+const readMedia = (node) => ({
+  id: node.xref,
+  files: findChildren(node, 'FILE').map(file => file.value.trim()).filter(Boolean),
+  format: childValue(findChild(node, 'FILE'), 'FORM') || childValue(node, 'FORM'),
+  title: childValue(node, 'TITL') || childValue(findChild(node, 'FILE'), 'TITL'),
+  notes: readNoteRefs(node),
+  record: node,
+});
+
+/**
+ * Reads a level-0 NOTE (GEDCOM 7: SNOTE) record. The note text lives on the record line itself (plus CONC/CONT).
+ */
+const readNote = (node) => ({
+  id: node.xref,
+  text: node.value,
+  record: node,
+});
+
+/**
+ * Reads the HEAD record: producing system, GEDCOM version, declared character set and place format.
+ */
+const readHeader = (node) => ({
+  source: childValue(node, 'SOUR'),
+  version: childValue(findChild(node, 'GEDC'), 'VERS'),
+  charset: childValue(node, 'CHAR'),
+  placeForm: childValue(findChild(node, 'PLAC'), 'FORM'),
+});
+
+/**
+ * Builds the full record model from a parsed tag tree (see parseGedcomFile).
+ */
+const readGedcomTree = (tree) => {
+  const ofType = (tag) => tree.records.filter(record => record.tag === tag && record.xref);
+  const head = tree.records.find(record => record.tag === 'HEAD');
+  const header = readHeader(head || null);
+
+  return {
+    tree,
+    header,
+    issues: validateGedcom(tree, header),
+    individuals: ofType('INDI').map(readIndividual),
+    families: ofType('FAM').map(readFamily),
+    sources: ofType('SOUR').map(readSource),
+    notes: [...ofType('NOTE'), ...ofType('SNOTE')].map(readNote),
+    repositories: ofType('REPO').map(readRepository),
+    media: ofType('OBJE').map(readMedia),
+  };
+};
+
+/**
+ * Parses GEDCOM text into the full record model: the raw tag tree plus typed views of
+ * individuals, families, sources, notes, repositories and media.
+ * @param {string} gedcomText The full text content of the GEDCOM file.
+ * @param {Object} [options] { onProgress(fraction) } passed through to parseGedcomTree.
+ * @returns {Object} { tree, header, issues, individuals, families, sources, notes, repositories, media }
+ */
+export const parseGedcomFile = (gedcomText, options = {}) => readGedcomTree(parseGedcomTree(gedcomText, options));
+
+/**
+ * Parses GEDCOM text into an array of person objects.
+ * @param {string} gedcomText The full text content of the GEDCOM file.
+ * @returns {Array<Object>} An array of parsed individual records.
+ */
+export const parseGedcom = (gedcomText) => parseGedcomFile(gedcomText).individuals;
+
+
+/**
+ * Builds a navigable relationship graph from the parsed individuals and families.
+ * Links are taken from both sides (FAM HUSB/WIFE/CHIL and INDI FAMC/FAMS), so a family is
+ * still connected when only one side of the pointer pair was written by the exporting program.
+ * @param {Object} gedcom The result of parseGedcomFile.
+ * @returns {Object} Lookup helpers: getPerson, getFamily, familiesAsChild, familiesAsSpouse, membersOf, parentsOf,
+ *   spousesOf, childrenOf, siblingsOf, relativesOf.
+ */
+export const buildFamilyGraph = ({ individuals, families }) => {
+  const peopleById = new Map(individuals.map(p => [p.id, p]));
+  const familiesById = new Map(families.map(f => [f.id, f]));
+
+  // famId -> { partners: Set<personId>, children: Set<personId> }
+  const members = new Map();
+  // personId -> Set<famId>
+  const childIn = new Map();
+  const partnerIn = new Map();
+
+  const getMembers = (famId) => {
+    if (!members.has(famId)) members.set(famId, { partners: new Set(), children: new Set() });
+    return members.get(famId);
+  };
+  const link = (index, personId, famId) => {
+    if (!index.has(personId)) index.set(personId, new Set());
+    index.get(personId).add(famId);
+  };
+  const addPartner = (famId, personId) => {
+    getMembers(famId).partners.add(personId);
+    link(partnerIn, personId, famId);
+  };
+  const addChild = (famId, personId) => {
+    getMembers(famId).children.add(personId);
+    link(childIn, personId, famId);
+  };
+
+  families.forEach(family => {
+    [family.husband, family.wife].filter(Boolean).forEach(id => addPartner(family.id, id));
+    family.children.forEach(id => addChild(family.id, id));
+  });
+  individuals.forEach(person => {
+    person.familiesAsSpouse.forEach(famId => addPartner(famId, person.id));
+    person.familiesAsChild.forEach(famId => addChild(famId, person.id));
+  });
+
+  // Collects the people reached through `index` -> family -> `role`, excluding the person themselves
+  const collect = (personId, index, role) => {
+    const ids = new Set();
+    (index.get(personId) || []).forEach(famId => {
+      getMembers(famId)[role].forEach(id => {
+        if (id !== personId) ids.add(id);
+      });
+    });
+    return [...ids].map(id => peopleById.get(id)).filter(Boolean);
+  };
+
+  const parentsOf = (personId) => collect(personId, childIn, 'partners');
+  const spousesOf = (personId) => collect(personId, partnerIn, 'partners');
+  const childrenOf = (personId) => collect(personId, partnerIn, 'children');
+  const siblingsOf = (personId) => collect(personId, childIn, 'children');
+
+  return {
+    getPerson: (personId) => peopleById.get(personId) || null,
+    getFamily: (famId) => familiesById.get(famId) || null,
+    familiesAsChild: (personId) => [...(childIn.get(personId) || [])],
+    familiesAsSpouse: (personId) => [...(partnerIn.get(personId) || [])],
+    membersOf: (famId) => {
+      const { partners = [], children = [] } = members.get(famId) || {};
+      const toPeople = (ids) => [...ids].map(id => peopleById.get(id)).filter(Boolean);
+      return { partners: toPeople(partners), children: toPeople(children) };
+    },
+    parentsOf,
+    spousesOf,
+    childrenOf,
+    siblingsOf,
+    relativesOf: (personId) => ({
+      parents: parentsOf(personId),
+      spouses: spousesOf(personId),
+      children: childrenOf(personId),
+      siblings: siblingsOf(personId),
+    }),
+  };
+};
+
+
+/**
+ * Helper to create a consistent, human-meaningful key for comparison.
+ * This key is used instead of the GEDCOM ID to determine if two records represent the same person.
+ */
+export const createComparisonKey = (person) => {
+    // Standardize and concatenate key fields: Name, Sex, Birth Date, Birth Place
+    // Diacritics are folded (Müller -> MULLER) rather than dropped
+    const name = person.name ? normalizeText(person.name).replace(/\s/g, '') : '';
+    const sex = person.details.Sex ? person.details.Sex.toUpperCase() : '';
+    const birthDate = person.details.Birth?.date ? person.details.Birth.date.toUpperCase() : '';
+    // Places are keyed by their canonical jurisdictions, so "St. Louis" and "Saint Louis" agree
+    const birthPlace = person.details.Birth?.place ? placeKey(person.details.Birth.place) : '';
+
+    return `${name}|${sex}|${birthDate}|${birthPlace}`;
+};
+
+// --- Character Encodings ---
+
+/** ANSEL (ANSI Z39.47, as extended by GEDCOM) spacing characters above 0x7F. */
+const ANSEL_CHARACTERS = {
+  0xA1: 'Ł', 0xA2: 'Ø', 0xA3: 'Đ', 0xA4: 'Þ', 0xA5: 'Æ', 0xA6: 'Œ', 0xA7: 'ʹ', 0xA8: '·',
+  0xA9: '♭', 0xAA: '®', 0xAB: '±', 0xAC: 'Ơ', 0xAD: 'Ư', 0xAE: 'ʼ', 0xB0: 'ʻ', 0xB1: 'ł',
+  0xB2: 'ø', 0xB3: 'đ', 0xB4: 'þ', 0xB5: 'æ', 0xB6: 'œ', 0xB7: 'ʺ', 0xB8: 'ı', 0xB9: '£',
+  0xBA: 'ð', 0xBC: 'ơ', 0xBD: 'ư', 0xBE: '□', 0xBF: '■', 0xC0: '°', 0xC1: 'ℓ', 0xC2: '℗',
+  0xC3: '©', 0xC4: '♯', 0xC5: '¿', 0xC6: '¡', 0xC7: 'ß', 0xC8: '€', 0xCF: 'ß',
+};
+
+/** ANSEL combining diacritics. In ANSEL they precede the letter they modify; in Unicode they follow it. */
+const ANSEL_COMBINING = {
+  0xE0: '\u0309', 0xE1: '\u0300', 0xE2: '\u0301', 0xE3: '\u0302', 0xE4: '\u0303', 0xE5: '\u0304',
+  0xE6: '\u0306', 0xE7: '\u0307', 0xE8: '\u0308', 0xE9: '\u030C', 0xEA: '\u030A', 0xEB: '\uFE20',
+  0xEC: '\uFE21', 0xED: '\u0315', 0xEE: '\u030B', 0xEF: '\u0310', 0xF0: '\u0327', 0xF1: '\u0328',
+  0xF2: '\u0323', 0xF3: '\u0324', 0xF4: '\u0325', 0xF5: '\u0333', 0xF6: '\u0332', 0xF7: '\u0326',
+  0xF8: '\u031C', 0xF9: '\u032E', 0xFA: '\uFE22', 0xFB: '\uFE23', 0xFE: '\u0313',
+};
+
+/**
+ * Creates an ANSEL decoder with the TextDecoder interface. Text is NFC-normalized and combining
+ * diacritics are moved after their base letter; with `{ stream: true }`, marks at the end of a chunk
+ * wait for the letter at the start of the next one.
+ */
+const createAnselDecoder = () => {
+  let pendingMarks = '';
+
+  const decode = (bytes = new Uint8Array(0), { stream = false } = {}) => {
+    let result = '';
+    for (let i = 0; i < bytes.length; i++) {
+      const byte = bytes[i];
+      if (ANSEL_COMBINING[byte]) {
+        pendingMarks += ANSEL_COMBINING[byte];
+        continue;
+      }
+      const char = byte < 0x80 ? String.fromCharCode(byte) : ANSEL_CHARACTERS[byte] || '\uFFFD';
+      result += char + pendingMarks;
+      pendingMarks = '';
+    }
+    if (!stream) {
+      result += pendingMarks;
+      pendingMarks = '';
+    }
+    return result.normalize('NFC');
+  };
+
+  return { decode };
+};
+
+/** HEAD CHAR values and the decoder used for each. */
+export const DECLARED_CHARSETS = {
+  ANSEL: 'ANSEL',
+  'UTF-8': 'UTF-8', UTF8: 'UTF-8',
+  UNICODE: 'UTF-16LE', 'UTF-16': 'UTF-16LE',
+  // Files labelled ASCII or ANSI routinely contain Windows code page characters
+  ASCII: 'Windows-1252', ANSI: 'Windows-1252', 'WINDOWS-1252': 'Windows-1252', CP1252: 'Windows-1252',
+  'IBM WINDOWS': 'Windows-1252', 'ISO-8859-1': 'Windows-1252', LATIN1: 'Windows-1252',
+  MACINTOSH: 'Macintosh',
+};
+
+/** TextDecoder labels for the encodings we decode natively. */
+const TEXT_DECODER_LABELS = {
+  'UTF-8': 'utf-8', 'UTF-16LE': 'utf-16le', 'UTF-16BE': 'utf-16be', 'Windows-1252': 'windows-1252', Macintosh: 'macintosh',
+};
+
+/**
+ * Reads the CHAR value declared in the HEAD record, scanning the start of the file as single-byte text.
+ */
+const findDeclaredCharset = (bytes) => {
+  const head = new TextDecoder('windows-1252').decode(bytes.subarray(0, 65536));
+  const match = head.match(/(?:^|[\r\n])\s*1\s+CHAR\s+([^\r\n]+)/);
+  return match ? match[1].trim().toUpperCase() : null;
+};
+
+/**
+ * Creates a decoder for one of the encodings decodeGedcomBytes reports, with the TextDecoder interface
+ * (`decode(bytes, { stream })`), so a file can also be decoded chunk by chunk.
+ * With `fatal`, invalid bytes throw a TypeError instead of becoming U+FFFD.
+ */
+const createTextDecoder = (encoding, fatal = false) => (
+  encoding === 'ANSEL' ? createAnselDecoder() : new TextDecoder(TEXT_DECODER_LABELS[encoding], { fatal })
+);
+
+/**
+ * Detects the character encoding of a GEDCOM file from its first bytes. A byte order mark wins, then
+ * a UTF-16 byte pattern, then the HEAD CHAR declaration, then UTF-8.
+ * @param {Uint8Array} bytes The start of the file (the HEAD record must be within it).
+ * @returns {Object} { encoding, declared: HEAD CHAR value or null, bom: boolean, offset: bytes to skip before the text }
+ */
+const detectGedcomEncoding = (bytes) => {
+  // 1. Byte order marks
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    return { encoding: 'UTF-8', declared: findDeclaredCharset(bytes), bom: true, offset: 3 };
+  }
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return { encoding: 'UTF-16LE', declared: null, bom: true, offset: 2 };
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return { encoding: 'UTF-16BE', declared: null, bom: true, offset: 2 };
+
+  // 2. UTF-16 without a BOM: every file starts with "0 HEAD", so one of the first two bytes is zero
+  if (bytes[0] === 0x30 && bytes[1] === 0x00) return { encoding: 'UTF-16LE', declared: null, bom: false, offset: 0 };
+  if (bytes[0] === 0x00 && bytes[1] === 0x30) return { encoding: 'UTF-16BE', declared: null, bom: false, offset: 0 };
+
+  // 3. The HEAD CHAR declaration
+  const declared = findDeclaredCharset(bytes);
+  return { encoding: DECLARED_CHARSETS[declared] || 'UTF-8', declared, bom: false, offset: 0 };
+};
+
+/**
+ * Detects the character encoding of a GEDCOM file and decodes it (see detectGedcomEncoding). Text that
+ * claims (or defaults to) UTF-8 without a BOM but is not valid UTF-8 is decoded as Windows-1252 instead.
+ * @param {Uint8Array} bytes Raw file contents.
+ * @returns {Object} { text, encoding, declared: HEAD CHAR value or null, bom: boolean }
+ */
+export const decodeGedcomBytes = (bytes) => {
+  const { encoding, declared, bom, offset } = detectGedcomEncoding(bytes);
+  const data = bytes.subarray(offset);
+  try {
+    return { text: createTextDecoder(encoding, encoding === 'UTF-8' && !bom).decode(data), encoding, declared, bom };
+  } catch (err) {
+    return { text: createTextDecoder('Windows-1252').decode(data), encoding: 'Windows-1252', declared, bom };
+  }
+};
+
+
+// --- GEDCOM Dates ---
+
+/** Month tokens per calendar, in calendar order, with display names. */
+const CALENDAR_MONTHS = {
+  GREGORIAN: [
+    ['JAN', 'Jan'], ['FEB', 'Feb'], ['MAR', 'Mar'], ['APR', 'Apr'], ['MAY', 'May'], ['JUN', 'Jun'],
+    ['JUL', 'Jul'], ['AUG', 'Aug'], ['SEP', 'Sep'], ['OCT', 'Oct'], ['NOV', 'Nov'], ['DEC', 'Dec'],
+  ],
+  // Civil order starting at Tishri; ADS (Adar Sheni) only exists in leap years
+  HEBREW: [
+    ['TSH', 'Tishri'], ['CSH', 'Heshvan'], ['KSL', 'Kislev'], ['TVT', 'Tevet'], ['SHV', 'Shevat'], ['ADR', 'Adar'],
+    ['ADS', 'Adar II'], ['NSN', 'Nisan'], ['IYR', 'Iyar'], ['SVN', 'Sivan'], ['TMZ', 'Tammuz'], ['AAV', 'Av'], ['ELL', 'Elul'],
+  ],
+  FRENCH_R: [
+    ['VEND', 'Vendémiaire'], ['BRUM', 'Brumaire'], ['FRIM', 'Frimaire'], ['NIVO', 'Nivôse'], ['PLUV', 'Pluviôse'],
+    ['VENT', 'Ventôse'], ['GERM', 'Germinal'], ['FLOR', 'Floréal'], ['PRAI', 'Prairial'], ['MESS', 'Messidor'],
+    ['THER', 'Thermidor'], ['FRUC', 'Fructidor'], ['COMP', 'Jour Complémentaire'],
+  ],
+};
+CALENDAR_MONTHS.JULIAN = CALENDAR_MONTHS.GREGORIAN;
+
+/** GEDCOM 5.5.1 calendar escapes and GEDCOM 7 calendar keywords. */
+const CALENDAR_NAMES = {
+  '@#DGREGORIAN@': 'GREGORIAN', '@#DJULIAN@': 'JULIAN', '@#DHEBREW@': 'HEBREW', '@#DFRENCH R@': 'FRENCH_R',
+  GREGORIAN: 'GREGORIAN', JULIAN: 'JULIAN', HEBREW: 'HEBREW', FRENCH_R: 'FRENCH_R',
+};
+
+/** Years added on each side of ABT/CAL/EST dates when testing for overlap. */
+const APPROXIMATE_MARGIN_YEARS = { about: 2, calculated: 1, estimated: 5 };
+
+const DAYS_PER_YEAR = 365.25;
+
+/** Julian Day Number of a (proleptic) Gregorian date; years are astronomical (1 BC = 0). */
+const gregorianToJdn = (year, month, day) => {
+  const a = Math.floor((14 - month) / 12);
+  const y = year + 4800 - a;
+  const m = month + 12 * a - 3;
+  return day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+};
+
+/** Julian Day Number of a Julian calendar date; years are astronomical (1 BC = 0). */
+const julianToJdn = (year, month, day) => {
+  const a = Math.floor((14 - month) / 12);
+  const y = year + 4800 - a;
+  const m = month + 12 * a - 3;
+  return day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - 32083;
+};
+
+/** Gregorian { year, month, day } of a Julian Day Number. */
+export const jdnToGregorian = (jdn) => {
+  const a = jdn + 32044;
+  const b = Math.floor((4 * a + 3) / 146097);
+  const c = a - Math.floor((146097 * b) / 4);
+  const d = Math.floor((4 * c + 3) / 1461);
+  const e = c - Math.floor((1461 * d) / 4);
+  const m = Math.floor((5 * e + 2) / 153);
+  return {
+    day: e - Math.floor((153 * m + 2) / 5) + 1,
+    month: m + 3 - 12 * Math.floor(m / 10),
+    year: 100 * b + d - 4800 + Math.floor(m / 10),
+  };
+};
+
+// Hebrew calendar arithmetic (after Reingold & Dershowitz, "Calendrical Calculations")
+const HEBREW_EPOCH_JDN = 347998; // 1 Tishri AM 1 (7 Oct 3761 BC, Julian)
+const isHebrewLeapYear = (year) => (7 * year + 1) % 19 < 7;
+const hebrewElapsedDays = (year) => {
+  const monthsElapsed = Math.floor((235 * year - 234) / 19);
+  const partsElapsed = 12084 + 13753 * monthsElapsed;
+  const day = 29 * monthsElapsed + Math.floor(partsElapsed / 25920);
+  return (3 * (day + 1)) % 7 < 3 ? day + 1 : day;
+};
+const hebrewNewYear = (year) => {
+  const ny0 = hebrewElapsedDays(year - 1);
+  const ny1 = hebrewElapsedDays(year);
+  const ny2 = hebrewElapsedDays(year + 1);
+  const correction = ny2 - ny1 === 356 ? 2 : ny1 - ny0 === 382 ? 1 : 0;
+  return HEBREW_EPOCH_JDN + ny1 + correction;
+};
+/** Days in a Hebrew month, where month is the 1-based civil index into CALENDAR_MONTHS.HEBREW. */
+const hebrewMonthLength = (year, month) => {
+  const yearLength = hebrewNewYear(year + 1) - hebrewNewYear(year);
+  switch (CALENDAR_MONTHS.HEBREW[month - 1][0]) {
+    case 'CSH': return yearLength % 10 === 5 ? 30 : 29; // Long Heshvan in 355/385-day years
+    case 'KSL': return yearLength % 10 === 3 ? 29 : 30; // Short Kislev in 353/383-day years
+    case 'TVT': case 'IYR': case 'TMZ': case 'ELL': case 'ADS': return 29;
+    case 'ADR': return isHebrewLeapYear(year) ? 30 : 29;
+    default: return 30;
+  }
+};
+const hebrewToJdn = (year, month, day) => {
+  let jdn = hebrewNewYear(year);
+  for (let m = 1; m < month; m++) {
+    if (CALENDAR_MONTHS.HEBREW[m - 1][0] === 'ADS' && !isHebrewLeapYear(year)) continue;
+    jdn += hebrewMonthLength(year, m);
+  }
+  return jdn + day - 1;
+};
+
+// French Republican calendar: year I began 22 Sep 1792; years III, VII, XI (and every fourth after) had six complementary days
+const FRENCH_EPOCH_JDN = 2375840;
+const frenchToJdn = (year, month, day) => FRENCH_EPOCH_JDN + 365 * (year - 1) + Math.floor(year / 4) + 30 * (month - 1) + day - 1;
+const frenchMonthLength = (year, month) => (month < 13 ? 30 : year % 4 === 3 ? 6 : 5);
+
+/**
+ * First and last Julian Day Number covered by a calendar date with optional day and month.
+ */
+const calendarDateBounds = (calendar, year, month, day) => {
+  const monthCount = CALENDAR_MONTHS[calendar].length;
+  switch (calendar) {
+    case 'HEBREW': {
+      if (!month) return [hebrewNewYear(year), hebrewNewYear(year + 1) - 1];
+      if (day) return [hebrewToJdn(year, month, day), hebrewToJdn(year, month, day)];
+      return [hebrewToJdn(year, month, 1), hebrewToJdn(year, month, hebrewMonthLength(year, month))];
+    }
+    case 'FRENCH_R': {
+      if (!month) return [frenchToJdn(year, 1, 1), frenchToJdn(year + 1, 1, 1) - 1];
+      if (day) return [frenchToJdn(year, month, day), frenchToJdn(year, month, day)];
+      return [frenchToJdn(year, month, 1), frenchToJdn(year, month, frenchMonthLength(year, month))];
+    }
+    default: {
+      const toJdn = calendar === 'JULIAN' ? julianToJdn : gregorianToJdn;
+      const first = toJdn(year, month || 1, day || 1);
+      if (day) return [first, first];
+      const next = month && month < monthCount ? toJdn(year, month + 1, 1) : toJdn(year + 1, 1, 1);
+      return [first, next - 1];
+    }
+  }
+};
+
+/**
+ * Parses a single calendar date such as "@#DJULIAN@ 11 FEB 1750/51", "JULIAN 1700", "MAR 1800" or "44 B.C.".
+ * @returns {Object|null} { calendar, day, month, year, dualYear, bc, start, end } or null if not a valid date.
+ */
+const parseCalendarDate = (text) => {
+  let rest = text.trim();
+  let calendar = 'GREGORIAN';
+
+  const escape = rest.match(/^(@#D[A-Z ]+@|GREGORIAN|JULIAN|HEBREW|FRENCH_R)\s*/);
+  if (escape) {
+    calendar = CALENDAR_NAMES[escape[1]];
+    if (!calendar) return null; // @#DROMAN@, @#DUNKNOWN@ and other calendars we cannot place on a timeline
+    rest = rest.slice(escape[0].length);
+  }
+
+  let bc = false;
+  const era = rest.match(/\s*(B\.C\.|BC|BCE)$/);
+  if (era) {
+    bc = true;
+    rest = rest.slice(0, era.index);
+  }
+
+  const tokens = rest.split(/\s+/).filter(Boolean);
+  if (tokens.length === 0 || tokens.length > 3) return null;
+
+  const yearMatch = tokens.pop().match(/^(\d{1,4})(?:\/(\d{2}))?$/);
+  if (!yearMatch) return null;
+  const year = parseInt(yearMatch[1], 10);
+  const dualYear = yearMatch[2] || null;
+
+  let month = null;
+  if (tokens.length > 0) {
+    const monthToken = tokens.pop();
+    month = CALENDAR_MONTHS[calendar].findIndex(([token]) => token === monthToken) + 1;
+    if (!month) return null;
+  }
+  let day = null;
+  if (tokens.length > 0) {
+    day = parseInt(tokens.pop(), 10);
+    if (!(day >= 1 && day <= 31)) return null;
+  }
+
+  // A dual year ("1750/51") is the Old Style year; the date falls in the following New Style year
+  const computeYear = dualYear ? year + 1 : year;
+  const astronomicalYear = bc ? 1 - computeYear : computeYear;
+  if (year === 0) return null;
+  if (calendar === 'HEBREW' && month && CALENDAR_MONTHS.HEBREW[month - 1][0] === 'ADS' && !isHebrewLeapYear(year)) return null;
+
+  const [start, end] = calendarDateBounds(calendar, astronomicalYear, month, day);
+  if (day) {
+    // Reject impossible days such as 31 FEB by checking the day did not spill into the next month
+    const [monthStart, monthEnd] = calendarDateBounds(calendar, astronomicalYear, month, null);
+    if (start < monthStart || start > monthEnd) return null;
+  }
+
+  return { calendar, day, month, year, dualYear, bc, start, end };
+};
+
+/**
+ * Parses a GEDCOM date value: exact dates, ABT/CAL/EST approximations, BEF/AFT/BET...AND ranges,
+ * FROM...TO periods, INT interpreted dates and (phrases), in any supported calendar.
+ * `start`/`end` are inclusive Julian Day Numbers (null when open-ended) that can be sorted and overlap-tested.
+ * @param {string} text The raw DATE value.
+ * @returns {Object} { original, kind, valid, dates, start, end, phrase }
+ */
+export const parseGedcomDate = (text) => {
+  const original = (text || '').trim();
+  const value = original.toUpperCase().replace(/\s+/g, ' ');
+  const result = (kind, dates, start, end, phrase = '') => ({
+    original, kind, valid: dates.length > 0, dates, start, end, phrase,
+  });
+  const invalid = (kind = 'invalid', phrase = '') => result(kind, [], null, null, phrase);
+
+  if (!value) return invalid('empty');
+
+  const phraseMatch = original.match(/^\((.*)\)$/);
+  if (phraseMatch) return invalid('phrase', phraseMatch[1]);
+
+  const single = (kind, body, phrase) => {
+    const date = parseCalendarDate(body);
+    if (!date) return invalid();
+    const margin = Math.round((APPROXIMATE_MARGIN_YEARS[kind] || 0) * DAYS_PER_YEAR);
+    return result(kind, [date], date.start - margin, date.end + margin, phrase);
+  };
+
+  let match;
+  if ((match = value.match(/^INT (.*?)\s*(\(.*\))?$/))) {
+    const phrase = match[2] ? original.slice(original.indexOf('(') + 1, original.lastIndexOf(')')) : '';
+    return single('interpreted', match[1], phrase);
+  }
+  if ((match = value.match(/^(ABT|CAL|EST) (.*)$/))) {
+    return single({ ABT: 'about', CAL: 'calculated', EST: 'estimated' }[match[1]], match[2]);
+  }
+  if ((match = value.match(/^(BEF|AFT|TO) (.*)$/))) {
+    const date = parseCalendarDate(match[2]);
+    if (!date) return invalid();
+    const kind = { BEF: 'before', AFT: 'after', TO: 'to' }[match[1]];
+    return kind === 'after' ? result(kind, [date], date.start, null) : result(kind, [date], null, date.end);
+  }
+  if ((match = value.match(/^BET (.*) AND (.*)$/)) || (match = value.match(/^FROM (.*) TO (.*)$/))) {
+    const first = parseCalendarDate(match[1]);
+    const second = parseCalendarDate(match[2]);
+    if (!first || !second) return invalid();
+    return result(value.startsWith('BET') ? 'between' : 'fromTo', [first, second], Math.min(first.start, second.start), Math.max(first.end, second.end));
+  }
+  if ((match = value.match(/^FROM (.*)$/))) {
+    const date = parseCalendarDate(match[1]);
+    return date ? result('from', [date], date.start, null) : invalid();
+  }
+  return single('exact', value);
+};
+
+/**
+ * Inclusive [start, end] bounds of a parsed date. Open-ended dates (BEF, AFT, FROM, TO) are closed
+ * `openYears` years beyond their known end, or left infinite when openYears is not given.
+ */
+const dateBounds = (date, openYears = Infinity) => {
+  const span = openYears === Infinity ? Infinity : Math.round(openYears * DAYS_PER_YEAR);
+  const start = date.start ?? date.end - span;
+  const end = date.end ?? date.start + span;
+  return [start, end];
+};
+
+/** True when two parsed dates could refer to the same day. */
+const datesOverlap = (a, b, openYears) => {
+  if (!a.valid || !b.valid) return false;
+  const [startA, endA] = dateBounds(a, openYears);
+  const [startB, endB] = dateBounds(b, openYears);
+  return startA <= endB && startB <= endA;
+};
+
+/** Number of days between the closest possible days of two parsed dates (0 if they overlap). */
+const dateGapInDays = (a, b, openYears) => {
+  const [startA, endA] = dateBounds(a, openYears);
+  const [startB, endB] = dateBounds(b, openYears);
+  return Math.max(0, startA - endB, startB - endA);
+};
+
+/** True when two date values mean the same thing, regardless of spelling or letter case. */
+export const sameGedcomDate = (a, b) => {
+  const left = typeof a === 'string' ? parseGedcomDate(a) : a;
+  const right = typeof b === 'string' ? parseGedcomDate(b) : b;
+  if (!left.valid || !right.valid) return left.original.toUpperCase() === right.original.toUpperCase();
+  return left.kind === right.kind && left.start === right.start && left.end === right.end;
+};
+
+/** Numeric key for chronological sorting; undated values sort last. */
+const dateSortKey = (date) => (date.valid ? date.start ?? date.end : Infinity);
+
+/** Comparator for sorting parsed dates chronologically. */
+export const compareGedcomDates = (a, b) => dateSortKey(a) - dateSortKey(b) || (a.end ?? Infinity) - (b.end ?? Infinity);
+
+/** Formats a single calendar date for display, e.g. "11 Feb 1750/51 (Julian)". */
+export const formatCalendarDate = ({ calendar, day, month, year, dualYear, bc }) => {
+  const parts = [day, month && CALENDAR_MONTHS[calendar][month - 1][1], dualYear ? `${year}/${dualYear}` : year];
+  const label = { JULIAN: ' (Julian)', HEBREW: ' (Hebrew)', FRENCH_R: ' (French Republican)' }[calendar] || '';
+  return `${parts.filter(Boolean).join(' ')}${bc ? ' BC' : ''}${label}`;
+};
+
+/**
+ * Formats a GEDCOM date value for display ("about 1900", "between 1899 and 1901", ...).
+ * Unrecognized values are returned as written.
+ */
+export const formatGedcomDate = (value) => {
+  const date = typeof value === 'string' ? parseGedcomDate(value) : value;
+  if (date.kind === 'phrase') return date.phrase;
+  if (!date.valid) return date.original;
+
+  const [first, second] = date.dates.map(formatCalendarDate);
+  switch (date.kind) {
+    case 'about': return `about ${first}`;
+    case 'calculated': return `calculated ${first}`;
+    case 'estimated': return `estimated ${first}`;
+    case 'before': return `before ${first}`;
+    case 'after': return `after ${first}`;
+    case 'between': return `between ${first} and ${second}`;
+    case 'from': return `from ${first}`;
+    case 'to': return `to ${first}`;
+    case 'fromTo': return `from ${first} to ${second}`;
+    case 'interpreted': return date.phrase ? `${first} (${date.phrase})` : first;
+    default: return first;
+  }
+};
+
+
+
+// --- Validation ---
+
+/** Standard GEDCOM 5.5.1 and 7.0 tags. Tags starting with "_" are user-defined extensions. */
+const KNOWN_TAGS = new Set(`
+  ABBR ADDR ADOP ADR1 ADR2 ADR3 AFN AGE AGNC ALIA ANCE ANCI ANUL ASSO AUTH BAPL BAPM BARM BASM BIRT BLES BURI
+  CALN CAST CAUS CENS CHAN CHAR CHIL CHR CHRA CITY CONC CONF CONL CONT COPR CORP CREA CREM CROP CTRY DATA DATE
+  DEAT DESC DESI DEST DIV DIVF DSCR EDUC EMAIL EMIG ENDL ENGA EVEN EXID FACT FAM FAMC FAMF FAMS FAX FCOM FILE
+  FONE FORM GEDC GIVN GRAD HEAD HEIGHT HUSB IDNO IMMI INDI INIL LANG LATI LEFT LONG MAP MARB MARC MARL MARR MARS
+  MEDI MIME NAME NATI NATU NCHI NICK NMR NO NOTE NPFX NSFX OBJE OCCU ORDI ORDN PAGE PEDI PHON PHRASE PLAC POST
+  PROB PROP PUBL QUAY REFN RELA RELI REPO RESI RESN RETI RFN RIN ROLE ROMN SCHMA SDATE SEX SLGC SLGS SNOTE SOUR
+  SPFX SSN STAE STAT SUBM SUBN SURN TAG TEMP TEXT TIME TITL TOP TRAN TRLR TYPE UID VERS WIDTH WIFE WILL WWW
+`.trim().split(/\s+/));
+
+/** Record type each pointer-valued tag must point at. */
+const POINTER_TARGETS = {
+  FAMC: 'FAM', FAMS: 'FAM', HUSB: 'INDI', WIFE: 'INDI', CHIL: 'INDI', ASSO: 'INDI', ALIA: 'INDI',
+  SOUR: 'SOUR', REPO: 'REPO', NOTE: 'NOTE', SNOTE: 'NOTE', OBJE: 'OBJE', SUBM: 'SUBM', SUBN: 'SUBN',
+};
+
+/** Record types that must carry an xref. */
+const RECORDS_WITH_XREF = new Set(['INDI', 'FAM', 'SOUR', 'REPO', 'NOTE', 'SNOTE', 'OBJE', 'SUBM']);
+
+/** Severity levels in display order. */
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Validates a parsed file and returns its diagnostics, sorted by line: the problems the parser met
+ * while reading lines, plus structural checks on the tree (missing HEAD/TRLR, records without xrefs,
+ * dangling or mistyped pointers, one-sided family links, unknown tags and invalid dates).
+ * @param {Object} tree The result of parseGedcomTree.
+ * @param {Object} [header] The result of readHeader, used to apply version-specific rules.
+ * @returns {Array<Object>} Issues { line, severity: 'error' | 'warning' | 'info', code, message }.
+ */
+export const validateGedcom = (tree, header = {}) => {
+  const isVersion7 = (header.version || '').startsWith('7');
+  // GEDCOM 7 removed the line length limit
+  const issues = tree.issues.filter(issue => !(isVersion7 && issue.code === 'LINE_TOO_LONG'));
+  const report = (line, severity, code, message) => issues.push({ line, severity, code, message });
+
+  // 1. Overall file structure
+  if (tree.records[0]?.tag !== 'HEAD') {
+    report(tree.records[0]?.line || 1, 'error', 'MISSING_HEAD', 'The file does not start with a HEAD record.');
+  }
+  if (!tree.records.some(record => record.tag === 'TRLR')) {
+    const last = tree.records[tree.records.length - 1];
+    report(last?.line || 1, 'warning', 'MISSING_TRLR', 'The file has no TRLR record; it may have been truncated.');
+  }
+
+  // 2. Every node: known tag, valid pointer, valid date
+  const visit = (node, parent) => {
+    if (!KNOWN_TAGS.has(node.tag) && !node.tag.startsWith('_')) {
+      report(node.line, 'warning', 'UNKNOWN_TAG', `Unknown tag ${node.tag}${parent ? ` under ${parent.tag}` : ''}.`);
+    }
+    if (node.pointer && node.pointer !== 'VOID') {
+      const target = tree.index.get(node.pointer);
+      const expected = POINTER_TARGETS[node.tag];
+      if (!target) {
+        report(node.line, 'error', 'DANGLING_POINTER', `${node.tag} points to @${node.pointer}@, which does not exist.`);
+      } else if (expected && target.tag !== expected && !(expected === 'NOTE' && target.tag === 'SNOTE')) {
+        report(node.line, 'error', 'WRONG_POINTER_TYPE', `${node.tag} points to @${node.pointer}@, which is a ${target.tag} record rather than ${expected}.`);
+      }
+    }
+    if (node.tag === 'DATE' && parent?.tag !== 'HEAD' && parent?.tag !== 'CHAN' && node.value.trim()) {
+      const date = parseGedcomDate(node.value);
+      if (!date.valid && date.kind !== 'phrase') {
+        report(node.line, 'warning', 'INVALID_DATE', `"${node.value.trim()}" is not a valid GEDCOM date.`);
+      }
+    }
+    node.children.forEach(child => visit(child, node));
+  };
+  tree.records.forEach(record => {
+    if (RECORDS_WITH_XREF.has(record.tag) && !record.xref) {
+      report(record.line, 'error', 'MISSING_XREF', `${record.tag} record has no @xref@ and cannot be referenced.`);
+    }
+    visit(record, null);
+  });
+
+  // 3. Family links should be recorded on both sides
+  const pointsBack = (from, tags, to) => from && from.children.some(child => tags.includes(child.tag) && child.pointer === to);
+  tree.records.forEach(record => {
+    if (record.tag === 'INDI') {
+      record.children.forEach(child => {
+        const family = child.pointer && tree.index.get(child.pointer);
+        if (family?.tag !== 'FAM') return;
+        const tags = child.tag === 'FAMC' ? ['CHIL'] : child.tag === 'FAMS' ? ['HUSB', 'WIFE'] : null;
+        if (tags && !pointsBack(family, tags, record.xref)) {
+          report(child.line, 'warning', 'ONE_WAY_LINK', `@${record.xref}@ lists ${child.tag} @${family.xref}@, but the family does not list them as ${tags.join('/')}.`);
+        }
+      });
+    } else if (record.tag === 'FAM') {
+      record.children.forEach(child => {
+        const person = child.pointer && tree.index.get(child.pointer);
+        if (person?.tag !== 'INDI') return;
+        const tags = child.tag === 'CHIL' ? ['FAMC'] : child.tag === 'HUSB' || child.tag === 'WIFE' ? ['FAMS'] : null;
+        if (tags && !pointsBack(person, tags, record.xref)) {
+          report(child.line, 'warning', 'ONE_WAY_LINK', `@${record.xref}@ lists ${child.tag} @${person.xref}@, but the person does not list the family as ${tags[0]}.`);
+        }
+      });
+    }
+  });
+
+  return issues.sort((a, b) => (a.line || 0) - (b.line || 0));
+};
+
+
+// --- Places ---
+
+/** Abbreviated words spelled out before places are compared ("St. Louis" is "Saint Louis"). */
+export const PLACE_ABBREVIATIONS = {
+  ST: 'SAINT', STE: 'SAINTE', MT: 'MOUNT', FT: 'FORT', PT: 'PORT',
+  CO: 'COUNTY', CNTY: 'COUNTY', TWP: 'TOWNSHIP', PAR: 'PARISH', DIST: 'DISTRICT', PROV: 'PROVINCE',
+};
+
+/** Words naming the kind of jurisdiction; "Cook County" and "Cook" are the same county. */
+const PLACE_TYPE_WORDS = new Set(['COUNTY', 'PARISH', 'TOWNSHIP', 'DISTRICT', 'PROVINCE']);
+
+/**
+ * Alternative names of a single jurisdiction, mapped to the name places are compared by.
+ * The comparison screen lets users edit their own copy of this table.
+ */
+export const DEFAULT_PLACE_ALIASES = {
+  'USA': 'United States',
+  'United States of America': 'United States',
+  'UK': 'United Kingdom',
+  'Great Britain': 'United Kingdom',
+  'Eng': 'England',
+  'Middx': 'Middlesex',
+  'Yorks': 'Yorkshire',
+  'Lancs': 'Lancashire',
+};
+
+/**
+ * Comparison name of one jurisdiction: letters only, abbreviations expanded and jurisdiction-type words
+ * dropped, without spaces so "U.S.A." and "USA" agree.
+ */
+const placeName = (text) => {
+  const words = normalizeText(text).split(' ').filter(Boolean).map(word => PLACE_ABBREVIATIONS[word] || word);
+  const significant = words.filter(word => !PLACE_TYPE_WORDS.has(word));
+  return (significant.length > 0 ? significant : words).join('');
+};
+
+// Alias tables keyed by comparison name, built once per table object
+const aliasTables = new WeakMap();
+const aliasTable = (aliases) => {
+  if (!aliasTables.has(aliases)) {
+    aliasTables.set(aliases, new Map(Object.entries(aliases).map(([alias, place]) => [placeName(alias), placeName(place)])));
+  }
+  return aliasTables.get(aliases);
+};
+
+/** Jurisdiction levels of a PLAC.FORM value ("City, County, State, Country" -> ["city", "county", "state", "country"]). */
+export const parsePlaceForm = (form) => (form || '').split(',').map(level => level.trim().toLowerCase());
+
+/**
+ * Splits a PLAC value into jurisdictions, most specific first, each with its comparison name and, when
+ * the file declares a PLAC.FORM, its level. Places with fewer jurisdictions than the form are taken to
+ * omit the most specific ones ("Middlesex, England" under "City, County, Country" is a county).
+ * @param {string} text The PLAC value.
+ * @param {Object} [options] { form: the HEAD PLAC.FORM value, aliases: table like DEFAULT_PLACE_ALIASES }
+ * @returns {Array<Object>} Jurisdictions { name, text, level: string|null }; empty jurisdictions are skipped.
+ */
+export const parsePlace = (text, { form = '', aliases = DEFAULT_PLACE_ALIASES } = {}) => {
+  const table = aliasTable(aliases);
+  const columns = (text || '').split(',');
+  const levels = form ? parsePlaceForm(form) : [];
+  const offset = columns.length <= levels.length ? levels.length - columns.length : null;
+
+  return columns.map((column, i) => {
+    const name = placeName(column);
+    return { name: table.get(name) || name, text: column.trim(), level: offset === null ? null : levels[offset + i] || null };
+  }).filter(part => part.name);
+};
+
+/**
+ * Similarity of two parsed places: 1 when every jurisdiction agrees, 0.85 when one is contained in the
+ * other (its jurisdictions appear, in order, in the more specific place), 0.7 when only the most specific
+ * jurisdiction agrees, otherwise 0. Jurisdictions with known, different levels never agree.
+ */
+const comparePlaceHierarchies = (left, right) => {
+  if (left.length === 0 || right.length === 0) return null;
+  const agree = (x, y) => x.name === y.name && (!x.level || !y.level || x.level === y.level);
+  if (left.length === right.length && left.every((part, i) => agree(part, right[i]))) return 1;
+
+  const [shorter, longer] = left.length <= right.length ? [left, right] : [right, left];
+  let next = 0;
+  for (const part of longer) {
+    if (next < shorter.length && agree(shorter[next], part)) next++;
+  }
+  if (next === shorter.length) return 0.85;
+  if (agree(left[0], right[0])) return 0.7;
+  return 0;
+};
+
+/**
+ * Builds the place comparison used while comparing two files, with each file's PLAC.FORM and a shared alias table.
+ * Parsed places are cached, since the same few places recur across thousands of people.
+ * @param {Object} [options] { aliases (default DEFAULT_PLACE_ALIASES), formA, formB }
+ * @returns {Function} (placeA, placeB) => similarity between 0 and 1, or null when either place is empty.
+ */
+export const createPlaceMatcher = ({ aliases = DEFAULT_PLACE_ALIASES, formA = '', formB = '' } = {}) => {
+  const caches = [new Map(), new Map()];
+  const parse = (text, side) => {
+    const cache = caches[side];
+    if (!cache.has(text)) cache.set(text, parsePlace(text, { form: side === 0 ? formA : formB, aliases }));
+    return cache.get(text);
+  };
+  return (placeA, placeB) => comparePlaceHierarchies(parse(placeA || '', 0), parse(placeB || '', 1));
+};
+
+/** Canonical form of a place for exact comparison keys ("St. Louis, Mo." -> "SAINTLOUIS,MO"). */
+export const placeKey = (text) => parsePlace(text).map(part => part.name).join(',');
+
+
+// --- Person Matching ---
+
+/** Default minimum score for two people to be paired as a MATCH. */
+export const DEFAULT_MATCH_THRESHOLD = 0.85;
+
+/** Candidate pairs scoring at least this much are reported even when they fall below the threshold. */
+export const CANDIDATE_FLOOR = 0.6;
+
+/** Relative weight of each component in the overall match score. */
+const MATCH_WEIGHTS = {
+    surname: 0.3,
+    given: 0.25,
+    birthDate: 0.2,
+    birthPlace: 0.1,
+    deathDate: 0.1,
+    sex: 0.05,
+};
+
+/**
+ * Uppercases a name or place, strips diacritics and drops everything except letters and spaces.
+ */
+export const normalizeText = (text) => (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * American Soundex code of a single word (e.g. "Smith" and "Smyth" -> "S530").
+ */
+export const soundex = (word) => {
+    const letters = normalizeText(word).replace(/\s/g, '');
+    if (!letters) return '';
+
+    const codes = { B: 1, F: 1, P: 1, V: 1, C: 2, G: 2, J: 2, K: 2, Q: 2, S: 2, X: 2, Z: 2, D: 3, T: 3, L: 4, M: 5, N: 5, R: 6 };
+    let result = letters[0];
+    let previous = codes[letters[0]] || 0;
+
+    for (let i = 1; i < letters.length && result.length < 4; i++) {
+        const letter = letters[i];
+        const code = codes[letter] || 0;
+        if (code && code !== previous) result += code;
+        // H and W do not separate letters with the same code; vowels do
+        if (letter !== 'H' && letter !== 'W') previous = code;
+    }
+
+    return result.padEnd(4, '0');
+};
+
+/**
+ * Jaro-Winkler similarity between two strings, from 0 (nothing in common) to 1 (identical).
+ */
+export const jaroWinkler = (a, b) => {
+    if (a === b) return a ? 1 : 0;
+    if (!a || !b) return 0;
+
+    const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const matchedA = new Array(a.length).fill(false);
+    const matchedB = new Array(b.length).fill(false);
+    let matches = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        const start = Math.max(0, i - window);
+        const end = Math.min(i + window + 1, b.length);
+        for (let j = start; j < end; j++) {
+            if (matchedB[j] || a[i] !== b[j]) continue;
+            matchedA[i] = true;
+            matchedB[j] = true;
+            matches++;
+            break;
+        }
+    }
+    if (matches === 0) return 0;
+
+    let transpositions = 0;
+    for (let i = 0, j = 0; i < a.length; i++) {
+        if (!matchedA[i]) continue;
+        while (!matchedB[j]) j++;
+        if (a[i] !== b[j]) transpositions++;
+        j++;
+    }
+
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+    let prefix = 0;
+    while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix++;
+    return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+/**
+ * Similarity of two name parts: exact, phonetic (Soundex) or close spelling.
+ */
+const compareNamePart = (a, b) => {
+    const left = normalizeText(a);
+    const right = normalizeText(b);
+    if (!left || !right) return null;
+    if (left === right) return 1;
+
+    const phonetic = soundex(left) === soundex(right) ? 0.9 : 0;
+    const spelling = jaroWinkler(left, right);
+    return Math.max(phonetic, spelling >= 0.85 ? spelling * 0.95 : 0);
+};
+
+/**
+ * Similarity of given names, comparing the first given name and rewarding further shared names.
+ */
+const compareGivenNames = (a, b) => {
+    const left = normalizeText(a).split(' ').filter(Boolean);
+    const right = normalizeText(b).split(' ').filter(Boolean);
+    if (left.length === 0 || right.length === 0) return null;
+
+    const first = compareNamePart(left[0], right[0]);
+    if (first === 1 && left.length > 1 && right.length > 1) {
+        // A differing middle name lowers the score slightly rather than breaking the match
+        return compareNamePart(left[1], right[1]) >= 0.9 ? 1 : 0.95;
+    }
+    return first;
+};
+
+/** Years assumed beyond the known end of an open range (BEF, AFT, ...) when scoring date similarity. */
+const OPEN_RANGE_YEARS = 10;
+
+/**
+ * Similarity of two dates: 1 for the same date, high for overlapping ranges, falling off with the gap in years.
+ */
+const compareDates = (a, b) => {
+    const left = parseGedcomDate(a);
+    const right = parseGedcomDate(b);
+    if (!left.valid || !right.valid) return null;
+    if (sameGedcomDate(left, right)) return 1;
+
+    const gapYears = dateGapInDays(left, right, OPEN_RANGE_YEARS) / DAYS_PER_YEAR;
+    if (gapYears === 0) return 0.9;
+    return Math.max(0, 0.8 - gapYears * 0.2);
+};
+
+/** Place comparison used when no file-specific place forms or aliases are given. */
+const defaultPlaceMatcher = createPlaceMatcher();
+
+/** Returns a value only if it is a real date or place rather than the 'Unknown' placeholder. */
+const known = (value) => (value && value !== 'Unknown' ? value : '');
+
+/**
+ * Scores how likely two person records describe the same individual.
+ * Components missing on either side are left out of the weighted average rather than counted as differences.
+ * @param {Object} [options] { places: createPlaceMatcher result for the two files }
+ * @returns {Object} { score: number between 0 and 1, components: Object<component, number> }
+ */
+export const scorePersonPair = (personA, personB, { places = defaultPlaceMatcher } = {}) => {
+    const nameA = personA.names?.[0] || { given: personA.name, surname: '' };
+    const nameB = personB.names?.[0] || { given: personB.name, surname: '' };
+
+    const components = {
+        surname: compareNamePart(nameA.surname, nameB.surname),
+        given: compareGivenNames(nameA.given, nameB.given),
+        birthDate: compareDates(known(personA.details.Birth?.date), known(personB.details.Birth?.date)),
+        birthPlace: places(known(personA.details.Birth?.place), known(personB.details.Birth?.place)),
+        deathDate: compareDates(known(personA.details.Death?.date), known(personB.details.Death?.date)),
+        sex: personA.details.Sex && personB.details.Sex
+            ? (personA.details.Sex.toUpperCase() === personB.details.Sex.toUpperCase() ? 1 : 0)
+            : null,
+    };
+
+    let total = 0;
+    let weight = 0;
+    Object.entries(components).forEach(([component, value]) => {
+        if (value === null) return;
+        total += MATCH_WEIGHTS[component] * value;
+        weight += MATCH_WEIGHTS[component];
+    });
+
+    let score = weight > 0 ? total / weight : 0;
+    // Without any name agreement the remaining components cannot identify a person
+    if (!components.surname && !components.given) score = 0;
+    // A recorded sex mismatch is strong evidence of two different people
+    if (components.sex === 0) score *= 0.5;
+
+    return { score: Math.round(score * 1000) / 1000, components };
+};
+
+/** Years added on each side of a birth date when choosing its decade blocks, so 1849 and 1850 still meet. */
+const BLOCK_YEAR_MARGIN = 2;
+
+/** Decades a person's birth may fall in, or null when the birth date is missing or too vague to narrow a block. */
+const birthDecades = (person) => {
+    const birth = parseGedcomDate(known(person.details.Birth?.date));
+    if (birth.start === null || birth.end === null) return null;
+    const from = Math.floor((jdnToGregorian(birth.start).year - BLOCK_YEAR_MARGIN) / 10);
+    const to = Math.floor((jdnToGregorian(birth.end).year + BLOCK_YEAR_MARGIN) / 10);
+    if (to - from > 2) return null;
+    return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+};
+
+/**
+ * Blocking keys used to limit which pairs get scored. Name keys pair the phonetic surname with the given
+ * name's initial ("Wm" and William, "J." and John) or with the given name's Soundex digits (Catherine
+ * and Katherine); people with a known birth are filed under those keys per birth decade, so a file full
+ * of one surname is not scored pair by pair. A person is listed under their `index` keys and compared
+ * with everyone listed under their `probe` keys: people without a usable birth date probe the whole name
+ * group, and everyone else also probes the undated people of their name.
+ * @returns {Object} { index: Array<string>, probe: Array<string> }, both empty for people without any name.
+ */
+const matchBlockKeys = (person) => {
+    const name = person.names?.[0] || { given: person.name, surname: '' };
+    const surname = soundex(name.surname);
+    const [first = ''] = normalizeText(name.given).split(' ');
+    if (!surname && !first) return { index: [], probe: [] };
+
+    const names = [`${surname}:${first.charAt(0)}`];
+    if (first) names.push(`${surname}~${soundex(first).slice(1)}`);
+    const undated = names.map(key => `${key}@?`);
+    const decades = birthDecades(person);
+    if (!decades) return { index: [...names, ...undated], probe: names };
+
+    const dated = names.flatMap(key => decades.map(decade => `${key}@${decade}`));
+    return { index: [...names, ...dated], probe: [...dated, ...undated] };
+};
+
+/** Groups people under each of their index blocking keys. */
+const buildMatchBlocks = (people) => {
+    const blocks = new Map();
+    people.forEach(person => matchBlockKeys(person).index.forEach(key => {
+        if (!blocks.has(key)) blocks.set(key, []);
+        blocks.get(key).push(person);
+    }));
+    return blocks;
+};
+
+/** The people in `blocks` who share a block with `person`, each listed once. */
+const blockedPartners = (blocks, person) => {
+    const partners = new Set();
+    matchBlockKeys(person).probe.forEach(key => (blocks.get(key) || []).forEach(p => partners.add(p)));
+    return partners;
+};
+
+/**
+ * Scores every plausible pair between the two files.
+ * @param {Object} [options] { places: createPlaceMatcher result, onProgress(fraction): called periodically while people in A are scored }
+ * @returns {Array<Object>} Candidate pairs { idA, idB, score, components }, best first; among equal scores,
+ *   pairs that share an xref come first.
+ */
+export const findMatchCandidates = (peopleA, peopleB, { places, onProgress } = {}) => {
+    const blocksB = buildMatchBlocks(peopleB);
+
+    // Identical comparison keys skip scoring
+    const keysB = new Map();
+    peopleB.forEach(p => {
+        const key = createComparisonKey(p);
+        if (!keysB.has(key)) keysB.set(key, []);
+        keysB.get(key).push(p);
+    });
+
+    const candidates = [];
+    peopleA.forEach((personA, i) => {
+        if (onProgress && i % PROGRESS_INTERVAL === 0) onProgress(i / peopleA.length);
+        // Exact keys are certain matches, including ones outside the block (e.g. an empty surname)
+        const exact = new Set((keysB.get(createComparisonKey(personA)) || []).map(p => p.id));
+        exact.forEach(idB => candidates.push({ idA: personA.id, idB, score: 1, components: {} }));
+
+        blockedPartners(blocksB, personA).forEach(personB => {
+            if (exact.has(personB.id)) return;
+            const { score, components } = scorePersonPair(personA, personB, { places });
+            if (score >= CANDIDATE_FLOOR) candidates.push({ idA: personA.id, idB: personB.id, score, components });
+        });
+    });
+
+    return candidates.sort((x, y) => y.score - x.score || (y.idA === y.idB) - (x.idA === x.idB));
+};
+
+
+// --- Duplicate Detection ---
+
+/** Minimum confidence for two people in the same file to be reported as probable duplicates. */
+export const DUPLICATE_THRESHOLD = DEFAULT_MATCH_THRESHOLD;
+
+/** Confidence added when two records share parents or a spouse (and their birth dates do not conflict). */
+const SHARED_FAMILY_BONUS = 0.1;
+
+/** Order-independent key of a pair of xrefs, as kept in the list of pairs marked "not a duplicate". */
+export const duplicatePairKey = (idA, idB) => (idA < idB ? `${idA}|${idB}` : `${idB}|${idA}`);
+
+/** Why two records look like the same person, from their score components and shared relatives. */
+const duplicateReasons = (components, shared) => {
+    const reasons = [];
+    if (components.surname === 1 && components.given === 1) reasons.push('same name');
+    else if (components.surname !== 0 && components.given > 0) reasons.push('similar name');
+    if (components.birthDate === 1) reasons.push('same birth date');
+    else if (components.birthDate >= 0.9) reasons.push('overlapping birth dates');
+    if (components.birthPlace >= 0.85) reasons.push('same birth place');
+    if (components.deathDate === 1) reasons.push('same death date');
+    if (shared.parents) reasons.push('same parents');
+    if (shared.spouse) reasons.push('same spouse');
+    return reasons;
+};
+
+/**
+ * Finds pairs of people within one file that are probably the same person entered twice.
+ * Pairs are scored like cross-file matches (scorePersonPair), then gain confidence when they share
+ * parents or a spouse. People who are each other's parent, child or spouse are never paired, since
+ * that is how a Senior and Junior of the same name are linked.
+ *
+ * @param {Object} gedcom The result of parseGedcomFile (individuals, families and the header's place form are used).
+ * @param {Object} [options] { threshold (default DUPLICATE_THRESHOLD), graph: buildFamilyGraph result,
+ *   placeAliases: table like DEFAULT_PLACE_ALIASES, onProgress(fraction) }
+ * @returns {Array<Object>} { idA, idB, confidence, reasons: Array<string> }, most confident first.
+ */
+export const findDuplicatePairs = (gedcom, {
+    threshold = DUPLICATE_THRESHOLD, graph = buildFamilyGraph(gedcom), placeAliases, onProgress,
+} = {}) => {
+    const people = gedcom.individuals;
+    const placeForm = gedcom.header?.placeForm;
+    const places = createPlaceMatcher({ aliases: placeAliases, formA: placeForm, formB: placeForm });
+    const ids = (list) => new Set(list.map(p => p.id));
+    // Relatives are looked up once per person rather than once per pair
+    const family = new Map(people.map(person => {
+        const { parents, children, spouses } = graph.relativesOf(person.id);
+        return [person.id, { parents: ids(parents), spouses: ids(spouses), close: ids([...parents, ...children, ...spouses]) }];
+    }));
+    const shareAny = (left, right) => [...left].some(id => right.has(id));
+
+    // People are only compared within a name block or when their comparison keys are identical
+    const blocks = buildMatchBlocks(people);
+    const sameKey = new Map();
+    people.forEach(person => {
+        const key = createComparisonKey(person);
+        if (!sameKey.has(key)) sameKey.set(key, []);
+        sameKey.get(key).push(person);
+    });
+    // Each pair is found from both sides and scored from the one that comes first in the file
+    const position = new Map(people.map((person, i) => [person, i]));
+
+    const pairs = [];
+    let pairCount = 0;
+    people.forEach((personA, i) => {
+        const partners = blockedPartners(blocks, personA);
+        sameKey.get(createComparisonKey(personA)).forEach(p => partners.add(p));
+        const familyA = family.get(personA.id);
+
+        let j = 0;
+        partners.forEach(personB => {
+            // Reported per pair so one large block still moves the indicator
+            if (onProgress && pairCount++ % PROGRESS_INTERVAL === 0) onProgress((i + j / partners.size) / people.length);
+            j++;
+            if (position.get(personB) <= i || familyA.close.has(personB.id)) return;
+
+            const familyB = family.get(personB.id);
+            const { score, components } = scorePersonPair(personA, personB, { places });
+            const shared = {
+                parents: shareAny(familyA.parents, familyB.parents),
+                spouse: shareAny(familyA.spouses, familyB.spouses),
+            };
+            // Siblings share parents, so shared family only counts when the birth dates could be the same
+            const datesAgree = components.birthDate === null || components.birthDate >= 0.9;
+            const bonus = datesAgree ? SHARED_FAMILY_BONUS * (Number(shared.parents) + Number(shared.spouse)) : 0;
+            const confidence = Math.round(Math.min(1, score + bonus) * 1000) / 1000;
+            if (confidence >= threshold) {
+                pairs.push({ idA: personA.id, idB: personB.id, confidence, reasons: duplicateReasons(components, shared) });
+            }
+        });
+    });
+
+    return pairs.sort((x, y) => y.confidence - x.confidence);
+};
+
+/**
+ * Groups duplicate pairs into clusters of records that all describe one person (A~B and B~C make {A, B, C}).
+ * @param {Array<Object>} pairs The result of findDuplicatePairs.
+ * @param {Set<string>} [dismissed] duplicatePairKey values of pairs marked "not a duplicate".
+ * @returns {Array<Object>} { ids: Array<string>, confidence: best pair confidence, pairs }, most confident first.
+ */
+export const clusterDuplicates = (pairs, dismissed = new Set()) => {
+    // Union-find over the remaining pairs
+    const parent = new Map();
+    const find = (id) => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+    const active = pairs.filter(pair => !dismissed.has(duplicatePairKey(pair.idA, pair.idB)));
+    active.forEach(({ idA, idB }) => {
+        [idA, idB].forEach(id => { if (!parent.has(id)) parent.set(id, id); });
+        parent.set(find(idA), find(idB));
+    });
+
+    const clusters = new Map();
+    active.forEach(pair => {
+        const root = find(pair.idA);
+        if (!clusters.has(root)) clusters.set(root, { ids: new Set(), confidence: 0, pairs: [] });
+        const cluster = clusters.get(root);
+        cluster.ids.add(pair.idA);
+        cluster.ids.add(pair.idB);
+        cluster.confidence = Math.max(cluster.confidence, pair.confidence);
+        cluster.pairs.push(pair);
+    });
+
+    return [...clusters.values()]
+        .map(cluster => ({ ...cluster, ids: [...cluster.ids] }))
+        .sort((x, y) => y.confidence - x.confidence);
+};
+
+
+// --- Consistency Checks ---
+
+/** Age and lifespan limits, in years, used by the consistency rules. */
+export const DEFAULT_CONSISTENCY_LIMITS = { minParentAge: 12, maxParentAge: 70, maxLifespan: 120 };
+
+/**
+ * Rules run by checkConsistency, by finding code. A date only breaks a rule when every day it could mean does,
+ * so ABT, BEF and BET dates are only flagged when even their most favourable reading is impossible.
+ */
+export const CONSISTENCY_RULES = {
+    BIRTH_AFTER_DEATH: { severity: 'error', label: 'Birth after death' },
+    CHILD_BEFORE_PARENT: { severity: 'error', label: 'Child born before a parent' },
+    BORN_AFTER_MOTHER_DEATH: { severity: 'error', label: "Child born after the mother's death" },
+    PARENT_TOO_YOUNG: { severity: 'warning', label: 'Parent younger than the minimum age' },
+    PARENT_TOO_OLD: { severity: 'warning', label: 'Parent older than the maximum age' },
+    LIFESPAN_TOO_LONG: { severity: 'warning', label: 'Lifespan over the maximum' },
+    MARRIAGE_BEFORE_BIRTH: { severity: 'error', label: 'Marriage before birth' },
+    CIRCULAR_ANCESTRY: { severity: 'error', label: 'Person is their own ancestor' },
+};
+
+/** The parsed date of the first event with `tag` that has a usable date, or null. */
+const eventDate = (events, tag) => {
+    for (const event of events) {
+        if (event.tag !== tag || !event.date) continue;
+        const date = parseGedcomDate(event.date);
+        if (date.valid) return date;
+    }
+    return null;
+};
+
+/** Fewest and most whole years that can lie between two parsed dates (from `earlier` to `later`). */
+const yearsBetween = (earlier, later) => {
+    const [earlierStart, earlierEnd] = dateBounds(earlier);
+    const [laterStart, laterEnd] = dateBounds(later);
+    return { least: (laterStart - earlierEnd) / DAYS_PER_YEAR, most: (laterEnd - earlierStart) / DAYS_PER_YEAR };
+};
+
+/**
+ * Finds the cycles in the parent links of a graph (someone recorded as their own ancestor).
+ * The walk is iterative, so very deep pedigrees do not overflow the stack.
+ * @returns {Array<Array<string>>} The ids on each cycle, from a descendant up to the ancestor that closes it.
+ */
+const findAncestryCycles = (people, graph) => {
+    const state = new Map(); // id -> 'open' while on the current path, 'done' once all its ancestors are walked
+    const cycles = [];
+    const seen = new Set();
+    people.forEach(({ id: rootId }) => {
+        if (state.has(rootId)) return;
+        const path = [];
+        const stack = [{ id: rootId, parents: graph.parentsOf(rootId), next: 0 }];
+        state.set(rootId, 'open');
+        path.push(rootId);
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            if (frame.next >= frame.parents.length) {
+                state.set(frame.id, 'done');
+                stack.pop();
+                path.pop();
+                continue;
+            }
+            const parentId = frame.parents[frame.next++].id;
+            if (state.get(parentId) === 'open') {
+                const cycle = path.slice(path.indexOf(parentId));
+                const key = [...cycle].sort().join('|');
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    cycles.push(cycle);
+                }
+            } else if (!state.has(parentId)) {
+                state.set(parentId, 'open');
+                path.push(parentId);
+                stack.push({ id: parentId, parents: graph.parentsOf(parentId), next: 0 });
+            }
+        }
+    });
+    return cycles;
+};
+
+/**
+ * Checks one parsed file for impossible or suspicious facts: birth after death, children born before a
+ * parent or after their mother's death, parents too young or too old at a birth, over-long lifespans,
+ * marriages before a partner's birth and circular ancestry.
+ *
+ * @param {Object} gedcom The result of parseGedcomFile (individuals and families are used).
+ * @param {Object} [options] { rules: CONSISTENCY_RULES codes to run (default all), limits: overrides of
+ *   DEFAULT_CONSISTENCY_LIMITS, graph: buildFamilyGraph result }
+ * @returns {Array<Object>} { personId, code, severity, message, relatedIds: other people involved },
+ *   errors first, then in file order.
+ */
+export const checkConsistency = (gedcom, {
+    rules = Object.keys(CONSISTENCY_RULES), limits = {}, graph = buildFamilyGraph(gedcom),
+} = {}) => {
+    const active = new Set(rules);
+    const { minParentAge, maxParentAge, maxLifespan } = { ...DEFAULT_CONSISTENCY_LIMITS, ...limits };
+    const findings = [];
+    const report = (code, personId, message, relatedIds = []) => {
+        if (active.has(code)) findings.push({ personId, code, severity: CONSISTENCY_RULES[code].severity, message, relatedIds });
+    };
+
+    const lifeDates = new Map(gedcom.individuals.map(person => [person.id, {
+        birth: eventDate(person.events, 'BIRT'),
+        death: eventDate(person.events, 'DEAT'),
+    }]));
+    const nameOf = (id) => `${graph.getPerson(id)?.name || 'Unknown Individual'} (${id})`;
+
+    gedcom.individuals.forEach(person => {
+        const { birth, death } = lifeDates.get(person.id);
+        if (birth && death) {
+            const lifespan = yearsBetween(birth, death);
+            if (lifespan.most < 0) {
+                report('BIRTH_AFTER_DEATH', person.id, `Born ${birth.original}, after dying ${death.original}.`);
+            } else if (lifespan.least > maxLifespan) {
+                report('LIFESPAN_TOO_LONG', person.id, `Lived at least ${Math.floor(lifespan.least)} years (${birth.original} to ${death.original}).`);
+            }
+        }
+        if (!birth) return;
+
+        graph.parentsOf(person.id).forEach(parent => {
+            const parentDates = lifeDates.get(parent.id);
+            if (parentDates.birth) {
+                const age = yearsBetween(parentDates.birth, birth);
+                if (age.most < 0) {
+                    report('CHILD_BEFORE_PARENT', person.id,
+                        `Born ${birth.original}, before their parent ${nameOf(parent.id)} (born ${parentDates.birth.original}).`, [parent.id]);
+                } else if (age.most < minParentAge) {
+                    report('PARENT_TOO_YOUNG', person.id,
+                        `${nameOf(parent.id)} was at most ${Math.floor(age.most)} years old at this birth.`, [parent.id]);
+                } else if (age.least > maxParentAge) {
+                    report('PARENT_TOO_OLD', person.id,
+                        `${nameOf(parent.id)} was at least ${Math.floor(age.least)} years old at this birth.`, [parent.id]);
+                }
+            }
+            if (parent.sex?.toUpperCase() === 'F' && parentDates.death && yearsBetween(parentDates.death, birth).least > 0) {
+                report('BORN_AFTER_MOTHER_DEATH', person.id,
+                    `Born ${birth.original}, after their mother ${nameOf(parent.id)} died ${parentDates.death.original}.`, [parent.id]);
+            }
+        });
+    });
+
+    gedcom.families.forEach(family => {
+        const marriage = eventDate(family.events, 'MARR');
+        if (!marriage) return;
+        graph.membersOf(family.id).partners.forEach(partner => {
+            const { birth } = lifeDates.get(partner.id);
+            if (birth && yearsBetween(birth, marriage).most < 0) {
+                const others = graph.membersOf(family.id).partners.filter(p => p.id !== partner.id).map(p => p.id);
+                report('MARRIAGE_BEFORE_BIRTH', partner.id,
+                    `Married ${marriage.original} (family ${family.id}), before being born ${birth.original}.`, others);
+            }
+        });
+    });
+
+    if (active.has('CIRCULAR_ANCESTRY')) {
+        findAncestryCycles(gedcom.individuals, graph).forEach(cycle => {
+            const message = cycle.length === 1
+                ? 'Is recorded as their own parent.'
+                : `Is recorded as their own ancestor through ${cycle.slice(1).map(nameOf).join(', ')}.`;
+            report('CIRCULAR_ANCESTRY', cycle[0], message, cycle.slice(1));
+        });
+    }
+
+    const order = new Map(gedcom.individuals.map((person, index) => [person.id, index]));
+    return findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity)
+        || (order.get(a.personId) ?? Infinity) - (order.get(b.personId) ?? Infinity));
+};
+
+
+// --- Person Search ---
+
+/**
+ * Fields of the search syntax. A bare word (or "quoted phrase") searches names and IDs; `field:value`
+ * narrows one field and a leading `-` negates a term. Text values accept `*` and `?` wildcards.
+ */
+export const QUERY_FIELDS = {
+  name: 'full name',
+  surname: 'surname',
+  given: 'given names',
+  id: 'record ID',
+  born: 'birth year: 1850, 1850..1870, <1900, >=1800 (christening when no birth is recorded)',
+  died: 'death year, as born (burial when no death is recorded)',
+  place: 'any event place',
+  sex: 'M, F or U',
+  status: 'comparison status: match, modified, matched or unique',
+  has: 'parents, spouses, children, sources, notes or media',
+  no: 'the opposite of has:',
+};
+
+const QUERY_ALIASES = { surn: 'surname', last: 'surname', givn: 'given', first: 'given', birth: 'born', death: 'died', plac: 'place', is: 'status' };
+
+/** Query status values and the comparison statuses (statusMap entries) they stand for. */
+const QUERY_STATUSES = {
+  match: ['MATCH'],
+  identical: ['MATCH'],
+  modified: ['MODIFIED'],
+  matched: ['MATCH', 'MODIFIED'],
+  unique: ['UNIQUE_A', 'UNIQUE_B'],
+};
+
+/** Facets of has:/no:, each telling whether a person has that kind of data. */
+const PERSON_FACETS = {
+  parents: (person, graph) => (graph ? graph.parentsOf(person.id).length > 0 : person.familiesAsChild.length > 0),
+  spouses: (person, graph) => (graph ? graph.spousesOf(person.id).length > 0 : person.familiesAsSpouse.length > 0),
+  children: (person, graph) => (graph ? graph.childrenOf(person.id).length > 0 : false),
+  sources: (person) => person.citations.length > 0 || person.events.some(event => event.citations.length > 0),
+  notes: (person) => person.notes.length > 0 || person.events.some(event => event.notes.length > 0),
+  media: (person) => person.media.length > 0,
+};
+
+const QUERY_TOKEN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+/** Lower-cases and strips diacritics so "Müller" is found by "muller". */
+const foldText = (text) => (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Builds a text matcher: plain values match anywhere in the text; values with wildcards must match
+ * the whole text or one of its words, so "Sm?th" finds "John Smith" and "Smyth" but not "Smithers".
+ */
+const textMatcher = (value) => {
+  const folded = foldText(value);
+  if (!/[*?]/.test(folded)) return (text) => foldText(text).includes(folded);
+  const source = folded.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  const pattern = new RegExp(`^${source}$`);
+  return (text) => {
+    const candidate = foldText(text);
+    return pattern.test(candidate) || candidate.split(/\s+/).some(word => pattern.test(word));
+  };
+};
+
+/** Parses a year range value ("1850", "1850..1870", "..1870", "<1900", ">=1800") into inclusive { from, to }. */
+const parseYearRange = (value) => {
+  const range = value.match(/^(\d{1,4})?\.\.(\d{1,4})?$/);
+  if (range && (range[1] || range[2])) {
+    return { from: range[1] ? Number(range[1]) : -Infinity, to: range[2] ? Number(range[2]) : Infinity };
+  }
+  const bound = value.match(/^([<>]=?)?(\d{1,4})$/);
+  if (!bound) return null;
+  const year = Number(bound[2]);
+  switch (bound[1]) {
+    case '<': return { from: -Infinity, to: year - 1 };
+    case '<=': return { from: -Infinity, to: year };
+    case '>': return { from: year + 1, to: Infinity };
+    case '>=': return { from: year, to: Infinity };
+    default: return { from: year, to: year };
+  }
+};
+
+/** Gregorian years spanned by the first dated event among `tags`, as { from, to }, or null. */
+const eventYears = (person, tags) => {
+  for (const tag of tags) {
+    const date = parseGedcomDate(person.events.find(event => event.tag === tag && event.date)?.date);
+    if (!date.valid) continue;
+    return {
+      from: date.start === null ? -Infinity : jdnToGregorian(date.start).year,
+      to: date.end === null ? Infinity : jdnToGregorian(date.end).year,
+    };
+  }
+  return null;
+};
+
+/** Reads one `field:value` token into a term, with `error` set when it cannot be used. */
+const readQueryTerm = (raw, negated, fieldName, value) => {
+  const field = fieldName ? QUERY_ALIASES[fieldName.toLowerCase()] || fieldName.toLowerCase() : 'text';
+  const term = { field, value, negated, raw };
+  if (field !== 'text' && !QUERY_FIELDS[field]) {
+    return { ...term, error: `Unknown search field "${fieldName}:"` };
+  }
+  if (!value) return { ...term, error: `No value given for "${fieldName}:"` };
+  if (field === 'born' || field === 'died') {
+    const range = parseYearRange(value);
+    return range ? { ...term, range } : { ...term, error: `"${value}" is not a year or year range` };
+  }
+  if (field === 'status') {
+    const statuses = QUERY_STATUSES[value.toLowerCase()];
+    return statuses ? { ...term, statuses } : { ...term, error: `Unknown status "${value}"` };
+  }
+  if (field === 'has' || field === 'no') {
+    const facet = value.toLowerCase();
+    return PERSON_FACETS[facet] ? { ...term, facet } : { ...term, error: `Cannot search for ${field}:${value}` };
+  }
+  if (field === 'sex') return { ...term, sex: value.charAt(0).toUpperCase() };
+  return { ...term, matches: textMatcher(value) };
+};
+
+/**
+ * Parses the person search syntax, e.g. `surname:Sm*th born:1850..1870 place:"New York" -has:sources`.
+ * Every term must hold for a person to be shown. Terms that cannot be read carry an `error` and are ignored.
+ * @param {string} text The search box contents.
+ * @returns {Object} { terms: [{ field, value, negated, raw, error? }], errors: Array<string> }
+ */
+export const parsePersonQuery = (text) => {
+  const terms = [];
+  for (const [raw, minus, fieldName, quoted, word] of (text || '').matchAll(QUERY_TOKEN)) {
+    const value = quoted ?? word;
+    // A lone "-" or an empty pair of quotes searches for nothing
+    if (!fieldName && !value) continue;
+    terms.push(readQueryTerm(raw, minus === '-', fieldName, value));
+  }
+  return { terms, errors: terms.filter(term => term.error).map(term => term.error) };
+};
+
+/**
+ * Writes terms back as search text; terms read from text keep their original spelling.
+ * Used to edit one field of a query (e.g. from a filter form) without disturbing the rest.
+ */
+export const formatPersonQuery = (terms) => terms.map(term => {
+  if (term.raw) return term.raw;
+  const value = /[\s"]/.test(term.value) ? `"${term.value.replace(/"/g, '')}"` : term.value;
+  return `${term.negated ? '-' : ''}${term.field === 'text' ? '' : `${term.field}:`}${value}`;
+}).join(' ');
+
+/**
+ * Builds a predicate over people from a parsed query (or search text).
+ * @param {Object|string} query The result of parsePersonQuery, or text to parse.
+ * @param {Object} [context] { graph: buildFamilyGraph result for relative facets, statusMap: comparison statuses }
+ * @returns {Function} (person) => boolean
+ */
+export const createPersonFilter = (query, { graph = null, statusMap = null } = {}) => {
+  const terms = (typeof query === 'string' ? parsePersonQuery(query) : query).terms.filter(term => !term.error);
+  if (terms.length === 0) return () => true;
+
+  const test = (term, person) => {
+    switch (term.field) {
+      case 'text': return term.matches(person.name) || term.matches(person.id);
+      case 'name': return person.names.some(name => term.matches(name.full)) || term.matches(person.name);
+      case 'surname': return person.names.some(name => term.matches(name.surname));
+      case 'given': return person.names.some(name => term.matches(name.given));
+      case 'id': return term.matches(person.id);
+      case 'place': return person.events.some(event => event.place && term.matches(event.place));
+      case 'sex': return (person.sex || 'U').toUpperCase().charAt(0) === term.sex;
+      case 'status': return term.statuses.includes(statusMap?.get(person.id)?.status);
+      case 'has': return PERSON_FACETS[term.facet](person, graph);
+      case 'no': return !PERSON_FACETS[term.facet](person, graph);
+      default: {
+        const years = eventYears(person, term.field === 'born' ? ['BIRT', 'CHR', 'BAPM'] : ['DEAT', 'BURI', 'CREM']);
+        return !!years && years.from <= term.range.to && years.to >= term.range.from;
+      }
+    }
+  };
+
+  return (person) => terms.every(term => test(term, person) !== term.negated);
+};
+
+
+// --- Field Differences ---
+
+/** Per-file xref lookups for sources, notes, repositories and media, built once per parsed file. */
+const recordLookups = new WeakMap();
+const getRecordLookups = (gedcom) => {
+    if (!recordLookups.has(gedcom)) {
+        recordLookups.set(gedcom, {
+            sources: new Map(gedcom.sources.map(s => [s.id, s])),
+            notes: new Map(gedcom.notes.map(n => [n.id, n])),
+            // Files saved before repositories and media were read have neither list
+            repositories: new Map((gedcom.repositories || []).map(r => [r.id, r])),
+            media: new Map((gedcom.media || []).map(m => [m.id, m])),
+        });
+    }
+    return recordLookups.get(gedcom);
+};
+
+/** Collapses whitespace so that re-wrapped values are not reported as changes. */
+const normalizeValue = (value) => (value || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * The source a citation refers to, in file-independent terms: the source's title instead of its xref,
+ * or the text of an inline source.
+ */
+const citedSource = (citation, gedcom) => {
+    const source = citation.sourceId && gedcom && getRecordLookups(gedcom).sources.get(citation.sourceId);
+    return normalizeValue(source ? (source.title || source.abbreviation || source.id) : (citation.text || citation.sourceId || ''));
+};
+
+/**
+ * Describes a citation in file-independent terms (source title instead of xref, plus page).
+ */
+const describeCitation = (citation, gedcom) => {
+    const title = citedSource(citation, gedcom);
+    return normalizeValue(citation.page ? `${title}, ${citation.page}` : title);
+};
+
+/** Meaning of the GEDCOM QUAY (certainty assessment) values. */
+export const CITATION_QUALITIES = {
+    0: 'unreliable evidence',
+    1: 'questionable reliability',
+    2: 'secondary evidence',
+    3: 'direct and primary evidence',
+};
+
+/** A citation's source and certainty, e.g. "Register, p. 4: 3 (direct and primary evidence)". */
+const describeQuality = (citation, gedcom) => {
+    const quality = normalizeValue(citation.quality);
+    const meaning = CITATION_QUALITIES[quality];
+    return `${describeCitation(citation, gedcom)}: ${quality ? (meaning ? `${quality} (${meaning})` : quality) : 'no quality given'}`;
+};
+
+/** The file a media link points at, following pointers to shared OBJE records. */
+const describeMedia = (link, gedcom) => {
+    if (!link.mediaId) return normalizeValue(link.file);
+    const record = gedcom && getRecordLookups(gedcom).media.get(link.mediaId);
+    return normalizeValue(record?.files[0] || `@${link.mediaId}@`);
+};
+
+/** File name of a media path, whichever separator the recording system used. */
+const mediaFileName = (path) => path.split(/[\\/]/).pop().toLowerCase();
+
+/**
+ * Resolves a note reference to its text, following pointers to shared NOTE records.
+ */
+const describeNote = (note, gedcom) => {
+    if (!note.noteId) return normalizeValue(note.text);
+    const record = gedcom && getRecordLookups(gedcom).notes.get(note.noteId);
+    return normalizeValue(record ? record.text : `@${note.noteId}@`);
+};
+
+/**
+ * Set difference of two value lists as added/removed entries for a field.
+ */
+const diffValueSets = (field, before, after) => {
+    const left = new Set(before.filter(Boolean));
+    const right = new Set(after.filter(Boolean));
+    return [
+        ...[...left].filter(v => !right.has(v)).map(v => ({ field, kind: 'removed', before: v, after: '' })),
+        ...[...right].filter(v => !left.has(v)).map(v => ({ field, kind: 'added', before: '', after: v })),
+    ];
+};
+
+/**
+ * Compares a single value and returns a changed/added/removed entry, or null when equal.
+ */
+const diffValue = (field, before, after) => {
+    const left = normalizeValue(before);
+    const right = normalizeValue(after);
+    if (left === right) return null;
+    const kind = !left ? 'added' : !right ? 'removed' : 'changed';
+    return { field, kind, before: left, after: right };
+};
+
+/**
+ * Citation differences for one field. Citations of the same source are paired, identical ones first;
+ * a paired citation whose page or quality changed is reported as changed, with `aspect` saying which.
+ * Unpaired citations are added or removed.
+ */
+const diffCitations = (field, citationsA, citationsB, gedcomA, gedcomB) => {
+    const bySource = (citations, gedcom) => citations.reduce((groups, citation) => {
+        const source = citedSource(citation, gedcom);
+        if (!source) return groups;
+        if (!groups.has(source)) groups.set(source, []);
+        groups.get(source).push(citation);
+        return groups;
+    }, new Map());
+    const groupsA = bySource(citationsA, gedcomA);
+    const groupsB = bySource(citationsB, gedcomB);
+    const samePage = (a, b) => normalizeValue(a.page) === normalizeValue(b.page);
+    const sameQuality = (a, b) => normalizeValue(a.quality) === normalizeValue(b.quality);
+    const diff = [];
+
+    new Set([...groupsA.keys(), ...groupsB.keys()]).forEach(source => {
+        const restB = [...(groupsB.get(source) || [])];
+        const restA = (groupsA.get(source) || []).filter(a => {
+            const index = restB.findIndex(b => samePage(a, b) && sameQuality(a, b));
+            if (index === -1) return true;
+            restB.splice(index, 1);
+            return false;
+        });
+        for (let i = 0; i < Math.max(restA.length, restB.length); i++) {
+            const a = restA[i];
+            const b = restB[i];
+            if (!b) {
+                diff.push({ field, kind: 'removed', before: describeCitation(a, gedcomA), after: '', category: 'source' });
+            } else if (!a) {
+                diff.push({ field, kind: 'added', before: '', after: describeCitation(b, gedcomB), category: 'source' });
+            } else {
+                if (!samePage(a, b)) {
+                    diff.push({
+                        field, kind: 'changed', before: describeCitation(a, gedcomA), after: describeCitation(b, gedcomB), category: 'source', aspect: 'page',
+                    });
+                }
+                if (!sameQuality(a, b)) {
+                    diff.push({
+                        field, kind: 'changed', before: describeQuality(a, gedcomA), after: describeQuality(b, gedcomB), category: 'source', aspect: 'quality',
+                    });
+                }
+            }
+        }
+    });
+    return diff;
+};
+
+/** Share of the words of the shorter text that also appear in the other, from 0 to 1. */
+const wordOverlap = (a, b) => {
+    const wordsA = new Set(a.toLowerCase().split(' '));
+    const wordsB = new Set(b.toLowerCase().split(' '));
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / Math.min(wordsA.size, wordsB.size);
+};
+
+/** Minimum wordOverlap for a removed and an added note to be reported as one edited note. */
+const NOTE_EDIT_OVERLAP = 0.5;
+
+/**
+ * Note differences for one field. Notes with the same text pair up; of the rest, a removed and an added
+ * note that share most of their words are reported as one changed note.
+ */
+const diffNotes = (field, before, after) => {
+    const removed = diffValueSets(field, before, after).filter(entry => entry.kind === 'removed');
+    const added = diffValueSets(field, before, after).filter(entry => entry.kind === 'added');
+    const diff = removed.map(entry => {
+        const index = added.findIndex(candidate => wordOverlap(entry.before, candidate.after) >= NOTE_EDIT_OVERLAP);
+        if (index === -1) return { ...entry, category: 'note' };
+        const [edited] = added.splice(index, 1);
+        return { field, kind: 'changed', before: entry.before, after: edited.after, category: 'note' };
+    });
+    return [...diff, ...added.map(entry => ({ ...entry, category: 'note' }))];
+};
+
+/**
+ * Media differences for one field. Links to a file of the same name are the same picture, so a changed
+ * folder is reported as a changed `path` rather than a removed and an added file.
+ */
+const diffMedia = (field, pathsA, pathsB) => {
+    const entries = diffValueSets(field, pathsA, pathsB).map(entry => ({ ...entry, category: 'media' }));
+    const added = entries.filter(entry => entry.kind === 'added');
+    return entries.filter(entry => entry.kind === 'removed').flatMap(entry => {
+        const index = added.findIndex(candidate => mediaFileName(candidate.after) === mediaFileName(entry.before));
+        if (index === -1) return [entry];
+        const [moved] = added.splice(index, 1);
+        return [{ ...entry, kind: 'changed', after: moved.after, aspect: 'path' }];
+    }).concat(added);
+};
+
+/** Words of `before` and `after` that LCS alignment is limited to, so very long notes stay cheap. */
+const WORD_DIFF_LIMIT = 1000;
+
+/**
+ * Word-level difference between two texts, for showing what changed in an edited note.
+ * @returns {Array<Object>} Segments { kind: 'same' | 'removed' | 'added', text } in reading order.
+ */
+export const diffWords = (before, after) => {
+    const wordsA = normalizeValue(before).split(' ').filter(Boolean);
+    const wordsB = normalizeValue(after).split(' ').filter(Boolean);
+    if (wordsA.length > WORD_DIFF_LIMIT || wordsB.length > WORD_DIFF_LIMIT) {
+        return [{ kind: 'removed', text: wordsA.join(' ') }, { kind: 'added', text: wordsB.join(' ') }];
+    }
+
+    // Longest common subsequence table, filled from the end so the walk below can go forwards
+    const lengths = Array.from({ length: wordsA.length + 1 }, () => new Uint16Array(wordsB.length + 1));
+    for (let i = wordsA.length - 1; i >= 0; i--) {
+        for (let j = wordsB.length - 1; j >= 0; j--) {
+            lengths[i][j] = wordsA[i] === wordsB[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const segments = [];
+    const push = (kind, word) => {
+        const last = segments[segments.length - 1];
+        if (last?.kind === kind) last.text += ` ${word}`;
+        else segments.push({ kind, text: word });
+    };
+    let i = 0;
+    let j = 0;
+    while (i < wordsA.length || j < wordsB.length) {
+        if (i < wordsA.length && j < wordsB.length && wordsA[i] === wordsB[j]) {
+            push('same', wordsA[i++]);
+            j++;
+        } else if (j < wordsB.length && (i === wordsA.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+            push('added', wordsB[j++]);
+        } else {
+            push('removed', wordsA[i++]);
+        }
+    }
+    return segments;
+};
+
+/** One-line summary of an event for added/removed entries. */
+const describeEvent = (event) => [event.value, event.date, event.place].filter(Boolean).join(', ') || 'Recorded';
+
+/**
+ * Produces the field-level differences between two records of the same person.
+ * Values from File 1 are reported as `before`, values from File 2 as `after`.
+ * @param {Object} personA Person from the first file.
+ * @param {Object} personB Person from the second file.
+ * @param {Object} [files] { gedcomA, gedcomB } used to resolve source titles, shared notes and media records, and
+ *   places: createPlaceMatcher result; places it considers identical (e.g. "St. Louis"/"Saint Louis") are not reported.
+ * @returns {Array<Object>} Entries { field, kind: 'added' | 'removed' | 'changed', before, after }. Differences in
+ *   the evidence also carry `category`: 'source' (citations), 'note' or 'media', and changed citations and media
+ *   links an `aspect`: 'page', 'quality' or 'path'.
+ */
+export const diffPersonFields = (personA, personB, { gedcomA, gedcomB, places = defaultPlaceMatcher } = {}) => {
+    const diff = [];
+    const push = (entry) => entry && diff.push(entry);
+
+    // 1. Names and sex
+    push(diffValue('Name', personA.name, personB.name));
+    diff.push(...diffValueSets(
+        'Also Known As',
+        (personA.names || []).slice(1).map(n => normalizeValue(n.full)),
+        (personB.names || []).slice(1).map(n => normalizeValue(n.full)),
+    ));
+    push(diffValue('Sex', personA.sex, personB.sex));
+
+    // 2. Events, aligned by type and order of appearance
+    const groupEvents = (events) => (events || []).reduce((groups, event) => {
+        const key = event.type ? `${event.label} (${event.type})` : event.label;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(event);
+        return groups;
+    }, new Map());
+    const eventsA = groupEvents(personA.events);
+    const eventsB = groupEvents(personB.events);
+
+    new Set([...eventsA.keys(), ...eventsB.keys()]).forEach(key => {
+        const listA = eventsA.get(key) || [];
+        const listB = eventsB.get(key) || [];
+        for (let i = 0; i < Math.max(listA.length, listB.length); i++) {
+            const label = i === 0 ? key : `${key} ${i + 1}`;
+            const a = listA[i];
+            const b = listB[i];
+            if (!b) {
+                diff.push({ field: label, kind: 'removed', before: describeEvent(a), after: '' });
+            } else if (!a) {
+                diff.push({ field: label, kind: 'added', before: '', after: describeEvent(b) });
+            } else {
+                push(diffValue(label, a.value, b.value));
+                if (!sameGedcomDate(a.date, b.date)) push(diffValue(`${label} date`, a.date, b.date));
+                if (places(a.place, b.place) !== 1) push(diffValue(`${label} place`, a.place, b.place));
+                diff.push(...diffCitations(`${label} source`, a.citations, b.citations, gedcomA, gedcomB));
+                diff.push(...diffNotes(
+                    `${label} note`,
+                    (a.notes || []).map(n => describeNote(n, gedcomA)),
+                    (b.notes || []).map(n => describeNote(n, gedcomB)),
+                ));
+            }
+        }
+    });
+
+    // 3. Person-level sources, notes and media
+    diff.push(...diffCitations('Source', personA.citations || [], personB.citations || [], gedcomA, gedcomB));
+    diff.push(...diffNotes(
+        'Note',
+        (personA.notes || []).map(n => describeNote(n, gedcomA)),
+        (personB.notes || []).map(n => describeNote(n, gedcomB)),
+    ));
+    diff.push(...diffMedia(
+        'Media',
+        (personA.media || []).map(m => describeMedia(m, gedcomA)),
+        (personB.media || []).map(m => describeMedia(m, gedcomB)),
+    ));
+
+    return diff;
+};
+
+
+/**
+ * Compares two arrays of people based on their human-meaningful details.
+ * People are first paired by identity (a shared _UID), then by score: pairs at or above the threshold are
+ * accepted best-first, so each person is matched to at most one partner in the other file. A shared xref
+ * only breaks ties, because unrelated exports usually number their people from @I1@ alike.
+ * Paired records whose fields differ are reported as MODIFIED.
+ *
+ * @param {Array<Object>} peopleA Data from the first file.
+ * @param {Array<Object>} peopleB Data from the second file.
+ * @param {Object} [options] { threshold: minimum score for a match (default DEFAULT_MATCH_THRESHOLD),
+ *   gedcomA, gedcomB: the parsed files, used for their place forms and to resolve sources and notes in the field diff,
+ *   placeAliases: table like DEFAULT_PLACE_ALIASES, onProgress(fraction): called periodically while candidate pairs are scored }
+ * @returns {Object} { statusMapA: Map<ID, { status, partnerId, score, diff }>, statusMapB, candidates, counts: Object }
+ */
+export const compareGedcomData = (peopleA, peopleB, {
+    threshold = DEFAULT_MATCH_THRESHOLD, gedcomA, gedcomB, placeAliases, onProgress,
+} = {}) => {
+    const places = createPlaceMatcher({ aliases: placeAliases, formA: gedcomA?.header?.placeForm, formB: gedcomB?.header?.placeForm });
+    const candidates = findMatchCandidates(peopleA, peopleB, { places, onProgress });
+    const byIdA = new Map(peopleA.map(p => [p.id, p]));
+    const byIdB = new Map(peopleB.map(p => [p.id, p]));
+
+    const statusMapA = new Map();
+    const statusMapB = new Map();
+
+    const counts = {
+        UNIQUE_A: 0, // No partner in File B
+        UNIQUE_B: 0, // No partner in File A
+        MATCH: 0,    // Paired with a partner whose fields are identical (both sides counted)
+        MODIFIED: 0, // Paired with a partner, but at least one field differs (both sides counted)
+    };
+
+    const pair = (idA, idB, score) => {
+        if (statusMapA.has(idA) || statusMapB.has(idB)) return;
+        const diff = diffPersonFields(byIdA.get(idA), byIdB.get(idB), { gedcomA, gedcomB, places });
+        const status = diff.length > 0 ? 'MODIFIED' : 'MATCH';
+        statusMapA.set(idA, { status, partnerId: idB, score, diff });
+        statusMapB.set(idB, { status, partnerId: idA, score, diff });
+        counts[status] += 2;
+    };
+
+    // 1. Identity: a shared _UID is definitive
+    const uidsB = new Map(peopleB.filter(p => p.uid).map(p => [p.uid.toUpperCase(), p]));
+    peopleA.forEach(personA => {
+        const personB = personA.uid && uidsB.get(personA.uid.toUpperCase());
+        if (personB) pair(personA.id, personB.id, 1);
+    });
+
+    // 2. Accept the best-scoring remaining pairs, one partner per person
+    candidates.forEach(({ idA, idB, score }) => {
+        if (score >= threshold) pair(idA, idB, score);
+    });
+
+    // 3. Everyone left over is unique to their file
+    peopleA.forEach(p => {
+        if (statusMapA.has(p.id)) return;
+        statusMapA.set(p.id, { status: 'UNIQUE_A', partnerId: null, score: 0, diff: [] });
+        counts.UNIQUE_A++;
+    });
+    peopleB.forEach(p => {
+        if (statusMapB.has(p.id)) return;
+        statusMapB.set(p.id, { status: 'UNIQUE_B', partnerId: null, score: 0, diff: [] });
+        counts.UNIQUE_B++;
+    });
+
+    return { statusMapA, statusMapB, candidates, threshold, counts };
+};
+
+/** Which relatives a branch comparison follows from the root people. */
+export const BRANCH_DIRECTIONS = ['ancestors', 'descendants', 'both'];
+
+/** Relationship words for branch-comparison context, by relation and sex. */
+const RELATION_LABELS = {
+    parents: { M: 'father', F: 'mother', default: 'parent' },
+    spouses: { M: 'husband', F: 'wife', default: 'spouse' },
+    children: { M: 'son', F: 'daughter', default: 'child' },
+};
+
+/**
+ * Pairs two lists of relatives one-to-one, best score first. People recorded with different sexes are never paired.
+ * @returns {Array<Array>} [personA, personB, score] for every accepted pair.
+ */
+const pairRelatives = (relativesA, relativesB, threshold, places) => {
+    const sexOf = (person) => (person.sex || '').toUpperCase();
+    const scored = [];
+    relativesA.forEach(personA => relativesB.forEach(personB => {
+        const sexes = [sexOf(personA), sexOf(personB)];
+        if (sexes.every(sex => sex === 'M' || sex === 'F') && sexes[0] !== sexes[1]) return;
+        const { score } = scorePersonPair(personA, personB, { places });
+        if (score >= threshold) scored.push([personA, personB, score]);
+    }));
+
+    const usedA = new Set();
+    const usedB = new Set();
+    return scored.sort((x, y) => y[2] - x[2]).filter(([personA, personB]) => {
+        if (usedA.has(personA.id) || usedB.has(personB.id)) return false;
+        usedA.add(personA.id);
+        usedB.add(personB.id);
+        return true;
+    });
+};
+
+/**
+ * Compares only the branch around a chosen root person in each file. The two relationship graphs are
+ * walked in lockstep from the roots: the parents, spouses and children of a paired person are paired
+ * with the parents, spouses and children of their partner, so every match is backed by family context
+ * rather than by the person's own details alone. That is also why the default threshold is the lower
+ * CANDIDATE_FLOOR. Relatives without a counterpart are still walked and reported as unique.
+ *
+ * @param {Object} gedcomA The first parsed file.
+ * @param {Object} gedcomB The second parsed file.
+ * @param {Object} options { rootA, rootB: xrefs of the root people, direction: one of BRANCH_DIRECTIONS (default 'both'),
+ *   generations: generations to walk, counting the roots (default 4), threshold (default CANDIDATE_FLOOR),
+ *   graphA, graphB: buildFamilyGraph results, built from the files when not given, placeAliases: table like DEFAULT_PLACE_ALIASES }
+ * @returns {Object} The same shape as compareGedcomData, covering only the people in the branch, plus
+ *   branch: { rootA, rootB, nameA, nameB, direction, generations }. Status entries also carry the `context` of the pairing.
+ */
+export const compareSubtrees = (gedcomA, gedcomB, {
+    rootA, rootB, direction = 'both', generations = 4, threshold = CANDIDATE_FLOOR,
+    graphA = buildFamilyGraph(gedcomA), graphB = buildFamilyGraph(gedcomB), placeAliases,
+} = {}) => {
+    const rootPersonA = graphA.getPerson(rootA);
+    const rootPersonB = graphB.getPerson(rootB);
+    if (!rootPersonA || !rootPersonB) throw new Error(`Root person ${rootPersonA ? rootB : rootA} was not found.`);
+
+    const places = createPlaceMatcher({ aliases: placeAliases, formA: gedcomA.header?.placeForm, formB: gedcomB.header?.placeForm });
+    const statusMapA = new Map();
+    const statusMapB = new Map();
+    const counts = { UNIQUE_A: 0, UNIQUE_B: 0, MATCH: 0, MODIFIED: 0 };
+    // Everyone reached by the walk, paired or not
+    const reachedA = new Set([rootA]);
+    const reachedB = new Set([rootB]);
+
+    const pair = (personA, personB, score, context) => {
+        const diff = diffPersonFields(personA, personB, { gedcomA, gedcomB, places });
+        const status = diff.length > 0 ? 'MODIFIED' : 'MATCH';
+        statusMapA.set(personA.id, { status, partnerId: personB.id, score, diff, context });
+        statusMapB.set(personB.id, { status, partnerId: personA.id, score, diff, context });
+        counts[status] += 2;
+    };
+    pair(rootPersonA, rootPersonB, scorePersonPair(rootPersonA, rootPersonB, { places }).score, 'chosen root');
+
+    // Each step follows one relation: ancestors only go up, descendants only go down, spouses are not walked further
+    const relations = (walk) => [
+        ...(walk === 'ancestors' || walk === 'both' ? [['parents', 'parentsOf', 'ancestors', 1]] : []),
+        ...(walk === 'descendants' || walk === 'both' ? [['spouses', 'spousesOf', null, 0], ['children', 'childrenOf', 'descendants', 1]] : []),
+    ];
+
+    // Breadth-first, so nearer relatives are paired before the same person is reached by a longer path
+    const queue = [{ personA: rootPersonA, personB: rootPersonB, generation: 0, walk: direction }];
+    while (queue.length > 0) {
+        const { personA, personB, generation, walk } = queue.shift();
+        relations(walk).forEach(([relation, lookup, nextWalk, step]) => {
+            if (generation + step >= generations) return;
+            // Relatives reached earlier without a partner can still be paired here (e.g. a grandparent
+            // recorded through only one of two lines of descent), so only paired people are skipped
+            const relativesA = personA ? graphA[lookup](personA.id).filter(p => !statusMapA.has(p.id)) : [];
+            const relativesB = personB ? graphB[lookup](personB.id).filter(p => !statusMapB.has(p.id)) : [];
+            const next = (a, b) => {
+                if (nextWalk) queue.push({ personA: a, personB: b, generation: generation + step, walk: nextWalk });
+            };
+
+            const pairs = personA && personB ? pairRelatives(relativesA, relativesB, threshold, places) : [];
+            pairs.forEach(([a, b, score]) => {
+                const labels = RELATION_LABELS[relation];
+                pair(a, b, score, `${labels[(a.sex || '').toUpperCase()] || labels.default} of ${personA.name} (${personA.id})`);
+                next(a, b);
+            });
+            // Unpaired relatives are walked on their own the first time they are reached
+            relativesA.filter(p => !statusMapA.has(p.id) && !reachedA.has(p.id)).forEach(a => next(a, null));
+            relativesB.filter(p => !statusMapB.has(p.id) && !reachedB.has(p.id)).forEach(b => next(null, b));
+            relativesA.forEach(p => reachedA.add(p.id));
+            relativesB.forEach(p => reachedB.add(p.id));
+        });
+    }
+
+    reachedA.forEach(id => {
+        if (statusMapA.has(id)) return;
+        statusMapA.set(id, { status: 'UNIQUE_A', partnerId: null, score: 0, diff: [] });
+        counts.UNIQUE_A++;
+    });
+    reachedB.forEach(id => {
+        if (statusMapB.has(id)) return;
+        statusMapB.set(id, { status: 'UNIQUE_B', partnerId: null, score: 0, diff: [] });
+        counts.UNIQUE_B++;
+    });
+
+    return {
+        statusMapA,
+        statusMapB,
+        candidates: [],
+        threshold,
+        counts,
+        branch: { rootA, rootB, nameA: rootPersonA.name, nameB: rootPersonB.name, direction, generations },
+    };
+};
+
+
+// --- Source Comparison ---
+
+/** Title, author or publication reduced to what identifies a source across files. */
+const sourceText = (text) => normalizeValue(text).toLowerCase().replace(/[.,;:]+$/, '');
+
+/** Name of the repository a source is held in, or '' when it has none. */
+const repositoryName = (source, gedcom) => {
+    const repository = source.repository && getRecordLookups(gedcom).repositories.get(source.repository);
+    return normalizeValue(repository ? repository.name || repository.id : '');
+};
+
+/**
+ * Field-level differences between two versions of a SOUR record, in the entry format of diffPersonFields.
+ */
+const diffSourceFields = (sourceA, sourceB, gedcomA, gedcomB) => [
+    diffValue('Title', sourceA.title, sourceB.title),
+    diffValue('Author', sourceA.author, sourceB.author),
+    diffValue('Publication', sourceA.publication, sourceB.publication),
+    diffValue('Abbreviation', sourceA.abbreviation, sourceB.abbreviation),
+    diffValue('Text', sourceA.text, sourceB.text),
+    diffValue('Repository', repositoryName(sourceA, gedcomA), repositoryName(sourceB, gedcomB)),
+    diffValue('Call number', sourceA.callNumber, sourceB.callNumber),
+    ...diffNotes('Note', sourceA.notes.map(n => describeNote(n, gedcomA)), sourceB.notes.map(n => describeNote(n, gedcomB))),
+    ...diffMedia('Media', (sourceA.media || []).map(m => describeMedia(m, gedcomA)), (sourceB.media || []).map(m => describeMedia(m, gedcomB))),
+].filter(Boolean);
+
+/**
+ * Matches the SOUR records of two files and reports how matched sources differ. Sources are paired on
+ * the same title, author and publication first, then on the title alone (as when only one file recorded
+ * the author); each source is paired at most once.
+ *
+ * @param {Object} gedcomA The first parsed file.
+ * @param {Object} gedcomB The second parsed file.
+ * @returns {Object} { pairs: Array<{ idA, idB, title, status: 'MATCH' | 'MODIFIED', diff }>, uniqueA: Array<{ id, title }>,
+ *   uniqueB, counts: { MATCH, MODIFIED, UNIQUE_A, UNIQUE_B } }, where each pair is counted once.
+ */
+export const compareSources = (gedcomA, gedcomB) => {
+    const identityKey = (source) => {
+        const parts = [source.title || source.abbreviation, source.author, source.publication].map(sourceText);
+        return parts.some(Boolean) ? parts.join('|') : '';
+    };
+    const titleKey = (source) => sourceText(source.title || source.abbreviation);
+
+    const pairs = [];
+    const pairedB = new Set();
+    let remainingA = gedcomA.sources;
+    [identityKey, titleKey].forEach(keyOf => {
+        const byKey = new Map();
+        gedcomB.sources.forEach(source => {
+            const key = keyOf(source);
+            if (key && !pairedB.has(source.id) && !byKey.has(key)) byKey.set(key, source);
+        });
+        remainingA = remainingA.filter(sourceA => {
+            const sourceB = byKey.get(keyOf(sourceA));
+            if (!sourceB || pairedB.has(sourceB.id)) return true;
+            pairedB.add(sourceB.id);
+            const diff = diffSourceFields(sourceA, sourceB, gedcomA, gedcomB);
+            pairs.push({
+                idA: sourceA.id, idB: sourceB.id, title: sourceA.title || sourceB.title || sourceA.id,
+                status: diff.length > 0 ? 'MODIFIED' : 'MATCH', diff,
+            });
+            return false;
+        });
+    });
+
+    const describe = (source) => ({ id: source.id, title: source.title || source.abbreviation || source.id });
+    const uniqueA = remainingA.map(describe);
+    const uniqueB = gedcomB.sources.filter(source => !pairedB.has(source.id)).map(describe);
+    return {
+        pairs,
+        uniqueA,
+        uniqueB,
+        counts: {
+            MATCH: pairs.filter(pair => pair.status === 'MATCH').length,
+            MODIFIED: pairs.filter(pair => pair.status === 'MODIFIED').length,
+            UNIQUE_A: uniqueA.length,
+            UNIQUE_B: uniqueB.length,
+        },
+    };
+};
+
+/** The evidence differences counted for matched people, by category and then by kind or aspect. */
+export const EVIDENCE_CHANGES = {
+    source: ['added', 'removed', 'page', 'quality'],
+    note: ['added', 'removed', 'changed'],
+    media: ['added', 'removed', 'path'],
+};
+
+/**
+ * Counts the citation, note and media differences of matched people in a comparison.
+ * @param {Object} comparisonResults The result of compareGedcomData (or applyMatchDecisions).
+ * @returns {Object} { people: matched pairs with any evidence difference, source: { added, removed, page, quality },
+ *   note: { added, removed, changed }, media: { added, removed, path } }
+ */
+export const summarizeEvidenceChanges = (comparisonResults) => {
+    const summary = { people: 0 };
+    Object.entries(EVIDENCE_CHANGES).forEach(([category, changes]) => {
+        summary[category] = Object.fromEntries(changes.map(change => [change, 0]));
+    });
+    comparisonResults.statusMapA.forEach(match => {
+        const evidence = match.diff.filter(entry => entry.category);
+        if (evidence.length > 0) summary.people++;
+        evidence.forEach(entry => summary[entry.category][entry.aspect || entry.kind]++);
+    });
+    return summary;
+};
+
+
+// --- Match Review ---
+
+/** Manual review decisions about a File 1/File 2 pair: the same person, or not. */
+export const MATCH_DECISIONS = ['match', 'reject'];
+
+const decisionKey = (idA, idB) => `${idA}|${idB}`;
+
+/**
+ * Applies manual review decisions on top of automatic comparison results, so they override the algorithm.
+ * Decisions are { idA, idB, decision: 'match' | 'reject' }, oldest first; when a person is matched by hand
+ * more than once, the newest match wins. Manual matches are paired first, automatic pairs that survive the
+ * decisions are kept, and people freed by a decision are paired again from the remaining candidates above
+ * the threshold, best first. Everyone else is unique, and the counts are recomputed.
+ *
+ * @param {Object} results compareGedcomData or compareSubtrees results.
+ * @param {Array<Object>} decisions The review decisions.
+ * @param {Object} [options] { peopleA, peopleB, gedcomA, gedcomB, placeAliases } as given to the comparison;
+ *   used to score and diff pairs the algorithm did not make.
+ * @returns {Object} The results with new statusMapA, statusMapB and counts. Entries of manually matched
+ *   people carry `decision: 'match'`.
+ */
+export const applyMatchDecisions = (results, decisions, { peopleA = [], peopleB = [], gedcomA, gedcomB, placeAliases } = {}) => {
+    if (!decisions || decisions.length === 0) return results;
+
+    const byIdA = new Map(peopleA.map(p => [p.id, p]));
+    const byIdB = new Map(peopleB.map(p => [p.id, p]));
+    const places = createPlaceMatcher({ aliases: placeAliases, formA: gedcomA?.header?.placeForm, formB: gedcomB?.header?.placeForm });
+    const rejected = new Set(decisions.filter(d => d.decision === 'reject').map(d => decisionKey(d.idA, d.idB)));
+    const matches = decisions.filter(d => d.decision === 'match' && byIdA.has(d.idA) && byIdB.has(d.idB));
+
+    const statusMapA = new Map();
+    const statusMapB = new Map();
+    const counts = { UNIQUE_A: 0, UNIQUE_B: 0, MATCH: 0, MODIFIED: 0 };
+    const isFree = (idA, idB) => !statusMapA.has(idA) && !statusMapB.has(idB) && !rejected.has(decisionKey(idA, idB));
+
+    const pair = (idA, idB, entry) => {
+        statusMapA.set(idA, { ...entry, partnerId: idB });
+        statusMapB.set(idB, { ...entry, partnerId: idA });
+        counts[entry.status] += 2;
+    };
+    const pairFresh = (idA, idB, extra) => {
+        const personA = byIdA.get(idA);
+        const personB = byIdB.get(idB);
+        const diff = diffPersonFields(personA, personB, { gedcomA, gedcomB, places });
+        const { score } = scorePersonPair(personA, personB, { places });
+        pair(idA, idB, { status: diff.length > 0 ? 'MODIFIED' : 'MATCH', score, diff, ...extra });
+    };
+
+    // 1. Manual matches, newest first so a later decision about the same person wins
+    [...matches].reverse().forEach(({ idA, idB }) => {
+        if (!isFree(idA, idB)) return;
+        const automatic = results.statusMapA.get(idA);
+        // A confirmed automatic pair keeps its diff and context
+        if (automatic?.partnerId === idB) pair(idA, idB, { ...automatic, decision: 'match' });
+        else pairFresh(idA, idB, { decision: 'match' });
+    });
+
+    // 2. Automatic pairs no decision has broken up
+    results.statusMapA.forEach((entry, idA) => {
+        if (entry.partnerId && isFree(idA, entry.partnerId)) pair(idA, entry.partnerId, entry);
+    });
+
+    // 3. People freed by a decision may now pair with their next-best candidate
+    results.candidates.forEach(({ idA, idB, score }) => {
+        if (score >= results.threshold && byIdA.has(idA) && byIdB.has(idB) && isFree(idA, idB)) pairFresh(idA, idB, {});
+    });
+
+    // 4. Everyone else in the comparison is unique to their file
+    results.statusMapA.forEach((entry, id) => {
+        if (statusMapA.has(id)) return;
+        statusMapA.set(id, { status: 'UNIQUE_A', partnerId: null, score: 0, diff: [] });
+        counts.UNIQUE_A++;
+    });
+    results.statusMapB.forEach((entry, id) => {
+        if (statusMapB.has(id)) return;
+        statusMapB.set(id, { status: 'UNIQUE_B', partnerId: null, score: 0, diff: [] });
+        counts.UNIQUE_B++;
+    });
+
+    return { ...results, statusMapA, statusMapB, counts };
+};
+
+/**
+ * Lists the pairs worth a manual look, most doubtful (closest to the threshold) first: automatic pairs that
+ * are not certain, and candidate pairs for people left without a partner. Pairs already decided and people
+ * already matched by hand are left out.
+ * @param {Object} results Comparison results with the decisions applied (applyMatchDecisions).
+ * @param {Array<Object>} [decisions] The review decisions.
+ * @returns {Array<Object>} { idA, idB, score, paired: whether the two are currently matched }
+ */
+export const findReviewPairs = (results, decisions = []) => {
+    const decided = new Set(decisions.map(d => decisionKey(d.idA, d.idB)));
+    const seen = new Set();
+    const pairs = [];
+    const add = (idA, idB, score) => {
+        const key = decisionKey(idA, idB);
+        if (decided.has(key) || seen.has(key)) return;
+        if (results.statusMapA.get(idA)?.decision || results.statusMapB.get(idB)?.decision) return;
+        seen.add(key);
+        pairs.push({ idA, idB, score, paired: results.statusMapA.get(idA)?.partnerId === idB });
+    };
+
+    results.statusMapA.forEach((entry, idA) => {
+        if (entry.partnerId && entry.score < 1) add(idA, entry.partnerId, entry.score);
+    });
+    results.candidates.forEach(({ idA, idB, score }) => {
+        const unpairedA = results.statusMapA.get(idA)?.status === 'UNIQUE_A';
+        const unpairedB = results.statusMapB.get(idB)?.status === 'UNIQUE_B';
+        if (unpairedA || unpairedB) add(idA, idB, score);
+    });
+
+    const doubt = (pair) => Math.abs(pair.score - results.threshold);
+    return pairs.sort((x, y) => doubt(x) - doubt(y));
+};
+
+
+// --- GEDCOM Writer ---
+
+/** GEDCOM versions the writer can target. */
+export const GEDCOM_VERSIONS = ['5.5.1', '7.0'];
+
+/** GEDCOM 5.5.1 calendar escapes and their GEDCOM 7 keywords. */
+const CALENDAR_ESCAPES = {
+  '@#DGREGORIAN@': 'GREGORIAN', '@#DJULIAN@': 'JULIAN', '@#DHEBREW@': 'HEBREW', '@#DFRENCH R@': 'FRENCH_R',
+};
+
+/**
+ * Creates a record-tree node in the same shape parseGedcomTree produces.
+ * Levels are derived from nesting when writing, so new nodes do not need to know their depth.
+ */
+export const createNode = (tag, value = '', { xref = null, children = [] } = {}) => {
+  const pointerMatch = value.match(POINTER_PATTERN);
+  return { level: 0, xref, tag, value, pointer: pointerMatch ? pointerMatch[1] : null, line: null, children };
+};
+
+/**
+ * Builds a HEAD record for files produced by this app.
+ * GEDCOM 5.5.1 also declares the character set and lineage-linked form; 7.0 is always UTF-8.
+ */
+export const createHeaderRecord = ({ submitterId, placeForm, version = '5.5.1' } = {}) => {
+  const now = new Date();
+  const months = CALENDAR_MONTHS.GREGORIAN.map(([token]) => token);
+  const legacy = version !== '7.0';
+  return createNode('HEAD', '', {
+    children: [
+      createNode('GEDC', '', {
+        children: [createNode('VERS', version), ...(legacy ? [createNode('FORM', 'LINEAGE-LINKED')] : [])],
+      }),
+      createNode('SOUR', 'GEDCOM_COMPARE', { children: [createNode('NAME', 'GEDCOM Tree Comparator')] }),
+      createNode('DATE', `${now.getDate()} ${months[now.getMonth()]} ${now.getFullYear()}`),
+      ...(submitterId ? [createNode('SUBM', `@${submitterId}@`)] : []),
+      ...(legacy ? [createNode('CHAR', 'UTF-8')] : []),
+      ...(placeForm ? [createNode('PLAC', '', { children: [createNode('FORM', placeForm)] })] : []),
+    ],
+  });
+};
+
+/**
+ * Returns a copy of an existing HEAD record declaring the target version.
+ * Everything else in the header (source system, submitter, custom tags) is kept as it was.
+ */
+const retargetHeader = (head, version) => {
+  const legacy = version !== '7.0';
+  const gedc = findChild(head, 'GEDC') || createNode('GEDC');
+  const form = findChild(gedc, 'FORM');
+  const newGedc = {
+    ...gedc,
+    children: [
+      createNode('VERS', version),
+      ...gedc.children.filter(child => child.tag !== 'VERS' && (legacy || child.tag !== 'FORM')),
+      ...(legacy && !form ? [createNode('FORM', 'LINEAGE-LINKED')] : []),
+    ],
+  };
+  const children = head.children.filter(child => child.tag !== 'GEDC' && child.tag !== 'CHAR');
+  // The writer always produces UTF-8 text, whatever the source file declared
+  return { ...head, children: [newGedc, ...children, ...(legacy ? [createNode('CHAR', 'UTF-8')] : [])] };
+};
+
+/** GEDCOM 5.5.1 multimedia formats and their GEDCOM 7 media types. */
+const MEDIA_TYPES = {
+  bmp: 'image/bmp', gif: 'image/gif', jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', tif: 'image/tiff',
+  tiff: 'image/tiff', pdf: 'application/pdf', txt: 'text/plain', htm: 'text/html', html: 'text/html',
+  wav: 'audio/wav', mp3: 'audio/mpeg', avi: 'video/x-msvideo', mpg: 'video/mpeg', mpeg: 'video/mpeg', mp4: 'video/mp4',
+};
+
+/**
+ * Rewrites calendar markers and the B.C. suffix of every date in a DATE value for the target version
+ * ("@#DJULIAN@ 1700 B.C." in 5.5.1, "JULIAN 1700 BCE" in 7.0); the suffix ends a date, so it is only
+ * matched before the AND/TO of a range or period or at the end. Date phrases in parentheses are free
+ * text and are left alone.
+ */
+const convertDateSyntax = (value, version) => value.split(/(\([^)]*\))/).map((part, index) => {
+  if (index % 2 === 1) return part;
+  if (version === '7.0') {
+    return part.replace(/@#D(GREGORIAN|JULIAN|HEBREW|FRENCH R)@/g, (escape) => CALENDAR_ESCAPES[escape])
+      .replace(/\bB\.C\.(?=\s+(?:AND|TO)\b|\s*$)/g, 'BCE');
+  }
+  return part.replace(/\b(GREGORIAN|JULIAN|HEBREW|FRENCH_R)\b/g, (keyword) => (
+    Object.keys(CALENDAR_ESCAPES).find(escape => CALENDAR_ESCAPES[escape] === keyword)
+  )).replace(/\bBCE(?=\s+(?:AND|TO)\b|\s*$)/g, 'B.C.');
+}).join('');
+
+/**
+ * Converts a DATE node: 7.0 moves a date phrase ("INT 1850 (about Easter)", "(unknown)") into a PHRASE
+ * substructure, and 5.5.1 folds PHRASE back into the value.
+ */
+const convertDateNode = (node, version) => {
+  if (version === '7.0') {
+    const phraseMatch = (node.value || '').match(/^(?:INT\s+(.*?)\s*)?\(([^)]*)\)$/);
+    const value = convertDateSyntax(phraseMatch ? phraseMatch[1] || '' : node.value || '', version);
+    const phrase = phraseMatch ? [createNode('PHRASE', phraseMatch[2])] : [];
+    return { ...node, value, children: [...phrase, ...node.children] };
+  }
+  const phrase = childValue(node, 'PHRASE');
+  const value = convertDateSyntax(node.value || '', version);
+  const children = node.children.filter(child => child.tag !== 'PHRASE');
+  if (!phrase) return { ...node, value, children };
+  return { ...node, value: value ? `INT ${value} (${phrase})` : `(${phrase})`, children };
+};
+
+/**
+ * Converts a record tree to the structures of the target version: shared notes (NOTE records and
+ * pointers in 5.5.1, SNOTE in 7.0), multimedia formats (a file extension in 5.5.1, a media type in 7.0,
+ * which also moves a 5.5-style FORM from the OBJE record onto its FILE) and dates (calendar escapes,
+ * B.C. and date phrases). Formats without a known media type are kept as they are, as are custom tags.
+ */
+const convertRecordsForVersion = (records, version) => {
+  const modern = version === '7.0';
+  const mediaType = (format) => {
+    if (modern) return MEDIA_TYPES[format.toLowerCase()] || format;
+    return Object.keys(MEDIA_TYPES).find(extension => MEDIA_TYPES[extension] === format.toLowerCase()) || format;
+  };
+  const convert = (node, parent) => {
+    let converted = { ...node, children: node.children.map(child => convert(child, node)) };
+    if (node.tag === 'DATE') converted = convertDateNode(converted, version);
+    if (modern && node.tag === 'NOTE' && (node.pointer || (!parent && node.xref))) converted.tag = 'SNOTE';
+    if (!modern && node.tag === 'SNOTE') converted.tag = 'NOTE';
+    if (node.tag === 'FORM' && parent?.tag === 'FILE') converted.value = mediaType(node.value.trim());
+    const form = modern && node.tag === 'OBJE' && findChild(converted, 'FORM');
+    const file = form && findChild(converted, 'FILE');
+    if (file && !findChild(file, 'FORM')) {
+      // 5.5 kept FORM beside FILE; 7.0 requires it below FILE
+      const moved = { ...form, value: mediaType(form.value.trim()) };
+      converted.children = converted.children.filter(child => child !== form)
+        .map(child => (child === file ? { ...file, children: [...file.children, moved] } : child));
+    }
+    return converted;
+  };
+  return records.map(record => (record.tag === 'HEAD' ? record : convert(record, null)));
+};
+
+/**
+ * Escapes '@' in a text value: 5.5.1 doubles every '@' outside escape sequences, 7.0 only a leading one.
+ */
+const escapeAt = (text, version) => (
+  version === '7.0'
+    ? text.replace(/^@/, '@@')
+    : text.replace(/(@#[^@]*@)|@/g, (match, escape) => escape || '@@')
+);
+
+/**
+ * Splits a value into pieces that fit `budget` characters once escaped, avoiding splits next to a
+ * space because some readers trim continuation lines.
+ */
+const splitForLength = (text, budget, version) => {
+  const width = (char) => (char === '@' && version !== '7.0' ? 2 : 1);
+  const pieces = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = start;
+    let used = 0;
+    while (end < text.length && used + width(text[end]) <= budget) {
+      used += width(text[end]);
+      end++;
+    }
+    if (end < text.length) {
+      let split = end;
+      while (split > start + 1 && (text[split] === ' ' || text[split - 1] === ' ')) split--;
+      if (split > start + 1) end = split;
+    }
+    pieces.push(text.slice(start, end));
+    start = end;
+  }
+
+  return pieces.length > 0 ? pieces : [''];
+};
+
+/**
+ * Serializes a record tree to GEDCOM text. Levels come from nesting, multi-line values are written
+ * with CONT, and in 5.5.1 lines longer than 255 characters are split with CONC (7.0 has no CONC and
+ * no line limit). A HEAD and TRLR are added if missing, and the header is updated to the target version.
+ * Records are converted to the target version first (see convertRecordsForVersion), so a 5.5.1 tree
+ * can be written as 7.0 and the other way round.
+ *
+ * @param {Array<Object>} records Level-0 nodes, e.g. `parseGedcomTree(text).records`.
+ * @param {Object} [options] { version: '5.5.1' | '7.0' (default '5.5.1') }
+ * @returns {string} GEDCOM text with CRLF line endings.
+ */
+export const writeGedcom = (records, { version = '5.5.1' } = {}) => {
+  if (!GEDCOM_VERSIONS.includes(version)) throw new Error(`Unsupported GEDCOM version: ${version}`);
+
+  const converted = convertRecordsForVersion(records, version);
+  const head = converted.find(record => record.tag === 'HEAD');
+  const body = converted.filter(record => record.tag !== 'HEAD' && record.tag !== 'TRLR');
+  const lines = [];
+
+  const writeLine = (level, xref, tag, text) => {
+    const prefix = [String(level), xref && `@${xref}@`, tag].filter(Boolean).join(' ');
+    lines.push(text ? `${prefix} ${text}` : prefix);
+  };
+
+  const write = (node, level) => {
+    const xref = node.xref;
+    if (node.pointer) {
+      writeLine(level, xref, node.tag, `@${node.pointer}@`);
+    } else {
+      const value = node.value || '';
+      value.split('\n').forEach((text, index) => {
+        const tag = index === 0 ? node.tag : 'CONT';
+        const lineLevel = index === 0 ? level : level + 1;
+        if (version === '7.0') {
+          writeLine(lineLevel, index === 0 ? xref : null, tag, escapeAt(text, version));
+          return;
+        }
+        const prefixLength = `${lineLevel} ${index === 0 && xref ? `@${xref}@ ` : ''}${tag} `.length;
+        const concPrefixLength = `${level + 1} CONC `.length;
+        const [first, ...rest] = splitForLength(text, MAX_LINE_LENGTH - Math.max(prefixLength, concPrefixLength), version);
+        writeLine(lineLevel, index === 0 ? xref : null, tag, escapeAt(first, version));
+        rest.forEach(piece => writeLine(level + 1, null, 'CONC', escapeAt(piece, version)));
+      });
+    }
+    node.children.forEach(child => write(child, level + 1));
+  };
+
+  write(head ? retargetHeader(head, version) : createHeaderRecord({ version }), 0);
+  body.forEach(record => write(record, 0));
+  write(createNode('TRLR'), 0);
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Lists the differences between two record trees, ignoring line numbers and HEAD.
+ * @returns {Array<string>} Human-readable paths of the nodes that differ (empty when identical).
+ */
+const diffRecordTrees = (recordsA, recordsB) => {
+  const differences = [];
+  const compare = (a, b, path) => {
+    if (!a || !b) {
+      differences.push(`${path}: ${a ? 'missing after round-trip' : 'unexpected node'}`);
+      return;
+    }
+    if (a.tag !== b.tag || (a.xref || null) !== (b.xref || null) || (a.value || '') !== (b.value || '')) {
+      differences.push(`${path}: ${a.tag} "${a.value}" != ${b.tag} "${b.value}"`);
+    }
+    const count = Math.max(a.children.length, b.children.length);
+    for (let i = 0; i < count; i++) {
+      compare(a.children[i], b.children[i], `${path}/${(a.children[i] || b.children[i]).tag}[${i}]`);
+    }
+  };
+  const withoutHead = (records) => records.filter(record => record.tag !== 'HEAD');
+  const left = withoutHead(recordsA);
+  const right = withoutHead(recordsB);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const record = left[i] || right[i];
+    compare(left[i], right[i], record.xref ? `@${record.xref}@` : record.tag);
+  }
+  return differences;
+};
+
+/**
+ * Writes a record tree and parses the output again, checking that every record survived unchanged.
+ * The records are compared in their target-version form, so version conversions (SNOTE, media types,
+ * date syntax) are not reported. Records gain a TRLR if they had none, so a missing TRLR is not reported.
+ * @returns {Object} { ok: boolean, text: string, differences: Array<string> }
+ */
+export const verifyRoundTrip = (records, options = {}) => {
+  const text = writeGedcom(records, options);
+  const reparsed = parseGedcomTree(text).records;
+  const converted = convertRecordsForVersion(records, options.version || '5.5.1');
+  const expected = converted.some(record => record.tag === 'TRLR') ? converted : [...converted, createNode('TRLR')];
+  const differences = diffRecordTrees(expected, reparsed);
+  return { ok: differences.length === 0, text, differences };
+};
+
+
+// --- GEDCOM X and Gramps Import ---
+
+/** File formats the app reads, by the id readGenealogyFile stores in `gedcom.format`. */
+export const FILE_FORMATS = {
+  gedcom: 'GEDCOM',
+  gedcomx: 'GEDCOM X JSON',
+  gramps: 'Gramps XML',
+};
+
+/**
+ * Tells which of FILE_FORMATS a decoded file is in, from its first character rather than its name:
+ * JSON is read as GEDCOM X, XML as a Gramps export and everything else as GEDCOM.
+ */
+export const detectFileFormat = (text) => {
+  const start = text.replace(/^\uFEFF/, '').trimStart()[0];
+  if (start === '{') return 'gedcomx';
+  if (start === '<') return 'gramps';
+  return 'gedcom';
+};
+
+/** Record ids from other formats may contain characters an xref cannot. */
+const createXrefAllocator = () => {
+  const used = new Set();
+  let counter = 0;
+  return (id, prefix) => {
+    let xref = String(id || '').replace(/[@#\s]/g, '_');
+    while (!xref || used.has(xref)) xref = `${prefix}${++counter}`;
+    used.add(xref);
+    return xref;
+  };
+};
+
+/** Event tags by a normalized event name ("Marriage Banns", "MarriageBanns" -> MARB). */
+const eventTypeKey = (name) => String(name).toLowerCase().replace(/[^a-z]/g, '');
+const EVENT_TAGS_BY_NAME = {
+  ...Object.fromEntries(Object.entries(EVENT_LABELS).map(([tag, label]) => [eventTypeKey(label), tag])),
+  adopted: 'ADOP', numberofchildren: 'NCHI', numberofmarriages: 'NMR', physicaldescription: 'DSCR',
+  nobilitytitle: 'TITL', divorcefiling: 'DIVF',
+};
+
+/** Attributes whose value is the fact itself (an occupation, a title), rather than a description of an event. */
+const ATTRIBUTE_TAGS = new Set(['OCCU', 'EDUC', 'RELI', 'TITL', 'NATI', 'CAST', 'DSCR', 'IDNO', 'NCHI', 'NMR', 'PROP', 'SSN', 'FACT']);
+
+/** Adds a child node only when it has a value. */
+const optionalNode = (tag, value) => (value ? [createNode(tag, String(value))] : []);
+
+/** A pointer node such as `FAMC @F1@`. */
+const pointerNode = (tag, xref, children = []) => createNode(tag, `@${xref}@`, { children });
+
+/** Builds a NAME node from name parts, in the same form readName reads back. */
+const importedName = ({ full = '', given = '', surname = '', prefix = '', suffix = '', nickname = '', type = '' }) => {
+  const value = given || surname ? [given, surname && `/${surname}/`, suffix].filter(Boolean).join(' ') : full;
+  return createNode('NAME', value, {
+    children: [
+      ...optionalNode('GIVN', given), ...optionalNode('SURN', surname), ...optionalNode('NPFX', prefix),
+      ...optionalNode('NSFX', suffix), ...optionalNode('NICK', nickname), ...optionalNode('TYPE', type),
+    ],
+  });
+};
+
+/** Builds an event or attribute node; names without a GEDCOM tag become EVEN with a TYPE. */
+const importedEvent = ({ type, value = '', date = '', place = '', children = [] }) => {
+  const tag = EVENT_TAGS_BY_NAME[eventTypeKey(type)] || 'EVEN';
+  return createNode(tag, value, {
+    children: [...(tag === 'EVEN' ? optionalNode('TYPE', type) : []), ...optionalNode('DATE', date), ...optionalNode('PLAC', place), ...children],
+  });
+};
+
+/** Keeps a date the GEDCOM parser understands; any other text becomes a date phrase. */
+const importedDatePhrase = (text) => (!text || parseGedcomDate(text).valid ? text : `(${text})`);
+
+/** Writes a Gregorian year, month and day (month and day optional) as a GEDCOM date. */
+const gregorianDate = (year, month, day) => {
+  const months = CALENDAR_MONTHS.GREGORIAN.map(([token]) => token);
+  return [day > 0 && month > 0 ? day : null, month > 0 ? months[month - 1] : null, year].filter(Boolean).join(' ');
+};
+
+/** Builds the HEAD record of an imported file, naming the format it came from. */
+const importedHeader = (source) => {
+  const head = createHeaderRecord();
+  return { ...head, children: head.children.map(child => (child.tag === 'SOUR' ? createNode('SOUR', source) : child)) };
+};
+
+/**
+ * Writes imported records as GEDCOM and reads them back with parseGedcomFile, so imported files have exactly
+ * the model (and the record tree for export and merging) of a .ged file. Import problems come first in `issues`.
+ */
+const importedFile = (records, issues, format, options) => {
+  const gedcom = parseGedcomFile(writeGedcom(records), options);
+  return { ...gedcom, format, issues: [...issues, ...gedcom.issues] };
+};
+
+/** Reports a reference to a record the file does not contain. */
+const unknownReference = (issues, what, id) => issues.push({
+  line: null, severity: 'warning', code: 'UNKNOWN_REFERENCE', message: `${what} refers to ${id}, which is not in the file; the link was dropped.`,
+});
+
+/** The last segment of a GEDCOM X type URI ("http://gedcomx.org/Birth" -> "Birth"). */
+const gedcomXType = (uri) => String(uri || '').replace(/^.*\//, '');
+
+/** The id a GEDCOM X resource reference points to ("#P1" or { resourceId: "P1" }). */
+const gedcomXReference = (reference) => reference?.resourceId || String(reference?.resource || '').replace(/^.*#/, '') || null;
+
+/** Converts one bound of a GEDCOM X formal date ("+1850-03-01", "+1850") to GEDCOM. */
+const gedcomXSimpleDate = (text) => {
+  const match = text.match(/^\+(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?/);
+  return match ? gregorianDate(parseInt(match[1], 10), parseInt(match[2] || '0', 10), parseInt(match[3] || '0', 10)) : null;
+};
+
+/**
+ * Converts a GEDCOM X date: the original text when it is already a GEDCOM date, otherwise the formal
+ * value ("A+1850" about, "+1850/+1860" between, "/+1860" before, "+1850/" after), otherwise a phrase.
+ */
+const gedcomXDate = (date) => {
+  if (!date) return '';
+  const original = (date.original || '').trim();
+  if (original && parseGedcomDate(original).valid) return original;
+  const formal = (date.formal || '').trim();
+  const approximate = formal.startsWith('A');
+  const [from, to] = (approximate ? formal.slice(1) : formal).split('/');
+  const start = from ? gedcomXSimpleDate(from) : null;
+  const end = to ? gedcomXSimpleDate(to) : null;
+  let converted = null;
+  if (to === undefined) converted = start && (approximate ? `ABT ${start}` : start);
+  else if (start && end) converted = `BET ${start} AND ${end}`;
+  else if (end && !from) converted = `BEF ${end}`;
+  else if (start && !to) converted = `AFT ${start}`;
+  return converted || importedDatePhrase(original);
+};
+
+/** GEDCOM X gender and name types and their GEDCOM values; a birth name is the default and needs no TYPE. */
+const GEDCOMX_SEXES = { Male: 'M', Female: 'F', Unknown: 'U', Intersex: 'X' };
+const GEDCOMX_NAME_TYPES = { AlsoKnownAs: 'aka', MarriedName: 'married' };
+
+/**
+ * Imports a GEDCOM X JSON document (as exported by FamilySearch and other programs) into the model
+ * parseGedcomFile produces. Couple relationships become families; parent-child relationships place each
+ * child in the family of their parents, and parents with no couple relationship get a family of their own.
+ *
+ * @param {string} text The JSON text.
+ * @param {Object} [options] { onProgress(fraction) } passed through to parseGedcomFile.
+ * @returns {Object} The parseGedcomFile model, with `format: 'gedcomx'`.
+ */
+export const importGedcomX = (text, options = {}) => {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`The file is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(document?.persons) && !Array.isArray(document?.relationships)) {
+    throw new Error('The JSON file is not a GEDCOM X document: it has no persons or relationships.');
+  }
+  const persons = document.persons || [];
+  const issues = [];
+  const allocate = createXrefAllocator();
+  const personXrefs = new Map(persons.map(person => [person.id, allocate(person.id, 'I')]));
+  const sourceXrefs = new Map((document.sourceDescriptions || []).map(source => [source.id, allocate(source.id, 'S')]));
+  const placeNames = new Map((document.places || []).map(place => [place.id, place.names?.[0]?.value || '']));
+
+  const personXref = (reference, what) => {
+    const id = gedcomXReference(reference);
+    if (!personXrefs.has(id)) {
+      unknownReference(issues, what, id || 'nobody');
+      return null;
+    }
+    return personXrefs.get(id);
+  };
+  const sourceNodes = (references = []) => references.flatMap(reference => {
+    const id = gedcomXReference({ resource: reference.description, resourceId: reference.descriptionId });
+    if (sourceXrefs.has(id)) return [pointerNode('SOUR', sourceXrefs.get(id))];
+    unknownReference(issues, 'A source reference', id || 'no source');
+    return [];
+  });
+  const noteNodes = (notes = []) => notes.filter(note => note.text || note.subject).map(note => createNode('NOTE', note.text || note.subject));
+  const factNode = (fact) => importedEvent({
+    type: gedcomXType(fact.type),
+    value: fact.value || '',
+    date: gedcomXDate(fact.date),
+    place: fact.place?.original || placeNames.get(gedcomXReference({ resource: fact.place?.description })) || '',
+    children: [...noteNodes(fact.notes), ...sourceNodes(fact.sources)],
+  });
+
+  // Families by their sorted partner xrefs, in the order they are first seen
+  const families = new Map();
+  const familyFor = (partners) => {
+    const key = [...partners].sort().join('|');
+    if (!families.has(key)) families.set(key, { partners, children: [], facts: [], notes: [], sources: [] });
+    return families.get(key);
+  };
+  const parentsOf = new Map();
+  const addParent = (child, parent) => {
+    if (!child || !parent) return;
+    if (!parentsOf.has(child)) parentsOf.set(child, new Set());
+    parentsOf.get(child).add(parent);
+  };
+
+  (document.relationships || []).forEach(relationship => {
+    const type = gedcomXType(relationship.type);
+    if (type !== 'Couple' && type !== 'ParentChild') return;
+    const first = personXref(relationship.person1, `A ${type} relationship`);
+    const second = personXref(relationship.person2, `A ${type} relationship`);
+    if (type === 'ParentChild') {
+      addParent(second, first);
+    } else if (first && second) {
+      const family = familyFor([first, second]);
+      family.facts.push(...(relationship.facts || []));
+      family.notes.push(...(relationship.notes || []));
+      family.sources.push(...(relationship.sources || []));
+    }
+  });
+  // FamilySearch's child-and-parents relationships name both parents of a child at once
+  (document.childAndParentsRelationships || []).forEach(relationship => {
+    const child = personXref(relationship.child, 'A child-and-parents relationship');
+    [relationship.father, relationship.mother, relationship.parent1, relationship.parent2].filter(Boolean)
+      .forEach(parent => addParent(child, personXref(parent, 'A child-and-parents relationship')));
+  });
+
+  // A child joins each couple among their parents; the remaining parents form families of their own
+  const couples = [...families.values()];
+  parentsOf.forEach((parents, child) => {
+    const remaining = new Set(parents);
+    couples.filter(family => family.partners.every(id => parents.has(id))).forEach(family => {
+      family.children.push(child);
+      family.partners.forEach(id => remaining.delete(id));
+    });
+    const rest = [...remaining];
+    for (let i = 0; i < rest.length; i += 2) familyFor(rest.slice(i, i + 2)).children.push(child);
+  });
+
+  const sexOf = new Map(persons.map(person => [personXrefs.get(person.id), GEDCOMX_SEXES[gedcomXType(person.gender?.type)] || '']));
+  const familiesAsSpouse = new Map();
+  const familiesAsChild = new Map();
+  const link = (index, personId, familyId) => {
+    if (!index.has(personId)) index.set(personId, []);
+    index.get(personId).push(familyId);
+  };
+  const familyRecords = [...families.values()].map(family => {
+    const xref = allocate(null, 'F');
+    // Husband first when the sexes say so; otherwise in the order the file gave
+    const partners = [...family.partners].sort((a, b) => Number(sexOf.get(a) === 'F') - Number(sexOf.get(b) === 'F'));
+    partners.forEach(id => link(familiesAsSpouse, id, xref));
+    family.children.forEach(id => link(familiesAsChild, id, xref));
+    const roles = partners.length === 1 && sexOf.get(partners[0]) === 'F' ? ['WIFE'] : ['HUSB', 'WIFE'];
+    return createNode('FAM', '', {
+      xref,
+      children: [
+        ...partners.map((id, index) => pointerNode(roles[index], id)),
+        ...family.children.map(id => pointerNode('CHIL', id)),
+        ...family.facts.map(factNode),
+        ...noteNodes(family.notes),
+        ...sourceNodes(family.sources),
+      ],
+    });
+  });
+
+  const personRecords = persons.map(person => {
+    const xref = personXrefs.get(person.id);
+    const names = [...(person.names || [])].sort((a, b) => Number(Boolean(b.preferred)) - Number(Boolean(a.preferred)));
+    return createNode('INDI', '', {
+      xref,
+      children: [
+        ...names.map(name => {
+          const form = name.nameForms?.[0] || {};
+          const parts = (type) => (form.parts || []).filter(part => gedcomXType(part.type) === type).map(part => part.value).join(' ');
+          return importedName({
+            full: form.fullText || '', given: parts('Given'), surname: parts('Surname'), prefix: parts('Prefix'),
+            suffix: parts('Suffix'), type: GEDCOMX_NAME_TYPES[gedcomXType(name.type)] || '',
+          });
+        }),
+        ...optionalNode('SEX', sexOf.get(xref)),
+        ...(person.facts || []).map(factNode),
+        ...(familiesAsChild.get(xref) || []).map(id => pointerNode('FAMC', id)),
+        ...(familiesAsSpouse.get(xref) || []).map(id => pointerNode('FAMS', id)),
+        ...noteNodes(person.notes),
+        ...sourceNodes(person.sources),
+      ],
+    });
+  });
+
+  const sourceRecords = (document.sourceDescriptions || []).map(source => {
+    const title = source.titles?.[0]?.value || '';
+    const citation = source.citations?.[0]?.value || '';
+    return createNode('SOUR', '', {
+      xref: sourceXrefs.get(source.id),
+      children: [...optionalNode('TITL', title || citation), ...optionalNode('PUBL', title && citation), ...noteNodes(source.notes)],
+    });
+  });
+
+  return importedFile([importedHeader('GEDCOMX'), ...personRecords, ...familyRecords, ...sourceRecords], issues, 'gedcomx', options);
+};
+
+/** Character references and the five predefined XML entities. */
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+const decodeXmlText = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, name) => {
+  if (name[0] !== '#') return XML_ENTITIES[name] ?? match;
+  return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+});
+
+/** Drops a namespace prefix ("gramps:person" -> "person"). */
+const xmlLocalName = (name) => name.replace(/^.*:/, '');
+
+/**
+ * Parses XML into elements { name, attributes, children, text }, with namespace prefixes dropped.
+ * Enough for data exports: comments, CDATA, processing instructions and DOCTYPE lines are understood,
+ * DTDs are not read. Browsers' DOMParser is not available in Web Workers, where files are parsed.
+ */
+const parseXml = (text) => {
+  const root = { name: '', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tokens = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  for (const [, cdata, closing, opening, attributes, selfClosing, characters] of text.matchAll(tokens)) {
+    const current = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (characters !== undefined) {
+      current.text += decodeXmlText(characters);
+    } else if (closing) {
+      if (stack.length === 1 || xmlLocalName(closing) !== current.name) throw new Error(`The XML has an unexpected </${closing}>.`);
+      stack.pop();
+    } else if (opening) {
+      const element = { name: xmlLocalName(opening), attributes: {}, children: [], text: '' };
+      for (const [, name, , double, single] of attributes.matchAll(/([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+        element.attributes[xmlLocalName(name)] = decodeXmlText(double ?? single);
+      }
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+  if (stack.length > 1) throw new Error(`The XML ends inside <${stack[stack.length - 1].name}>.`);
+  return root.children[0] || null;
+};
+
+const xmlChild = (element, name) => element?.children.find(child => child.name === name) || null;
+const xmlChildren = (element, name) => (element ? element.children.filter(child => child.name === name) : []);
+const xmlText = (element, name) => (xmlChild(element, name)?.text || '').trim();
+
+/** Gramps date qualifiers and their GEDCOM keywords. */
+const GRAMPS_DATE_TYPES = { before: 'BEF', after: 'AFT', about: 'ABT' };
+const GRAMPS_DATE_QUALITIES = { estimated: 'EST', calculated: 'CAL' };
+const GRAMPS_CALENDARS = { julian: '@#DJULIAN@' };
+
+/** Converts a Gramps date value ("1850-03-01", "1850-03", "1850") in the given calendar to GEDCOM. */
+const grampsSimpleDate = (value, calendar) => {
+  const match = String(value || '').match(/^(\d{1,4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+  if (!match) return null;
+  const date = gregorianDate(parseInt(match[1], 10), parseInt(match[2] || '0', 10), parseInt(match[3] || '0', 10));
+  return GRAMPS_CALENDARS[calendar] ? `${GRAMPS_CALENDARS[calendar]} ${date}` : date;
+};
+
+/**
+ * Converts the date of a Gramps event: dateval (with before/after/about and estimated/calculated),
+ * daterange (between), datespan (from...to) or datestr (free text, kept as a phrase).
+ */
+const grampsDate = (event) => {
+  const value = xmlChild(event, 'dateval');
+  const range = xmlChild(event, 'daterange') || xmlChild(event, 'datespan');
+  const text = xmlChild(event, 'datestr');
+  if (value) {
+    const { val, type, quality, cformat } = value.attributes;
+    const date = grampsSimpleDate(val, cformat);
+    if (!date) return importedDatePhrase(val);
+    const qualifier = GRAMPS_DATE_TYPES[type] || GRAMPS_DATE_QUALITIES[quality];
+    return qualifier ? `${qualifier} ${date}` : date;
+  }
+  if (range) {
+    const { start, stop, cformat } = range.attributes;
+    const [from, to] = [grampsSimpleDate(start, cformat), grampsSimpleDate(stop, cformat)];
+    if (!from || !to) return importedDatePhrase(`${start} - ${stop}`);
+    return range.name === 'daterange' ? `BET ${from} AND ${to}` : `FROM ${from} TO ${to}`;
+  }
+  return text ? importedDatePhrase(text.attributes.val) : '';
+};
+
+/** Gramps name types and their GEDCOM values; a birth name is the default and needs no TYPE. */
+const GRAMPS_NAME_TYPES = { 'Also Known As': 'aka', 'Married Name': 'married' };
+
+/** Gramps citation confidence (0 very low to 4 very high) as a GEDCOM QUAY; Normal (2) is written without one, as Gramps does. */
+const GRAMPS_CONFIDENCE_QUALITIES = { 0: '0', 1: '1', 3: '2', 4: '3' };
+
+/**
+ * Imports a Gramps XML database export (the uncompressed contents of a .gramps file) into the model
+ * parseGedcomFile produces. Gramps ids (I0001, F0001) become the xrefs; events, places and citations
+ * are folded into the records that refer to them.
+ *
+ * @param {string} text The XML text.
+ * @param {Object} [options] { onProgress(fraction) } passed through to parseGedcomFile.
+ * @returns {Object} The parseGedcomFile model, with `format: 'gramps'`.
+ */
+export const importGrampsXml = (text, options = {}) => {
+  const database = parseXml(text);
+  if (database?.name !== 'database') throw new Error('The XML file is not a Gramps database export.');
+  const section = (name, item) => xmlChildren(xmlChild(database, name), item);
+  const issues = [];
+  const allocate = createXrefAllocator();
+
+  // Gramps links objects by handle; records keep their Gramps id as the xref
+  const xrefs = new Map();
+  const records = {
+    people: section('people', 'person'), families: section('families', 'family'), sources: section('sources', 'source'),
+    repositories: section('repositories', 'repository'), notes: section('notes', 'note'), objects: section('objects', 'object'),
+  };
+  [['people', 'I'], ['families', 'F'], ['sources', 'S'], ['repositories', 'R'], ['notes', 'N'], ['objects', 'O']].forEach(([kind, prefix]) => {
+    records[kind].forEach(element => xrefs.set(element.attributes.handle, allocate(element.attributes.id, prefix)));
+  });
+  const byHandle = (elements) => new Map(elements.map(element => [element.attributes.handle, element]));
+  const events = byHandle(section('events', 'event'));
+  const places = byHandle(section('places', 'placeobj'));
+  const citations = byHandle(section('citations', 'citation'));
+
+  const resolve = (hlink, what) => {
+    if (xrefs.has(hlink)) return xrefs.get(hlink);
+    unknownReference(issues, what, hlink);
+    return null;
+  };
+  const pointers = (element, name, tag, what) => xmlChildren(element, name)
+    .map(reference => resolve(reference.attributes.hlink, what)).filter(Boolean).map(xref => pointerNode(tag, xref));
+
+  // Place titles: an old-style ptitle, or the place name followed by the places enclosing it
+  const placeTitles = new Map();
+  const placeTitle = (handle, seen = new Set()) => {
+    if (placeTitles.has(handle)) return placeTitles.get(handle);
+    const place = places.get(handle);
+    if (!place || seen.has(handle)) return '';
+    seen.add(handle);
+    const enclosing = xmlChild(place, 'placeref')?.attributes.hlink;
+    const title = xmlText(place, 'ptitle')
+      || [xmlChild(place, 'pname')?.attributes.value, enclosing && placeTitle(enclosing, seen)].filter(Boolean).join(', ');
+    placeTitles.set(handle, title);
+    return title;
+  };
+
+  const citationNodes = (element) => xmlChildren(element, 'citationref').flatMap(reference => {
+    const citation = citations.get(reference.attributes.hlink);
+    const source = citation && xrefs.get(xmlChild(citation, 'sourceref')?.attributes.hlink);
+    if (!source) {
+      unknownReference(issues, 'A citation', reference.attributes.hlink);
+      return [];
+    }
+    return [pointerNode('SOUR', source, [
+      ...optionalNode('PAGE', xmlText(citation, 'page')),
+      ...optionalNode('QUAY', GRAMPS_CONFIDENCE_QUALITIES[xmlText(citation, 'confidence')]),
+      ...pointers(citation, 'noteref', 'NOTE', 'A citation note'),
+    ])];
+  });
+
+  // Only the events a record takes part in as the main person or family, not as a witness
+  const eventNodes = (element) => xmlChildren(element, 'eventref').flatMap(reference => {
+    const { hlink, role = 'Primary' } = reference.attributes;
+    if (role !== 'Primary' && role !== 'Family') return [];
+    const event = events.get(hlink);
+    if (!event) {
+      unknownReference(issues, 'An event reference', hlink);
+      return [];
+    }
+    const type = xmlText(event, 'type');
+    const description = xmlText(event, 'description');
+    const isAttribute = ATTRIBUTE_TAGS.has(EVENT_TAGS_BY_NAME[eventTypeKey(type)]);
+    return [importedEvent({
+      type,
+      value: isAttribute ? description : '',
+      date: grampsDate(event),
+      place: placeTitle(xmlChild(event, 'place')?.attributes.hlink),
+      children: [
+        ...pointers(event, 'noteref', 'NOTE', 'An event note'),
+        ...citationNodes(event),
+        ...pointers(event, 'objref', 'OBJE', 'An event media link'),
+      ],
+    })];
+  });
+
+  const personRecords = records.people.map(person => {
+    // The primary name first; alternate names are marked alt="1"
+    const names = [...xmlChildren(person, 'name')].sort((a, b) => Number(a.attributes.alt === '1') - Number(b.attributes.alt === '1'));
+    return createNode('INDI', '', {
+      xref: xrefs.get(person.attributes.handle),
+      children: [
+        ...names.map(name => importedName({
+          given: xmlText(name, 'first'),
+          surname: xmlChildren(name, 'surname').map(surname => surname.text.trim()).filter(Boolean).join(' '),
+          prefix: xmlText(name, 'title'),
+          suffix: xmlText(name, 'suffix'),
+          nickname: xmlText(name, 'nick'),
+          type: GRAMPS_NAME_TYPES[name.attributes.type] || '',
+        })),
+        ...optionalNode('SEX', xmlText(person, 'gender')),
+        ...eventNodes(person),
+        ...pointers(person, 'childof', 'FAMC', 'A parent family link'),
+        ...pointers(person, 'parentin', 'FAMS', 'A spouse family link'),
+        ...pointers(person, 'noteref', 'NOTE', 'A person note'),
+        ...citationNodes(person),
+        ...pointers(person, 'objref', 'OBJE', 'A person media link'),
+      ],
+    });
+  });
+
+  const familyRecords = records.families.map(family => createNode('FAM', '', {
+    xref: xrefs.get(family.attributes.handle),
+    children: [
+      ...pointers(family, 'father', 'HUSB', 'A family father'),
+      ...pointers(family, 'mother', 'WIFE', 'A family mother'),
+      ...pointers(family, 'childref', 'CHIL', 'A family child'),
+      ...eventNodes(family),
+      ...pointers(family, 'noteref', 'NOTE', 'A family note'),
+      ...citationNodes(family),
+    ],
+  }));
+
+  const sourceRecords = records.sources.map(source => createNode('SOUR', '', {
+    xref: xrefs.get(source.attributes.handle),
+    children: [
+      ...optionalNode('TITL', xmlText(source, 'stitle')),
+      ...optionalNode('AUTH', xmlText(source, 'sauthor')),
+      ...optionalNode('PUBL', xmlText(source, 'spubinfo')),
+      ...optionalNode('ABBR', xmlText(source, 'sabbrev')),
+      ...xmlChildren(source, 'reporef').flatMap(reference => {
+        const xref = resolve(reference.attributes.hlink, 'A source repository');
+        return xref ? [pointerNode('REPO', xref, optionalNode('CALN', reference.attributes.callno))] : [];
+      }),
+      ...pointers(source, 'noteref', 'NOTE', 'A source note'),
+      ...pointers(source, 'objref', 'OBJE', 'A source media link'),
+    ],
+  }));
+
+  const repositoryRecords = records.repositories.map(repository => createNode('REPO', '', {
+    xref: xrefs.get(repository.attributes.handle),
+    children: optionalNode('NAME', xmlText(repository, 'rname')),
+  }));
+  const noteRecords = records.notes.map(note => createNode('NOTE', xmlText(note, 'text'), { xref: xrefs.get(note.attributes.handle) }));
+  const mediaRecords = records.objects.map(object => {
+    const file = xmlChild(object, 'file')?.attributes || {};
+    return createNode('OBJE', '', {
+      xref: xrefs.get(object.attributes.handle),
+      children: [
+        createNode('FILE', file.src || '', { children: optionalNode('FORM', (file.mime || '').replace(/^.*\//, '')) }),
+        ...optionalNode('TITL', file.description),
+      ],
+    });
+  });
+
+  return importedFile([
+    importedHeader('GRAMPS'), ...personRecords, ...familyRecords, ...sourceRecords, ...repositoryRecords, ...noteRecords, ...mediaRecords,
+  ], issues, 'gramps', options);
+};
+
+/** Decompresses gzip data, as Gramps writes its .gramps files. */
+const gunzip = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Reads a family tree file in any of FILE_FORMATS, detected from its contents: gzip-compressed files are
+ * decompressed first, the text is decoded like a GEDCOM file and then parsed or imported.
+ * @param {Uint8Array} bytes Raw file contents.
+ * @param {Object} [options] { onProgress(fraction) } passed through to the parser.
+ * @returns {Promise<Object>} { gedcom: parseGedcomFile model with its `format`, encoding: { encoding, declared, bom } }
+ */
+export const readGenealogyFile = async (bytes, options = {}) => {
+  const data = bytes[0] === 0x1F && bytes[1] === 0x8B ? await gunzip(bytes) : bytes;
+  const { text, encoding, declared, bom } = decodeGedcomBytes(data);
+  const format = detectFileFormat(text);
+  const gedcom = format === 'gedcomx' ? importGedcomX(text, options)
+    : format === 'gramps' ? importGrampsXml(text, options)
+    : { ...parseGedcomFile(text, options), format };
+  return { gedcom, encoding: { encoding, declared, bom } };
+};
+
+
+// --- GEDCOM Merge ---
+
+/** Record types carried into a merged file, in output order. GEDCOM 7 SNOTE records count as NOTE. */
+const MERGE_RECORD_ORDER = ['SUBM', 'INDI', 'FAM', 'SOUR', 'REPO', 'NOTE', 'OBJE'];
+
+/** Xref prefixes used when a record from File 2 has to be renamed. */
+const XREF_PREFIXES = { INDI: 'I', FAM: 'F', SOUR: 'S', REPO: 'R', NOTE: 'N', OBJE: 'O', SUBM: 'U' };
+
+/** Field groups where keeping both sides is the natural default (they are lists, not single values). */
+export const MULTI_VALUE_GROUPS = new Set(['Sources', 'Notes', 'Media']);
+
+/** Field groups that can only hold one value, so "keep both" falls back to File 1. */
+export const SINGLE_VALUE_GROUPS = new Set(['Sex']);
+
+/** Deep-copies a node, rewriting pointer values through `remap` (old xref -> new xref). */
+const cloneNode = (node, remap = new Map()) => {
+  const pointer = node.pointer && (remap.get(node.pointer) || node.pointer);
+  return {
+    ...node,
+    xref: node.xref && (remap.get(node.xref) || node.xref),
+    value: pointer ? `@${pointer}@` : node.value,
+    pointer,
+    children: node.children.map(child => cloneNode(child, remap)),
+  };
+};
+
+/** File-independent signature of a node and its subtree, used to detect identical fields. */
+const nodeSignature = (node) => `${node.tag}=${normalizeValue(node.value)}{${node.children.map(nodeSignature).join(';')}}`;
+
+/**
+ * Field group a record's child belongs to when merging. FAMC/FAMS links return null because
+ * they are rebuilt from the merged families.
+ */
+const mergeGroupKey = (node) => {
+  if (node.tag === 'FAMC' || node.tag === 'FAMS') return null;
+  if (node.tag === 'NAME') return 'Name';
+  if (node.tag === 'SEX') return 'Sex';
+  if (node.tag === 'SOUR') return 'Sources';
+  if (node.tag === 'NOTE' || node.tag === 'SNOTE') return 'Notes';
+  if (node.tag === 'OBJE') return 'Media';
+  if (EVENT_LABELS[node.tag]) {
+    const type = childValue(node, 'TYPE');
+    return type ? `${EVENT_LABELS[node.tag]} (${type})` : EVENT_LABELS[node.tag];
+  }
+  return node.tag;
+};
+
+/** Groups a record's children by merge field, keeping first-seen order. */
+const groupRecordFields = (record) => record.children.reduce((groups, child) => {
+  const key = mergeGroupKey(child);
+  if (key === null) return groups;
+  if (!groups.has(key)) groups.set(key, []);
+  groups.get(key).push(child);
+  return groups;
+}, new Map());
+
+/** True when two groups of nodes carry the same data, ignoring order. */
+const sameFieldGroup = (nodesA, nodesB) => {
+  const left = nodesA.map(nodeSignature).sort();
+  const right = nodesB.map(nodeSignature).sort();
+  return left.length === right.length && left.every((signature, i) => signature === right[i]);
+};
+
+/**
+ * Merges two versions of a record field by field. `choose(key)` returns 'A', 'B' or 'both'
+ * for fields present on both sides with different values; one-sided fields are always kept.
+ */
+const mergeRecordFields = (recordA, recordB, choose) => {
+  const groupsA = groupRecordFields(recordA);
+  const groupsB = groupRecordFields(recordB);
+  const children = [];
+
+  new Set([...groupsA.keys(), ...groupsB.keys()]).forEach(key => {
+    const nodesA = groupsA.get(key) || [];
+    const nodesB = groupsB.get(key) || [];
+    if (nodesA.length === 0 || nodesB.length === 0 || sameFieldGroup(nodesA, nodesB)) {
+      children.push(...(nodesA.length > 0 ? nodesA : nodesB));
+      return;
+    }
+
+    const choice = SINGLE_VALUE_GROUPS.has(key) && choose(key) === 'both' ? 'A' : choose(key);
+    if (choice === 'B') {
+      children.push(...nodesB);
+    } else if (choice === 'both') {
+      // File 2 values follow File 1's, so File 1 stays preferred and File 2 becomes the alternate
+      const signaturesA = new Set(nodesA.map(nodeSignature));
+      children.push(...nodesA, ...nodesB.filter(node => !signaturesA.has(nodeSignature(node))));
+    } else {
+      children.push(...nodesA);
+    }
+  });
+
+  return { ...recordA, children };
+};
+
+/**
+ * Lists, for every matched pair, the fields whose values differ between the two files.
+ * This is what the user chooses between before merging.
+ * @returns {Array<Object>} { idA, idB, name, conflicts: Array<string> }
+ */
+export const findMergeConflicts = (gedcomA, gedcomB, comparisonResults) => {
+  const pairs = [];
+  comparisonResults.statusMapA.forEach((match, idA) => {
+    if (match.status !== 'MODIFIED') return;
+    const recordA = gedcomA.tree.index.get(idA);
+    const recordB = gedcomB.tree.index.get(match.partnerId);
+    if (!recordA || !recordB) return;
+
+    const groupsA = groupRecordFields(recordA);
+    const groupsB = groupRecordFields(recordB);
+    const conflicts = [...groupsA.keys()].filter(key => groupsB.has(key) && !sameFieldGroup(groupsA.get(key), groupsB.get(key)));
+    if (conflicts.length > 0) {
+      pairs.push({ idA, idB: match.partnerId, name: readIndividual(recordA).name, conflicts });
+    }
+  });
+  return pairs;
+};
+
+/**
+ * Merges two parsed GEDCOM files using the pairs found by compareGedcomData.
+ * Matched people become one record, everyone else is carried over. File 1 keeps its xrefs; File 2
+ * records are renamed where they collide, or mapped onto File 1's copy when they are the same person,
+ * family (same partners), source (same title and author), note (same text), repository or media file.
+ *
+ * @param {Object} gedcomA The first parsed file.
+ * @param {Object} gedcomB The second parsed file.
+ * @param {Object} comparisonResults The result of compareGedcomData for the two files.
+ * @param {Object} [options] { defaultSide: 'A' | 'B', choices: Map<idA, Object<fieldKey, 'A' | 'B' | 'both'>>,
+ *   version: GEDCOM version to write (default '5.5.1') }
+ * @returns {Object} { records: Array<Object>, text: string, counts: Object }
+ */
+export const mergeGedcomFiles = (gedcomA, gedcomB, comparisonResults, { defaultSide = 'A', choices = new Map(), version = '5.5.1' } = {}) => {
+  const recordTag = (record) => (record.tag === 'SNOTE' ? 'NOTE' : record.tag);
+  const recordsOf = (gedcom, tag) => gedcom.tree.records.filter(record => recordTag(record) === tag && record.xref);
+
+  // 1. Map File 2 xrefs onto File 1 records or fresh, non-colliding xrefs
+  const remap = new Map();
+  const usedXrefs = new Set(gedcomA.tree.index.keys());
+  const counters = {};
+  const allocate = (tag, xref) => {
+    let candidate = xref;
+    while (usedXrefs.has(candidate)) {
+      const prefix = XREF_PREFIXES[tag] || 'X';
+      counters[prefix] = (counters[prefix] || 0) + 1;
+      candidate = `${prefix}${counters[prefix]}`;
+    }
+    usedXrefs.add(candidate);
+    return candidate;
+  };
+
+  comparisonResults.statusMapB.forEach((match, idB) => {
+    if (match.partnerId) remap.set(idB, match.partnerId);
+  });
+
+  // Shared sources, notes, repositories and media are recognised by their content
+  const contentKey = (record) => {
+    switch (recordTag(record)) {
+      case 'SOUR': return `${normalizeText(childValue(record, 'TITL'))}|${normalizeText(childValue(record, 'AUTH'))}`;
+      case 'NOTE': return normalizeValue(record.value);
+      case 'REPO': return normalizeText(childValue(record, 'NAME'));
+      case 'OBJE': return childValue(record, 'FILE') || findChild(record, 'FILE')?.value || '';
+      default: return '';
+    }
+  };
+  ['SOUR', 'NOTE', 'REPO', 'OBJE'].forEach(tag => {
+    const keysA = new Map();
+    recordsOf(gedcomA, tag).forEach(record => {
+      const key = contentKey(record);
+      if (key && !keysA.has(key)) keysA.set(key, record.xref);
+    });
+    recordsOf(gedcomB, tag).forEach(record => {
+      const idA = keysA.get(contentKey(record));
+      if (idA) remap.set(record.xref, idA);
+    });
+  });
+
+  // Families are shared when their (already mapped) partners are the same people
+  const partnerKey = (record, mapping) => [findChild(record, 'HUSB'), findChild(record, 'WIFE')]
+    .map(node => node?.pointer && (mapping.get(node.pointer) || node.pointer))
+    .filter(Boolean)
+    .sort()
+    .join('+');
+  const familiesByPartners = new Map(recordsOf(gedcomA, 'FAM').map(record => [partnerKey(record, new Map()), record.xref]));
+  recordsOf(gedcomB, 'FAM').forEach(record => {
+    const key = partnerKey(record, remap);
+    if (key && familiesByPartners.has(key)) remap.set(record.xref, familiesByPartners.get(key));
+  });
+
+  // Everything else from File 2 keeps its xref unless File 1 already uses it
+  MERGE_RECORD_ORDER.forEach(tag => {
+    recordsOf(gedcomB, tag).forEach(record => {
+      if (!remap.has(record.xref)) remap.set(record.xref, allocate(tag, record.xref));
+    });
+  });
+
+  // 2. Merge records: File 1 records first (combined with their File 2 counterpart), then File 2 additions
+  const merged = new Map(); // xref -> record
+  MERGE_RECORD_ORDER.forEach(tag => recordsOf(gedcomA, tag).forEach(record => merged.set(record.xref, cloneNode(record))));
+  MERGE_RECORD_ORDER.forEach(tag => {
+    recordsOf(gedcomB, tag).forEach(record => {
+      const copy = cloneNode(record, remap);
+      const existing = merged.get(copy.xref);
+      if (!existing) {
+        merged.set(copy.xref, copy);
+        return;
+      }
+      const personChoices = choices.get(copy.xref) || {};
+      const choose = (key) => personChoices[key] || (MULTI_VALUE_GROUPS.has(key) ? 'both' : defaultSide);
+      const combined = mergeRecordFields(existing, copy, choose);
+      if (tag === 'FAM' || tag === 'INDI') {
+        // Keep the links from both versions; they are reconciled below
+        const links = ['HUSB', 'WIFE', 'CHIL', 'FAMC', 'FAMS'];
+        const linkNodes = [...existing.children, ...copy.children].filter(node => links.includes(node.tag));
+        combined.children = [...combined.children.filter(node => !links.includes(node.tag)), ...linkNodes];
+      }
+      merged.set(copy.xref, combined);
+    });
+  });
+
+  // 3. Rewire family links so both directions agree and point only at records that exist
+  const membership = new Map(); // personId -> { FAMC: Set, FAMS: Set }
+  const families = new Map(); // famId -> { HUSB, WIFE, CHIL: Set }
+  const memberOf = (personId) => {
+    if (!membership.has(personId)) membership.set(personId, { FAMC: new Set(), FAMS: new Set() });
+    return membership.get(personId);
+  };
+  const familyOf = (famId) => {
+    if (!families.has(famId)) families.set(famId, { HUSB: null, WIFE: null, CHIL: new Set() });
+    return families.get(famId);
+  };
+  const isType = (xref, tag) => merged.get(xref)?.tag === tag;
+
+  merged.forEach(record => {
+    if (record.tag === 'FAM') {
+      const family = familyOf(record.xref);
+      record.children.forEach(node => {
+        if (!isType(node.pointer, 'INDI')) return;
+        if (node.tag === 'CHIL') family.CHIL.add(node.pointer);
+        if ((node.tag === 'HUSB' || node.tag === 'WIFE') && !family[node.tag]) family[node.tag] = node.pointer;
+      });
+    }
+  });
+  merged.forEach(record => {
+    if (record.tag !== 'INDI') return;
+    record.children.forEach(node => {
+      if (!isType(node.pointer, 'FAM')) return;
+      const family = familyOf(node.pointer);
+      if (node.tag === 'FAMC') family.CHIL.add(record.xref);
+      if (node.tag === 'FAMS' && family.HUSB !== record.xref && family.WIFE !== record.xref) {
+        const role = childValue(record, 'SEX').toUpperCase() === 'F' ? 'WIFE' : 'HUSB';
+        if (!family[role]) family[role] = record.xref;
+      }
+    });
+  });
+  families.forEach((family, famId) => {
+    family.CHIL.forEach(personId => memberOf(personId).FAMC.add(famId));
+    [family.HUSB, family.WIFE].filter(Boolean).forEach(personId => memberOf(personId).FAMS.add(famId));
+  });
+
+  // Re-emit link nodes once each, keeping substructures (e.g. FAMC.PEDI) of the first occurrence
+  const relink = (record, tags, wanted) => {
+    const seen = new Set();
+    const kept = record.children.filter(node => {
+      if (!tags.includes(node.tag)) return true;
+      const key = `${node.tag}:${node.pointer}`;
+      if (!wanted(node.tag).has(node.pointer) || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    tags.forEach(tag => wanted(tag).forEach(pointer => {
+      if (!seen.has(`${tag}:${pointer}`)) kept.push(createNode(tag, `@${pointer}@`));
+    }));
+    record.children = kept;
+  };
+  merged.forEach(record => {
+    if (record.tag === 'FAM') {
+      const family = familyOf(record.xref);
+      relink(record, ['HUSB', 'WIFE', 'CHIL'], tag => new Set(tag === 'CHIL' ? family.CHIL : [family[tag]].filter(Boolean)));
+    } else if (record.tag === 'INDI') {
+      const member = memberOf(record.xref);
+      relink(record, ['FAMC', 'FAMS'], tag => member[tag]);
+    }
+  });
+
+  // 4. Assemble the file
+  const body = MERGE_RECORD_ORDER.flatMap(tag => [...merged.values()].filter(record => recordTag(record) === tag));
+  let submitter = body.find(record => record.tag === 'SUBM');
+  if (!submitter) {
+    // GEDCOM 5.5.1 requires the header to point at a submitter
+    submitter = createNode('SUBM', '', { xref: allocate('SUBM', 'U1'), children: [createNode('NAME', 'GEDCOM Tree Comparator')] });
+    body.unshift(submitter);
+  }
+  const records = [
+    createHeaderRecord({ submitterId: submitter.xref, placeForm: gedcomA.header.placeForm || gedcomB.header.placeForm, version }),
+    ...body,
+    createNode('TRLR'),
+  ];
+  const count = (tag) => body.filter(record => recordTag(record) === tag).length;
+
+  return {
+    records,
+    text: writeGedcom(records, { version }),
+    counts: { individuals: count('INDI'), families: count('FAM'), sources: count('SOUR'), notes: count('NOTE') },
+  };
+};
+
+
+// --- Three-Way Comparison ---
+
+/**
+ * How a person or field changed from the base file to the two edited copies. CHANGED_BOTH means both
+ * copies made the same change (or, for a person, changed different fields); CONFLICT means they changed
+ * the same field differently, or one copy deleted a person the other changed.
+ */
+export const THREE_WAY_STATUSES = [
+  'UNCHANGED', 'CHANGED_A', 'CHANGED_B', 'CHANGED_BOTH', 'CONFLICT',
+  'ADDED_A', 'ADDED_B', 'ADDED_BOTH', 'DELETED_A', 'DELETED_B', 'DELETED_BOTH',
+];
+
+/** Field key of a conflict between deleting a person in one copy and changing them in the other. */
+export const PERSON_FIELD = 'Person';
+
+/** Readable one-line form of a node and its subtree, e.g. "DATE 1850, PLAC London, England". */
+const describeMergeNode = (node) => [
+  node.value,
+  ...node.children.map(child => `${child.tag} ${describeMergeNode(child)}`.trim()),
+].filter(Boolean).join(', ');
+
+/** Order-independent signature of a field group; empty when the field is absent. */
+const groupSignature = (nodes) => nodes.map(nodeSignature).sort().join('\n');
+
+/** Classifies one field from its signatures in the base file and in each copy. */
+const classifyField = (base, a, b) => {
+  if (a === b) return a === base ? 'UNCHANGED' : 'CHANGED_BOTH';
+  if (a === base) return 'CHANGED_B';
+  if (b === base) return 'CHANGED_A';
+  return 'CONFLICT';
+};
+
+/**
+ * Field-by-field three-way diff of one person, using the merge field groups. A missing record counts as
+ * a record without fields.
+ * @returns {Array<Object>} Changed fields { key, status, base, a, b }, each side a list of readable values.
+ */
+const diffThreeWayFields = (recordBase, recordA, recordB) => {
+  const groups = [recordBase, recordA, recordB].map(record => (record ? groupRecordFields(record) : new Map()));
+  const keys = new Set(groups.flatMap(group => [...group.keys()]));
+  return [...keys].flatMap(key => {
+    const [base, a, b] = groups.map(group => group.get(key) || []);
+    const status = classifyField(groupSignature(base), groupSignature(a), groupSignature(b));
+    if (status === 'UNCHANGED') return [];
+    return [{ key, status, base: base.map(describeMergeNode), a: a.map(describeMergeNode), b: b.map(describeMergeNode) }];
+  });
+};
+
+/** Person-level status implied by a person's changed fields. */
+const summarizeFields = (fields) => {
+  if (fields.some(field => field.status === 'CONFLICT')) return 'CONFLICT';
+  const inA = fields.some(field => field.status === 'CHANGED_A' || field.status === 'CHANGED_BOTH');
+  const inB = fields.some(field => field.status === 'CHANGED_B' || field.status === 'CHANGED_BOTH');
+  if (inA && inB) return 'CHANGED_BOTH';
+  return inA ? 'CHANGED_A' : inB ? 'CHANGED_B' : 'UNCHANGED';
+};
+
+/**
+ * Compares two edited copies (A and B) of a common base file. People are matched base↔A and base↔B
+ * with compareGedcomData, and people added to both copies are matched with each other. Fields are
+ * compared in merge field groups: a field changed in only one copy is that copy's change, and only a
+ * field changed differently in both copies is a conflict.
+ *
+ * @param {Object} base The parsed base file both copies started from.
+ * @param {Object} gedcomA The first edited copy.
+ * @param {Object} gedcomB The second edited copy.
+ * @param {Object} [options] { threshold, placeAliases: as for compareGedcomData, onProgress(fraction) }
+ * @returns {Object} { people: Array<{ key, status, idBase, idA, idB, name, fields }>,
+ *   conflicts: Array<{ key, field, name, base, a, b }>, counts: Object<status, number> }
+ */
+export const compareThreeWay = (base, gedcomA, gedcomB, { threshold = DEFAULT_MATCH_THRESHOLD, placeAliases, onProgress } = {}) => {
+  const step = (offset) => fraction => onProgress && onProgress((offset + fraction) / 3);
+  const toA = compareGedcomData(base.individuals, gedcomA.individuals, {
+    threshold, gedcomA: base, gedcomB: gedcomA, placeAliases, onProgress: step(0),
+  });
+  const toB = compareGedcomData(base.individuals, gedcomB.individuals, {
+    threshold, gedcomA: base, gedcomB, placeAliases, onProgress: step(1),
+  });
+  const addedA = gedcomA.individuals.filter(person => !toA.statusMapB.get(person.id).partnerId);
+  const addedB = gedcomB.individuals.filter(person => !toB.statusMapB.get(person.id).partnerId);
+  const added = compareGedcomData(addedA, addedB, { threshold, gedcomA, gedcomB, placeAliases, onProgress: step(2) });
+
+  const recordOf = (gedcom, id) => (id ? gedcom.tree.index.get(id) : null);
+  const people = [];
+
+  // 1. Everyone in the base file: kept, changed or deleted by each copy
+  base.individuals.forEach(person => {
+    const idA = toA.statusMapA.get(person.id).partnerId;
+    const idB = toB.statusMapA.get(person.id).partnerId;
+    const recordBase = recordOf(base, person.id);
+    const entry = { key: person.id, idBase: person.id, idA, idB, name: person.name };
+
+    if (idA && idB) {
+      const fields = diffThreeWayFields(recordBase, recordOf(gedcomA, idA), recordOf(gedcomB, idB));
+      people.push({ ...entry, status: summarizeFields(fields), fields });
+    } else if (!idA && !idB) {
+      people.push({ ...entry, status: 'DELETED_BOTH', fields: [] });
+    } else {
+      // Deleted in one copy: a conflict if the other copy changed the person meanwhile
+      const keptSide = idA ? 'A' : 'B';
+      const kept = recordOf(keptSide === 'A' ? gedcomA : gedcomB, idA || idB);
+      const changes = diffThreeWayFields(recordBase, recordBase, kept);
+      const status = changes.length > 0 ? 'CONFLICT' : `DELETED_${keptSide === 'A' ? 'B' : 'A'}`;
+      const fields = changes.length > 0 ? [{
+        key: PERSON_FIELD,
+        status,
+        base: [person.name],
+        a: keptSide === 'A' ? changes.map(field => `${field.key}: ${field.b.join('; ') || 'removed'}`) : [],
+        b: keptSide === 'B' ? changes.map(field => `${field.key}: ${field.b.join('; ') || 'removed'}`) : [],
+      }] : [];
+      people.push({ ...entry, status, fields });
+    }
+  });
+
+  // 2. People added to either copy, paired when both copies added the same person
+  addedA.forEach(person => {
+    const idB = added.statusMapA.get(person.id).partnerId;
+    const entry = { key: `A:${person.id}`, idBase: null, idA: person.id, idB, name: person.name };
+    if (!idB) {
+      people.push({ ...entry, status: 'ADDED_A', fields: [] });
+      return;
+    }
+    // Without a base every field counts as changed; only the differences between the copies matter
+    const fields = diffThreeWayFields(null, recordOf(gedcomA, person.id), recordOf(gedcomB, idB))
+      .filter(field => field.status !== 'CHANGED_BOTH');
+    people.push({ ...entry, status: fields.some(field => field.status === 'CONFLICT') ? 'CONFLICT' : 'ADDED_BOTH', fields });
+  });
+  addedB.forEach(person => {
+    if (added.statusMapB.get(person.id).partnerId) return;
+    people.push({ key: `B:${person.id}`, idBase: null, idA: null, idB: person.id, name: person.name, status: 'ADDED_B', fields: [] });
+  });
+
+  const counts = Object.fromEntries(THREE_WAY_STATUSES.map(status => [status, 0]));
+  people.forEach(person => counts[person.status]++);
+  const conflicts = people.flatMap(person => person.fields
+    .filter(field => field.status === 'CONFLICT')
+    .map(field => ({ key: person.key, field: field.key, name: person.name, base: field.base, a: field.a, b: field.b })));
+
+  return { people, conflicts, counts };
+};
+
+/**
+ * Merges the two copies of a three-way comparison into one file. Changes made in only one copy are
+ * applied, people deleted in one copy and untouched in the other are left out, and each conflict is
+ * settled by `resolutions`, falling back to `defaultSide`. Family links are combined from both copies
+ * as in mergeGedcomFiles.
+ *
+ * @param {Object} gedcomA The first edited copy.
+ * @param {Object} gedcomB The second edited copy.
+ * @param {Object} threeWay The result of compareThreeWay for the two copies.
+ * @param {Object} [options] { resolutions: Map<person key, Object<fieldKey, 'A' | 'B'>>, defaultSide: 'A' | 'B',
+ *   version: GEDCOM version to write (default '5.5.1') }
+ * @returns {Object} { records, text, counts } as returned by mergeGedcomFiles.
+ */
+export const mergeThreeWay = (gedcomA, gedcomB, threeWay, { resolutions = new Map(), defaultSide = 'A', version = '5.5.1' } = {}) => {
+  const statusMapA = new Map();
+  const statusMapB = new Map();
+  const choices = new Map();
+  // Per copy: people left out, and fields removed from people before merging
+  const dropped = { A: new Set(), B: new Set() };
+  const removed = { A: new Map(), B: new Map() };
+
+  const sideFor = (person, field) => {
+    if (field.status === 'CONFLICT') return resolutions.get(person.key)?.[field.key] || defaultSide;
+    return field.status === 'CHANGED_B' ? 'B' : 'A';
+  };
+
+  threeWay.people.forEach(person => {
+    const { idA, idB } = person;
+    if (idA && idB) {
+      statusMapA.set(idA, { status: 'MODIFIED', partnerId: idB });
+      statusMapB.set(idB, { status: 'MODIFIED', partnerId: idA });
+      const personChoices = {};
+      const removedA = new Set();
+      const removedB = new Set();
+      person.fields.forEach(field => {
+        const side = sideFor(person, field);
+        personChoices[field.key] = side;
+        // mergeGedcomFiles keeps one-sided fields, so a field the chosen copy deleted is removed from the other too
+        if (side === 'A' && field.a.length === 0) removedB.add(field.key);
+        if (side === 'B' && field.b.length === 0) removedA.add(field.key);
+      });
+      choices.set(idA, personChoices);
+      removed.A.set(idA, removedA);
+      removed.B.set(idB, removedB);
+    } else if (person.idBase && (idA || idB)) {
+      // Deleted in the other copy; kept only when a conflict was resolved in favour of this copy's changes
+      const keptSide = idA ? 'A' : 'B';
+      if (person.status !== 'CONFLICT' || sideFor(person, person.fields[0]) !== keptSide) {
+        dropped[keptSide].add(idA || idB);
+      }
+    }
+  });
+
+  const prepare = (gedcom, side) => {
+    const withoutDropped = (node) => !(node.pointer && dropped[side].has(node.pointer));
+    const records = gedcom.tree.records
+      .filter(record => !dropped[side].has(record.xref))
+      .map(record => {
+        const keys = removed[side].get(record.xref);
+        const children = record.children.filter(child => withoutDropped(child) && !keys?.has(mergeGroupKey(child)));
+        return children.length === record.children.length ? record : { ...record, children };
+      });
+    return { ...gedcom, tree: { ...gedcom.tree, records } };
+  };
+
+  return mergeGedcomFiles(prepare(gedcomA, 'A'), prepare(gedcomB, 'B'), { statusMapA, statusMapB }, { choices, defaultSide, version });
+};
+
+
+// --- Comparison Reports ---
+
+/** Identifies JSON reports written by createComparisonReport; bump the version when the shape changes. */
+export const REPORT_SCHEMA = 'gedcom-compare-report';
+export const REPORT_SCHEMA_VERSION = 1;
+
+/** Id, name and raw birth/death dates of a person, as written in reports. */
+const reportPerson = (person) => ({
+  id: person.id,
+  name: person.name,
+  birth: person.events?.find(event => event.tag === 'BIRT')?.date || null,
+  death: person.events?.find(event => event.tag === 'DEAT')?.date || null,
+});
+
+/**
+ * Builds the machine-readable comparison report that the HTML and CSV exports are rendered from.
+ *
+ * Schema (version 1):
+ *   {
+ *     schema: 'gedcom-compare-report', version: 1, generatedAt: ISO 8601 timestamp,
+ *     files: { a: { name, people }, b: { name, people } },   // people: individuals in the file
+ *     threshold: number,                                       // minimum match score used
+ *     branch: null | { rootA, rootB, nameA, nameB, direction, generations },
+ *     counts: { MATCH, MODIFIED, UNIQUE_A, UNIQUE_B },         // pairs are counted on both sides
+ *     pairs: [{ status: 'MATCH' | 'MODIFIED', score, context: string | null, a: Person, b: Person,
+ *               differences: [{ field, kind: 'added' | 'removed' | 'changed', before, after }] }],
+ *     uniqueA: [Person], uniqueB: [Person]
+ *   }
+ *   Person: { id, name, birth, death }, with birth and death as written in the file (or null).
+ *
+ * @param {Object} comparisonResults The result of compareGedcomData (or compareSubtrees).
+ * @param {Object} options { peopleA, peopleB: the compared individuals, file1Name, file2Name, generatedAt: Date }
+ * @returns {Object} The report.
+ */
+export const createComparisonReport = (comparisonResults, { peopleA, peopleB, file1Name = 'File 1', file2Name = 'File 2', generatedAt = new Date() }) => {
+  const byIdA = new Map(peopleA.map(p => [p.id, p]));
+  const byIdB = new Map(peopleB.map(p => [p.id, p]));
+  const pairs = [];
+  const uniqueA = [];
+  const uniqueB = [];
+
+  comparisonResults.statusMapA.forEach((match, idA) => {
+    if (!byIdA.has(idA)) return;
+    if (!match.partnerId) {
+      uniqueA.push(reportPerson(byIdA.get(idA)));
+      return;
+    }
+    pairs.push({
+      status: match.status,
+      score: Math.round(match.score * 1000) / 1000,
+      context: match.context || null,
+      a: reportPerson(byIdA.get(idA)),
+      b: reportPerson(byIdB.get(match.partnerId)),
+      differences: match.diff.map(({ field, kind, before, after }) => ({ field, kind, before, after })),
+    });
+  });
+  comparisonResults.statusMapB.forEach((match, idB) => {
+    if (!match.partnerId && byIdB.has(idB)) uniqueB.push(reportPerson(byIdB.get(idB)));
+  });
+
+  return {
+    schema: REPORT_SCHEMA,
+    version: REPORT_SCHEMA_VERSION,
+    generatedAt: generatedAt.toISOString(),
+    files: { a: { name: file1Name, people: peopleA.length }, b: { name: file2Name, people: peopleB.length } },
+    threshold: comparisonResults.threshold,
+    branch: comparisonResults.branch || null,
+    counts: { ...comparisonResults.counts },
+    pairs,
+    uniqueA,
+    uniqueB,
+  };
+};
+
+/** One field difference as a single line of text ("Birth date: 1850 → ABT 1850"). */
+const describeDifference = ({ field, before, after }) => {
+  if (!before) return `${field}: added ${after}`;
+  if (!after) return `${field}: removed ${before}`;
+  return `${field}: ${before} → ${after}`;
+};
+
+/** Quotes a CSV field when it contains a separator, quote or line break (RFC 4180). */
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Renders a report as CSV: one row per matched pair or unique person, with its status.
+ * A byte order mark is included so spreadsheet programs read the file as UTF-8.
+ */
+export const createCsvReport = (report) => {
+  const header = ['status', 'score', 'file1_id', 'file1_name', 'file1_birth', 'file2_id', 'file2_name', 'file2_birth', 'differences'];
+  const row = (status, score, a, b, differences = []) => [
+    status, score, a?.id, a?.name, a?.birth, b?.id, b?.name, b?.birth, differences.map(describeDifference).join('; '),
+  ];
+  const rows = [
+    ...report.pairs.map(pair => row(pair.status, pair.score, pair.a, pair.b, pair.differences)),
+    ...report.uniqueA.map(person => row('UNIQUE_A', '', person, null)),
+    ...report.uniqueB.map(person => row('UNIQUE_B', '', null, person)),
+  ];
+  return `\uFEFF${[header, ...rows].map(fields => fields.map(csvField).join(',')).join('\r\n')}\r\n`;
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/** Styles embedded in HTML reports, so the file can be opened or mailed on its own. */
+const REPORT_STYLES = `
+  body { font-family: system-ui, sans-serif; color: #1f2937; margin: 2rem; }
+  h1 { margin-bottom: 0.25rem; } h2 { margin-top: 2rem; }
+  .meta { color: #6b7280; margin: 0.25rem 0; }
+  .counts { display: flex; gap: 1rem; margin: 1.5rem 0; }
+  .count { border: 2px solid #d1d5db; border-radius: 0.75rem; padding: 0.75rem 1.25rem; text-align: center; }
+  .count strong { display: block; font-size: 1.5rem; }
+  .MATCH { border-color: #86efac; } .MODIFIED { border-color: #fcd34d; } .UNIQUE { border-color: #fca5a5; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  th, td { border: 1px solid #e5e7eb; padding: 0.35rem 0.5rem; text-align: left; vertical-align: top; }
+  th { background: #f3f4f6; }
+  .before { background: #fef2f2; color: #b91c1c; text-decoration: line-through; }
+  .after { background: #f0fdf4; color: #15803d; }
+  .id { color: #6b7280; font-size: 0.8rem; }
+`;
+
+/** Renders a report as a self-contained HTML page with summary counts and per-person tables. */
+export const createHtmlReport = (report) => {
+  const { files, counts, branch } = report;
+  const person = (p) => (p ? `${escapeHtml(p.name)} <span class="id">${escapeHtml(p.id)}</span>` : '');
+  const lifespan = (p) => escapeHtml([p.birth && `b. ${p.birth}`, p.death && `d. ${p.death}`].filter(Boolean).join(', '));
+  const table = (headings, rows) => (rows.length === 0 ? '<p class="meta">None.</p>' : `<table>
+<tr>${headings.map(heading => `<th>${heading}</th>`).join('')}</tr>
+${rows.join('\n')}
+</table>`);
+
+  const differences = (pair) => `<ul>${pair.differences.map(({ field, kind, before, after }) => `<li>${escapeHtml(field)} (${kind}): ${
+    before ? `<span class="before">${escapeHtml(before)}</span> ` : ''}${after ? `<span class="after">${escapeHtml(after)}</span>` : ''}</li>`).join('')}</ul>`;
+  const modified = report.pairs.filter(pair => pair.status === 'MODIFIED');
+  const matches = report.pairs.filter(pair => pair.status === 'MATCH');
+  const pairRow = (pair, extra = '') => `<tr><td>${person(pair.a)}</td><td>${person(pair.b)}</td><td>${Math.round(pair.score * 100)}%</td>${extra}</tr>`;
+  const uniqueRow = (p) => `<tr><td>${person(p)}</td><td>${lifespan(p)}</td></tr>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>GEDCOM comparison: ${escapeHtml(files.a.name)} and ${escapeHtml(files.b.name)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<h1>GEDCOM Comparison Report</h1>
+<p class="meta">File 1: ${escapeHtml(files.a.name)} (${files.a.people} people) &middot; File 2: ${escapeHtml(files.b.name)} (${files.b.people} people)</p>
+<p class="meta">Match threshold ${Math.round(report.threshold * 100)}% &middot; generated ${escapeHtml(report.generatedAt)}</p>
+${branch ? `<p class="meta">Branch only: ${escapeHtml(branch.direction)} of ${escapeHtml(branch.nameA)} (${escapeHtml(branch.rootA)}) and ${escapeHtml(branch.nameB)} (${escapeHtml(branch.rootB)}), ${branch.generations} generations</p>` : ''}
+<div class="counts">
+<div class="count MATCH"><strong>${counts.MATCH}</strong>Matches</div>
+<div class="count MODIFIED"><strong>${counts.MODIFIED}</strong>Modified</div>
+<div class="count UNIQUE"><strong>${counts.UNIQUE_A}</strong>Only in File 1</div>
+<div class="count UNIQUE"><strong>${counts.UNIQUE_B}</strong>Only in File 2</div>
+</div>
+<h2>Modified (${modified.length} pairs)</h2>
+${table(['File 1', 'File 2', 'Score', 'Differences'], modified.map(pair => pairRow(pair, `<td>${differences(pair)}</td>`)))}
+<h2>Only in File 1 (${report.uniqueA.length})</h2>
+${table(['Person', 'Dates'], report.uniqueA.map(uniqueRow))}
+<h2>Only in File 2 (${report.uniqueB.length})</h2>
+${table(['Person', 'Dates'], report.uniqueB.map(uniqueRow))}
+<h2>Matches (${matches.length} pairs)</h2>
+${table(['File 1', 'File 2', 'Score'], matches.map(pair => pairRow(pair)))}
+</body>
+</html>
+`;
+};
+
+/** Renders a report as plain text for terminals and logs: the counts, then every difference and unique person. */
+export const createTextReport = (report) => {
+  const { files, counts, branch } = report;
+  const person = (p) => `${p.name} (${p.id})`;
+  const modified = report.pairs.filter(pair => pair.status === 'MODIFIED');
+  const lines = [
+    `GEDCOM comparison: ${files.a.name} (${files.a.people} people) and ${files.b.name} (${files.b.people} people)`,
+    `Match threshold: ${Math.round(report.threshold * 100)}%`,
+    ...(branch ? [`Branch only: ${branch.direction} of ${person({ name: branch.nameA, id: branch.rootA })} and ${person({ name: branch.nameB, id: branch.rootB })}, ${branch.generations} generations`] : []),
+    '',
+    `  Matching pairs:  ${report.pairs.length - modified.length}`,
+    `  Modified pairs:  ${modified.length}`,
+    `  Only in File 1:  ${counts.UNIQUE_A}`,
+    `  Only in File 2:  ${counts.UNIQUE_B}`,
+  ];
+
+  if (modified.length > 0) {
+    lines.push('', 'Modified:');
+    modified.forEach(pair => {
+      lines.push(`  ${person(pair.a)} <-> ${person(pair.b)}, ${Math.round(pair.score * 100)}%`);
+      pair.differences.forEach(difference => lines.push(`    ${describeDifference(difference)}`));
+    });
+  }
+  [['Only in File 1', report.uniqueA], ['Only in File 2', report.uniqueB]].forEach(([heading, people]) => {
+    if (people.length === 0) return;
+    lines.push('', `${heading}:`);
+    people.forEach(p => lines.push(`  ${person(p)}${p.birth ? `, b. ${p.birth}` : ''}`));
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+/** Report renderers by format (used by the app's downloads and the CLI): file extension, MIME type and renderer. */
+export const REPORT_FORMATS = {
+  html: { extension: 'html', type: 'text/html;charset=utf-8', render: createHtmlReport },
+  csv: { extension: 'csv', type: 'text/csv;charset=utf-8', render: createCsvReport },
+  json: { extension: 'json', type: 'application/json', render: (report) => `${JSON.stringify(report, null, 2)}\n` },
+  text: { extension: 'txt', type: 'text/plain;charset=utf-8', render: createTextReport },
+};
+
+
+// --- Background Tasks ---
+
+/** Size of the slices a file is read in, so that reading large files can report progress. */
+const READ_CHUNK_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Reads a File (or Blob) slice by slice into a single byte array.
+ * @param {Blob} file The file to read.
+ * @param {Function} onProgress Called with the fraction read after each slice.
+ * @param {number} [chunkSize] Bytes per slice.
+ * @returns {Promise<Uint8Array>} The file's bytes.
+ */
+const readFileInChunks = async (file, onProgress, chunkSize = READ_CHUNK_SIZE) => {
+  const bytes = new Uint8Array(file.size);
+  for (let offset = 0; offset < file.size; offset += chunkSize) {
+    const chunk = new Uint8Array(await file.slice(offset, offset + chunkSize).arrayBuffer());
+    bytes.set(chunk, offset);
+    onProgress((offset + chunk.length) / file.size);
+  }
+  return bytes;
+};
+
+/**
+ * Reads a family tree file slice by slice. GEDCOM files are decoded and parsed as each slice arrives,
+ * so neither the whole file's bytes nor its whole text is held in memory at once. GEDCOM X and Gramps
+ * files (and anything gzip-compressed) are documents that can only be parsed whole; their bytes are
+ * collected and handed to readGenealogyFile.
+ * @param {Blob} file The file to read.
+ * @param {Object} [options] { onProgress(fraction), chunkSize: bytes per slice (default 4 MB) }
+ * @returns {Promise<Object>} The same { gedcom, encoding } as readGenealogyFile.
+ */
+export const readGenealogyFileInChunks = async (file, { onProgress = () => {}, chunkSize = READ_CHUNK_SIZE } = {}) => {
+  const readSlice = async (offset, length = chunkSize) => new Uint8Array(await file.slice(offset, offset + length).arrayBuffer());
+  // The HEAD record, which declares the character set, is expected within the first 64 KB
+  const start = await readSlice(0, 65536);
+  const detected = detectGedcomEncoding(start);
+  const opening = createTextDecoder(detected.encoding).decode(start.subarray(detected.offset, detected.offset + 1024));
+  if ((start[0] === 0x1F && start[1] === 0x8B) || detectFileFormat(opening) !== 'gedcom') {
+    const bytes = await readFileInChunks(file, fraction => onProgress(fraction * 0.3), chunkSize);
+    return readGenealogyFile(bytes, { onProgress: fraction => onProgress(0.3 + fraction * 0.7) });
+  }
+
+  // Returns null when the text turns out not to be valid UTF-8
+  const parse = async (encoding, fatal) => {
+    const decoder = createTextDecoder(encoding, fatal);
+    const parser = createGedcomTreeParser();
+    try {
+      for (let offset = detected.offset; offset < file.size; offset += chunkSize) {
+        const chunk = await readSlice(offset);
+        parser.write(decoder.decode(chunk, { stream: true }));
+        onProgress(((offset + chunk.length) / file.size) * 0.9);
+      }
+      parser.write(decoder.decode());
+    } catch (err) {
+      if (fatal && err instanceof TypeError) return null;
+      throw err;
+    }
+    return parser.end();
+  };
+
+  // Like decodeGedcomBytes, text that claims UTF-8 without a BOM falls back to Windows-1252
+  let { encoding } = detected;
+  let tree = await parse(encoding, encoding === 'UTF-8' && !detected.bom);
+  if (!tree) {
+    encoding = 'Windows-1252';
+    tree = await parse(encoding, false);
+  }
+  const gedcom = { ...readGedcomTree(tree), format: 'gedcom' };
+  return { gedcom, encoding: { encoding, declared: detected.declared, bom: detected.bom } };
+};
+
+/**
+ * Turns progress fractions into whole percentages, calling back only when the percentage changes.
+ * @param {Function} onPercent Called with an integer between 0 and 100.
+ * @returns {Function} A callback taking a fraction between 0 and 1.
+ */
+export const createProgressReporter = (onPercent) => {
+  let reported = -1;
+  return (fraction) => {
+    const percent = Math.min(100, Math.floor(fraction * 100));
+    if (percent === reported) return;
+    reported = percent;
+    onPercent(percent);
+  };
+};
+
+/**
+ * The long-running work the app hands off to a Web Worker. Each task receives its payload and a
+ * progress callback (fraction between 0 and 1) and returns a structured-cloneable result.
+ */
+export const GEDCOM_TASKS = {
+  // payload: { file } → readGenealogyFile result { gedcom, encoding: { encoding, declared, bom } }
+  parse: async ({ file }, progress) => {
+    const result = await readGenealogyFileInChunks(file, { onProgress: fraction => progress(fraction * 0.95) });
+    progress(1);
+    return result;
+  },
+  // payload: { individuals, families, header, placeAliases } → findDuplicatePairs results
+  duplicates: ({ individuals, families, header, placeAliases }, progress) => {
+    const pairs = findDuplicatePairs({ individuals, families, header }, { placeAliases, onProgress: progress });
+    progress(1);
+    return pairs;
+  },
+  // payload: { peopleA, peopleB, options } → compareGedcomData results
+  compare: ({ peopleA, peopleB, options }, progress) => {
+    const results = compareGedcomData(peopleA, peopleB, { ...options, onProgress: progress });
+    progress(1);
+    return results;
+  },
+  // payload: { base, gedcomA, gedcomB, options } → compareThreeWay results
+  threeWay: ({ base, gedcomA, gedcomB, options }, progress) => {
+    const results = compareThreeWay(base, gedcomA, gedcomB, { ...options, onProgress: progress });
+    progress(1);
+    return results;
+  },
+};
@@ -0,0 +1,16 @@
+// Module worker that runs GEDCOM_TASKS off the UI thread; started by runGedcomTask in app.jsx.
+import { GEDCOM_TASKS, createProgressReporter } from './gedcom.mjs';
+
+// Tells the page the module loaded, so a later failure is reported rather than mistaken for a worker that could not start
+self.postMessage({ type: 'ready' });
+
+/** Runs one task and posts its progress, then the result or error. */
+self.onmessage = async ({ data: { task, payload } }) => {
+  try {
+    const report = createProgressReporter(percent => self.postMessage({ type: 'progress', percent }));
+    const result = await GEDCOM_TASKS[task](payload, report);
+    self.postMessage({ type: 'done', result });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
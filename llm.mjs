@@ -0,0 +1,303 @@
+// LLM providers and AI-assisted match explanations. No React or browser dependencies: the providers use
+// the global fetch of Node.js 20 and the browser.
+import { DEFAULT_MATCH_THRESHOLD, CANDIDATE_FLOOR } from './gedcom.mjs';
+
+// --- Errors ---
+
+/** What went wrong when asking a provider, by error code; the app shows these to the user. */
+export const LLM_ERRORS = {
+  NO_API_KEY: 'No API key is configured for the AI provider.',
+  RATE_LIMITED: 'The AI provider is limiting requests. Try again in a minute.',
+  REQUEST_FAILED: 'The AI provider could not be reached or returned an error.',
+  BAD_RESPONSE: 'The AI provider returned an answer that could not be read.',
+};
+
+/**
+ * Creates an Error named 'LlmError' with one of the LLM_ERRORS codes; `detail` is appended to the message.
+ */
+export const createLlmError = (code, detail = '', cause = undefined) => {
+  const error = new Error(detail ? `${LLM_ERRORS[code]} ${detail}` : LLM_ERRORS[code], cause ? { cause } : undefined);
+  error.name = 'LlmError';
+  error.code = code;
+  return error;
+};
+
+
+// --- Providers ---
+
+/*
+ * A provider turns a prompt into the model's text: { id, label, generate(prompt, { signal }) => Promise<string> }.
+ * Providers report failures as LlmErrors and leave AbortErrors from `signal` untouched.
+ */
+
+export const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent';
+
+/** Sends a JSON request, turning network failures and error statuses into LlmErrors. */
+const postJson = async (fetchImpl, url, body, { headers = {}, signal } = {}) => {
+  let response;
+  try {
+    response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw createLlmError('REQUEST_FAILED', err.message, err);
+  }
+
+  if (response.status === 429) {
+    const error = createLlmError('RATE_LIMITED');
+    const seconds = Number(response.headers?.get('Retry-After'));
+    if (seconds > 0) error.retryAfter = seconds * 1000;
+    throw error;
+  }
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw createLlmError('REQUEST_FAILED', `HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+  }
+  try {
+    return await response.json();
+  } catch (err) {
+    throw createLlmError('BAD_RESPONSE', 'The response was not JSON.', err);
+  }
+};
+
+/**
+ * Google Gemini through the generateContent REST API. The key is sent in a header, not the URL.
+ * @param {Object} [options] { apiKey, url: model endpoint (default GEMINI_API_URL), fetch }
+ */
+export const createGeminiProvider = ({ apiKey = '', url = GEMINI_API_URL, fetch: fetchImpl = globalThis.fetch } = {}) => ({
+  id: 'gemini',
+  label: 'Google Gemini',
+  generate: async (prompt, { signal } = {}) => {
+    if (!apiKey) throw createLlmError('NO_API_KEY', 'Add a Gemini API key in the AI settings.');
+    const data = await postJson(fetchImpl, url, {
+      contents: [{ parts: [{ text: prompt }] }],
+      generationConfig: { responseMimeType: 'application/json', temperature: 0 },
+    }, { headers: { 'x-goog-api-key': apiKey }, signal });
+
+    const text = (data?.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+    if (!text) {
+      const reason = data?.promptFeedback?.blockReason;
+      throw createLlmError('BAD_RESPONSE', reason ? `The request was blocked (${reason}).` : 'The response had no text.');
+    }
+    return text;
+  },
+});
+
+/**
+ * Stand-in for a real model, for working offline and for tests. With an `endpoint` it POSTs { prompt }
+ * to that URL and expects { text } back, so a local server can play the model. Without one it answers
+ * itself from the pair data in the prompt, judging each pair by its match score alone.
+ * @param {Object} [options] { endpoint, fetch }
+ */
+export const createMockProvider = ({ endpoint = '', fetch: fetchImpl = globalThis.fetch } = {}) => ({
+  id: 'mock',
+  label: endpoint ? `Local endpoint (${endpoint})` : 'Offline stand-in',
+  generate: async (prompt, { signal } = {}) => {
+    if (!endpoint) return JSON.stringify(readPromptPairs(prompt).map(mockExplanation));
+    const data = await postJson(fetchImpl, endpoint, { prompt }, { signal });
+    if (typeof data?.text !== 'string') throw createLlmError('BAD_RESPONSE', 'The endpoint must answer { "text": "..." }.');
+    return data.text;
+  },
+});
+
+/** Providers the app offers, by id. */
+export const LLM_PROVIDERS = {
+  gemini: { label: 'Google Gemini', create: createGeminiProvider },
+  mock: { label: 'Offline stand-in / local endpoint', create: createMockProvider },
+};
+
+/**
+ * Creates the provider named in saved settings.
+ * @param {Object} settings { provider: key of LLM_PROVIDERS, ...options for that provider }
+ */
+export const createLlmProvider = ({ provider = 'gemini', ...options } = {}) => (LLM_PROVIDERS[provider] || LLM_PROVIDERS.gemini).create(options);
+
+
+// --- Match Explanations ---
+
+/** Verdicts an explanation can give about a pair of records. */
+export const MATCH_VERDICTS = ['same', 'different', 'unsure'];
+
+/** Describes a person and their immediate family for the prompt, leaving out empty values. */
+const describePerson = (person, graph) => {
+  const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value && value.length !== 0));
+  const born = (relative) => (relative.events || []).find(event => event.tag === 'BIRT' || event.tag === 'CHR')?.date;
+  const names = (relatives) => relatives.map(relative => (born(relative) ? `${relative.name} (b. ${born(relative)})` : relative.name));
+  const relatives = graph ? graph.relativesOf(person.id) : null;
+
+  return compact({
+    id: person.id,
+    name: person.name,
+    alsoKnownAs: (person.names || []).slice(1).map(name => name.full),
+    sex: person.sex,
+    events: (person.events || []).map(event => compact({
+      event: event.type ? `${event.label} (${event.type})` : event.label,
+      value: event.value,
+      date: event.date,
+      place: event.place,
+    })),
+    parents: relatives && names(relatives.parents),
+    spouses: relatives && names(relatives.spouses),
+    children: relatives && names(relatives.children),
+    siblings: relatives && names(relatives.siblings),
+  });
+};
+
+/**
+ * The data sent to the model about one pair: both people with their families, the match score and the
+ * field differences already found.
+ */
+const describePair = ({ personA, personB, graphA, graphB, score = 0, differences = [], threshold = DEFAULT_MATCH_THRESHOLD }) => ({
+  score: Math.round(score * 100) / 100,
+  threshold,
+  differences: differences.map(({ field, kind, before, after }) => ({ field, kind, file1: before, file2: after })),
+  file1: describePerson(personA, graphA),
+  file2: describePerson(personB, graphB),
+});
+
+/**
+ * Builds the prompt for a batch of pairs, each carrying an `id` the answer refers back to.
+ */
+export const buildExplanationPrompt = (pairs) => [
+  'You help a genealogist decide whether two records, one from each of two family tree files, describe the same person.',
+  'For each pair below, weigh the names, dates, places and relatives. Allow for spelling variants, transcription errors,',
+  'estimated dates and places written at different levels of detail; the score is the tool\'s own similarity estimate.',
+  'Answer with only a JSON array holding one object per pair:',
+  '{"id": the pair id, "verdict": "same" | "different" | "unsure", "explanation": two or three sentences naming the evidence that decided it}.',
+  '',
+  '```json',
+  JSON.stringify(pairs, null, 2),
+  '```',
+].join('\n');
+
+/** Reads the pairs back out of a prompt made by buildExplanationPrompt. */
+const readPromptPairs = (prompt) => {
+  const match = prompt.match(/```json\n([\s\S]*?)\n```/);
+  return match ? JSON.parse(match[1]) : [];
+};
+
+/** The offline stand-in's answer for one pair: a verdict from the score and a list of the differences. */
+const mockExplanation = (pair) => {
+  const verdict = pair.score >= pair.threshold ? 'same' : pair.score < CANDIDATE_FLOOR ? 'different' : 'unsure';
+  const fields = [...new Set(pair.differences.map(difference => difference.field))];
+  return {
+    id: pair.id,
+    verdict,
+    explanation: `Offline stand-in: the records score ${Math.round(pair.score * 100)}% against a threshold of `
+      + `${Math.round(pair.threshold * 100)}%${fields.length > 0 ? ` and differ in ${fields.join(', ')}.` : ' and agree on every compared field.'}`,
+  };
+};
+
+/**
+ * Reads a model's answer to buildExplanationPrompt. Code fences around the JSON are ignored, and an
+ * unknown verdict counts as 'unsure'.
+ * @returns {Map<string, Object>} Pair id -> { verdict, explanation }, for the pairs that were answered.
+ */
+export const parseExplanations = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, ''));
+  } catch (err) {
+    throw createLlmError('BAD_RESPONSE', 'The answer was not JSON.', err);
+  }
+  const list = Array.isArray(data) ? data : data?.explanations;
+  if (!Array.isArray(list)) throw createLlmError('BAD_RESPONSE', 'Expected a list of explanations.');
+
+  return new Map(list
+    .filter(item => item && typeof item.id === 'string')
+    .map(item => [item.id, {
+      verdict: MATCH_VERDICTS.includes(item.verdict) ? item.verdict : 'unsure',
+      explanation: String(item.explanation || '').trim(),
+    }]));
+};
+
+/** How long to wait before the single retry of a rate-limited request that gave no Retry-After. */
+const RATE_LIMIT_BACKOFF = 10000;
+
+/**
+ * Explains pairs of records with a provider. Requests made close together are sent as one prompt of
+ * up to `batchSize` pairs; prompts are sent one at a time, at least `minInterval` ms apart, and a
+ * rate-limited prompt is retried once. Answers are cached by the data sent, so asking again about an
+ * unchanged pair does not call the provider.
+ *
+ * @param {Object} provider A provider such as createGeminiProvider returns.
+ * @param {Object} [options] { batchSize (default 5), batchDelay: ms to wait for more requests (default 100),
+ *   minInterval: ms between prompts (default 1000), cacheSize: answers kept (default 500) }
+ * @returns {Object} { explain(request) => Promise<{ verdict, explanation }>, clearCache() }, where request is
+ *   { personA, personB, graphA, graphB, score, differences: diffPersonFields entries, threshold }
+ */
+export const createMatchExplainer = (provider, { batchSize = 5, batchDelay = 100, minInterval = 1000, cacheSize = 500 } = {}) => {
+  const cache = new Map(); // pair data -> answer, least recently used first
+  const pending = new Map(); // pair data -> promise of an answer not yet received
+  let queue = [];
+  let timer = null;
+  let lastSent = -Infinity;
+  let sending = Promise.resolve();
+
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  const send = async (prompt, retried = false) => {
+    const delay = lastSent + minInterval - Date.now();
+    if (delay > 0) await wait(delay);
+    lastSent = Date.now();
+    try {
+      return await provider.generate(prompt);
+    } catch (err) {
+      if (err.code !== 'RATE_LIMITED' || retried) throw err;
+      await wait(err.retryAfter || RATE_LIMIT_BACKOFF);
+      return send(prompt, true);
+    }
+  };
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    const batch = queue.slice(0, batchSize);
+    queue = queue.slice(batchSize);
+    if (queue.length > 0) timer = setTimeout(flush, 0);
+
+    const pairs = batch.map((entry, index) => ({ id: `pair${index + 1}`, ...entry.pair }));
+    sending = sending
+      .then(() => send(buildExplanationPrompt(pairs)))
+      .then(text => {
+        const answers = parseExplanations(text);
+        batch.forEach((entry, index) => {
+          const answer = answers.get(pairs[index].id);
+          if (!answer) {
+            entry.reject(createLlmError('BAD_RESPONSE', 'The answer left this pair out.'));
+            return;
+          }
+          cache.set(entry.key, answer);
+          if (cache.size > cacheSize) cache.delete(cache.keys().next().value);
+          entry.resolve(answer);
+        });
+      })
+      .catch(err => batch.forEach(entry => entry.reject(err)))
+      .finally(() => batch.forEach(entry => pending.delete(entry.key)));
+  };
+
+  const explain = (request) => {
+    const pair = describePair(request);
+    const key = JSON.stringify(pair);
+    if (cache.has(key)) {
+      // Re-inserting moves the answer to the end, so the least recently used one is evicted first
+      const answer = cache.get(key);
+      cache.delete(key);
+      cache.set(key, answer);
+      return Promise.resolve(answer);
+    }
+    if (pending.has(key)) return pending.get(key);
+
+    const promise = new Promise((resolve, reject) => queue.push({ key, pair, resolve, reject }));
+    pending.set(key, promise);
+    if (queue.length >= batchSize) flush();
+    else if (!timer) timer = setTimeout(flush, batchDelay);
+    return promise;
+  };
+
+  return { explain, clearCache: () => cache.clear() };
+};
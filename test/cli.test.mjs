@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const cli = fileURLToPath(new URL('../bin/gedcom-compare.mjs', import.meta.url));
+const fixture = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+const run = (...args) => spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8' });
+
+test('exits 1 and prints a summary when the files differ', () => {
+  const { status, stdout } = run(fixture('smith-a.ged'), fixture('smith-b.ged'));
+  assert.equal(status, 1);
+  assert.match(stdout, /Modified pairs: {2}1/);
+  assert.match(stdout, /Only in File 1:\n {2}Ann Smith \(I4\), b\. 1875/);
+});
+
+test('exits 0 when the files match', () => {
+  const { status, stdout } = run(fixture('smith-a.ged'), fixture('smith-a.ged'));
+  assert.equal(status, 0);
+  assert.match(stdout, /Matching pairs: {2}3/);
+});
+
+test('writes the JSON report with --format json', () => {
+  const { status, stdout } = run(fixture('smith-a.ged'), fixture('smith-b.ged'), '--format', 'json', '--threshold', '0.9');
+  assert.equal(status, 1);
+  const report = JSON.parse(stdout);
+  assert.equal(report.threshold, 0.9);
+  assert.deepEqual(report.files.a, { name: 'smith-a.ged', people: 3 });
+});
+
+test('exits 2 on bad arguments or unreadable files', () => {
+  assert.equal(run(fixture('smith-a.ged')).status, 2);
+  assert.equal(run(fixture('smith-a.ged'), fixture('smith-b.ged'), '--threshold', 'high').status, 2);
+  assert.equal(run(fixture('smith-a.ged'), fixture('smith-b.ged'), '--threshold', '').status, 2);
+  assert.equal(run(fixture('smith-a.ged'), fixture('smith-b.ged'), '--threshold', ' ').status, 2);
+  assert.equal(run(fixture('smith-a.ged'), fixture('smith-b.ged'), '--format', 'pdf').status, 2);
+  assert.equal(run(fixture('smith-a.ged'), fixture('smith-b.ged'), '--places', fixture('smith-a.ged')).status, 2);
+  const { status, stderr } = run(fixture('smith-a.ged'), fixture('missing.ged'));
+  assert.equal(status, 2);
+  assert.match(stderr, /missing\.ged/);
+});
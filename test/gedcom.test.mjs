@@ -0,0 +1,544 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { gzipSync } from 'node:zlib';
+
+import {
+  parseGedcomTree, parseGedcomFile, parseGedcom, createComparisonKey, decodeGedcomBytes, parseGedcomDate,
+  sameGedcomDate, compareGedcomData, compareSubtrees, writeGedcom, verifyRoundTrip, createComparisonReport,
+  createCsvReport, createHtmlReport, soundex, jaroWinkler, findDuplicatePairs, clusterDuplicates, duplicatePairKey,
+  parsePersonQuery, formatPersonQuery, createPersonFilter, buildFamilyGraph, parsePlace, createPlaceMatcher,
+  diffPersonFields, applyMatchDecisions, findReviewPairs, compareThreeWay, mergeThreeWay, compareSources,
+  summarizeEvidenceChanges, diffWords, checkConsistency, readGenealogyFile, importGedcomX, mergeGedcomFiles,
+  findMatchCandidates, readGenealogyFileInChunks,
+} from '../gedcom.mjs';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+const smithA = parseGedcomFile(fixture('smith-a.ged'));
+const smithB = parseGedcomFile(fixture('smith-b.ged'));
+
+test('parseGedcomTree folds CONC/CONT lines and decodes @@', () => {
+  const { records } = parseGedcomTree('0 @N1@ NOTE First\n1 CONC  part\n1 CONT second line\n1 CONT mail@@example.com\n0 TRLR');
+  assert.equal(records[0].value, 'First part\nsecond line\nmail@example.com');
+  assert.equal(records[0].children.length, 0);
+});
+
+test('parseGedcomTree reports malformed lines and level jumps with line numbers', () => {
+  const { issues } = parseGedcomTree('0 HEAD\nnot a gedcom line\n0 @I1@ INDI\n2 DATE 1900\n0 TRLR');
+  assert.deepEqual(issues.map(issue => [issue.line, issue.code]), [[2, 'MALFORMED_LINE'], [4, 'LEVEL_JUMP']]);
+});
+
+test('parseGedcomFile reads people, families and sources', () => {
+  assert.equal(smithA.individuals.length, 3);
+  const john = smithA.individuals.find(p => p.id === 'I1');
+  assert.equal(john.name, 'John Smith');
+  assert.equal(john.sex, 'M');
+  assert.equal(john.details.Birth.place, 'London, England');
+  assert.deepEqual(john.familiesAsSpouse, ['F1']);
+  assert.deepEqual(smithA.families[0].children, ['I4']);
+  assert.equal(smithA.sources[0].title, 'Register');
+  assert.deepEqual(parseGedcom(fixture('smith-a.ged')).map(p => p.id), ['I1', 'I2', 'I4']);
+});
+
+test('parseGedcomFile validates pointers', () => {
+  const { issues } = parseGedcomFile('0 HEAD\n0 @I1@ INDI\n1 FAMC @F9@\n0 TRLR');
+  assert.ok(issues.some(issue => issue.code === 'DANGLING_POINTER' && issue.line === 3));
+});
+
+test('parseGedcomFile reports duplicate xrefs, level jumps, long lines, invalid dates and a missing TRLR', () => {
+  const lines = [
+    '0 HEAD', '1 GEDC', '2 VERS 5.5.1', '0 @I1@ INDI', '1 NAME John /Smith/', '1 BIRT', '3 DATE 1850',
+    '1 DEAT', '2 DATE 31 FEB 1900', `1 NOTE ${'x'.repeat(260)}`, '0 @I1@ INDI', '1 NAME Jane /Doe/',
+  ];
+  const { issues, individuals } = parseGedcomFile(lines.join('\n'));
+  assert.deepEqual(issues.map(issue => [issue.line, issue.severity, issue.code]), [
+    [7, 'error', 'LEVEL_JUMP'],
+    [9, 'warning', 'INVALID_DATE'],
+    [10, 'warning', 'LINE_TOO_LONG'],
+    [11, 'error', 'DUPLICATE_XREF'],
+    [11, 'warning', 'MISSING_TRLR'],
+  ]);
+  // The DATE is still attached to BIRT, and the duplicate record is kept but not indexed
+  assert.equal(individuals[0].details.Birth.date, '1850');
+  assert.equal(individuals.length, 2);
+
+  // GEDCOM 7 has no line length limit
+  const modern = parseGedcomFile(lines.join('\n').replace('VERS 5.5.1', 'VERS 7.0'));
+  assert.ok(!modern.issues.some(issue => issue.code === 'LINE_TOO_LONG'));
+});
+
+test('createComparisonKey ignores case, spacing and diacritics', () => {
+  const [a] = parseGedcom('0 @I1@ INDI\n1 NAME José /Müller/\n1 BIRT\n2 DATE 1 JAN 1900\n2 PLAC Zürich');
+  const [b] = parseGedcom('0 @I9@ INDI\n1 NAME jose  /MULLER/\n1 BIRT\n2 DATE 1 jan 1900\n2 PLAC Zurich');
+  assert.equal(createComparisonKey(a), createComparisonKey(b));
+});
+
+test('soundex and jaroWinkler', () => {
+  assert.equal(soundex('Robert'), 'R163');
+  assert.equal(soundex('Rupert'), 'R163');
+  assert.equal(jaroWinkler('MARTHA', 'MARTHA'), 1);
+  assert.ok(jaroWinkler('MARTHA', 'MARHTA') > 0.95);
+});
+
+test('parseGedcomDate understands qualifiers, ranges and calendars', () => {
+  const about = parseGedcomDate('ABT 1850');
+  assert.equal(about.kind, 'about');
+  assert.ok(about.start < parseGedcomDate('1850').start);
+
+  const between = parseGedcomDate('BET 1849 AND 1851');
+  assert.equal(between.kind, 'between');
+  assert.equal(between.dates.length, 2);
+
+  assert.ok(sameGedcomDate('@#DJULIAN@ 11 FEB 1750/51', '22 FEB 1751'));
+  assert.ok(sameGedcomDate('@#DFRENCH R@ 18 BRUM 8', '9 NOV 1799'));
+  assert.equal(parseGedcomDate('31 FEB 1900').valid, false);
+  assert.equal(parseGedcomDate('(sometime in spring)').kind, 'phrase');
+});
+
+test('decodeGedcomBytes honours byte order marks and ANSEL declarations', () => {
+  const utf8 = decodeGedcomBytes(new Uint8Array([0xEF, 0xBB, 0xBF, ...new TextEncoder().encode('0 HEAD\n')]));
+  assert.equal(utf8.encoding, 'UTF-8');
+  assert.equal(utf8.bom, true);
+
+  // "Müller" in ANSEL: the combining diaeresis (0xE8) precedes the letter it modifies
+  const ansel = decodeGedcomBytes(new Uint8Array([
+    ...new TextEncoder().encode('0 HEAD\n1 CHAR ANSEL\n0 @I1@ INDI\n1 NAME M'), 0xE8, 0x75, ...new TextEncoder().encode('ller\n'),
+  ]));
+  assert.equal(ansel.encoding, 'ANSEL');
+  assert.match(ansel.text, /NAME Müller/);
+});
+
+test('readGenealogyFileInChunks parses slice by slice like a whole-file read', async () => {
+  const encode = (text) => new TextEncoder().encode(text);
+  const files = {
+    // CRLF line ends, so some slices end between CR and LF
+    crlf: encode(fixture('round-trip.ged').replace(/\n/g, '\r\n')),
+    // Combining diacritics (0xE2, 0xE8) split from their letters
+    ansel: new Uint8Array([...encode('0 HEAD\n1 CHAR ANSEL\n0 @I1@ INDI\n1 NAME Jos'), 0xE2, 0x65, ...encode(' /M'), 0xE8, 0x75, ...encode('ller/\n0 TRLR\n')]),
+    // Declared UTF-8 but written in Windows-1252
+    cp1252: new Uint8Array([...encode('0 HEAD\n1 CHAR UTF-8\n0 @I1@ INDI\n1 NAME Zo'), 0xEB, ...encode(' /Smith/\n0 TRLR\n')]),
+    bom: new Uint8Array([0xEF, 0xBB, 0xBF, ...encode('0 HEAD\n0 @I1@ INDI\n1 NAME Zoë /Smith/\n0 TRLR\n')]),
+  };
+  const withoutIndex = (result) => JSON.stringify(result, (key, value) => (key === 'index' ? undefined : value));
+  for (const [name, bytes] of Object.entries(files)) {
+    const expected = await readGenealogyFile(bytes);
+    for (const chunkSize of [1, 7, 4096]) {
+      const fractions = [];
+      const result = await readGenealogyFileInChunks(new Blob([bytes]), { chunkSize, onProgress: fraction => fractions.push(fraction) });
+      assert.equal(withoutIndex(result), withoutIndex(expected), `${name} in ${chunkSize}-byte slices`);
+      assert.ok(fractions.length > 0 && fractions.every(fraction => fraction >= 0 && fraction <= 1));
+    }
+  }
+  assert.deepEqual(
+    (await readGenealogyFileInChunks(new Blob([files.ansel]), { chunkSize: 1 })).gedcom.individuals.map(p => p.name),
+    ['José Müller'],
+  );
+  assert.equal((await readGenealogyFileInChunks(new Blob([files.cp1252]))).encoding.encoding, 'Windows-1252');
+
+  // Whole-document formats are collected and imported as before
+  const gramps = gzipSync(readFileSync(new URL('./fixtures/smith-b.xml', import.meta.url)));
+  assert.equal((await readGenealogyFileInChunks(new Blob([gramps]), { chunkSize: 64 })).gedcom.format, 'gramps');
+});
+
+test('findMatchCandidates scores abbreviated and initialled given names', () => {
+  const peopleA = parseGedcom('0 @I1@ INDI\n1 NAME Wm /Smith/\n1 BIRT\n2 DATE 1850\n0 @I2@ INDI\n1 NAME J. /Brown/\n1 BIRT\n2 DATE 1861\n0 TRLR');
+  const peopleB = parseGedcom('0 @X1@ INDI\n1 NAME William /Smith/\n1 BIRT\n2 DATE 1850\n0 @X2@ INDI\n1 NAME John /Brown/\n1 BIRT\n2 DATE 1861\n0 TRLR');
+  assert.deepEqual(findMatchCandidates(peopleA, peopleB).map(c => `${c.idA}-${c.idB}`).sort(), ['I1-X1', 'I2-X2']);
+});
+
+test('findMatchCandidates does not score a one-surname file pair by pair', () => {
+  const given = ['Ann', 'Bob', 'Cora', 'Dan', 'Eve', 'Fred', 'Gus', 'Hal', 'Ida', 'Jack', 'Kate', 'Lou', 'Mae', 'Ned'];
+  const people = (prefix) => parseGedcom(Array.from({ length: 1000 }, (_, i) => (
+    `0 @${prefix}${i}@ INDI\n1 NAME ${given[i % given.length]} /Smith/\n1 BIRT\n2 DATE ${1600 + (i * 7) % 400}`
+  )).join('\n'));
+  let scored = 0;
+  const places = createPlaceMatcher();
+  const counting = (a, b) => { scored++; return places(a, b); };
+  findMatchCandidates(people('I'), people('X'), { places: counting });
+  assert.ok(scored < 1000 * 1000 / 5, `${scored} pairs scored`);
+
+  // Spellings with different initials still meet through the birth decade
+  const peopleA = parseGedcom('0 @I1@ INDI\n1 NAME Catherine /Smith/\n1 BIRT\n2 DATE 1849\n0 TRLR');
+  const peopleB = parseGedcom('0 @X1@ INDI\n1 NAME Katherine /Smith/\n1 BIRT\n2 DATE 1850\n0 TRLR');
+  assert.deepEqual(findMatchCandidates(peopleA, peopleB).map(c => `${c.idA}-${c.idB}`), ['I1-X1']);
+});
+
+test('compareGedcomData pairs people and reports field differences', () => {
+  const results = compareGedcomData(smithA.individuals, smithB.individuals, { gedcomA: smithA, gedcomB: smithB });
+  assert.deepEqual(results.counts, { UNIQUE_A: 1, UNIQUE_B: 1, MATCH: 2, MODIFIED: 2 });
+
+  const john = results.statusMapA.get('I1');
+  assert.equal(john.status, 'MODIFIED');
+  assert.equal(john.partnerId, 'I2');
+  assert.deepEqual(john.diff.map(entry => entry.field), ['Birth date', 'Birth place', 'Note']);
+
+  // The source is compared by title, so different xrefs for the same source are not a difference
+  assert.ok(!john.diff.some(entry => entry.field === 'Source'));
+  assert.equal(results.statusMapA.get('I2').status, 'MATCH');
+  assert.equal(results.statusMapA.get('I4').status, 'UNIQUE_A');
+  assert.equal(results.statusMapB.get('I1').status, 'UNIQUE_B');
+});
+
+test('compareGedcomData honours the threshold', () => {
+  const results = compareGedcomData(smithA.individuals, smithB.individuals, { threshold: 1, gedcomA: smithA, gedcomB: smithB });
+  assert.equal(results.statusMapA.get('I1').status, 'UNIQUE_A');
+});
+
+test('compareGedcomData does not pair people just because they share an xref', () => {
+  const john = parseGedcomFile('0 @I1@ INDI\n1 NAME John /Smith/\n1 BIRT\n2 DATE 1850\n0 TRLR').individuals;
+  const jon = '0 @I1@ INDI\n1 NAME Jon /Smith/\n1 BIRT\n2 DATE 1853\n';
+  // A better partner under another xref wins
+  const both = parseGedcomFile(`${jon}0 @I2@ INDI\n1 NAME John /Smith/\n1 BIRT\n2 DATE 1850\n0 TRLR`).individuals;
+  assert.equal(compareGedcomData(john, both).statusMapA.get('I1').partnerId, 'I2');
+  // The shared xref alone does not lift a pair over the threshold
+  const only = parseGedcomFile(`${jon}0 TRLR`).individuals;
+  assert.equal(compareGedcomData(john, only, { threshold: 0.95 }).statusMapA.get('I1').status, 'UNIQUE_A');
+  assert.equal(compareGedcomData(john, only, { threshold: 0.7 }).statusMapA.get('I1').status, 'MODIFIED');
+});
+
+test('compareSubtrees pairs relatives through family context', () => {
+  const results = compareSubtrees(smithA, smithB, { rootA: 'I1', rootB: 'I2', direction: 'descendants' });
+  assert.equal(results.statusMapA.get('I2').partnerId, 'I3');
+  assert.equal(results.statusMapA.get('I2').context, 'wife of John Smith (I1)');
+  assert.equal(results.statusMapA.get('I4').status, 'UNIQUE_A');
+  assert.equal(results.statusMapB.get('I1').status, 'UNIQUE_B');
+});
+
+test('compareSubtrees pairs a relative reached again through another line', () => {
+  // George is the father of both Frank and Mary; File 2 only records him as Mary's father
+  const people = (georgeFamilies) => [
+    '0 @I1@ INDI\n1 NAME Rose /Smith/\n1 SEX F\n1 FAMC @F1@', '0 @I2@ INDI\n1 NAME Frank /Smith/\n1 SEX M\n1 FAMS @F1@\n1 FAMC @F2@',
+    '0 @I3@ INDI\n1 NAME Mary /Smith/\n1 SEX F\n1 FAMS @F1@\n1 FAMC @F3@', `0 @I4@ INDI\n1 NAME George /Smith/\n1 SEX M\n${georgeFamilies}`,
+    '0 @I5@ INDI\n1 NAME Helen /Brown/\n1 SEX F\n1 FAMS @F2@', '0 @I6@ INDI\n1 NAME Kate /Jones/\n1 SEX F\n1 FAMS @F3@',
+  ].join('\n');
+  const families = (fatherOfFrank) => `0 @F1@ FAM\n1 HUSB @I2@\n1 WIFE @I3@\n1 CHIL @I1@\n0 @F2@ FAM\n${fatherOfFrank}1 WIFE @I5@\n1 CHIL @I2@\n`
+    + '0 @F3@ FAM\n1 HUSB @I4@\n1 WIFE @I6@\n1 CHIL @I3@\n0 TRLR';
+  const a = parseGedcomFile(`0 HEAD\n${people('1 FAMS @F2@\n1 FAMS @F3@')}\n${families('1 HUSB @I4@\n')}`);
+  const b = parseGedcomFile(`0 HEAD\n${people('1 FAMS @F3@')}\n${families('')}`);
+
+  const results = compareSubtrees(a, b, { rootA: 'I1', rootB: 'I1', direction: 'ancestors' });
+  assert.equal(results.statusMapA.get('I4').partnerId, 'I4');
+  assert.equal(results.statusMapA.get('I4').context, 'father of Mary Smith (I3)');
+  assert.deepEqual(results.counts, { UNIQUE_A: 0, UNIQUE_B: 0, MATCH: 12, MODIFIED: 0 });
+});
+
+test('places match by jurisdiction, with abbreviations, aliases and PLAC.FORM levels', () => {
+  const places = createPlaceMatcher();
+  assert.equal(places('St. Louis, Missouri, USA', 'Saint Louis, Missouri, United States of America'), 1);
+  assert.equal(places('Cook Co., Illinois', 'Cook County, Illinois'), 1);
+  assert.equal(places('London, England', 'London, Middlesex, England, United Kingdom'), 0.85);
+  assert.equal(places('Paris, France', 'Paris, Texas, USA'), 0.7);
+  assert.equal(places('London, England', 'Leeds, England'), 0);
+  assert.equal(createPlaceMatcher({ aliases: { Salop: 'Shropshire' } })('Shrewsbury, Salop', 'Shrewsbury, Shropshire'), 1);
+
+  assert.deepEqual(parsePlace('Middlesex, England', { form: 'City, County, Country' }).map(part => part.level), ['county', 'country']);
+  // A city and a county of the same name are different places
+  assert.equal(createPlaceMatcher({ formA: 'City, County, Country', formB: 'County, Country' })('Washington, , USA', 'Washington, USA'), 0);
+
+  const [personA, personB] = ['St. Louis', 'Saint Louis'].map(place => parseGedcomFile(`0 @I1@ INDI\n1 NAME Ann /Lee/\n1 BIRT\n2 PLAC ${place}\n0 TRLR`).individuals[0]);
+  assert.deepEqual(diffPersonFields(personA, personB), []);
+});
+
+test('sources, citations, notes and media are compared as evidence', () => {
+  const a = parseGedcomFile([
+    '0 @I1@ INDI', '1 NAME John /Smith/', '1 BIRT', '2 DATE 1850', '2 SOUR @S1@', '3 PAGE p. 4', '3 QUAY 2',
+    '1 NOTE Farmer in the parish of Ely all his life', '1 OBJE', '2 FILE C:\\Photos\\john.jpg', '1 SOUR @S2@',
+    '0 @S1@ SOUR', '1 TITL Ely Baptisms', '1 AUTH Parish clerk', '1 REPO @R1@', '0 @S2@ SOUR', '1 TITL 1851 Census',
+    '0 @R1@ REPO', '1 NAME County Record Office', '0 TRLR',
+  ].join('\n'));
+  const b = parseGedcomFile([
+    '0 @I7@ INDI', '1 NAME John /Smith/', '1 BIRT', '2 DATE 1850', '2 SOUR @S9@', '3 PAGE p. 5', '3 QUAY 3', '2 SOUR @S8@',
+    '1 NOTE Farmer in the parish of Ely for all of his life', '1 OBJE @O1@', '0 @O1@ OBJE', '1 FILE photos/john.jpg', '2 FORM jpg',
+    '0 @S9@ SOUR', '1 TITL Ely Baptisms', '1 REPO @R2@', '0 @S8@ SOUR', '1 TITL 1861 Census',
+    '0 @R2@ REPO', '1 NAME Cambridgeshire Archives', '0 TRLR',
+  ].join('\n'));
+  assert.deepEqual(b.media.map(media => media.files), [['photos/john.jpg']]);
+  assert.deepEqual(b.repositories.map(repository => repository.name), ['Cambridgeshire Archives']);
+
+  const results = compareGedcomData(a.individuals, b.individuals, { gedcomA: a, gedcomB: b });
+  const diff = results.statusMapA.get('I1').diff;
+  assert.deepEqual(diff.map(entry => [entry.field, entry.category, entry.aspect || entry.kind]), [
+    ['Birth source', 'source', 'page'],
+    ['Birth source', 'source', 'quality'],
+    ['Birth source', 'source', 'added'],
+    ['Source', 'source', 'removed'],
+    ['Note', 'note', 'changed'],
+    ['Media', 'media', 'path'],
+  ]);
+  assert.deepEqual(summarizeEvidenceChanges(results), {
+    people: 1,
+    source: { added: 1, removed: 1, page: 1, quality: 1 },
+    note: { added: 0, removed: 0, changed: 1 },
+    media: { added: 0, removed: 0, path: 1 },
+  });
+  assert.deepEqual(diffWords(diff[4].before, diff[4].after).filter(segment => segment.kind !== 'same'), [
+    { kind: 'added', text: 'for' }, { kind: 'added', text: 'of' },
+  ]);
+
+  // Sources pair on title when only one file recorded the author; the census years keep theirs apart
+  const sources = compareSources(a, b);
+  assert.deepEqual(sources.pairs.map(pair => [pair.idA, pair.idB, pair.diff.map(entry => entry.field)]), [['S1', 'S9', ['Author', 'Repository']]]);
+  assert.deepEqual(sources.counts, { MATCH: 0, MODIFIED: 1, UNIQUE_A: 1, UNIQUE_B: 1 });
+});
+
+test('findDuplicatePairs finds repeated people but not same-named relatives', () => {
+  const gedcom = parseGedcomFile([
+    '0 HEAD',
+    '0 @I1@ INDI', '1 NAME John /Smith/', '1 SEX M', '1 BIRT', '2 DATE 1850', '1 FAMC @F1@',
+    '0 @I2@ INDI', '1 NAME Jon /Smith/', '1 SEX M', '1 BIRT', '2 DATE ABT 1850', '1 FAMC @F1@',
+    '0 @I3@ INDI', '1 NAME John /Smith/', '1 SEX M', '1 BIRT', '2 DATE 1850',
+    '0 @I4@ INDI', '1 NAME John /Smith/', '1 SEX M', '1 BIRT', '2 DATE 1820', '1 FAMS @F1@',
+    '0 @I5@ INDI', '1 NAME Mary /Brown/', '1 SEX F',
+    '0 @F1@ FAM', '1 HUSB @I4@', '1 CHIL @I1@', '1 CHIL @I2@',
+    '0 TRLR',
+  ].join('\n'));
+  const pairs = findDuplicatePairs(gedcom);
+  assert.deepEqual(pairs.map(pair => duplicatePairKey(pair.idA, pair.idB)), ['I1|I2', 'I1|I3', 'I2|I3']);
+  assert.deepEqual(pairs[0].reasons, ['similar name', 'overlapping birth dates', 'same parents']);
+
+  const [cluster] = clusterDuplicates(pairs);
+  assert.deepEqual(cluster.ids.sort(), ['I1', 'I2', 'I3']);
+  // Dismissing I1/I3 and I2/I3 leaves only the siblings' record pair
+  const remaining = clusterDuplicates(pairs, new Set([duplicatePairKey('I3', 'I1'), 'I2|I3']));
+  assert.deepEqual(remaining.map(c => c.ids.sort()), [['I1', 'I2']]);
+});
+
+test('findDuplicatePairs reports progress within one large block', () => {
+  // Undated people of one name all share a block
+  const gedcom = parseGedcomFile(Array.from({ length: 400 }, (_, i) => `0 @I${i}@ INDI\n1 NAME John /Smith/\n1 SEX M`).join('\n'));
+  const fractions = [];
+  findDuplicatePairs(gedcom, { threshold: 1.1, onProgress: fraction => fractions.push(fraction) });
+  assert.ok(fractions.length > 10, `${fractions.length} progress reports`);
+  assert.ok(fractions.every((fraction, i) => fraction >= (fractions[i - 1] ?? 0) && fraction <= 1));
+});
+
+test('checkConsistency flags impossible dates and circular ancestry', () => {
+  const gedcom = parseGedcomFile([
+    '0 @I1@ INDI', '1 NAME Tom /Hale/', '1 SEX M', '1 BIRT', '2 DATE 1800', '1 DEAT', '2 DATE 1950', '1 FAMS @F1@',
+    '0 @I2@ INDI', '1 NAME Ann /Hale/', '1 SEX F', '1 BIRT', '2 DATE 1860', '1 DEAT', '2 DATE 1865', '1 FAMS @F1@',
+    '0 @I3@ INDI', '1 NAME Kit /Hale/', '1 BIRT', '2 DATE 1870', '1 DEAT', '2 DATE ABT 1860', '1 FAMC @F1@',
+    // Approximate and open dates are only flagged when no reading of them fits
+    '0 @I4@ INDI', '1 NAME Amy /Hale/', '1 BIRT', '2 DATE ABT 1860', '1 DEAT', '2 DATE BEF 1859',
+    '0 @I5@ INDI', '1 NAME Loop /One/', '1 FAMC @F2@', '1 FAMS @F3@',
+    '0 @I6@ INDI', '1 NAME Loop /Two/', '1 FAMC @F3@', '1 FAMS @F2@',
+    '0 @F1@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 CHIL @I3@', '1 MARR', '2 DATE 1855',
+    '0 @F2@ FAM', '1 HUSB @I6@', '1 CHIL @I5@',
+    '0 @F3@ FAM', '1 HUSB @I5@', '1 CHIL @I6@',
+    '0 TRLR',
+  ].join('\n'));
+
+  const findings = checkConsistency(gedcom);
+  assert.deepEqual(findings.map(f => `${f.personId} ${f.code}`), [
+    'I2 MARRIAGE_BEFORE_BIRTH', 'I3 BIRTH_AFTER_DEATH', 'I3 BORN_AFTER_MOTHER_DEATH', 'I5 CIRCULAR_ANCESTRY',
+    'I1 LIFESPAN_TOO_LONG', 'I3 PARENT_TOO_YOUNG',
+  ]);
+  assert.deepEqual(findings.find(f => f.code === 'CIRCULAR_ANCESTRY').relatedIds, ['I6']);
+  assert.match(findings.find(f => f.code === 'PARENT_TOO_YOUNG').message, /Ann Hale \(I2\) was at most 10 years old/);
+
+  // Rules can be switched off and limits changed
+  const configured = checkConsistency(gedcom, { rules: ['LIFESPAN_TOO_LONG', 'PARENT_TOO_OLD'], limits: { maxLifespan: 150, maxParentAge: 60 } });
+  assert.deepEqual(configured.map(f => `${f.personId} ${f.code}`), ['I3 PARENT_TOO_OLD']);
+  assert.deepEqual(checkConsistency(smithA), []);
+});
+
+test('person search syntax', () => {
+  const search = (text, context) => smithA.individuals.filter(createPersonFilter(text, context)).map(p => p.id);
+  assert.deepEqual(search('smith'), ['I1', 'I4']);
+  assert.deepEqual(search('surname:Sm?th sex:f'), ['I4']);
+  assert.deepEqual(search('born:1850..1860'), ['I1']);
+  assert.deepEqual(search('born:>1860'), ['I4']);
+  assert.deepEqual(search('place:"london, england"'), ['I1']);
+  assert.deepEqual(search('no:parents', { graph: buildFamilyGraph(smithA) }), ['I1', 'I2']);
+  assert.deepEqual(search('-has:sources'), ['I2', 'I4']);
+
+  const results = compareGedcomData(smithA.individuals, smithB.individuals, { gedcomA: smithA, gedcomB: smithB });
+  assert.deepEqual(search('status:unique', { statusMap: results.statusMapA }), ['I4']);
+
+  const { terms, errors } = parsePersonQuery('smith colour:red born:soon');
+  assert.deepEqual(errors, ['Unknown search field "colour:"', '"soon" is not a year or year range']);
+  assert.deepEqual(search('smith colour:red'), ['I1', 'I4']);
+  assert.equal(formatPersonQuery([...terms.slice(0, 2), { field: 'place', value: 'New York', negated: true }]), 'smith colour:red -place:"New York"');
+});
+
+test('manual match decisions override the automatic comparison', () => {
+  const results = compareGedcomData(smithA.individuals, smithB.individuals, { gedcomA: smithA, gedcomB: smithB });
+  const options = { peopleA: smithA.individuals, peopleB: smithB.individuals, gedcomA: smithA, gedcomB: smithB };
+  assert.deepEqual(findReviewPairs(results).map(pair => [pair.idA, pair.idB, pair.paired]), [['I1', 'I2', true]]);
+
+  const rejected = applyMatchDecisions(results, [{ idA: 'I1', idB: 'I2', decision: 'reject' }], options);
+  assert.equal(rejected.statusMapA.get('I1').status, 'UNIQUE_A');
+  assert.deepEqual(rejected.counts, { UNIQUE_A: 2, UNIQUE_B: 2, MATCH: 2, MODIFIED: 0 });
+  assert.deepEqual(findReviewPairs(rejected, [{ idA: 'I1', idB: 'I2', decision: 'reject' }]), []);
+
+  // Linking Ann to Peter takes both out of the unique counts; the newest link for a person wins
+  const decisions = [{ idA: 'I4', idB: 'I3', decision: 'match' }, { idA: 'I4', idB: 'I1', decision: 'match' }];
+  const linked = applyMatchDecisions(results, decisions, options);
+  assert.equal(linked.statusMapA.get('I4').partnerId, 'I1');
+  assert.equal(linked.statusMapA.get('I4').decision, 'match');
+  assert.equal(linked.statusMapB.get('I3').partnerId, 'I2');
+  assert.deepEqual(linked.counts, { UNIQUE_A: 0, UNIQUE_B: 0, MATCH: 2, MODIFIED: 4 });
+  assert.equal(applyMatchDecisions(results, [], options), results);
+});
+
+test('mergeGedcomFiles unifies matched people and renames colliding xrefs', () => {
+  const results = compareGedcomData(smithA.individuals, smithB.individuals, { gedcomA: smithA, gedcomB: smithB });
+  const { text, counts } = mergeGedcomFiles(smithA, smithB, results, { choices: new Map([['I1', { Birth: 'both' }]]) });
+  assert.deepEqual(counts, { individuals: 4, families: 1, sources: 1, notes: 0 });
+
+  const merged = parseGedcomFile(text);
+  assert.deepEqual(merged.issues, []);
+  const byName = (name) => merged.individuals.find(person => person.name === name);
+  // Peter was @I1@ in File 2, which File 1 already uses for John; Mary (File 2 @I3@) became File 1's @I2@
+  assert.deepEqual(merged.individuals.map(person => `${person.id} ${person.name}`), ['I1 John Smith', 'I2 Mary Jones', 'I4 Ann Smith', 'I3 Peter Brown']);
+  assert.deepEqual(merged.families.map(f => [f.id, f.husband, f.wife, f.children]), [['F1', 'I1', 'I2', ['I4', 'I3']]]);
+  assert.deepEqual(byName('Peter Brown').familiesAsChild, ['F1']);
+  assert.deepEqual(byName('John Smith').familiesAsSpouse, ['F1']);
+
+  // 'both' keeps File 2's birth as an alternate; File 2's copy of the same source points at File 1's record
+  assert.deepEqual(byName('John Smith').events.map(event => `${event.date} ${event.place}`), ['1850 London, England', '1851 London, Middlesex, England']);
+  assert.deepEqual(byName('John Smith').events.map(event => event.citations[0].sourceId), ['S1', 'S1']);
+  assert.equal(byName('John Smith').notes[0].text, 'A long note\nsecond line');
+});
+
+test('three-way comparison separates one-sided changes from conflicts and merges them', () => {
+  const text = fixture('smith-a.ged');
+  // A moves John's birth and gives Mary an occupation; B moves John's birth differently and deletes Ann
+  const copyA = parseGedcomFile(text.replace('2 DATE 1850', '2 DATE 1851').replace('1 SEX F\n1 FAMS', '1 SEX F\n1 OCCU Weaver\n1 FAMS'));
+  const copyB = parseGedcomFile(text.replace('2 DATE 1850', '2 DATE 1849').replace(/0 @I4@ INDI[\s\S]*?1 FAMC @F1@\n/, '').replace('1 CHIL @I4@\n', ''));
+  const threeWay = compareThreeWay(smithA, copyA, copyB);
+
+  assert.deepEqual(threeWay.people.map(person => [person.key, person.status]), [['I1', 'CONFLICT'], ['I2', 'CHANGED_A'], ['I4', 'DELETED_B']]);
+  assert.deepEqual(threeWay.conflicts.map(({ key, field, a, b }) => [key, field, a, b]), [
+    ['I1', 'Birth', ['DATE 1851, PLAC London, England, SOUR @S1@'], ['DATE 1849, PLAC London, England, SOUR @S1@']],
+  ]);
+
+  const merged = parseGedcomFile(mergeThreeWay(copyA, copyB, threeWay, { resolutions: new Map([['I1', { Birth: 'B' }]]) }).text);
+  assert.deepEqual(merged.individuals.map(person => person.name), ['John Smith', 'Mary Jones']);
+  assert.equal(merged.individuals[0].events.find(event => event.tag === 'BIRT').date, '1849');
+  assert.ok(merged.tree.records.find(record => record.xref === 'I2').children.some(node => node.tag === 'OCCU'));
+  assert.equal(merged.families[0].children.length, 0);
+});
+
+test('GEDCOM X and Gramps exports are detected by content and compare like GEDCOM', async () => {
+  const fixtureBytes = (name) => new Uint8Array(readFileSync(new URL(`./fixtures/${name}`, import.meta.url)));
+  const describe = (gedcom) => {
+    const results = compareGedcomData(smithA.individuals, gedcom.individuals, { gedcomA: smithA, gedcomB: gedcom });
+    return [...results.statusMapA].map(([id, match]) => `${id} ${match.status} ${match.partnerId} ${(match.diff || []).map(d => d.field)}`);
+  };
+  const expected = describe(smithB);
+
+  const inputs = [['gedcomx', fixtureBytes('smith-b.json')], ['gramps', fixtureBytes('smith-b.xml')], ['gramps', gzipSync(fixtureBytes('smith-b.xml'))]];
+  for (const [format, bytes] of inputs) {
+    const { gedcom } = await readGenealogyFile(bytes);
+    assert.equal(gedcom.format, format);
+    assert.deepEqual(describe(gedcom), expected);
+    assert.deepEqual(gedcom.families.map(f => [f.husband, f.wife, f.children]), [['I2', 'I3', ['I1']]]);
+    assert.equal(gedcom.individuals[0].events[0].date, 'ABT 1880');
+    assert.deepEqual(gedcom.issues, []);
+  }
+  assert.equal((await readGenealogyFile(fixtureBytes('smith-b.ged'))).gedcom.format, 'gedcom');
+
+  // Links to people the file does not contain are dropped with a warning
+  const orphan = importGedcomX(JSON.stringify({
+    persons: [{ id: 'P1', names: [{ nameForms: [{ fullText: 'Ann Lee' }] }] }],
+    relationships: [{ type: 'http://gedcomx.org/ParentChild', person1: { resource: '#P9' }, person2: { resource: '#P1' } }],
+  }));
+  assert.equal(orphan.individuals[0].name, 'Ann Lee');
+  assert.deepEqual(orphan.issues.map(issue => issue.code), ['UNKNOWN_REFERENCE']);
+  assert.throws(() => importGedcomX('{"title": "not a tree"}'), /not a GEDCOM X document/);
+});
+
+test('writeGedcom output round-trips for every target version', () => {
+  // round-trip.ged has long NOTE and TEXT values, blank CONT lines, '@@' escapes and calendar, B.C. (also as range
+  // and period bounds) and phrase dates
+  const sample = parseGedcomFile(fixture('round-trip.ged'));
+  assert.deepEqual(sample.issues, []);
+  for (const gedcom of [smithB, sample]) {
+    for (const version of ['5.5.1', '7.0']) {
+      const { ok, differences } = verifyRoundTrip(gedcom.tree.records, { version });
+      assert.ok(ok, `${version}: ${differences.join(', ')}`);
+    }
+  }
+  const text = writeGedcom(smithB.tree.records, { version: '5.5.1' });
+  assert.match(text, /^0 HEAD\r\n/);
+  assert.match(text, /0 TRLR\r\n$/);
+
+  // 5.5.1 splits long values with CONC to stay within 255 characters and doubles every '@'
+  const legacy = writeGedcom(sample.tree.records, { version: '5.5.1' });
+  const lines = legacy.split('\r\n');
+  assert.ok(lines.every(line => line.length <= 255));
+  assert.equal(lines.filter(line => / CONC /.test(line)).length, 2);
+  assert.ok(lines.includes('1 EMAIL jane@@example.org'));
+  assert.ok(lines.includes('1 CONT @@ Second paragraph, after a blank line.'));
+  const note = parseGedcomFile(legacy).notes[0].text;
+  assert.equal(note, sample.notes[0].text);
+  assert.match(note, /brewery there was hiring skilled men at better wages\.\n\n@ Second paragraph/);
+
+  // 7.0 has no CONC and only escapes a leading '@'
+  const modern = writeGedcom(sample.tree.records, { version: '7.0' }).split('\r\n');
+  assert.ok(!modern.some(line => / CONC /.test(line)));
+  assert.ok(modern.includes('1 EMAIL jane@example.org'));
+  assert.ok(modern.includes('1 CONT @@ Second paragraph, after a blank line.'));
+  assert.ok(modern.includes('2 DATE BET JULIAN 1690 AND JULIAN 1695'));
+  // Every bound of a B.C. range or period is converted, in both directions
+  assert.ok(modern.includes('2 DATE BET 75 BCE AND 70 BCE'));
+  assert.ok(modern.includes('2 DATE FROM 60 BCE TO 44 BCE'));
+  const back = writeGedcom(parseGedcomTree(modern.join('\n')).records, { version: '5.5.1' }).split('\r\n');
+  assert.ok(back.includes('2 DATE BET 75 B.C. AND 70 B.C.'));
+  assert.ok(back.includes('2 DATE FROM 60 B.C. TO 44 B.C.'));
+});
+
+test('writeGedcom converts calendars, B.C. dates, date phrases, shared notes and media types for 7.0', () => {
+  const { records } = parseGedcomTree([
+    '0 HEAD', '0 @I1@ INDI', '1 BIRT', '2 DATE @#DJULIAN@ 1700', '1 DEAT', '2 DATE INT 1750 (JULIAN feast day)',
+    '1 BURI', '2 DATE 44 B.C.', '1 NOTE @N1@', '1 OBJE', '2 FILE portrait.jpg', '3 FORM jpg',
+    '0 @N1@ NOTE Shared note', '0 @O1@ OBJE', '1 FILE will.pdf', '1 FORM pdf', '0 TRLR',
+  ].join('\n'));
+  const { ok, differences, text } = verifyRoundTrip(records, { version: '7.0' });
+  assert.ok(ok, differences.join(', '));
+  for (const line of ['2 DATE JULIAN 1700', '2 DATE 1750', '3 PHRASE JULIAN feast day', '2 DATE 44 BCE', '1 SNOTE @N1@',
+    '0 @N1@ SNOTE Shared note', '3 FORM image/jpeg', '2 FORM application/pdf']) {
+    assert.ok(text.includes(`${line}\r\n`), line);
+  }
+
+  // Reading the 7.0 output and writing it as 5.5.1 gives the original back (the 5.5-style FORM stays below FILE)
+  const modern = parseGedcomFile(text);
+  assert.deepEqual(modern.individuals[0].notes, [{ noteId: 'N1', text: '' }]);
+  assert.deepEqual(modern.notes.map(note => note.text), ['Shared note']);
+  assert.equal(modern.individuals[0].events[1].date, '1750');
+  const legacy = writeGedcom(modern.tree.records, { version: '5.5.1' });
+  assert.ok(legacy.includes(writeGedcom(records).split('0 @I1@ INDI')[1].split('0 @O1@')[0]));
+  assert.match(legacy, /0 @O1@ OBJE\r\n1 FILE will\.pdf\r\n2 FORM pdf\r\n/);
+});
+
+test('comparison reports', () => {
+  const results = compareGedcomData(smithA.individuals, smithB.individuals, { gedcomA: smithA, gedcomB: smithB });
+  const report = createComparisonReport(results, {
+    peopleA: smithA.individuals, peopleB: smithB.individuals, file1Name: 'a.ged', file2Name: 'b.ged', generatedAt: new Date(0),
+  });
+  assert.equal(report.schema, 'gedcom-compare-report');
+  assert.equal(report.pairs.length, 2);
+  assert.deepEqual(report.uniqueA.map(p => p.id), ['I4']);
+
+  const csv = createCsvReport(report).split('\r\n');
+  assert.equal(csv[0], '\uFEFFstatus,score,file1_id,file1_name,file1_birth,file2_id,file2_name,file2_birth,differences');
+  // The place contains commas, so the differences column is quoted
+  assert.match(csv.find(line => line.startsWith('MODIFIED')), /,"Birth date: 1850 → 1851; Birth place: London, England → /);
+});
+
+test('CSV and HTML reports escape names and file names', () => {
+  const peopleA = parseGedcom('0 @I1@ INDI\n1 NAME Ann "Nan" /Lee <Jr>/\n0 TRLR');
+  const peopleB = parseGedcom('0 @I7@ INDI\n1 NAME Bob /Hay, Jr/\n0 TRLR');
+  const report = createComparisonReport(compareGedcomData(peopleA, peopleB), {
+    peopleA, peopleB, file1Name: '<script>.ged', file2Name: 'b.ged', generatedAt: new Date(0),
+  });
+
+  const csv = createCsvReport(report).split('\r\n');
+  assert.equal(csv[1], 'UNIQUE_A,,I1,"Ann ""Nan"" Lee <Jr>",,,,,');
+  assert.equal(csv[2], 'UNIQUE_B,,,,,I7,"Bob Hay, Jr",,');
+
+  const html = createHtmlReport(report);
+  assert.ok(html.includes('Ann &quot;Nan&quot; Lee &lt;Jr&gt;'));
+  assert.ok(html.includes('&lt;script&gt;.ged'));
+  assert.ok(!html.includes('<Jr>') && !html.includes('<script>'));
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { parseGedcomFile, compareGedcomData, buildFamilyGraph } from '../gedcom.mjs';
+import { createGeminiProvider, createMockProvider, createMatchExplainer, parseExplanations } from '../llm.mjs';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+const smithA = parseGedcomFile(fixture('smith-a.ged'));
+const smithB = parseGedcomFile(fixture('smith-b.ged'));
+const results = compareGedcomData(smithA.individuals, smithB.individuals, { gedcomA: smithA, gedcomB: smithB });
+
+// The request for a person in File 1 and their partner in File 2
+const requestFor = (idA, idB) => ({
+  personA: smithA.individuals.find(p => p.id === idA),
+  personB: smithB.individuals.find(p => p.id === idB),
+  graphA: buildFamilyGraph(smithA),
+  graphB: buildFamilyGraph(smithB),
+  score: results.statusMapA.get(idA).score,
+  differences: results.statusMapA.get(idA).diff,
+  threshold: results.threshold,
+});
+
+/** Counts the prompts a provider receives. */
+const counting = (provider) => {
+  const prompts = [];
+  return { prompts, provider: { ...provider, generate: (prompt, options) => { prompts.push(prompt); return provider.generate(prompt, options); } } };
+};
+
+test('the offline stand-in explains pairs in one batch and answers repeats from the cache', async () => {
+  const { prompts, provider } = counting(createMockProvider());
+  const explainer = createMatchExplainer(provider, { minInterval: 0 });
+
+  const [john, mary] = await Promise.all([explainer.explain(requestFor('I1', 'I2')), explainer.explain(requestFor('I2', 'I3'))]);
+  assert.equal(prompts.length, 1);
+  // Family context goes with each person
+  assert.match(prompts[0], /"children": \[\n\s+"Ann Smith \(b\. 1875\)"/);
+  assert.equal(john.verdict, 'same');
+  assert.match(john.explanation, /differ in Birth date, Birth place, Note/);
+  assert.match(mary.explanation, /agree on every compared field/);
+
+  assert.deepEqual(await explainer.explain(requestFor('I1', 'I2')), john);
+  assert.equal(prompts.length, 1);
+});
+
+test('the cache evicts the least recently used answer', async () => {
+  const { prompts, provider } = counting(createMockProvider());
+  const explainer = createMatchExplainer(provider, { minInterval: 0, batchSize: 1, cacheSize: 2 });
+  const john = requestFor('I1', 'I2');
+  const mary = requestFor('I2', 'I3');
+  const johnWithMary = requestFor('I1', 'I3');
+
+  await explainer.explain(john);
+  await explainer.explain(mary);
+  await explainer.explain(john); // a hit makes John the most recently used
+  await explainer.explain(johnWithMary); // evicts Mary
+  assert.equal(prompts.length, 3);
+  await explainer.explain(john);
+  assert.equal(prompts.length, 3);
+  await explainer.explain(mary);
+  assert.equal(prompts.length, 4);
+});
+
+test('Gemini reports a missing key and retries once when rate limited', async () => {
+  const noKey = createMatchExplainer(createGeminiProvider(), { minInterval: 0 });
+  await assert.rejects(noKey.explain(requestFor('I1', 'I2')), { name: 'LlmError', code: 'NO_API_KEY' });
+
+  const calls = [];
+  const answer = JSON.stringify([{ id: 'pair1', verdict: 'same', explanation: 'Same parents and spouse.' }]);
+  const fetch = async (url, init) => {
+    calls.push(init);
+    if (calls.length === 1) return new Response('', { status: 429, headers: { 'Retry-After': '1' } });
+    return Response.json({ candidates: [{ content: { parts: [{ text: answer }] } }] });
+  };
+  const explainer = createMatchExplainer(createGeminiProvider({ apiKey: 'test-key', fetch }), { minInterval: 0 });
+  assert.deepEqual(await explainer.explain(requestFor('I1', 'I2')), { verdict: 'same', explanation: 'Same parents and spouse.' });
+  assert.equal(calls.length, 2);
+  assert.equal(calls[1].headers['x-goog-api-key'], 'test-key');
+});
+
+test('parseExplanations reads fenced JSON and treats unknown verdicts as unsure', () => {
+  const answers = parseExplanations('```json\n[{"id": "pair1", "verdict": "probably", "explanation": " Dates differ. "}]\n```');
+  assert.deepEqual(answers.get('pair1'), { verdict: 'unsure', explanation: 'Dates differ.' });
+  assert.throws(() => parseExplanations('Sure! They are the same.'), { code: 'BAD_RESPONSE' });
+});